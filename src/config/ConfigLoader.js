@@ -1,10 +1,15 @@
 const fs = require('fs');
-const path = require('path');
+const { SettingsValidator, formatProblems, getSettingsPath } = require('./SettingsValidator.js');
+const { SecretResolver, redactSecrets } = require('./SecretResolver.js');
+
+// Several Config instances load the same file, print each warning once
+const reportedWarnings = new Set();
 
 class Config {
     constructor() {
-        this.configPath = path.join(__dirname, '../../config/settings.json');
+        this.configPath = getSettingsPath();
         this.settings = null;
+        this.secretValues = new Set();
         this.isLoaded = false;
         
         this.load();
@@ -17,7 +22,10 @@ class Config {
             }
 
             const rawData = fs.readFileSync(this.configPath, 'utf8');
-            this.settings = JSON.parse(rawData);
+            const { settings, secretValues } = this.parseSettings(rawData);
+
+            this.settings = settings;
+            this.secretValues = secretValues;
 
             this.isLoaded = true;
             console.log('✅ Configuration loaded successfully');
@@ -28,6 +36,71 @@ class Config {
         }
     }
 
+    /**
+     * Re-read settings from disk and swap them in
+     * The current settings stay in use if the file cannot be parsed or is invalid
+     * @returns {object} Settings before and after the reload ({previous, current})
+     */
+    reload() {
+        const rawData = fs.readFileSync(this.configPath, 'utf8');
+        const { settings, secretValues } = this.parseSettings(rawData);
+
+        const previous = this.settings;
+        this.settings = settings;
+        this.secretValues = secretValues;
+
+        return { previous, current: settings };
+    }
+
+    /**
+     * Parse settings, resolve ${ENV:...} / ${FILE:...} placeholders and BRIDGE__ overrides, then validate
+     * @param {string} rawData - Content of settings.json
+     * @returns {object} Resolved settings and the secret values to redact ({settings, secretValues})
+     */
+    parseSettings(rawData) {
+        const settings = JSON.parse(rawData);
+
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new Error('Invalid configuration: settings must be an object');
+        }
+
+        const { errors, warnings, secretValues } = new SecretResolver().resolve(settings);
+        this.reportProblems(errors, warnings);
+
+        this.validateSettings(settings, secretValues);
+
+        return { settings, secretValues };
+    }
+
+    /**
+     * Validate settings against the schema and fill in defaults
+     * @param {object} settings - Parsed settings, modified in place
+     * @param {Set<string>} secretValues - Resolved secret values, kept out of the problems
+     */
+    validateSettings(settings, secretValues) {
+        const { errors, warnings } = new SettingsValidator().validate(settings, secretValues);
+        this.reportProblems(errors, warnings);
+    }
+
+    /**
+     * Print warnings and throw errors together with their JSON path
+     * @param {Array<object>} errors - Errors ({path, message})
+     * @param {Array<object>} warnings - Warnings ({path, message})
+     */
+    reportProblems(errors, warnings) {
+        for (const warning of warnings) {
+            const line = `${warning.path}: ${warning.message}`;
+            if (!reportedWarnings.has(line)) {
+                reportedWarnings.add(line);
+                console.warn(`⚠️  Configuration warning - ${line}`);
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid configuration, ${errors.length} error(s) (run with --check-config for details):\n${formatProblems(errors, '  - ')}`);
+        }
+    }
+
     get(path, defaultValue = null) {
         if (!this.isLoaded) {
             throw new Error('Configuration not loaded');
@@ -46,6 +119,16 @@ class Config {
         return current;
     }
 
+    /**
+     * Copy a value with tokens, passwords, emails and values read from secret files masked
+     * Use it on anything taken from the configuration before logging it
+     * @param {*} value - Value to redact
+     * @returns {*} Redacted copy
+     */
+    redact(value) {
+        return redactSecrets(value, this.secretValues);
+    }
+
     // Guild Management
 
     getAllGuilds() {
@@ -55,6 +138,49 @@ class Config {
     getEnabledGuilds() {
         return this.getAllGuilds().filter(guild => guild.enabled);
     }
+
+    // Discord Channel Management
+
+    /**
+     * Get the Discord channel configuration a guild declares for itself
+     * @param {string} guildId - Guild ID
+     * @param {string} channelType - Channel type (chat/staff)
+     * @returns {object|null} Channel configuration ({id, webhookUrl}) or null
+     */
+    getGuildChannelConfig(guildId, channelType) {
+        const guild = this.getAllGuilds().find(g => g.id === guildId);
+        const channelConfig = guild && guild.channels ? guild.channels[channelType] : null;
+
+        return channelConfig && channelConfig.id ? channelConfig : null;
+    }
+
+    /**
+     * Get the shared Discord channel configuration from bridge.channels
+     * @param {string} channelType - Channel type (chat/staff)
+     * @returns {object|null} Channel configuration ({id, webhookUrl}) or null
+     */
+    getSharedChannelConfig(channelType) {
+        const channelConfig = this.get(`bridge.channels.${channelType}`);
+
+        return channelConfig && channelConfig.id ? channelConfig : null;
+    }
+
+    /**
+     * Resolve the Discord channel configuration for a guild, falling back to the shared channel
+     * @param {string} channelType - Channel type (chat/staff)
+     * @param {string|null} guildId - Guild ID (null for shared channel only)
+     * @returns {object|null} Channel configuration ({id, webhookUrl}) or null
+     */
+    resolveChannelConfig(channelType, guildId = null) {
+        if (guildId) {
+            const guildChannel = this.getGuildChannelConfig(guildId, channelType);
+            if (guildChannel) {
+                return guildChannel;
+            }
+        }
+
+        return this.getSharedChannelConfig(channelType);
+    }
 }
 
 module.exports = Config;
\ No newline at end of file
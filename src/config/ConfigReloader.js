@@ -0,0 +1,303 @@
+// Globals Imports
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+// Specific Imports
+const BridgeLocator = require("../bridgeLocator.js");
+const { getPatternLoader } = require("./PatternLoader.js");
+const { getTemplateLoader } = require("./TemplateLoader.js");
+const logger = require("../shared/logger");
+
+const CONFIG_DIRECTORY = path.join(__dirname, '../../config');
+const WATCH_DEBOUNCE = 500;
+
+// Configuration file -> reload target and the flag enabling its file watching
+// patterns.custom.json holds the patterns saved by /bridge pattern and reloads with patterns.json
+const RELOAD_TARGETS = {
+    settings: { file: 'settings.json', flag: 'features.settings.reloadOnChange', diffDepth: 3 },
+    patterns: { file: 'patterns.json', extraFiles: ['patterns.custom.json'], flag: 'features.patterns.reloadOnChange', diffDepth: 4 },
+    templates: { file: 'templates.json', flag: 'features.templates.reloadOnChange', diffDepth: 5 }
+};
+
+// Settings only read when connections, the Discord client or the bridge components are created
+const RESTART_REQUIRED_SETTINGS = [
+    'app',
+    'features.logging',
+    // Channel routes and webhooks (MessageHandler, WebhookSender)
+    'bridge.channels',
+    'bridge.webhook',
+    // InterGuildManager and MessageSender
+    'bridge.interGuild',
+    'bridge.rateLimit',
+    // Components created with the BridgeCoordinator
+    'features.archive',
+    'features.roster',
+    'features.linking',
+    // RoleSync reads enabled/dryRun and subscribes to new links once
+    'features.roleSync',
+    // Each connection keeps the guild config it was created with (BotManager, ReconnectionPolicy, OutboundQueue)
+    /^guilds\[[^\]]+\]/
+];
+
+/**
+ * Reloads settings.json, patterns.json and templates.json without restarting the bridge
+ *
+ * Files are parsed and validated before being swapped in, an invalid file keeps the
+ * current configuration. Components holding caches listen to the reload events:
+ *   - 'settingsReloaded' (report)
+ *   - 'patternsReloaded' (report)
+ *   - 'templatesReloaded' (report)
+ *   - 'reloaded' (reports)                              After every reload, with all target reports
+ */
+class ConfigReloader extends EventEmitter {
+    constructor() {
+        super();
+
+        const mainBridge = BridgeLocator.getInstance();
+        this.config = mainBridge.config;
+
+        this.watcher = null;
+        this.watchTimers = new Map();
+
+        // Many caches subscribe, one per formatter and command listener
+        this.setMaxListeners(50);
+    }
+
+    // ==================== RELOAD ====================
+
+    /**
+     * Reload configuration files
+     * @param {string[]} targets - Targets to reload (settings, patterns, templates)
+     * @returns {object} Report per target ({reloaded, changes, restartRequired, error})
+     */
+    reload(targets = Object.keys(RELOAD_TARGETS)) {
+        const reports = {};
+
+        for (const target of targets) {
+            reports[target] = this.reloadTarget(target);
+        }
+
+        this.emit('reloaded', reports);
+        return reports;
+    }
+
+    /**
+     * Reload a single configuration file
+     * @param {string} target - Target to reload
+     * @returns {object} Report ({reloaded, changes, restartRequired, error})
+     */
+    reloadTarget(target) {
+        const report = { reloaded: false, changes: [], restartRequired: [], error: null };
+
+        try {
+            const { previous, current } = this.getReloadable(target).reload();
+
+            report.reloaded = true;
+            report.changes = this.diff(previous, current, '', RELOAD_TARGETS[target].diffDepth);
+
+            if (target === 'settings') {
+                report.restartRequired = report.changes.filter(changePath => this.requiresRestart(changePath));
+            }
+
+            logger.info(`🔄 Reloaded ${RELOAD_TARGETS[target].file}: ${report.changes.length} change(s)${report.restartRequired.length > 0 ? `, ${report.restartRequired.length} need a restart` : ''}`);
+            if (report.changes.length > 0) {
+                logger.debug(`Changed in ${RELOAD_TARGETS[target].file}: ${report.changes.join(', ')}`);
+            }
+
+            this.emit(`${target}Reloaded`, report);
+
+        } catch (error) {
+            report.error = error.message;
+            logger.logError(error, `Failed to reload ${RELOAD_TARGETS[target].file}, keeping the current configuration`);
+        }
+
+        return report;
+    }
+
+    /**
+     * Get the object owning the configuration of a target
+     * @param {string} target - Target name
+     * @returns {object} Object with a reload() method
+     */
+    getReloadable(target) {
+        switch (target) {
+            case 'settings':
+                return this.config;
+            case 'patterns':
+                return getPatternLoader();
+            case 'templates':
+                return getTemplateLoader();
+            default:
+                throw new Error(`Unknown reload target: ${target}`);
+        }
+    }
+
+    // ==================== CHANGE REPORT ====================
+
+    /**
+     * List the paths that differ between two configurations
+     * Arrays of objects with an id (guilds) are compared by id instead of position
+     * @param {*} before - Previous value
+     * @param {*} after - New value
+     * @param {string} prefix - Path of the compared values
+     * @param {number} depth - Levels left before reporting the whole value as changed
+     * @returns {string[]} Changed paths
+     */
+    diff(before, after, prefix, depth) {
+        if (JSON.stringify(before) === JSON.stringify(after)) {
+            return [];
+        }
+
+        const bothObjects = before && after && typeof before === 'object' && typeof after === 'object';
+        if (depth === 0 || !bothObjects || Array.isArray(before) !== Array.isArray(after)) {
+            return [prefix || '(root)'];
+        }
+
+        if (Array.isArray(before)) {
+            const keyedBefore = this.keyById(before);
+            const keyedAfter = this.keyById(after);
+
+            if (!keyedBefore || !keyedAfter) {
+                return [prefix];
+            }
+
+            const changes = [];
+            for (const id of new Set([...keyedBefore.keys(), ...keyedAfter.keys()])) {
+                changes.push(...this.diff(keyedBefore.get(id), keyedAfter.get(id), `${prefix}[${id}]`, depth - 1));
+            }
+            return changes;
+        }
+
+        const changes = [];
+        for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            changes.push(...this.diff(before[key], after[key], prefix ? `${prefix}.${key}` : key, depth - 1));
+        }
+        return changes;
+    }
+
+    /**
+     * Index an array of objects by their id
+     * @param {Array} array - Array to index
+     * @returns {Map|null} Id -> object, null if some entries have no id
+     */
+    keyById(array) {
+        if (!array.every(entry => entry && typeof entry === 'object' && entry.id)) {
+            return null;
+        }
+
+        return new Map(array.map(entry => [entry.id, entry]));
+    }
+
+    /**
+     * Check whether a changed settings path only applies after a restart
+     * @param {string} changePath - Changed path
+     * @returns {boolean} Whether a restart is required
+     */
+    requiresRestart(changePath) {
+        return RESTART_REQUIRED_SETTINGS.some(rule => rule instanceof RegExp
+            ? rule.test(changePath)
+            : changePath === rule || changePath.startsWith(`${rule}.`));
+    }
+
+    // ==================== FILE WATCHING ====================
+
+    /**
+     * Watch the configuration files whose reloadOnChange flag is enabled
+     */
+    start() {
+        const watchedFiles = this.getWatchedFiles();
+        if (watchedFiles.size === 0) {
+            logger.debug('Configuration file watching disabled');
+            return;
+        }
+
+        this.stop();
+
+        try {
+            // Watch the folder, editors often replace files instead of writing them
+            this.watcher = fs.watch(CONFIG_DIRECTORY, (eventType, filename) => {
+                const target = filename ? watchedFiles.get(filename.toString()) : null;
+                if (target) {
+                    this.scheduleReload(target);
+                }
+            });
+
+            logger.info(`👀 Watching configuration files: ${[...watchedFiles.keys()].join(', ')}`);
+
+        } catch (error) {
+            logger.logError(error, 'Failed to watch configuration files');
+        }
+    }
+
+    /**
+     * Stop watching configuration files
+     */
+    stop() {
+        for (const timer of this.watchTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.watchTimers.clear();
+
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    /**
+     * Get the files to watch
+     * @returns {Map} File name -> target
+     */
+    getWatchedFiles() {
+        const watchedFiles = new Map();
+
+        for (const [target, definition] of Object.entries(RELOAD_TARGETS)) {
+            if (this.config.get(definition.flag, false) === true) {
+                for (const file of [definition.file, ...(definition.extraFiles || [])]) {
+                    watchedFiles.set(file, target);
+                }
+            }
+        }
+
+        return watchedFiles;
+    }
+
+    /**
+     * Reload a target once its file stopped changing
+     * @param {string} target - Target name
+     */
+    scheduleReload(target) {
+        if (this.watchTimers.has(target)) {
+            clearTimeout(this.watchTimers.get(target));
+        }
+
+        const timer = setTimeout(() => {
+            this.watchTimers.delete(target);
+            this.reload([target]);
+        }, WATCH_DEBOUNCE);
+        timer.unref();
+
+        this.watchTimers.set(target, timer);
+    }
+}
+
+// Singleton instance
+let configReloaderInstance = null;
+
+/**
+ * Get singleton instance of ConfigReloader
+ * @returns {ConfigReloader} ConfigReloader instance
+ */
+function getConfigReloader() {
+    if (!configReloaderInstance) {
+        configReloaderInstance = new ConfigReloader();
+    }
+    return configReloaderInstance;
+}
+
+module.exports = {
+    ConfigReloader,
+    getConfigReloader,
+    RELOAD_TARGETS
+};
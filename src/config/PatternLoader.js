@@ -2,10 +2,21 @@ const fs = require('fs');
 const path = require('path');
 const logger = require('../shared/logger');
 
+/**
+ * Loads config/patterns.json and merges config/patterns.custom.json over it
+ *
+ * The custom file holds the patterns added at runtime with `/bridge pattern add`, so edits
+ * survive restarts without touching patterns.json. Entry shape:
+ *   { id, server, target, position, pattern, flags, groups, description, createdBy, createdAt }
+ * target is the path of a pattern list of the server (e.g. 'events.promote', 'ignore',
+ * 'detection.commandsResponse.kick.success'), position 'first' or 'last' in that list.
+ */
 class PatternLoader {
     constructor() {
         this.patternsPath = path.join(__dirname, '../../config/patterns.json');
+        this.overlayPath = path.join(__dirname, '../../config/patterns.custom.json');
         this.patterns = null;
+        this.overlay = [];
         this.isLoaded = false;
         this.cache = new Map();
         
@@ -26,6 +37,9 @@ class PatternLoader {
 
             this.isLoaded = true;
             this.validatePatterns();
+
+            this.overlay = this.readOverlay();
+            this.applyOverlay(this.patterns, this.overlay);
             
             logger.info(`✅ Pattern configuration loaded successfully`);
             logger.debug(`Supported servers: ${Object.keys(this.patterns.servers).join(', ')}`);
@@ -36,22 +50,85 @@ class PatternLoader {
         }
     }
 
+    /**
+     * Re-read patterns from disk and swap them in
+     * The current patterns stay in use if the file is invalid or any regex does not compile
+     * @returns {object} Patterns before and after the reload ({previous, current})
+     */
+    reload() {
+        const rawData = fs.readFileSync(this.patternsPath, 'utf8');
+        const patterns = JSON.parse(rawData);
+
+        this.validatePatterns(patterns);
+
+        const overlay = this.readOverlay();
+        this.applyOverlay(patterns, overlay);
+
+        const invalidPatterns = this.findInvalidPatterns(patterns.servers);
+        if (invalidPatterns.length > 0) {
+            throw new Error(`Invalid patterns configuration: ${invalidPatterns.join('; ')}`);
+        }
+
+        const previous = this.patterns;
+        this.patterns = patterns;
+        this.overlay = overlay;
+        this.clearCache();
+
+        logger.info(`✅ Pattern configuration reloaded`);
+        return { previous, current: patterns };
+    }
+
     /**
      * Validate pattern configuration structure
+     * @param {object} patterns - Patterns to validate, the loaded ones by default
      */
-    validatePatterns() {
-        if (!this.patterns) {
+    validatePatterns(patterns = this.patterns) {
+        if (!patterns) {
             throw new Error('Patterns not loaded');
         }
 
-        if (!this.patterns.servers || typeof this.patterns.servers !== 'object') {
+        if (!patterns.servers || typeof patterns.servers !== 'object') {
             throw new Error('Invalid patterns configuration: missing servers section');
         }
 
-        const serverCount = Object.keys(this.patterns.servers).length;
+        const serverCount = Object.keys(patterns.servers).length;
         logger.debug(`Validated ${serverCount} server configurations`);
     }
 
+    /**
+     * Find pattern entries whose regex does not compile
+     * @param {object} node - Pattern configuration node
+     * @param {string} nodePath - Path of the node, for error messages
+     * @returns {string[]} Error descriptions
+     */
+    findInvalidPatterns(node, nodePath = 'servers') {
+        const errors = [];
+
+        if (Array.isArray(node)) {
+            node.forEach((entry, index) => errors.push(...this.findInvalidPatterns(entry, `${nodePath}[${index}]`)));
+            return errors;
+        }
+
+        if (!node || typeof node !== 'object') {
+            return errors;
+        }
+
+        if (typeof node.pattern === 'string') {
+            try {
+                new RegExp(node.pattern, node.flags && node.flags !== 'none' ? node.flags : '');
+            } catch (error) {
+                errors.push(`${nodePath}: ${error.message}`);
+            }
+            return errors;
+        }
+
+        for (const [key, value] of Object.entries(node)) {
+            errors.push(...this.findInvalidPatterns(value, `${nodePath}.${key}`));
+        }
+
+        return errors;
+    }
+
     /**
      * Get patterns for a specific server and category
      * @param {string} serverName - Server name (e.g., 'Hypixel', 'Vanilla')
@@ -135,7 +212,8 @@ class PatternLoader {
                 flags: flags,
                 description: patternObj.description || 'No description',
                 direction: patternObj.direction || null,
-                custom: false
+                custom: patternObj.custom === true,
+                customId: patternObj.customId || null
             };
         } catch (error) {
             logger.logError(error, `Failed to compile pattern: ${patternObj.pattern}`);
@@ -231,6 +309,19 @@ class PatternLoader {
         return Object.keys(this.patterns.servers[serverName].events);
     }
 
+    /**
+     * Get all detection groups of a server, commandsResponse excluded
+     * @param {string} serverName - Server name
+     * @returns {Array} Array of detection group names
+     */
+    getDetectionTypes(serverName) {
+        if (!this.patterns.servers[serverName] || !this.patterns.servers[serverName].detection) {
+            return [];
+        }
+
+        return Object.keys(this.patterns.servers[serverName].detection).filter(type => type !== 'commandsResponse');
+    }
+
     /**
      * Get all message types supported by a server
      * @param {string} serverName - Server name
@@ -275,6 +366,250 @@ class PatternLoader {
         logger.debug(`Added custom pattern for ${serverName}/${category}/${subCategory}: ${patternObj.pattern}`);
     }
 
+    // ==================== CUSTOM PATTERNS FILE ====================
+
+    /**
+     * Read the custom patterns file
+     * @returns {Array<object>} Custom pattern entries, empty when the file does not exist
+     */
+    readOverlay() {
+        if (!fs.existsSync(this.overlayPath)) {
+            return [];
+        }
+
+        const overlay = JSON.parse(fs.readFileSync(this.overlayPath, 'utf8'));
+        if (!overlay || !Array.isArray(overlay.patterns)) {
+            throw new Error(`Invalid custom patterns file: missing patterns list (${this.overlayPath})`);
+        }
+
+        return overlay.patterns;
+    }
+
+    /**
+     * Write the custom patterns file
+     * @param {Array<object>} entries - Custom pattern entries
+     */
+    writeOverlay(entries) {
+        const content = {
+            _comment: 'Patterns added with /bridge pattern, merged over patterns.json. Edit with the command or reload patterns after editing.',
+            patterns: entries
+        };
+
+        // Write then rename, a crash mid-write must not leave a truncated file
+        const temporaryPath = `${this.overlayPath}.tmp`;
+        fs.writeFileSync(temporaryPath, `${JSON.stringify(content, null, 2)}\n`, 'utf8');
+        fs.renameSync(temporaryPath, this.overlayPath);
+    }
+
+    /**
+     * Merge custom pattern entries into a patterns configuration
+     * Entries whose server or target no longer exists are skipped with a warning
+     * @param {object} patterns - Patterns configuration, modified in place
+     * @param {Array<object>} entries - Custom pattern entries
+     */
+    applyOverlay(patterns, entries) {
+        for (const entry of entries) {
+            const list = this.resolveTarget(patterns, entry.server, entry.target);
+            if (!list) {
+                logger.warn(`Custom pattern ${entry.id} skipped: ${entry.server}/${entry.target} does not exist in patterns.json`);
+                continue;
+            }
+
+            const patternObj = {
+                pattern: entry.pattern,
+                flags: entry.flags || undefined,
+                groups: entry.groups || [],
+                description: entry.description || `Custom pattern ${entry.id}`,
+                custom: true,
+                customId: entry.id
+            };
+
+            if (entry.position === 'first') {
+                list.unshift(patternObj);
+            } else {
+                list.push(patternObj);
+            }
+        }
+
+        if (entries.length > 0) {
+            logger.debug(`Merged ${entries.length} custom pattern(s) from ${path.basename(this.overlayPath)}`);
+        }
+    }
+
+    /**
+     * Find the pattern list a target path points to
+     * @param {object} patterns - Patterns configuration
+     * @param {string} serverName - Server name
+     * @param {string} target - Dotted path of the list in the server section
+     * @returns {Array|null} Pattern list or null
+     */
+    resolveTarget(patterns, serverName, target) {
+        let node = patterns.servers[serverName];
+
+        for (const key of String(target || '').split('.')) {
+            if (!node || typeof node !== 'object' || Array.isArray(node) || !Object.prototype.hasOwnProperty.call(node, key)) {
+                return null;
+            }
+            node = node[key];
+        }
+
+        return Array.isArray(node) ? node : null;
+    }
+
+    /**
+     * List the pattern lists of a server that custom patterns can be added to
+     * @param {string} serverName - Server name
+     * @returns {string[]} Target paths (e.g. 'messages.guild', 'detection.commandsResponse.kick.success')
+     */
+    getPatternTargets(serverName) {
+        const targets = [];
+
+        const walk = (node, prefix) => {
+            if (Array.isArray(node)) {
+                targets.push(prefix);
+                return;
+            }
+            if (node && typeof node === 'object') {
+                for (const [key, value] of Object.entries(node)) {
+                    walk(value, prefix ? `${prefix}.${key}` : key);
+                }
+            }
+        };
+
+        walk(this.patterns.servers[serverName], '');
+        return targets;
+    }
+
+    /**
+     * Get the compiled patterns of a target, in the order they are tried
+     * @param {string} serverName - Server name
+     * @param {string} target - Target path
+     * @returns {Array} Array of pattern objects, empty for an unknown target
+     */
+    getTargetPatterns(serverName, target) {
+        const list = this.resolveTarget(this.patterns, serverName, target) || [];
+        return list.map(patternObj => this.createPatternObject(patternObj)).filter(p => p !== null);
+    }
+
+    /**
+     * Get the custom pattern entries
+     * @param {string} serverName - Only the entries of this server, all by default
+     * @returns {Array<object>} Custom pattern entries
+     */
+    getCustomPatterns(serverName = null) {
+        return this.overlay.filter(entry => !serverName || entry.server === serverName);
+    }
+
+    /**
+     * Check a custom pattern before saving it
+     * @param {object} entry - Custom pattern entry ({server, target, pattern, flags, groups})
+     * @returns {string[]} Problems, empty when the entry can be saved
+     */
+    checkCustomPattern(entry) {
+        const problems = [];
+
+        if (!this.isServerSupported(entry.server)) {
+            problems.push(`Unknown server ${entry.server}`);
+        } else if (!this.resolveTarget(this.patterns, entry.server, entry.target)) {
+            problems.push(`Unknown target ${entry.target} for ${entry.server}`);
+        }
+
+        if (/[gy]/.test(entry.flags || '')) {
+            problems.push('Flags g and y keep state between lines, only i, m, s and u can be used');
+        }
+
+        let regex = null;
+        try {
+            regex = new RegExp(entry.pattern, entry.flags || '');
+        } catch (error) {
+            problems.push(error.message);
+        }
+
+        if (regex && entry.groups && entry.groups.length > 0) {
+            const groupCount = countCaptureGroups(entry.pattern, entry.flags);
+            if (groupCount !== entry.groups.length) {
+                problems.push(`The pattern captures ${groupCount} group(s) but ${entry.groups.length} name(s) were given`);
+            }
+        }
+
+        return problems;
+    }
+
+    /**
+     * Group names of the first pattern of a target capturing as many groups as a new pattern,
+     * so a custom guild chat pattern gets username/message like the existing ones
+     * @param {string} serverName - Server name
+     * @param {string} target - Target path
+     * @param {string} pattern - New pattern
+     * @param {string} flags - New pattern flags
+     * @returns {string[]} Group names, empty if no existing pattern captures the same count
+     */
+    getDefaultGroups(serverName, target, pattern, flags = '') {
+        const list = this.resolveTarget(this.patterns, serverName, target) || [];
+        const groupCount = countCaptureGroups(pattern, flags);
+
+        const sibling = list.find(patternObj => patternObj.groups && patternObj.groups.length === groupCount
+            && countCaptureGroups(patternObj.pattern, patternObj.flags) === groupCount);
+
+        return sibling ? [...sibling.groups] : [];
+    }
+
+    /**
+     * Save a new custom pattern to the custom patterns file
+     * The patterns in use only change once the patterns are reloaded
+     * @param {object} entry - Custom pattern entry ({server, target, position, pattern, flags, groups, description, createdBy})
+     * @returns {object} Saved entry, with its id
+     */
+    addOverlayPattern(entry) {
+        const problems = this.checkCustomPattern(entry);
+        if (problems.length > 0) {
+            throw new Error(problems.join('; '));
+        }
+
+        // Read the file again, it may have been edited by hand since the last reload
+        const entries = this.readOverlay();
+        const lastId = entries.reduce((max, existing) => Math.max(max, parseInt(String(existing.id).replace(/^p/, ''), 10) || 0), 0);
+
+        const saved = {
+            id: `p${lastId + 1}`,
+            server: entry.server,
+            target: entry.target,
+            position: entry.position === 'first' ? 'first' : 'last',
+            pattern: entry.pattern,
+            flags: entry.flags || '',
+            groups: entry.groups || [],
+            description: entry.description || '',
+            createdBy: entry.createdBy || null,
+            createdAt: new Date().toISOString()
+        };
+
+        entries.push(saved);
+        this.writeOverlay(entries);
+
+        logger.info(`Saved custom pattern ${saved.id} for ${saved.server}/${saved.target}: ${saved.pattern}`);
+        return saved;
+    }
+
+    /**
+     * Remove a custom pattern from the custom patterns file
+     * The patterns in use only change once the patterns are reloaded
+     * @param {string} id - Custom pattern id
+     * @returns {object|null} Removed entry, null if no entry has this id
+     */
+    removeOverlayPattern(id) {
+        const entries = this.readOverlay();
+        const index = entries.findIndex(entry => entry.id === id);
+        if (index === -1) {
+            return null;
+        }
+
+        const [removed] = entries.splice(index, 1);
+        this.writeOverlay(entries);
+
+        logger.info(`Removed custom pattern ${removed.id} from ${removed.server}/${removed.target}`);
+        return removed;
+    }
+
     /**
      * Get supported servers list
      * @returns {Array} Array of supported server names
@@ -326,6 +661,21 @@ class PatternLoader {
     }
 }
 
+/**
+ * Count the capture groups of a pattern
+ * @param {string} pattern - Pattern source
+ * @param {string} flags - Pattern flags
+ * @returns {number} Number of capture groups
+ */
+function countCaptureGroups(pattern, flags = '') {
+    try {
+        // An empty alternative always matches, the match length gives the group count
+        return new RegExp(`${pattern}|`, flags && flags !== 'none' ? flags.replace('g', '') : '').exec('').length - 1;
+    } catch (error) {
+        return 0;
+    }
+}
+
 // Singleton instance
 let patternLoaderInstance = null;
 
@@ -0,0 +1,282 @@
+// Globals Imports
+const fs = require('fs');
+const path = require('path');
+
+const ENV_OVERRIDE_PREFIX = 'BRIDGE__';
+const PLACEHOLDER_REGEX = /\$\{(ENV|FILE):([^}]+)\}/g;
+// Values under these keys are never logged
+const SECRET_KEY_REGEX = /token|password|secret|email|webhookUrl|apiKey/i;
+const REDACTED = '***';
+
+/**
+ * Resolves values that should not live in settings.json
+ *
+ *   - "${ENV:NAME}" placeholders are replaced with the NAME environment variable
+ *   - "${FILE:/run/secrets/x}" placeholders are replaced with the file content (trailing newline removed)
+ *   - BRIDGE__<PATH> environment variables override existing settings, path segments are
+ *     separated by "__" and matched case insensitively. Guilds are matched by id or index:
+ *     BRIDGE__APP__TOKEN, BRIDGE__GUILDS__FL1GUILD__ACCOUNT__EMAIL, BRIDGE__GUILDS__0__ENABLED
+ *
+ * Placeholders are resolved first, so an override always wins. Keys starting with '_' are comments and left as is.
+ */
+class SecretResolver {
+    /**
+     * @param {object} env - Environment variables
+     * @param {string} baseDirectory - Directory relative FILE paths are resolved against
+     */
+    constructor(env = process.env, baseDirectory = process.cwd()) {
+        this.env = env;
+        this.baseDirectory = baseDirectory;
+    }
+
+    /**
+     * Resolve placeholders and overrides in place
+     * @param {object} settings - Parsed settings
+     * @returns {object} Result ({errors, warnings, secretValues})
+     */
+    resolve(settings) {
+        const result = { errors: [], warnings: [], secretValues: new Set() };
+
+        this.resolveNode(settings, '', result);
+        this.applyOverrides(settings, result);
+        this.collectSecretValues(settings, '', result.secretValues);
+
+        return result;
+    }
+
+    // ==================== PLACEHOLDERS ====================
+
+    /**
+     * Replace placeholders in every string of a node
+     * @param {object|Array} node - Settings node
+     * @param {string} nodePath - JSON path of the node
+     * @param {object} result - Resolution result
+     */
+    resolveNode(node, nodePath, result) {
+        for (const key of Object.keys(node)) {
+            // Comments may document the syntax
+            if (key.startsWith('_')) continue;
+
+            const value = node[key];
+            const valuePath = Array.isArray(node) ? `${nodePath}[${key}]` : joinPath(nodePath, key);
+
+            if (typeof value === 'string' && value.includes('${')) {
+                node[key] = this.resolveString(value, valuePath, result);
+            } else if (value && typeof value === 'object') {
+                this.resolveNode(value, valuePath, result);
+            }
+        }
+    }
+
+    /**
+     * Replace the placeholders of a string
+     * @param {string} value - String with placeholders
+     * @param {string} valuePath - JSON path of the string
+     * @param {object} result - Resolution result
+     * @returns {string} Resolved string
+     */
+    resolveString(value, valuePath, result) {
+        return value.replace(PLACEHOLDER_REGEX, (placeholder, source, reference) => {
+            reference = reference.trim();
+
+            if (source === 'ENV') {
+                if (this.env[reference] === undefined) {
+                    result.errors.push({ path: valuePath, message: `environment variable ${reference} is not set` });
+                    return placeholder;
+                }
+                return this.env[reference];
+            }
+
+            const filePath = path.resolve(this.baseDirectory, reference);
+            try {
+                const content = fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, '');
+                // Secrets files hold secrets, whatever the key is called
+                result.secretValues.add(content);
+                return content;
+            } catch (error) {
+                result.errors.push({ path: valuePath, message: `cannot read secret file ${filePath}: ${error.code || error.message}` });
+                return placeholder;
+            }
+        });
+    }
+
+    // ==================== ENVIRONMENT OVERRIDES ====================
+
+    /**
+     * Apply BRIDGE__ environment variables to existing settings
+     * @param {object} settings - Settings
+     * @param {object} result - Resolution result
+     */
+    applyOverrides(settings, result) {
+        const names = Object.keys(this.env).filter(name => name.startsWith(ENV_OVERRIDE_PREFIX)).sort();
+
+        for (const name of names) {
+            const segments = name.slice(ENV_OVERRIDE_PREFIX.length).split('__').filter(Boolean);
+            const target = this.findTarget(settings, segments);
+
+            if (!target) {
+                result.warnings.push({ path: name, message: 'no setting matches this environment override, it is ignored' });
+                continue;
+            }
+
+            try {
+                target.parent[target.key] = this.coerce(this.env[name], target.parent[target.key]);
+            } catch (error) {
+                result.errors.push({ path: target.path, message: `invalid value in ${name}: ${error.message}` });
+            }
+        }
+    }
+
+    /**
+     * Find the setting an override points to
+     * @param {object} settings - Settings
+     * @param {string[]} segments - Path segments from the variable name
+     * @returns {object|null} Target ({parent, key, path}) or null
+     */
+    findTarget(settings, segments) {
+        let node = settings;
+        let nodePath = '';
+
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+            let key;
+
+            if (Array.isArray(node)) {
+                key = /^\d+$/.test(segment)
+                    ? Number(segment)
+                    : node.findIndex(entry => entry && typeof entry.id === 'string' && entry.id.toLowerCase() === segment.toLowerCase());
+
+                if (key < 0 || key >= node.length) return null;
+                nodePath = `${nodePath}[${key}]`;
+            } else if (node && typeof node === 'object') {
+                key = Object.keys(node).find(existing => existing.toLowerCase() === segment.toLowerCase());
+
+                if (key === undefined) return null;
+                nodePath = joinPath(nodePath, key);
+            } else {
+                return null;
+            }
+
+            if (i === segments.length - 1) {
+                return { parent: node, key, path: nodePath };
+            }
+
+            node = node[key];
+        }
+
+        return null;
+    }
+
+    /**
+     * Convert an environment value to the type of the value it replaces
+     * @param {string} raw - Environment value
+     * @param {*} current - Current setting value
+     * @returns {*} Converted value
+     */
+    coerce(raw, current) {
+        if (typeof current === 'string') {
+            return raw;
+        }
+
+        if (typeof current === 'boolean') {
+            if (raw !== 'true' && raw !== 'false') {
+                throw new Error(`expected true or false, got "${raw}"`);
+            }
+            return raw === 'true';
+        }
+
+        if (typeof current === 'number') {
+            const number = Number(raw);
+            if (raw.trim() === '' || Number.isNaN(number)) {
+                throw new Error(`expected a number, got "${raw}"`);
+            }
+            return number;
+        }
+
+        // Objects, arrays and null are given as JSON
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            if (current === null) return raw;
+            throw new Error('expected JSON');
+        }
+    }
+
+    // ==================== REDACTION ====================
+
+    /**
+     * Collect the values of secret keys
+     * @param {*} node - Settings node
+     * @param {string} key - Key of the node
+     * @param {Set<string>} secretValues - Collected values
+     */
+    collectSecretValues(node, key, secretValues) {
+        if (typeof node === 'string') {
+            if (node && SECRET_KEY_REGEX.test(key)) {
+                secretValues.add(node);
+            }
+            return;
+        }
+
+        if (node && typeof node === 'object') {
+            for (const [childKey, child] of Object.entries(node)) {
+                // Array items inherit the key of the array
+                this.collectSecretValues(child, Array.isArray(node) ? key : childKey, secretValues);
+            }
+        }
+    }
+}
+
+/**
+ * Copy a value with secrets replaced, for logging
+ * @param {*} value - Value to redact
+ * @param {Set<string>} secretValues - Known secret values
+ * @returns {*} Redacted copy
+ */
+function redactSecrets(value, secretValues = new Set()) {
+    if (typeof value === 'string') {
+        let redacted = value;
+        for (const secret of secretValues) {
+            // Very short values would mask unrelated text
+            if (secret.length >= 4 && redacted.includes(secret)) {
+                redacted = redacted.split(secret).join(REDACTED);
+            }
+        }
+        return redacted;
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => redactSecrets(item, secretValues));
+    }
+
+    if (value && typeof value === 'object') {
+        const copy = {};
+        for (const [key, child] of Object.entries(value)) {
+            copy[key] = SECRET_KEY_REGEX.test(key) && typeof child === 'string' && child
+                ? REDACTED
+                : redactSecrets(child, secretValues);
+        }
+        return copy;
+    }
+
+    return value;
+}
+
+/**
+ * Check whether values under a key are secrets
+ * @param {string} key - Settings key
+ * @returns {boolean} Whether the key holds secrets
+ */
+function isSecretKey(key) {
+    return SECRET_KEY_REGEX.test(key);
+}
+
+function joinPath(nodePath, key) {
+    return nodePath ? `${nodePath}.${key}` : key;
+}
+
+module.exports = {
+    SecretResolver,
+    redactSecrets,
+    isSecretKey
+};
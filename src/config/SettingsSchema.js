@@ -0,0 +1,309 @@
+/**
+ * Schema of config/settings.json, checked by SettingsValidator
+ *
+ * Node shapes:
+ *   - { type: 'object', properties, values, required, default }   `values` describes the entries of a map
+ *   - { type: 'array', items, minItems, default }
+ *   - { type: 'string', enum, pattern, format, allowEmpty, default }
+ *   - { type: 'integer' | 'number', min, max, default }
+ *   - { type: 'boolean', default }
+ *
+ * `type` may be an array of types. Formats: 'snowflake' (Discord ID), 'url', 'webhookUrl'.
+ * Keys starting with '_' are comments and never checked.
+ * Defaults are written into the loaded settings when the key is missing.
+ */
+
+// ==================== HELPERS ====================
+
+const string = (options = {}) => ({ type: 'string', ...options });
+const boolean = (defaultValue, options = {}) => ({ type: 'boolean', default: defaultValue, ...options });
+const integer = (options = {}) => ({ type: 'integer', ...options });
+const object = (properties, options = {}) => ({ type: 'object', properties, ...options });
+const array = (items, options = {}) => ({ type: 'array', items, ...options });
+const map = (values, options = {}) => ({ type: 'object', values, ...options });
+
+const snowflake = (options = {}) => string({ format: 'snowflake', ...options });
+const duration = (defaultValue) => integer({ min: 0, default: defaultValue });
+const directory = (defaultValue) => string({ default: defaultValue });
+
+// Discord roles are matched by ID or by name
+const roleList = () => array(string(), { default: [] });
+
+const channelSchema = object({
+    id: snowflake({ required: true }),
+    webhookUrl: string({ format: 'webhookUrl', allowEmpty: true })
+});
+
+const rateLimitSchema = object({
+    limit: integer({ min: 1, required: true }),
+    window: integer({ min: 1, required: true })
+});
+
+const notificationLevelSchema = object({
+    enabled: boolean(true),
+    color: integer({ min: 0, max: 0xFFFFFF }),
+    emoji: string(),
+    rateLimit: integer({ min: 0 })
+});
+
+// ==================== GUILDS ====================
+
+const guildSchema = object({
+    name: string({ required: true }),
+    tag: string({ required: true }),
+    // Used in file names (rosters), keep it simple
+    id: string({ required: true, pattern: /^[A-Za-z0-9_-]+$/, patternHint: 'letters, digits, - and _ only' }),
+    enabled: { type: 'boolean', required: true },
+    server: object({
+        serverName: string({ required: true }),
+        host: string({ required: true }),
+        port: integer({ min: 1, max: 65535, default: 25565 }),
+        version: string({ required: true })
+    }, { required: true }),
+    account: object({
+        username: string({ required: true }),
+        email: string(),
+        id: string(),
+        authMethod: string({ enum: ['microsoft', 'offline', 'mojang'], default: 'microsoft' }),
+        viewDistance: { type: ['string', 'integer'], enum: ['tiny', 'short', 'normal', 'far'], min: 2, default: 'tiny' },
+        chatLengthLimit: integer({ min: 1, default: 256 }),
+        keepAlive: boolean(true),
+        sessionPath: string(),
+        cachePath: string(),
+        profilesFolder: string(),
+        cache: boolean(true),
+        reconnection: object({
+            enabled: boolean(false),
+            maxRetries: integer({ min: 0, default: 5 }),
+            retryDelay: duration(30000),
+            exponentialBackoff: boolean(true),
+            maxDelay: duration(600000),
+            throttleDelay: duration(60000),
+            duplicateLoginDelay: duration(600000),
+            circuitBreakerCooldown: duration(1800000)
+        })
+    }, { required: true }),
+    ranks: array(string(), { default: [] }),
+    rankTags: map(string(), { default: {} }),
+    channels: object({
+        chat: channelSchema,
+        staff: channelSchema
+    }),
+    roleSync: object({
+        memberRole: snowflake({ allowEmpty: true }),
+        ranks: map(snowflake(), { default: {} })
+    })
+});
+
+// ==================== ROOT ====================
+
+const settingsSchema = object({
+    app: object({
+        name: string({ default: 'Minecraft-Bridge-Chat' }),
+        version: string(),
+        token: string({ required: true, secret: true }),
+        clientId: snowflake({ required: true }),
+        serverDiscordId: snowflake({ required: true })
+    }, { required: true }),
+
+    guilds: array(guildSchema, { required: true, minItems: 1 }),
+
+    bridge: object({
+        channels: object({
+            chat: channelSchema,
+            staff: channelSchema
+        }, { default: {} }),
+        webhook: object({
+            enabled: boolean(false),
+            avatarAPI: string({ format: 'url' }),
+            useForGuildMessages: boolean(true),
+            usernameFormat: string({ allowEmpty: true, default: '' })
+        }, { default: {} }),
+        interGuild: object({
+            enabled: boolean(false),
+            officerToGuildChat: boolean(false),
+            officerToOfficerChat: boolean(false),
+            officerToDiscord: { type: 'boolean' },
+            discordToMinecraft: { type: 'boolean' },
+            showTags: boolean(false),
+            // Components disagree on the default, keep it unset
+            showSourceTag: { type: 'boolean' },
+            shareableEvents: array(string()),
+            enableDebugLogging: boolean(false)
+        }, { default: {} }),
+        rateLimit: map(rateLimitSchema, { default: {} }),
+        activity: object({
+            enabled: boolean(true),
+            name: string(),
+            type: string({ enum: ['Playing', 'Streaming', 'Listening', 'Watching', 'Competing', 'Custom'] })
+        }),
+        discordMessages: object({
+            rolePrefixes: map(string({ allowEmpty: true }), { default: {} }),
+            replyQuoteLength: integer({ min: 0, max: 100, default: 40 })
+        }, { default: {} }),
+        longMessages: object({
+            maxParts: integer({ min: 1, max: 10, default: 3 }),
+            cutReaction: string({ allowEmpty: true, default: '✂️' })
+        }, { default: {} }),
+        commandPrefix: string({ default: '!' }),
+        adminRoles: roleList(),
+        modRoles: roleList()
+    }, { required: true }),
+
+    discord: object({
+        permissions: object({
+            moderatorRoles: roleList(),
+            adminRoles: roleList()
+        }, { default: {} }),
+        logChannels: map(snowflake({ allowEmpty: true }), { default: {} })
+    }, { required: true }),
+
+    features: object({
+        settings: object({
+            reloadOnChange: boolean(false)
+        }, { default: {} }),
+        logging: object({
+            level: string({ enum: ['debug', 'info', 'warn', 'error'], default: 'info' }),
+            console: boolean(true),
+            file: boolean(false),
+            logFileDirectory: directory('./data/logs')
+        }, { default: {} }),
+        detection: object({
+            channelId: snowflake({ allowEmpty: true }),
+            allowedUsers: array(snowflake(), { default: [] })
+        }),
+        messageSystem: object({
+            enableDebugLogging: boolean(false),
+            validateTemplates: boolean(true),
+            cacheFormattedMessages: boolean(false),
+            eventEmbeds: array(string(), { default: [] })
+        }, { default: {} }),
+        chatParser: object({
+            enableDebugLogging: boolean(false),
+            strictParsing: boolean(false),
+            maxMessageLength: integer({ min: 1, default: 256 }),
+            serverType: string({ default: 'Hypixel' }),
+            customPatterns: map(array(string()), { default: {} })
+        }, { default: {} }),
+        eventParser: object({
+            enableDebugLogging: boolean(false),
+            strictParsing: boolean(false),
+            eventCooldown: duration(5000),
+            serverType: string({ default: 'Hypixel' }),
+            customEventPatterns: map(array(string()), { default: {} })
+        }, { default: {} }),
+        patterns: object({
+            reloadOnChange: boolean(false),
+            cachePatterns: boolean(true),
+            customPatternsEnabled: boolean(true),
+            fallbackToVanilla: boolean(true),
+            enableColorCodes: boolean(true),
+            enableDebugLogging: boolean(false)
+        }, { default: {} }),
+        archive: object({
+            enabled: boolean(true),
+            directory: directory('./data/archive'),
+            maxResults: integer({ min: 1, max: 50, default: 50 })
+        }, { default: {} }),
+        chatCapture: object({
+            enabled: boolean(false),
+            directory: directory('./data/captures')
+        }, { default: {} }),
+        unmatchedReview: object({
+            enabled: boolean(false),
+            interval: duration(3600000),
+            maxPerPost: integer({ min: 1, max: 20, default: 5 }),
+            maxShapes: integer({ min: 1, default: 200 })
+        }, { default: {} }),
+        colorRendering: object({
+            enabled: boolean(false),
+            chat: map(string({ enum: ['plain', 'ansi', 'embed'] }), { default: {} }),
+            events: map(string({ enum: ['plain', 'ansi', 'embed'] }), { default: {} })
+        }, { default: {} }),
+        roster: object({
+            enabled: boolean(true),
+            directory: directory('./data/roster'),
+            reconcileInterval: duration(1800000),
+            listCommand: string({ default: '/g list' }),
+            onlineCommand: string({ default: '/g online' })
+        }, { default: {} }),
+        linking: object({
+            enabled: boolean(true),
+            directory: directory('./data/links'),
+            codeTimeout: integer({ min: 10000, default: 300000 }),
+            showInEvents: boolean(true)
+        }, { default: {} }),
+        roleSync: object({
+            enabled: boolean(false),
+            dryRun: boolean(true)
+        }, { default: {} }),
+        strategies: object({
+            directory: string({ allowEmpty: true, default: '' })
+        }, { default: {} }),
+        templates: object({
+            reloadOnChange: boolean(false),
+            cacheTemplates: boolean(true),
+            customTemplatesEnabled: boolean(true),
+            fallbackToBasic: boolean(true),
+            enableDebugLogging: boolean(false)
+        }, { default: {} }),
+        outboundQueue: object({
+            sendInterval: integer({ min: 100, default: 1200 }),
+            throttleDelay: duration(5000),
+            maxRetries: integer({ min: 0, default: 3 }),
+            maxSize: integer({ min: 1, default: 100 })
+        }, { default: {} }),
+        simulation: object({
+            host: string({ default: '127.0.0.1' }),
+            port: integer({ min: 1, max: 65535, default: 25566 }),
+            console: boolean(true),
+            members: array(string({ pattern: /^\w{3,16}$/, patternHint: 'Minecraft usernames' }))
+        }, { default: {} }),
+        messageQueue: object({
+            maxSize: integer({ min: 1 }),
+            processingInterval: integer({ min: 1 }),
+            maxRetries: integer({ min: 0 }),
+            retryDelay: integer({ min: 0 }),
+            autoStart: boolean(true)
+        }),
+        notifications: object({
+            levels: map(notificationLevelSchema),
+            batchSimilar: boolean(true),
+            batchTimeWindow: integer({ min: 0 }),
+            includeSystemInfo: boolean(true),
+            suppressDuringMaintenance: boolean(false)
+        })
+    }, { required: true }),
+
+    advanced: object({
+        messageCleaner: object({
+            removeColorCodes: boolean(true),
+            removeFormatting: boolean(false),
+            normalizeWhitespace: boolean(true),
+            maxLength: integer({ min: 1, default: 2000 }),
+            preserveEmojis: boolean(true),
+            stripUrls: boolean(false),
+            escapeDiscordMarkdown: boolean(false)
+        }, { default: {} }),
+        routing: object({
+            messageRouting: object({
+                enableDebugLogging: boolean(false),
+                retryFailedMessages: boolean(true),
+                maxRetryAttempts: integer({ min: 0 })
+            }),
+            eventRouting: object({
+                enableDebugLogging: boolean(false),
+                eventCooldownDuration: integer({ min: 0 }),
+                filterSpamEvents: boolean(true)
+            })
+        }),
+        performance: object({
+            enablePerformanceMonitoring: boolean(true),
+            logSlowOperations: boolean(true),
+            slowOperationThreshold: integer({ min: 0 }),
+            memoryMonitoring: boolean(true)
+        })
+    }, { default: {} })
+});
+
+module.exports = settingsSchema;
@@ -0,0 +1,449 @@
+// Globals Imports
+const fs = require('fs');
+const path = require('path');
+
+// Specific Imports
+const settingsSchema = require("./SettingsSchema.js");
+const { SecretResolver, redactSecrets, isSecretKey } = require("./SecretResolver.js");
+
+// Values left as in settings.example.json, e.g. "CHAT_CHANNEL_ID"
+const PLACEHOLDER_REGEX = /^[A-Z][A-Z0-9_]*$/;
+const SNOWFLAKE_REGEX = /^\d{17,20}$/;
+const URL_REGEX = /^https?:\/\/\S+$/;
+const WEBHOOK_URL_REGEX = /^https:\/\/(?:ptb\.|canary\.)?discord(?:app)?\.com\/api\/webhooks\/\d+\/[\w-]+$/;
+
+/**
+ * Checks settings against SettingsSchema and fills in defaults
+ *
+ * Problems are collected rather than thrown so every one of them can be reported at once.
+ * Errors stop the bridge from starting, warnings are only printed. Values of secret keys are
+ * never quoted in problems, and resolved secrets are redacted from them.
+ */
+class SettingsValidator {
+    constructor(schema = settingsSchema) {
+        this.schema = schema;
+        this.secretValues = new Set();
+    }
+
+    /**
+     * Validate settings and write defaults for missing optional keys
+     * @param {object} settings - Parsed settings, modified in place
+     * @param {Set<string>} secretValues - Resolved secret values (SecretResolver), redacted from problems
+     * @returns {object} Problems ({errors: [{path, message}], warnings: [{path, message}]})
+     */
+    validate(settings, secretValues = new Set()) {
+        const result = { errors: [], warnings: [] };
+        this.secretValues = secretValues;
+
+        this.checkNode(this.schema, settings, '', result);
+
+        // Cross checks skip the entries the schema walk already reported as malformed
+        if (this.isObject(settings)) {
+            this.checkGuilds(settings, result);
+        }
+
+        return result;
+    }
+
+    // ==================== SCHEMA WALK ====================
+
+    /**
+     * Check a value against its schema node
+     * @param {object} schema - Schema node
+     * @param {*} value - Value to check
+     * @param {string} nodePath - JSON path of the value
+     * @param {object} result - Collected problems
+     */
+    checkNode(schema, value, nodePath, result) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const actualType = this.getType(value);
+
+        const typeMatches = types.includes(actualType) || (actualType === 'integer' && types.includes('number'));
+        if (!typeMatches) {
+            this.addError(result, nodePath, `must be ${types.map(type => this.describeType(type)).join(' or ')}, got ${this.describeType(actualType)}`);
+            return;
+        }
+
+        switch (actualType) {
+            case 'string':
+                this.checkString(schema, value, nodePath, result);
+                break;
+            case 'integer':
+            case 'number':
+                this.checkNumber(schema, value, nodePath, result);
+                break;
+            case 'array':
+                this.checkArray(schema, value, nodePath, result);
+                break;
+            case 'object':
+                this.checkObject(schema, value, nodePath, result);
+                break;
+        }
+    }
+
+    /**
+     * Check an object, its known properties, map entries and unknown keys
+     */
+    checkObject(schema, value, nodePath, result) {
+        if (schema.properties) {
+            for (const [key, propertySchema] of Object.entries(schema.properties)) {
+                const propertyPath = this.joinPath(nodePath, key);
+
+                if (value[key] === undefined) {
+                    if (propertySchema.required) {
+                        this.addError(result, propertyPath, 'is required');
+                        continue;
+                    }
+
+                    if (propertySchema.default === undefined) {
+                        continue;
+                    }
+
+                    value[key] = JSON.parse(JSON.stringify(propertySchema.default));
+                }
+
+                this.checkNode(propertySchema, value[key], propertyPath, result);
+            }
+        }
+
+        for (const [key, entry] of Object.entries(value)) {
+            if (key.startsWith('_')) continue;
+            if (schema.properties && schema.properties[key]) continue;
+
+            if (schema.values) {
+                this.checkNode(schema.values, entry, this.joinPath(nodePath, key), result);
+                continue;
+            }
+
+            const suggestion = this.findClosestKey(key, Object.keys(schema.properties || {}));
+            this.addWarning(result, this.joinPath(nodePath, key), `unknown key, it is ignored${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+        }
+    }
+
+    /**
+     * Check array length and items
+     */
+    checkArray(schema, value, nodePath, result) {
+        if (schema.minItems && value.length < schema.minItems) {
+            this.addError(result, nodePath, `must contain at least ${schema.minItems} item(s)`);
+        }
+
+        if (schema.items) {
+            value.forEach((item, index) => this.checkNode(schema.items, item, `${nodePath}[${index}]`, result));
+        }
+    }
+
+    /**
+     * Check number bounds
+     */
+    checkNumber(schema, value, nodePath, result) {
+        if (schema.min !== undefined && value < schema.min) {
+            this.addError(result, nodePath, `must be at least ${schema.min}, got ${value}`);
+        }
+
+        if (schema.max !== undefined && value > schema.max) {
+            this.addError(result, nodePath, `must be at most ${schema.max}, got ${value}`);
+        }
+    }
+
+    /**
+     * Check string emptiness, allowed values, pattern and format
+     */
+    checkString(schema, value, nodePath, result) {
+        if (value.trim() === '') {
+            if (!schema.allowEmpty && (schema.required || schema.format)) {
+                this.addError(result, nodePath, 'must not be empty');
+            }
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            const suggestion = this.findClosestKey(value, schema.enum);
+            this.addError(result, nodePath, `must be one of ${schema.enum.map(v => `"${v}"`).join(', ')}${this.describeValue(schema, value, nodePath)}${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+            return;
+        }
+
+        if (schema.pattern && !schema.pattern.test(value)) {
+            this.addError(result, nodePath, `has an invalid format${schema.patternHint ? ` (${schema.patternHint})` : ''}${this.describeValue(schema, value, nodePath)}`);
+            return;
+        }
+
+        if (!schema.format && !schema.secret) {
+            return;
+        }
+
+        // Optional Discord IDs used to be ignored when wrong, keep them as warnings
+        const report = schema.required || schema.format === 'webhookUrl'
+            ? (message) => this.addError(result, nodePath, message)
+            : (message) => this.addWarning(result, nodePath, message);
+
+        if (PLACEHOLDER_REGEX.test(value)) {
+            report(`still contains the placeholder "${value}" from settings.example.json`);
+            return;
+        }
+
+        switch (schema.format) {
+            case 'snowflake':
+                if (!SNOWFLAKE_REGEX.test(value)) {
+                    report(`must be a Discord ID (17 to 20 digits)${this.describeValue(schema, value, nodePath)}`);
+                }
+                break;
+
+            case 'url':
+                if (!URL_REGEX.test(value)) {
+                    report(`must be an http(s) URL${this.describeValue(schema, value, nodePath)}`);
+                }
+                break;
+
+            case 'webhookUrl':
+                if (!WEBHOOK_URL_REGEX.test(value)) {
+                    report('must be a Discord webhook URL (https://discord.com/api/webhooks/<id>/<token>)');
+                }
+                break;
+        }
+    }
+
+    // ==================== CROSS CHECKS ====================
+
+    /**
+     * Check what the schema cannot: duplicates and references between sections
+     * @param {object} settings - Settings
+     * @param {object} result - Collected problems
+     */
+    checkGuilds(settings, result) {
+        const seen = { id: new Map(), tag: new Map(), name: new Map(), username: new Map() };
+        const guilds = Array.isArray(settings.guilds) ? settings.guilds : [];
+        const sharedChat = this.isObject(settings.bridge) && this.isObject(settings.bridge.channels) && settings.bridge.channels.chat;
+
+        guilds.forEach((guild, index) => {
+            if (!this.isObject(guild)) {
+                return;
+            }
+
+            const guildPath = `guilds[${index}]`;
+
+            for (const field of ['id', 'tag', 'name']) {
+                if (typeof guild[field] !== 'string') continue;
+
+                const key = guild[field].toLowerCase();
+                if (seen[field].has(key)) {
+                    this.addError(result, `${guildPath}.${field}`, `"${guild[field]}" is already used by guilds[${seen[field].get(key)}]`);
+                } else {
+                    seen[field].set(key, index);
+                }
+            }
+
+            if (!guild.enabled) {
+                return;
+            }
+
+            const username = this.isObject(guild.account) && typeof guild.account.username === 'string'
+                ? guild.account.username.toLowerCase()
+                : null;
+            if (username && seen.username.has(username)) {
+                this.addWarning(result, `${guildPath}.account.username`, `"${guild.account.username}" is also used by guilds[${seen.username.get(username)}], only one connection per account can stay online`);
+            } else if (username) {
+                seen.username.set(username, index);
+            }
+
+            const hasChatChannel = (this.isObject(guild.channels) && guild.channels.chat) || sharedChat;
+            if (!hasChatChannel) {
+                this.addError(result, `${guildPath}.channels.chat`, 'no chat channel, set it here or in bridge.channels.chat');
+            }
+
+            const ranks = Array.isArray(guild.ranks)
+                ? guild.ranks.filter(rank => typeof rank === 'string').map(rank => rank.toLowerCase())
+                : [];
+
+            if (this.isObject(guild.rankTags)) {
+                for (const [tag, rank] of Object.entries(guild.rankTags)) {
+                    if (!tag.startsWith('_') && typeof rank === 'string' && !ranks.includes(rank.toLowerCase())) {
+                        this.addWarning(result, `${guildPath}.rankTags.${tag}`, `"${rank}" is not in ${guildPath}.ranks`);
+                    }
+                }
+            }
+
+            if (this.isObject(guild.roleSync) && this.isObject(guild.roleSync.ranks)) {
+                for (const rank of Object.keys(guild.roleSync.ranks)) {
+                    if (!rank.startsWith('_') && !ranks.includes(rank.toLowerCase())) {
+                        this.addWarning(result, `${guildPath}.roleSync.ranks.${rank}`, `"${rank}" is not in ${guildPath}.ranks`);
+                    }
+                }
+            }
+        });
+
+        const roleSync = this.isObject(settings.features) ? settings.features.roleSync : null;
+        if (this.isObject(roleSync) && roleSync.enabled === true && !guilds.some(guild => this.isObject(guild) && guild.roleSync)) {
+            this.addWarning(result, 'features.roleSync.enabled', 'role sync is enabled but no guild has a roleSync mapping');
+        }
+    }
+
+    // ==================== HELPERS ====================
+
+    getType(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        return typeof value;
+    }
+
+    describeType(type) {
+        const descriptions = {
+            object: 'an object',
+            array: 'an array',
+            integer: 'an integer',
+            number: 'a number',
+            string: 'a string',
+            boolean: 'true or false',
+            null: 'null',
+            undefined: 'missing'
+        };
+        return descriptions[type] || type;
+    }
+
+    isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    joinPath(nodePath, key) {
+        return nodePath ? `${nodePath}.${key}` : key;
+    }
+
+    /**
+     * Describe the value a problem is about, nothing for secrets
+     * @param {object} schema - Schema node
+     * @param {string} value - Value
+     * @param {string} nodePath - JSON path of the value
+     * @returns {string} ', got "value"' or ''
+     */
+    describeValue(schema, value, nodePath) {
+        const key = nodePath.split('.').pop().replace(/\[[^\]]*\]$/, '');
+        if (schema.secret || schema.format === 'webhookUrl' || isSecretKey(key)) {
+            return '';
+        }
+
+        return `, got "${value}"`;
+    }
+
+    addError(result, nodePath, message) {
+        result.errors.push({ path: nodePath || '(root)', message: redactSecrets(message, this.secretValues) });
+    }
+
+    addWarning(result, nodePath, message) {
+        result.warnings.push({ path: nodePath || '(root)', message: redactSecrets(message, this.secretValues) });
+    }
+
+    /**
+     * Find a likely intended key for a typo
+     * @param {string} key - Unknown key
+     * @param {string[]} candidates - Known keys
+     * @returns {string|null} Closest key within 2 edits, case insensitive
+     */
+    findClosestKey(key, candidates) {
+        let best = null;
+        let bestDistance = 3;
+
+        for (const candidate of candidates) {
+            const distance = this.editDistance(key.toLowerCase(), candidate.toLowerCase());
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+
+        return best;
+    }
+
+    editDistance(a, b) {
+        const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = previous[0];
+            previous[0] = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const above = previous[j];
+                previous[j] = Math.min(
+                    previous[j] + 1,
+                    previous[j - 1] + 1,
+                    diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                diagonal = above;
+            }
+        }
+
+        return previous[b.length];
+    }
+}
+
+/**
+ * Format problems as one line each
+ * @param {Array<object>} problems - Problems ({path, message})
+ * @param {string} prefix - Line prefix
+ * @returns {string} Formatted problems
+ */
+function formatProblems(problems, prefix) {
+    return problems.map(problem => `${prefix}${problem.path}: ${problem.message}`).join('\n');
+}
+
+/**
+ * Get the settings file the bridge loads
+ * BRIDGE_SETTINGS_PATH points to another file, the tests load their own settings with it
+ * @returns {string} Settings file path
+ */
+function getSettingsPath() {
+    return process.env.BRIDGE_SETTINGS_PATH
+        ? path.resolve(process.env.BRIDGE_SETTINGS_PATH)
+        : path.join(__dirname, '../../config/settings.json');
+}
+
+/**
+ * Validate a settings file and print every problem, for `node src/main.js --check-config`
+ * @param {string} configPath - Settings file path
+ * @returns {boolean} Whether the settings can be used
+ */
+function checkConfigFile(configPath = getSettingsPath()) {
+    const displayPath = path.relative(process.cwd(), configPath) || configPath;
+
+    if (!fs.existsSync(configPath)) {
+        console.error(`❌ ${displayPath} not found, copy config/settings.example.json to create it`);
+        return false;
+    }
+
+    let settings;
+    try {
+        settings = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        console.error(`❌ ${displayPath} is not valid JSON: ${error.message}`);
+        return false;
+    }
+
+    // Check what the bridge would run with, placeholders and environment overrides included
+    const resolution = new SecretResolver().resolve(settings);
+    const validation = new SettingsValidator().validate(settings, resolution.secretValues);
+
+    // Unresolved placeholders are left in place, the resolver already reported their paths
+    const unresolvedPaths = new Set(resolution.errors.map(problem => problem.path));
+    const errors = [...resolution.errors, ...validation.errors.filter(problem => !unresolvedPaths.has(problem.path))];
+    const warnings = [...resolution.warnings, ...validation.warnings];
+
+    if (errors.length === 0 && warnings.length === 0) {
+        console.log(`✅ ${displayPath} is valid`);
+        return true;
+    }
+
+    const summary = `${displayPath}: ${errors.length} error(s), ${warnings.length} warning(s)`;
+    console.log(errors.length > 0 ? `❌ ${summary}` : `⚠️  ${summary}`);
+
+    if (errors.length > 0) console.log(formatProblems(errors, '  ❌ '));
+    if (warnings.length > 0) console.log(formatProblems(warnings, '  ⚠️  '));
+
+    return errors.length === 0;
+}
+
+module.exports = {
+    SettingsValidator,
+    formatProblems,
+    getSettingsPath,
+    checkConfigFile
+};
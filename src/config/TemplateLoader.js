@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const logger = require('../shared/logger');
+const { getTemplateEngine } = require('../shared/TemplateEngine.js');
 
 class TemplateLoader {
     constructor() {
@@ -36,19 +37,55 @@ class TemplateLoader {
         }
     }
 
+    /**
+     * Re-read templates from disk and swap them in
+     * The current templates stay in use if the file is invalid
+     * @returns {object} Templates before and after the reload ({previous, current})
+     */
+    reload() {
+        const rawData = fs.readFileSync(this.templatesPath, 'utf8');
+        const templates = JSON.parse(rawData);
+
+        this.validateTemplates(templates);
+
+        const previous = this.templates;
+        this.templates = templates;
+        this.clearCache();
+
+        logger.info(`✅ Template configuration reloaded`);
+        return { previous, current: templates };
+    }
+
     /**
      * Validate template configuration structure
+     * @param {object} templates - Templates to validate, the loaded ones by default
      */
-    validateTemplates() {
-        if (!this.templates) {
+    validateTemplates(templates = this.templates) {
+        if (!templates) {
             throw new Error('Templates not loaded');
         }
 
-        if (!this.templates.servers || typeof this.templates.servers !== 'object') {
+        if (!templates.servers || typeof templates.servers !== 'object') {
             throw new Error('Invalid templates configuration: missing servers section');
         }
 
-        const platforms = Object.keys(this.templates.servers);
+        if (templates.guilds !== undefined && (typeof templates.guilds !== 'object' || Array.isArray(templates.guilds))) {
+            throw new Error('Invalid templates configuration: guilds must map guild ids to template overrides');
+        }
+
+        // Every template string must parse, so a broken one is caught here rather than when sent
+        const engine = getTemplateEngine();
+        for (const section of ['servers', 'guilds']) {
+            forEachTemplate(templates[section] || {}, `${section}`, (template, templatePath) => {
+                try {
+                    engine.parse(template);
+                } catch (error) {
+                    throw new Error(`Invalid template ${templatePath}: ${error.message}`);
+                }
+            });
+        }
+
+        const platforms = Object.keys(templates.servers);
         logger.debug(`Validated templates for platforms: ${platforms.join(', ')}`);
     }
 
@@ -97,15 +134,48 @@ class TemplateLoader {
         return result;
     }
 
+    /**
+     * Get a guild's own template, from the guilds section keyed by guild id
+     * Overrides mirror servers.<platform>.<server> without the server level, e.g.
+     * guilds.<id>.messagesToDiscord.events.join
+     * @param {string|null} guildId - Guild ID
+     * @param {string} platform - Platform (messagesToMinecraft, messagesToDiscord)
+     * @param {string} category - Template category (e.g., 'guild', 'officer', 'events')
+     * @param {string} subCategory - Sub-category (e.g., specific event)
+     * @returns {object|string|null} Template object, string or null
+     */
+    getGuildTemplate(guildId, platform, category, subCategory = null) {
+        if (!guildId || !this.templates.guilds || !this.templates.guilds[guildId]) {
+            return null;
+        }
+
+        const platformTemplates = this.templates.guilds[guildId][platform];
+        if (!platformTemplates || !platformTemplates[category]) {
+            return null;
+        }
+
+        if (!subCategory) {
+            return platformTemplates[category];
+        }
+
+        return platformTemplates[category][subCategory] || null;
+    }
+
     /**
      * Get the best template based on configuration and availability
      * @param {string} platform - Platform (messagesToMinecraft, messagesToDiscord)
      * @param {string} serverName - Server name
      * @param {string} category - Template category
      * @param {object} config - Configuration object with tag settings
+     * @param {string|null} guildId - Guild ID whose override wins over the server template
      * @returns {string|null} Best matching template string
      */
-    getBestTemplate(platform, serverName, category, config = {}) {
+    getBestTemplate(platform, serverName, category, config = {}, guildId = null) {
+        const override = this.getBestTemplateFromObject(this.getGuildTemplate(guildId, platform, category), config);
+        if (override) {
+            return override;
+        }
+
         const templates = this.getTemplate(platform, serverName, category);
         if (!templates || typeof templates !== 'object') {
             return templates; // Return as-is if it's a string or null
@@ -148,9 +218,16 @@ class TemplateLoader {
      * @param {string} serverName - Server name
      * @param {string} eventType - Event type (join, leave, kick, etc.)
      * @param {object} config - Configuration object
+     * @param {string|null} guildId - Guild ID whose override wins over the server template
      * @returns {string|null} Event template string
      */
-    getEventTemplate(platform, serverName, eventType, config = {}) {
+    getEventTemplate(platform, serverName, eventType, config = {}, guildId = null) {
+        // An override holding only an embed keeps the server text template
+        const override = this.getBestTemplateFromObject(this.getGuildTemplate(guildId, platform, 'events', eventType), config);
+        if (override) {
+            return override;
+        }
+
         const eventTemplates = this.getTemplate(platform, serverName, 'events', eventType);
         
         if (!eventTemplates || typeof eventTemplates !== 'object') {
@@ -185,11 +262,45 @@ class TemplateLoader {
             return templates.basic;
         }
 
-        // Return first available template
-        const keys = Object.keys(templates);
+        // Return first available template, embeds are not text templates
+        const keys = Object.keys(templates).filter(key => typeof templates[key] === 'string');
         return keys.length > 0 ? templates[keys[0]] : null;
     }
 
+    /**
+     * Get the Discord embed layout of an event type (messagesToDiscord events.<type>.embed)
+     * @param {string} serverName - Server name
+     * @param {string} eventType - Event type (promote, kick, level...)
+     * @param {string|null} guildId - Guild ID whose override wins over the server layout
+     * @returns {object|null} Embed template or null
+     */
+    getEventEmbedTemplate(serverName, eventType, guildId = null) {
+        const override = this.getGuildTemplate(guildId, 'messagesToDiscord', 'events', eventType);
+        if (override && typeof override === 'object' && override.embed) {
+            return override.embed;
+        }
+
+        const templates = this.getTemplate('messagesToDiscord', serverName, 'events', eventType);
+        return templates && typeof templates === 'object' && templates.embed ? templates.embed : null;
+    }
+
+    /**
+     * Get the Discord embed layout of a connection status (messagesToDiscord system.connectionEmbed.<status>)
+     * @param {string} serverName - Server name
+     * @param {string} status - Connection status (connected, disconnected...)
+     * @param {string|null} guildId - Guild ID whose override wins over the server layout
+     * @returns {object|null} Embed template or null
+     */
+    getConnectionEmbedTemplate(serverName, status, guildId = null) {
+        const override = this.getGuildTemplate(guildId, 'messagesToDiscord', 'system', 'connectionEmbed');
+        if (override && override[status]) {
+            return override[status];
+        }
+
+        const templates = this.getTemplate('messagesToDiscord', serverName, 'system', 'connectionEmbed');
+        return templates && templates[status] ? templates[status] : null;
+    }
+
     /**
      * Get supported servers for a platform
      * @param {string} platform - Platform name
@@ -285,6 +396,30 @@ class TemplateLoader {
     }
 }
 
+/**
+ * Call a function for every template string of a templates section
+ * Embed colors and other non-string values are skipped
+ * @param {object} node - Section or part of it
+ * @param {string} nodePath - Dotted path of the node
+ * @param {Function} callback - Called with (template, path)
+ */
+function forEachTemplate(node, nodePath, callback) {
+    if (typeof node === 'string') {
+        callback(node, nodePath);
+        return;
+    }
+
+    if (!node || typeof node !== 'object') {
+        return;
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+        if (!key.startsWith('_')) {
+            forEachTemplate(value, `${nodePath}.${key}`, callback);
+        }
+    }
+}
+
 // Singleton instance
 let templateLoaderInstance = null;
 
@@ -301,5 +436,6 @@ function getTemplateLoader() {
 
 module.exports = {
     TemplateLoader,
-    getTemplateLoader
+    getTemplateLoader,
+    forEachTemplate
 };
\ No newline at end of file
@@ -177,7 +177,6 @@ class DiscordManager extends EventEmitter {
 
     validateConfiguration() {
         const appConfig = this.config.get('app');
-        const bridgeConfig = this.config.get('bridge');
 
         if (!appConfig.token) {
             throw new Error('Discord bot token is required');
@@ -187,16 +186,15 @@ class DiscordManager extends EventEmitter {
             throw new Error('Discord bot client ID is required');
         }
 
-        if (!bridgeConfig.channels) {
-            throw new Error('Discord bridge channels configuration is required');
-        }
-
-        if (!bridgeConfig.channels.chat || !bridgeConfig.channels.chat.id) {
-            throw new Error('Discord chat channel ID is required');
-        }
+        // Every enabled guild needs a chat and staff channel, either its own or the shared one
+        for (const guildConfig of this.config.getEnabledGuilds()) {
+            if (!this.config.resolveChannelConfig('chat', guildConfig.id)) {
+                throw new Error(`Discord chat channel ID is required for guild ${guildConfig.name} (guilds[].channels.chat or bridge.channels.chat)`);
+            }
 
-        if (!bridgeConfig.channels.staff || !bridgeConfig.channels.staff.id) {
-            throw new Error('Discord staff channel ID is required');
+            if (!this.config.resolveChannelConfig('staff', guildConfig.id)) {
+                throw new Error(`Discord staff channel ID is required for guild ${guildConfig.name} (guilds[].channels.staff or bridge.channels.staff)`);
+            }
         }
 
         logger.debug('Discord configuration validated successfully');
@@ -276,7 +274,7 @@ class DiscordManager extends EventEmitter {
             logger.debug(`[DISCORD] sendSystemMessage called - Type: ${type}, Guild: ${guildConfig.name}, Channel: ${channelType}`);
 
             // Send the system message
-            const result = await this._messageSender.sendSystemMessage(type, data, channelType);
+            const result = await this._messageSender.sendSystemMessage(type, data, channelType, guildConfig.id);
 
             logger.discord(`[DISCORD] ✅ System message sent successfully from ${guildConfig.name}`);
             return result;
@@ -1,6 +1,9 @@
 // Specific Imports
 const BridgeLocator = require("../../bridgeLocator.js");
 const logger = require("../../shared/logger");
+const { getMessageArchive } = require("../../shared/MessageArchive.js");
+const { getAccountLinker } = require("../../shared/AccountLinker.js");
+const MessageFormatter = require("../../shared/MessageFormatter.js");
 
 class BridgeCoordinator {
     constructor() {
@@ -13,6 +16,18 @@ class BridgeCoordinator {
         this.discordManager = null;
         this.minecraftManager = null;
 
+        this.archive = getMessageArchive();
+        this.accountLinker = getAccountLinker();
+
+        // Formats Discord messages for Minecraft from the discord.<chatType> templates
+        this.messageFormatter = new MessageFormatter({
+            showTags: this.config.get('bridge.interGuild.showTags') || false,
+            showSourceTag: false,
+            enableDebugLogging: this.config.get('features.messageSystem.enableDebugLogging') || false,
+            maxMessageLength: 256,
+            fallbackToBasic: true
+        });
+
         // Message routing configuration
         this.routingConfig = {
             guildChatToDiscord: true,
@@ -128,6 +143,24 @@ class BridgeCoordinator {
         }
     }
 
+    /**
+     * React to a Discord message that was too long to be sent entirely
+     * @param {object} messageData - Original Discord message data
+     */
+    async addCutReaction(messageData) {
+        const reaction = this.config.get('bridge.longMessages.cutReaction', '✂️');
+        if (!reaction || !messageData.messageRef) {
+            return;
+        }
+
+        try {
+            await messageData.messageRef.react(reaction);
+            logger.debug(`Added cut reaction to message from ${messageData.author.username}`);
+        } catch (error) {
+            logger.logError(error, 'Failed to add cut reaction to Discord message');
+        }
+    }
+
     /**
      * Add success reaction to Discord message
      * @param {object} messageData - Original Discord message data
@@ -392,8 +425,8 @@ class BridgeCoordinator {
             // Send connection status to Discord
             logger.debug(`[MC→DC] Sending connection status to Discord...`);
             const result = await this.discordManager.sendConnectionStatus(
-                connectionData.type, 
-                guildConfig, 
+                guildId,
+                connectionData.type,
                 connectionData
             );
             logger.debug(`[MC→DC] Discord connection status send result: ${JSON.stringify(result)}`);
@@ -446,24 +479,35 @@ class BridgeCoordinator {
             }
 
             // Get connected Minecraft guilds
-            connectedGuilds = this.minecraftManager.getConnectedGuilds();
-            if (!connectedGuilds || connectedGuilds.length === 0) {
-                const error = new Error('No connected Minecraft guilds available');
+            connectedGuilds = this.minecraftManager.getConnectedGuilds() || [];
+
+            // Messages from a guild's own channel only go to that guild, shared channels fan out to all
+            if (messageData.guildId) {
+                connectedGuilds = connectedGuilds.filter(guildInfo => guildInfo.guildId === messageData.guildId);
+            }
+
+            if (connectedGuilds.length === 0) {
+                const error = new Error(messageData.guildId
+                    ? `Minecraft guild ${messageData.guildId} is not connected`
+                    : 'No connected Minecraft guilds available');
                 await this.handleBridgeError(messageData, error, 0, 0);
                 return;
             }
 
-            // Format message for Minecraft
-            const formattedMessage = this.formatDiscordMessageForMinecraft(messageData, chatType);
+            // Format message for Minecraft, long messages are split over several lines
+            const sender = this.buildDiscordSender(messageData);
+            const maxParts = this.config.get('bridge.longMessages.maxParts', 3);
             
             logger.discord(`[DC→MC] Processing ${chatType} message from Discord: ${messageData.author.displayName} -> "${messageData.content}"`);
 
-            // Send message to all connected guilds with error tracking
+            // Send message to all connected guilds with error tracking, each guild has its own template
             const deliveryPromises = connectedGuilds.map(async (guildInfo) => {
                 try {
-                    await this.sendMessageToMinecraft(guildInfo.guildId, formattedMessage, chatType);
-                    logger.bridge(`[DC→MC] ✅ ${chatType} message sent to ${guildInfo.guildName}`);
-                    return { success: true, guildInfo };
+                    const { header, content, truncated } = this.formatDiscordMessageForMinecraft(messageData, chatType, guildInfo.guildId, sender);
+                    const sendResult = await this.sendMessageToMinecraft(guildInfo.guildId, header, content, chatType, maxParts);
+                    logger.bridge(`[DC→MC] ✅ ${chatType} message sent to ${guildInfo.guildName} (${sendResult.parts} part(s))`);
+                    this.archive.recordDiscordMessage(messageData, guildInfo, chatType, `${header} ${content}`.trim());
+                    return { success: true, guildInfo, truncated: !!truncated || sendResult.truncated };
                 } catch (error) {
                     logger.logError(error, `Failed to send ${chatType} message to guild ${guildInfo.guildName}`);
                     return { success: false, guildInfo, error };
@@ -478,10 +522,13 @@ class BridgeCoordinator {
             errorCount = 0;
             let firstError = null;
 
+            let truncated = false;
+
             results.forEach(result => {
                 if (result.status === 'fulfilled') {
                     if (result.value.success) {
                         successCount++;
+                        truncated = truncated || result.value.truncated;
                     } else {
                         errorCount++;
                         if (!firstError) {
@@ -496,6 +543,10 @@ class BridgeCoordinator {
                 }
             });
 
+            if (truncated) {
+                await this.addCutReaction(messageData);
+            }
+
             if (errorCount > 0) {
                 // Some deliveries failed
                 await this.handleBridgeError(messageData, firstError, successCount, connectedGuilds.length);
@@ -527,35 +578,131 @@ class BridgeCoordinator {
     }
 
     /**
-     * Format Discord message for Minecraft
+     * Format Discord message for Minecraft, from the discord.<chatType> template of the target guild
      * @param {object} messageData - Discord message data
      * @param {string} chatType - Target chat type (guild/officer)
-     * @returns {string} Formatted message
+     * @param {string} guildId - Target guild ID
+     * @param {object} sender - Sender from buildDiscordSender
+     * @returns {object} Line parts ({header, content, truncated})
      */
-    formatDiscordMessageForMinecraft(messageData, chatType) {
-        const username = messageData.author.displayName || messageData.author.username;
-        const content = messageData.content;
-        
+    formatDiscordMessageForMinecraft(messageData, chatType, guildId, sender = this.buildDiscordSender(messageData)) {
+        const guildConfig = this.getGuildConfig(guildId);
+        const formatted = guildConfig
+            ? this.messageFormatter.formatDiscordMessage(messageData.content, sender, chatType, guildConfig)
+            : null;
+
+        if (formatted) {
+            return formatted;
+        }
+
+        // Format: Discord > Username: ↩ Replied: quote | message content
+        const reply = this.messageFormatter.formatDiscordReply(sender);
+
+        return {
+            header: this.formatDiscordHeaderForMinecraft(messageData),
+            content: reply ? `${reply} | ${messageData.content}` : messageData.content
+        };
+    }
+
+    /**
+     * Format the header put before Discord message content in Minecraft, for servers without template
+     * @param {object} messageData - Discord message data
+     * @returns {string} Header, e.g. "Discord > Username:"
+     */
+    formatDiscordHeaderForMinecraft(messageData) {
+        const { username } = this.buildDiscordSender(messageData);
+
         // Add Discord prefix to distinguish from native Minecraft messages
         const prefix = "Discord >";
-        
-        // Format: Discord > Username: message content
-        return `${prefix} ${username}: ${content}`;
+
+        return `${prefix} ${username}:`;
+    }
+
+    /**
+     * Describe the Discord author of a message for the templates
+     * @param {object} messageData - Discord message data
+     * @returns {object} Sender ({username, discordName, discordUsername, minecraftUsername, role, rolePrefix, replyTo, replyQuote})
+     */
+    buildDiscordSender(messageData) {
+        const author = messageData.author;
+        const discordName = author.displayName || author.username;
+
+        // Linked users are shown with their Minecraft username
+        const link = this.accountLinker.getLinkByDiscordId(author.id);
+        const roles = author.roles || [];
+
+        return {
+            username: link ? link.minecraftUsername : discordName,
+            discordName: discordName,
+            discordUsername: author.username,
+            minecraftUsername: link ? link.minecraftUsername : null,
+            role: roles.length > 0 ? roles[0].name : null,
+            rolePrefix: this.getRolePrefix(roles),
+            replyTo: this.getReplyTargetName(messageData.replyTo),
+            replyQuote: messageData.replyTo ? messageData.replyTo.quote || null : null
+        };
+    }
+
+    /**
+     * Get the prefix of the highest role listed in bridge.discordMessages.rolePrefixes
+     * @param {Array<object>} roles - Author roles ({id, name}), highest first
+     * @returns {string|null} Prefix, e.g. "[Staff]", or null
+     */
+    getRolePrefix(roles) {
+        const rolePrefixes = this.config.get('bridge.discordMessages.rolePrefixes', {}) || {};
+        const keys = Object.keys(rolePrefixes).filter(key => !key.startsWith('_'));
+
+        for (const role of roles) {
+            const key = keys.find(candidate => candidate === role.id || candidate.toLowerCase() === role.name.toLowerCase());
+            if (key) {
+                return rolePrefixes[key];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the name to show for the author of a replied message
+     * Linked users go by their Minecraft username, like senders
+     * @param {object|null} replyTo - Replied message ({id, username, displayName, webhook, minecraft, quote})
+     * @returns {string|null} Name or null when the message is not a reply
+     */
+    getReplyTargetName(replyTo) {
+        if (!replyTo) {
+            return null;
+        }
+
+        const name = replyTo.displayName || replyTo.username;
+
+        // Lines the bot posted already carry the Minecraft username
+        if (replyTo.minecraft) {
+            return name;
+        }
+
+        // Relayed Minecraft messages are named like the webhook usernameFormat, e.g. "[MVP+] Steve • Officer"
+        if (replyTo.webhook) {
+            const player = name.replace(/\[[^\]]*\]/g, ' ').match(/\b\w{1,16}\b/);
+            return player ? player[0] : name;
+        }
+
+        const link = this.accountLinker.getLinkByDiscordId(replyTo.id);
+        return link ? link.minecraftUsername : name;
     }
 
     /**
      * Send message to Minecraft guild
      * @param {string} guildId - Guild ID
-     * @param {string} message - Formatted message
+     * @param {string} header - Line header
+     * @param {string} content - Message content
      * @param {string} chatType - Chat type (guild/officer)
+     * @param {number} maxParts - Maximum number of chat lines
+     * @returns {object} Send result ({parts, truncated})
      */
-    async sendMessageToMinecraft(guildId, message, chatType) {
+    async sendMessageToMinecraft(guildId, header, content, chatType, maxParts) {
         try {
-            // For officer chat, use /oc command, for guild chat use /gc command
-            const command = chatType === 'officer' ? `/oc ${message}` : `/gc ${message}`;
-            
-            // Use executeCommand instead of sendMessage for proper guild chat commands
-            await this.minecraftManager.executeCommand(guildId, command);
+            // The connection asks its server strategy which chat command to use
+            return await this.minecraftManager.sendSplitMessage(guildId, chatType, header, content, maxParts);
             
         } catch (error) {
             logger.logError(error, `Failed to send ${chatType} message to guild ${guildId}`);
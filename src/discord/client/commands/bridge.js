@@ -0,0 +1,384 @@
+// Globals Imports
+const { SlashCommandBuilder } = require('discord.js');
+const { readdirSync } = require('fs');
+const { join } = require('path');
+
+// Specific Imports
+const logger = require('../../../shared/logger');
+
+class BridgeCommandManager {
+    constructor() {
+        this.subcommands = new Map();
+        this.loadSubcommands();
+    }
+
+    /**
+     * Load all subcommands from the bridge directory
+     */
+    loadSubcommands() {
+        try {
+            const bridgeDir = join(__dirname, 'bridge');
+            const files = readdirSync(bridgeDir).filter(file => file.endsWith('.js'));
+
+            for (const file of files) {
+                try {
+                    const subcommandPath = join(bridgeDir, file);
+                    delete require.cache[require.resolve(subcommandPath)]; // Allow hot reloading
+
+                    const subcommand = require(subcommandPath);
+                    const commandName = file.replace('.js', '');
+
+                    this.subcommands.set(commandName, subcommand);
+                    logger.debug(`Loaded bridge subcommand: ${commandName}`);
+
+                } catch (error) {
+                    logger.logError(error, `Failed to load bridge subcommand: ${file}`);
+                }
+            }
+
+            logger.debug(`Loaded ${this.subcommands.size} bridge subcommands`);
+
+        } catch (error) {
+            logger.logError(error, 'Failed to load bridge subcommands directory');
+        }
+    }
+
+    /**
+     * Execute a subcommand
+     * @param {string} subcommandName - Name of the subcommand
+     * @param {object} interaction - Discord interaction
+     * @param {object} context - Command context
+     */
+    async executeSubcommand(subcommandName, interaction, context) {
+        const subcommand = this.subcommands.get(subcommandName);
+
+        if (!subcommand || !subcommand.execute) {
+            throw new Error(`Subcommand '${subcommandName}' not found or not executable`);
+        }
+
+        // Check permissions if the subcommand specifies them
+        if (subcommand.permission) {
+            const hasPermission = this.checkPermission(interaction.member, subcommand.permission, context);
+            if (!hasPermission) {
+                await interaction.reply({
+                    content: `You do not have permission to use the \`${subcommandName}\` command.`,
+                    ephemeral: true
+                });
+                return;
+            }
+        }
+
+        await subcommand.execute(interaction, context);
+    }
+
+    /**
+     * Check if member has required permission
+     * @param {GuildMember} member - Discord guild member
+     * @param {string} requiredPermission - Required permission level
+     * @param {object} context - Command context
+     * @returns {boolean} Has permission
+     */
+    checkPermission(member, requiredPermission, context) {
+        if (!member || !requiredPermission) return true;
+
+        const adminRoles = context.config.get('discord.permissions.adminRoles') || [];
+        const modRoles = context.config.get('discord.permissions.moderatorRoles') || [];
+
+        switch (requiredPermission.toLowerCase()) {
+            case 'admin':
+                return member.roles.cache.some(role =>
+                    adminRoles.includes(role.id) || adminRoles.includes(role.name)
+                ) || member.permissions.has('Administrator');
+
+            case 'mod':
+            case 'moderator':
+                return member.roles.cache.some(role =>
+                    adminRoles.includes(role.id) || adminRoles.includes(role.name) ||
+                    modRoles.includes(role.id) || modRoles.includes(role.name)
+                ) || member.permissions.has('Administrator') || member.permissions.has('ManageMessages');
+
+            default:
+                return true;
+        }
+    }
+}
+
+// Create singleton instance
+const bridgeCommandManager = new BridgeCommandManager();
+
+module.exports = {
+    data: new SlashCommandBuilder()
+    .setName("bridge")
+    .setDescription("Bridge administration commands")
+    .addSubcommand((subcommand) =>
+        subcommand
+            .setName("reload")
+            .setDescription("Reload configuration files without restarting the bridge")
+            .addStringOption((option) =>
+            option
+                .setName("target")
+                .setDescription("Configuration file to reload (all by default)")
+                .setRequired(false)
+                .addChoices(
+                    { name: "All", value: "all" },
+                    { name: "Settings", value: "settings" },
+                    { name: "Patterns", value: "patterns" },
+                    { name: "Templates", value: "templates" }
+                )
+            )
+    )
+    .addSubcommand((subcommand) =>
+        subcommand
+            .setName("explain")
+            .setDescription("Explain how a Minecraft chat line is classified by the patterns")
+            .addStringOption((option) =>
+            option
+                .setName("line")
+                .setDescription("Chat line exactly as received from Minecraft")
+                .setMaxLength(1000)
+                .setRequired(true)
+            )
+            .addStringOption((option) =>
+            option
+                .setName("guildname")
+                .setDescription("Guild receiving the line (first enabled guild by default)")
+                .setAutocomplete(true)
+                .setRequired(false)
+            )
+    )
+    .addSubcommandGroup((group) =>
+        group
+            .setName("pattern")
+            .setDescription("Manage custom patterns saved in patterns.custom.json")
+            .addSubcommand((subcommand) =>
+                subcommand
+                    .setName("add")
+                    .setDescription("Save a custom pattern and apply it without restarting")
+                    .addStringOption((option) =>
+                    option
+                        .setName("target")
+                        .setDescription("Pattern list to add to (e.g. events.promote, messages.guild, ignore)")
+                        .setAutocomplete(true)
+                        .setRequired(true)
+                    )
+                    .addStringOption((option) =>
+                    option
+                        .setName("pattern")
+                        .setDescription("Regular expression, without slashes")
+                        .setMaxLength(500)
+                        .setRequired(true)
+                    )
+                    .addStringOption((option) =>
+                    option
+                        .setName("sample")
+                        .setDescription("Chat line the pattern must match to be saved")
+                        .setMaxLength(1000)
+                        .setRequired(false)
+                    )
+                    .addStringOption((option) =>
+                    option
+                        .setName("groups")
+                        .setDescription("Comma separated names of the captured groups (e.g. username,message)")
+                        .setRequired(false)
+                    )
+                    .addStringOption((option) =>
+                    option
+                        .setName("flags")
+                        .setDescription("Regex flags (i, m, s, u)")
+                        .setMaxLength(4)
+                        .setRequired(false)
+                    )
+                    .addStringOption((option) =>
+                    option
+                        .setName("position")
+                        .setDescription("Try the pattern before or after the existing ones (after by default)")
+                        .setRequired(false)
+                        .addChoices(
+                            { name: "First", value: "first" },
+                            { name: "Last", value: "last" }
+                        )
+                    )
+                    .addStringOption((option) =>
+                    option
+                        .setName("description")
+                        .setDescription("What the pattern matches")
+                        .setMaxLength(100)
+                        .setRequired(false)
+                    )
+                    .addStringOption((option) =>
+                    option
+                        .setName("guildname")
+                        .setDescription("Guild whose server the pattern is for (first enabled guild by default)")
+                        .setAutocomplete(true)
+                        .setRequired(false)
+                    )
+            )
+            .addSubcommand((subcommand) =>
+                subcommand
+                    .setName("list")
+                    .setDescription("List the custom patterns")
+                    .addStringOption((option) =>
+                    option
+                        .setName("guildname")
+                        .setDescription("Only the patterns of this guild's server")
+                        .setAutocomplete(true)
+                        .setRequired(false)
+                    )
+            )
+            .addSubcommand((subcommand) =>
+                subcommand
+                    .setName("remove")
+                    .setDescription("Remove a custom pattern and apply the change without restarting")
+                    .addStringOption((option) =>
+                    option
+                        .setName("id")
+                        .setDescription("Custom pattern id")
+                        .setAutocomplete(true)
+                        .setRequired(true)
+                    )
+            )
+            .addSubcommand((subcommand) =>
+                subcommand
+                    .setName("test")
+                    .setDescription("Test a pattern against sample lines without saving it")
+                    .addStringOption((option) =>
+                    option
+                        .setName("pattern")
+                        .setDescription("Regular expression, without slashes")
+                        .setMaxLength(500)
+                        .setRequired(true)
+                    )
+                    .addStringOption((option) =>
+                    option
+                        .setName("sample")
+                        .setDescription("Chat line to test")
+                        .setMaxLength(1000)
+                        .setRequired(true)
+                    )
+                    .addStringOption((option) =>
+                    option
+                        .setName("sample2")
+                        .setDescription("Another chat line to test")
+                        .setMaxLength(1000)
+                        .setRequired(false)
+                    )
+                    .addStringOption((option) =>
+                    option
+                        .setName("sample3")
+                        .setDescription("Another chat line to test")
+                        .setMaxLength(1000)
+                        .setRequired(false)
+                    )
+                    .addStringOption((option) =>
+                    option
+                        .setName("target")
+                        .setDescription("Pattern list to compare with, shows which existing pattern matches first")
+                        .setAutocomplete(true)
+                        .setRequired(false)
+                    )
+                    .addStringOption((option) =>
+                    option
+                        .setName("groups")
+                        .setDescription("Comma separated names of the captured groups")
+                        .setRequired(false)
+                    )
+                    .addStringOption((option) =>
+                    option
+                        .setName("flags")
+                        .setDescription("Regex flags (i, m, s, u)")
+                        .setMaxLength(4)
+                        .setRequired(false)
+                    )
+                    .addStringOption((option) =>
+                    option
+                        .setName("guildname")
+                        .setDescription("Guild whose server the pattern is for (first enabled guild by default)")
+                        .setAutocomplete(true)
+                        .setRequired(false)
+                    )
+            )
+    )
+    .addSubcommandGroup((group) =>
+        group
+            .setName("template")
+            .setDescription("Check the templates of templates.json")
+            .addSubcommand((subcommand) =>
+                subcommand
+                    .setName("preview")
+                    .setDescription("Render a template with sample data for each guild")
+                    .addStringOption((option) =>
+                    option
+                        .setName("platform")
+                        .setDescription("Where the message is sent")
+                        .setRequired(true)
+                        .addChoices(
+                            { name: "Minecraft", value: "messagesToMinecraft" },
+                            { name: "Discord", value: "messagesToDiscord" }
+                        )
+                    )
+                    .addStringOption((option) =>
+                    option
+                        .setName("category")
+                        .setDescription("Template category")
+                        .setRequired(true)
+                        .addChoices(
+                            { name: "Guild chat", value: "guild" },
+                            { name: "Officer chat", value: "officer" },
+                            { name: "Events", value: "events" }
+                        )
+                    )
+                    .addStringOption((option) =>
+                    option
+                        .setName("event")
+                        .setDescription("Event type, for the events category (e.g. promote, kick, level)")
+                        .setAutocomplete(true)
+                        .setRequired(false)
+                    )
+                    .addStringOption((option) =>
+                    option
+                        .setName("guildname")
+                        .setDescription("Only preview for this guild (every enabled guild by default)")
+                        .setAutocomplete(true)
+                        .setRequired(false)
+                    )
+            )
+            .addSubcommand((subcommand) =>
+                subcommand
+                    .setName("lint")
+                    .setDescription("Find unknown placeholders, messages over the chat limit and missing event templates")
+            )
+    ),
+
+    async autocomplete(interaction) {
+        // Subcommand groups are handled by the file of the group
+        const subcommandName = interaction.options.getSubcommandGroup(false) || interaction.options.getSubcommand();
+        const subcommand = bridgeCommandManager.subcommands.get(subcommandName);
+
+        if (subcommand && subcommand.autocomplete) {
+            await subcommand.autocomplete(interaction);
+            return;
+        }
+
+        await interaction.respond([]);
+    },
+
+    async execute(interaction, context) {
+        // Subcommand groups are handled by the file of the group
+        const subcommandName = interaction.options.getSubcommandGroup(false) || interaction.options.getSubcommand();
+
+        try {
+            await bridgeCommandManager.executeSubcommand(subcommandName, interaction, context);
+
+        } catch (error) {
+            logger.logError(error, `Error executing bridge subcommand: ${subcommandName}`);
+
+            const errorMessage = `An error occurred while executing the \`${subcommandName}\` command.`;
+
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp({ content: errorMessage, ephemeral: true });
+            } else {
+                await interaction.reply({ content: errorMessage, ephemeral: true });
+            }
+        }
+    },
+};
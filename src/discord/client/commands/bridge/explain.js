@@ -0,0 +1,134 @@
+// Globals Imports
+const { EmbedBuilder } = require('discord.js');
+
+// Specific Imports
+const { PatternExplainer, formatExplanation } = require('../../../../minecraft/client/parsers/PatternExplainer.js');
+const logger = require('../../../../shared/logger');
+
+// Six sections must fit in an embed (6000 characters, 1024 per field)
+const MAX_FIELD_LENGTH = 900;
+
+// Explainer with its own parsers and strategies, for guilds without a running connection.
+// Created once, its components stay subscribed to the config reloader
+let standaloneExplainer = null;
+
+const CATEGORY_COLORS = {
+    message: 0x00FF00,
+    event: 0x0099FF,
+    not_guild: 0x808080,
+    ignored: 0xFF9900
+};
+
+module.exports = {
+    permission: 'admin',
+
+    async execute(interaction, context) {
+        await interaction.deferReply({ ephemeral: true });
+
+        await handleExplainCommand(interaction, context);
+    },
+};
+
+/**
+ * Handle the bridge explain command
+ * @param {ChatInputCommandInteraction} interaction - Discord interaction
+ * @param {object} context - Command context with client, config, etc.
+ */
+async function handleExplainCommand(interaction, context) {
+    const line = interaction.options.getString('line');
+    const guildName = interaction.options.getString('guildname');
+
+    try {
+        const guildConfig = findGuild(context.config, guildName);
+        if (!guildConfig) {
+            await interaction.editReply({ content: guildName ? `Guild \`${guildName}\` not found or not enabled.` : 'No enabled guild to explain the line for.' });
+            return;
+        }
+
+        logger.discord(`[BRIDGE-EXPLAIN] ${interaction.user.username} explaining for ${guildConfig.name}: ${line}`);
+
+        const report = await getExplainer(context, guildConfig).explain(line, guildConfig);
+
+        await interaction.editReply({ embeds: [createExplainEmbed(report)] });
+
+    } catch (error) {
+        logger.logError(error, `[BRIDGE-EXPLAIN] Unexpected error processing explain command`);
+
+        const errorEmbed = new EmbedBuilder()
+            .setTitle('❌ Unexpected Error')
+            .setDescription('An unexpected error occurred while explaining the line.')
+            .setColor(0xFF0000)
+            .addFields(
+                { name: '🚫 Error', value: error.message || 'Unknown error', inline: false }
+            )
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [errorEmbed] });
+    }
+}
+
+/**
+ * Get an explainer using the running parsers and strategies, so the event cooldowns are the live ones
+ * Components that are not running come from the standalone explainer, never from new instances
+ * @param {object} context - Command context
+ * @param {object} guildConfig - Guild configuration
+ * @returns {PatternExplainer} Explainer
+ */
+function getExplainer(context, guildConfig) {
+    const minecraftManager = context.bridgeLocator.getMinecraftManager();
+    let messageCoordinator = minecraftManager ? minecraftManager.getMessageCoordinator() : null;
+    let strategyManager = minecraftManager ? minecraftManager.getStrategyManager(guildConfig.id) : null;
+
+    if (!messageCoordinator || !strategyManager) {
+        if (!standaloneExplainer) {
+            standaloneExplainer = new PatternExplainer();
+        }
+
+        messageCoordinator = messageCoordinator || standaloneExplainer.messageCoordinator;
+        strategyManager = strategyManager || standaloneExplainer.strategyManager;
+    }
+
+    return new PatternExplainer({ messageCoordinator, strategyManager });
+}
+
+/**
+ * Find the guild to explain for, the first enabled guild by default
+ * @param {object} config - Configuration
+ * @param {string|null} guildName - Guild name option
+ * @returns {object|null} Guild configuration
+ */
+function findGuild(config, guildName) {
+    const guilds = config.getEnabledGuilds();
+
+    if (!guildName) {
+        return guilds[0] || null;
+    }
+
+    return guilds.find(guild => guild.name.toLowerCase() === guildName.toLowerCase()) || null;
+}
+
+/**
+ * Create the explanation embed
+ * @param {object} report - Explanation from PatternExplainer
+ * @returns {EmbedBuilder} Explanation embed
+ */
+function createExplainEmbed(report) {
+    const final = report.final;
+
+    const embed = new EmbedBuilder()
+        .setTitle(`🔎 ${final.category}${final.type ? `/${final.type}` : ''}`)
+        .setDescription(final.reason)
+        .setColor(CATEGORY_COLORS[final.category] || 0xFF9900)
+        .setTimestamp();
+
+    for (const section of formatExplanation(report)) {
+        let value = section.lines.join('\n').replace(/```/g, "'''");
+        if (value.length > MAX_FIELD_LENGTH) {
+            value = `${value.substring(0, MAX_FIELD_LENGTH - 3)}...`;
+        }
+
+        embed.addFields({ name: section.title, value: `\`\`\`\n${value}\n\`\`\``, inline: false });
+    }
+
+    return embed;
+}
@@ -0,0 +1,394 @@
+// Globals Imports
+const { EmbedBuilder } = require('discord.js');
+
+// Specific Imports
+const BridgeLocator = require('../../../../bridgeLocator.js');
+const { getPatternLoader } = require('../../../../config/PatternLoader.js');
+const { getConfigReloader } = require('../../../../config/ConfigReloader.js');
+const { findMatch } = require('../../../../minecraft/client/parsers/PatternExplainer.js');
+const logger = require('../../../../shared/logger');
+
+// Listed patterns share the 6000 characters of an embed
+const MAX_LISTED_PATTERNS = 8;
+const MAX_LISTED_PATTERN_LENGTH = 400;
+const MAX_FIELD_LENGTH = 1024;
+
+module.exports = {
+    permission: 'admin',
+
+    async execute(interaction, context) {
+        await interaction.deferReply({ ephemeral: true });
+
+        await handlePatternCommand(interaction, context);
+    },
+
+    async autocomplete(interaction) {
+        const focusedOption = interaction.options.getFocused(true);
+        const query = focusedOption.value.toLowerCase();
+        const patternLoader = getPatternLoader();
+
+        let choices = [];
+
+        if (focusedOption.name === 'target') {
+            const guildConfig = findGuild(BridgeLocator.getInstance().config, interaction.options.getString('guildname'));
+            const serverName = guildConfig ? guildConfig.server.serverName : 'Hypixel';
+
+            choices = patternLoader.getPatternTargets(serverName)
+                .filter(target => target.toLowerCase().includes(query))
+                .map(target => ({ name: target, value: target }));
+
+        } else if (focusedOption.name === 'id') {
+            choices = patternLoader.getCustomPatterns()
+                .filter(entry => `${entry.id} ${entry.target} ${entry.pattern}`.toLowerCase().includes(query))
+                .map(entry => ({ name: `${entry.id} ${entry.server}/${entry.target} ${entry.pattern}`.substring(0, 100), value: entry.id }));
+        }
+
+        await interaction.respond(choices.slice(0, 25));
+    },
+};
+
+/**
+ * Handle the bridge pattern command
+ * @param {ChatInputCommandInteraction} interaction - Discord interaction
+ * @param {object} context - Command context with client, config, etc.
+ */
+async function handlePatternCommand(interaction, context) {
+    const action = interaction.options.getSubcommand();
+
+    try {
+        switch (action) {
+            case 'add':
+                await handleAdd(interaction, context);
+                break;
+            case 'list':
+                await handleList(interaction, context);
+                break;
+            case 'remove':
+                await handleRemove(interaction);
+                break;
+            case 'test':
+                await handleTest(interaction, context);
+                break;
+            default:
+                await interaction.editReply({ content: `Unknown pattern action \`${action}\`.` });
+        }
+
+    } catch (error) {
+        logger.logError(error, `[BRIDGE-PATTERN] Unexpected error processing pattern ${action} command`);
+
+        const errorEmbed = new EmbedBuilder()
+            .setTitle('❌ Unexpected Error')
+            .setDescription(`An unexpected error occurred while running \`pattern ${action}\`.`)
+            .setColor(0xFF0000)
+            .addFields(
+                { name: '🚫 Error', value: error.message || 'Unknown error', inline: false }
+            )
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [errorEmbed] });
+    }
+}
+
+// ==================== ACTIONS ====================
+
+/**
+ * Save a custom pattern, then reload the patterns so every parser uses it
+ * @param {ChatInputCommandInteraction} interaction - Discord interaction
+ * @param {object} context - Command context
+ */
+async function handleAdd(interaction, context) {
+    const patternLoader = getPatternLoader();
+
+    const guildConfig = await resolveGuildOrReply(interaction, context);
+    if (!guildConfig) return;
+
+    const entry = readPatternOptions(interaction, guildConfig);
+    entry.position = interaction.options.getString('position') || 'last';
+    entry.description = interaction.options.getString('description') || '';
+    entry.createdBy = interaction.user.username;
+
+    const problems = patternLoader.checkCustomPattern(entry);
+    if (problems.length > 0) {
+        await interaction.editReply({ embeds: [createProblemsEmbed('❌ Pattern Not Saved', problems)] });
+        return;
+    }
+
+    // A pattern that misses the sample it was written for is a typo, not a pattern to save
+    const sample = interaction.options.getString('sample');
+    const sampleResult = sample ? testSample(entry, sample) : null;
+    if (sampleResult && !sampleResult.match) {
+        await interaction.editReply({ embeds: [createProblemsEmbed('❌ Pattern Not Saved', [`The pattern does not match the sample: ${sample}`])] });
+        return;
+    }
+
+    logger.discord(`[BRIDGE-PATTERN] ${interaction.user.username} adding ${entry.server}/${entry.target} pattern: ${entry.pattern}`);
+
+    const saved = patternLoader.addOverlayPattern(entry);
+    const report = getConfigReloader().reload(['patterns']).patterns;
+
+    const embed = new EmbedBuilder()
+        .setTitle(`✅ Custom Pattern ${saved.id} Saved`)
+        .setColor(report.reloaded ? 0x00FF00 : 0xFF9900)
+        .addFields(
+            { name: 'Target', value: `\`${saved.server}/${saved.target}\` (${saved.position})`, inline: true },
+            { name: 'Groups', value: saved.groups.length > 0 ? saved.groups.join(', ') : 'None', inline: true },
+            { name: 'Pattern', value: codeBlock(`/${saved.pattern}/${saved.flags}`), inline: false }
+        )
+        .setTimestamp();
+
+    if (sampleResult) {
+        embed.addFields({ name: 'Sample', value: codeBlock(formatSampleResult(sampleResult, saved.position)), inline: false });
+    }
+
+    embed.addFields({ name: 'Applied', value: formatReloadReport(report), inline: false });
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * List the custom patterns
+ * @param {ChatInputCommandInteraction} interaction - Discord interaction
+ * @param {object} context - Command context
+ */
+async function handleList(interaction, context) {
+    const guildName = interaction.options.getString('guildname');
+
+    let serverName = null;
+    if (guildName) {
+        const guildConfig = await resolveGuildOrReply(interaction, context);
+        if (!guildConfig) return;
+        serverName = guildConfig.server.serverName;
+    }
+
+    const entries = getPatternLoader().getCustomPatterns(serverName);
+
+    const embed = new EmbedBuilder()
+        .setTitle(`🧩 Custom Patterns${serverName ? ` (${serverName})` : ''}`)
+        .setColor(0x0099FF)
+        .setTimestamp();
+
+    if (entries.length === 0) {
+        embed.setDescription('No custom pattern, add one with `/bridge pattern add`.');
+    } else {
+        embed.setDescription(`${entries.length} custom pattern(s) merged over patterns.json`);
+
+        for (const entry of entries.slice(0, MAX_LISTED_PATTERNS)) {
+            const details = [
+                codeBlock(`/${entry.pattern}/${entry.flags || ''}`, MAX_LISTED_PATTERN_LENGTH),
+                entry.description ? entry.description.substring(0, 100) : null,
+                entry.groups && entry.groups.length > 0 ? `Groups: ${entry.groups.join(', ')}` : null,
+                `Added by ${entry.createdBy || 'unknown'}${entry.createdAt ? ` <t:${Math.floor(new Date(entry.createdAt).getTime() / 1000)}:R>` : ''}`
+            ].filter(Boolean).join('\n');
+
+            embed.addFields({ name: `${entry.id} · ${entry.server}/${entry.target} (${entry.position})`, value: details.substring(0, MAX_FIELD_LENGTH), inline: false });
+        }
+
+        if (entries.length > MAX_LISTED_PATTERNS) {
+            embed.setFooter({ text: `... and ${entries.length - MAX_LISTED_PATTERNS} more` });
+        }
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Remove a custom pattern, then reload the patterns
+ * @param {ChatInputCommandInteraction} interaction - Discord interaction
+ */
+async function handleRemove(interaction) {
+    const id = interaction.options.getString('id');
+
+    logger.discord(`[BRIDGE-PATTERN] ${interaction.user.username} removing custom pattern ${id}`);
+
+    const removed = getPatternLoader().removeOverlayPattern(id);
+    if (!removed) {
+        await interaction.editReply({ content: `No custom pattern with id \`${id}\`, see \`/bridge pattern list\`.` });
+        return;
+    }
+
+    const report = getConfigReloader().reload(['patterns']).patterns;
+
+    const embed = new EmbedBuilder()
+        .setTitle(`🗑️ Custom Pattern ${removed.id} Removed`)
+        .setColor(report.reloaded ? 0x00FF00 : 0xFF9900)
+        .addFields(
+            { name: 'Target', value: `\`${removed.server}/${removed.target}\``, inline: true },
+            { name: 'Pattern', value: codeBlock(`/${removed.pattern}/${removed.flags || ''}`), inline: false },
+            { name: 'Applied', value: formatReloadReport(report), inline: false }
+        )
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Test a pattern against sample lines without saving it
+ * @param {ChatInputCommandInteraction} interaction - Discord interaction
+ * @param {object} context - Command context
+ */
+async function handleTest(interaction, context) {
+    const patternLoader = getPatternLoader();
+
+    const guildConfig = await resolveGuildOrReply(interaction, context);
+    if (!guildConfig) return;
+
+    const entry = readPatternOptions(interaction, guildConfig);
+
+    // The target is optional when testing, it only adds the comparison with existing patterns
+    const problems = patternLoader.checkCustomPattern(entry)
+        .filter(problem => entry.target || !problem.startsWith('Unknown target'));
+    if (problems.length > 0) {
+        await interaction.editReply({ embeds: [createProblemsEmbed('❌ Invalid Pattern', problems)] });
+        return;
+    }
+
+    const samples = ['sample', 'sample2', 'sample3']
+        .map(name => interaction.options.getString(name))
+        .filter(Boolean);
+
+    const results = samples.map(sample => testSample(entry, sample));
+    const matched = results.filter(result => result.match).length;
+
+    const embed = new EmbedBuilder()
+        .setTitle(`🧪 ${matched}/${results.length} Sample(s) Matched`)
+        .setColor(matched === results.length ? 0x00FF00 : matched > 0 ? 0xFF9900 : 0xFF0000)
+        .addFields(
+            { name: 'Pattern', value: codeBlock(`/${entry.pattern}/${entry.flags}`), inline: false },
+            { name: 'Target', value: entry.target ? `\`${entry.server}/${entry.target}\`` : 'None', inline: true },
+            { name: 'Groups', value: entry.groups.length > 0 ? entry.groups.join(', ') : 'None', inline: true }
+        )
+        .setTimestamp();
+
+    results.forEach((result, index) => {
+        embed.addFields({ name: `Sample ${index + 1}`, value: codeBlock(formatSampleResult(result, 'last')), inline: false });
+    });
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Find the guild whose server the pattern is for, the first enabled guild by default
+ * @param {object} config - Configuration
+ * @param {string|null} guildName - Guild name option
+ * @returns {object|null} Guild configuration
+ */
+function findGuild(config, guildName) {
+    const guilds = config.getEnabledGuilds();
+
+    if (!guildName) {
+        return guilds[0] || null;
+    }
+
+    return guilds.find(guild => guild.name.toLowerCase() === guildName.toLowerCase()) || null;
+}
+
+/**
+ * Find the guild of the guildname option, replying when it does not exist
+ * @param {ChatInputCommandInteraction} interaction - Discord interaction
+ * @param {object} context - Command context
+ * @returns {Promise<object|null>} Guild configuration
+ */
+async function resolveGuildOrReply(interaction, context) {
+    const guildName = interaction.options.getString('guildname');
+    const guildConfig = findGuild(context.config, guildName);
+
+    if (!guildConfig) {
+        await interaction.editReply({ content: guildName ? `Guild \`${guildName}\` not found or not enabled.` : 'No enabled guild to choose the server from.' });
+    }
+
+    return guildConfig;
+}
+
+/**
+ * Read the pattern options shared by add and test
+ * Without group names, the names of a sibling pattern capturing as many groups are used
+ * @param {ChatInputCommandInteraction} interaction - Discord interaction
+ * @param {object} guildConfig - Guild whose server the pattern is for
+ * @returns {object} Custom pattern entry ({server, target, pattern, flags, groups})
+ */
+function readPatternOptions(interaction, guildConfig) {
+    const patternLoader = getPatternLoader();
+
+    const server = guildConfig.server.serverName;
+    const target = interaction.options.getString('target');
+    const pattern = interaction.options.getString('pattern');
+    const flags = interaction.options.getString('flags') || '';
+
+    const groupsOption = interaction.options.getString('groups');
+    const groups = groupsOption
+        ? groupsOption.split(',').map(name => name.trim()).filter(Boolean)
+        : (target ? patternLoader.getDefaultGroups(server, target, pattern, flags) : []);
+
+    return { server, target, pattern, flags, groups };
+}
+
+/**
+ * Match a sample line with a pattern and with the patterns already in its target
+ * @param {object} entry - Custom pattern entry
+ * @param {string} sample - Sample line
+ * @returns {object} Result ({sample, match, existing})
+ */
+function testSample(entry, sample) {
+    const patternLoader = getPatternLoader();
+    const candidate = patternLoader.createPatternObject({ pattern: entry.pattern, flags: entry.flags, groups: entry.groups });
+
+    return {
+        sample,
+        match: candidate ? findMatch([candidate], sample) : null,
+        existing: entry.target ? findMatch(patternLoader.getTargetPatterns(entry.server, entry.target), sample) : null
+    };
+}
+
+/**
+ * Describe a sample result
+ * @param {object} result - Result of testSample
+ * @param {string} position - Position of the pattern in its target (first, last)
+ * @returns {string} Description
+ */
+function formatSampleResult(result, position) {
+    const lines = [result.sample];
+
+    if (result.match) {
+        const groups = Object.entries(result.match.groups).map(([name, value]) => `${name}=${JSON.stringify(value)}`);
+        lines.push(`✅ Matched${groups.length > 0 ? `: ${groups.join(' ')}` : ''}`);
+    } else {
+        lines.push('❌ No match');
+    }
+
+    if (result.existing) {
+        const existing = `#${result.existing.index}${result.existing.customId ? ` [custom ${result.existing.customId}]` : ''} ${result.existing.description || ''}`;
+        lines.push(position === 'last' && result.match
+            ? `⚠️ Already matched earlier by ${existing}`
+            : `ℹ️ Also matched by ${existing}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Describe the patterns reload that applied a change
+ * @param {object} report - Patterns reload report ({reloaded, changes, error})
+ * @returns {string} Description
+ */
+function formatReloadReport(report) {
+    if (!report.reloaded) {
+        return `⚠️ Saved to patterns.custom.json but patterns.json could not be reloaded, the change applies on the next successful reload:\n\`${report.error}\``.substring(0, MAX_FIELD_LENGTH);
+    }
+
+    return `✅ Patterns reloaded (${report.changes.length} change(s)), parsers and command responses use it now`;
+}
+
+function createProblemsEmbed(title, problems) {
+    return new EmbedBuilder()
+        .setTitle(title)
+        .setColor(0xFF0000)
+        .setDescription(problems.map(problem => `• ${problem}`).join('\n').substring(0, 4000))
+        .setTimestamp();
+}
+
+function codeBlock(text, limit = MAX_FIELD_LENGTH - 8) {
+    const value = String(text).replace(/```/g, "'''");
+    return `\`\`\`\n${value.length > limit ? `${value.substring(0, limit - 3)}...` : value}\n\`\`\``;
+}
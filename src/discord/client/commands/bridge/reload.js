@@ -0,0 +1,98 @@
+// Globals Imports
+const { EmbedBuilder } = require('discord.js');
+
+// Specific Imports
+const { getConfigReloader, RELOAD_TARGETS } = require('../../../../config/ConfigReloader.js');
+const logger = require('../../../../shared/logger');
+
+const MAX_LISTED_CHANGES = 15;
+
+module.exports = {
+    permission: 'admin',
+
+    async execute(interaction, context) {
+        await interaction.deferReply({ ephemeral: true });
+
+        await handleReloadCommand(interaction, context);
+    },
+};
+
+/**
+ * Handle the bridge reload command
+ * @param {ChatInputCommandInteraction} interaction - Discord interaction
+ * @param {object} context - Command context with client, config, etc.
+ */
+async function handleReloadCommand(interaction, context) {
+    const target = interaction.options.getString('target') || 'all';
+    const targets = target === 'all' ? Object.keys(RELOAD_TARGETS) : [target];
+
+    try {
+        logger.discord(`[BRIDGE-RELOAD] ${interaction.user.username} reloading ${targets.join(', ')}`);
+
+        const reports = getConfigReloader().reload(targets);
+
+        await interaction.editReply({ embeds: [createReloadEmbed(reports)] });
+
+    } catch (error) {
+        logger.logError(error, `[BRIDGE-RELOAD] Unexpected error processing reload command`);
+
+        const errorEmbed = new EmbedBuilder()
+            .setTitle('❌ Unexpected Error')
+            .setDescription('An unexpected error occurred while reloading the configuration.')
+            .setColor(0xFF0000)
+            .addFields(
+                { name: '🚫 Error', value: error.message || 'Unknown error', inline: false }
+            )
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [errorEmbed] });
+    }
+}
+
+/**
+ * Format a list of changed paths
+ * @param {string[]} changes - Changed paths
+ * @returns {string} Formatted list
+ */
+function formatChanges(changes) {
+    const listed = changes.slice(0, MAX_LISTED_CHANGES).map(change => `\`${change}\``);
+    if (changes.length > MAX_LISTED_CHANGES) {
+        listed.push(`... and ${changes.length - MAX_LISTED_CHANGES} more`);
+    }
+    return listed.join('\n');
+}
+
+/**
+ * Create the reload report embed
+ * @param {object} reports - Report per target ({reloaded, changes, restartRequired, error})
+ * @returns {EmbedBuilder} Report embed
+ */
+function createReloadEmbed(reports) {
+    const failed = Object.values(reports).some(report => !report.reloaded);
+
+    const embed = new EmbedBuilder()
+        .setTitle(failed ? '⚠️ Configuration Partially Reloaded' : '🔄 Configuration Reloaded')
+        .setColor(failed ? 0xFF9900 : 0x00FF00)
+        .setTimestamp();
+
+    for (const [target, report] of Object.entries(reports)) {
+        const fileName = RELOAD_TARGETS[target].file;
+        let value;
+
+        if (!report.reloaded) {
+            value = `❌ Kept the current configuration:\n\`${report.error}\``;
+        } else if (report.changes.length === 0) {
+            value = '✅ No change';
+        } else {
+            value = `✅ ${report.changes.length} change(s)\n${formatChanges(report.changes)}`;
+
+            if (report.restartRequired.length > 0) {
+                value += `\n⚠️ Applied after a restart:\n${formatChanges(report.restartRequired)}`;
+            }
+        }
+
+        embed.addFields({ name: `📄 ${fileName}`, value: value.substring(0, 1024), inline: false });
+    }
+
+    return embed;
+}
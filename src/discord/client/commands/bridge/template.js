@@ -0,0 +1,233 @@
+// Globals Imports
+const { EmbedBuilder } = require('discord.js');
+
+// Specific Imports
+const BridgeLocator = require('../../../../bridgeLocator.js');
+const { getTemplateChecker } = require('../../../../shared/TemplateChecker.js');
+const logger = require('../../../../shared/logger');
+
+// One field per guild, an embed holds 25 fields and 6000 characters
+const MAX_PREVIEWED_GUILDS = 5;
+const MAX_TEMPLATE_LENGTH = 250;
+const MAX_FIELD_LENGTH = 1024;
+const MAX_DESCRIPTION_LENGTH = 4096;
+
+const ISSUE_ICONS = {
+    placeholder: '❓',
+    length: '📏',
+    missing: '🕳️'
+};
+
+module.exports = {
+    permission: 'admin',
+
+    async execute(interaction, context) {
+        await interaction.deferReply({ ephemeral: true });
+
+        await handleTemplateCommand(interaction, context);
+    },
+
+    async autocomplete(interaction) {
+        const focusedOption = interaction.options.getFocused(true);
+        const query = focusedOption.value.toLowerCase();
+        const config = BridgeLocator.getInstance().config;
+
+        let choices = [];
+
+        if (focusedOption.name === 'event') {
+            choices = getTemplateChecker().getAllEventTypes()
+                .filter(eventType => eventType.toLowerCase().includes(query))
+                .map(eventType => ({ name: eventType, value: eventType }));
+
+        } else if (focusedOption.name === 'guildname') {
+            choices = config.getEnabledGuilds()
+                .filter(guild => guild.name.toLowerCase().includes(query))
+                .map(guild => ({ name: guild.name, value: guild.name }));
+        }
+
+        await interaction.respond(choices.slice(0, 25));
+    },
+};
+
+/**
+ * Handle the bridge template command
+ * @param {ChatInputCommandInteraction} interaction - Discord interaction
+ * @param {object} context - Command context with client, config, etc.
+ */
+async function handleTemplateCommand(interaction, context) {
+    const action = interaction.options.getSubcommand();
+
+    try {
+        switch (action) {
+            case 'preview':
+                await handlePreview(interaction, context);
+                break;
+            case 'lint':
+                await handleLint(interaction);
+                break;
+            default:
+                await interaction.editReply({ content: `Unknown template action \`${action}\`.` });
+        }
+
+    } catch (error) {
+        logger.logError(error, `[BRIDGE-TEMPLATE] Unexpected error processing template ${action} command`);
+
+        const errorEmbed = new EmbedBuilder()
+            .setTitle('❌ Unexpected Error')
+            .setDescription(`An unexpected error occurred while running \`template ${action}\`.`)
+            .setColor(0xFF0000)
+            .addFields(
+                { name: '🚫 Error', value: error.message || 'Unknown error', inline: false }
+            )
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [errorEmbed] });
+    }
+}
+
+// ==================== ACTIONS ====================
+
+/**
+ * Render a template with sample data for each configured guild
+ * @param {ChatInputCommandInteraction} interaction - Discord interaction
+ * @param {object} context - Command context
+ */
+async function handlePreview(interaction, context) {
+    const platform = interaction.options.getString('platform');
+    const category = interaction.options.getString('category');
+    const eventType = interaction.options.getString('event');
+    const guildName = interaction.options.getString('guildname');
+
+    if (category === 'events' && !eventType) {
+        await interaction.editReply({ content: 'Choose the `event` to preview for the events category.' });
+        return;
+    }
+
+    let guilds = context.config.getEnabledGuilds();
+    if (guildName) {
+        guilds = guilds.filter(guild => guild.name.toLowerCase() === guildName.toLowerCase());
+        if (guilds.length === 0) {
+            await interaction.editReply({ content: `Guild \`${guildName}\` not found or not enabled.` });
+            return;
+        }
+    }
+
+    if (guilds.length === 0) {
+        await interaction.editReply({ content: 'No enabled guild to preview the template for.' });
+        return;
+    }
+
+    const target = category === 'events' ? `events.${eventType}` : category;
+    logger.discord(`[BRIDGE-TEMPLATE] ${interaction.user.username} previewing ${platform}/${target}`);
+
+    const previews = getTemplateChecker().preview(platform, category, eventType, guilds.slice(0, MAX_PREVIEWED_GUILDS));
+    const overLimit = previews.some(preview => preview.length > preview.limit);
+
+    const embed = new EmbedBuilder()
+        .setTitle(`🧪 Template Preview: ${platform}/${target}`)
+        .setDescription('Rendered with sample data, as the bridge would send it to each guild.')
+        .setColor(overLimit ? 0xFF9900 : 0x0099FF)
+        .setTimestamp();
+
+    for (const preview of previews) {
+        embed.addFields({
+            name: `${preview.guildConfig.name} (${preview.guildConfig.server.serverName})`,
+            value: formatPreview(preview, platform),
+            inline: false
+        });
+    }
+
+    if (guilds.length > MAX_PREVIEWED_GUILDS) {
+        embed.setFooter({ text: `... and ${guilds.length - MAX_PREVIEWED_GUILDS} more guilds, use guildname to preview them` });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Lint the templates and list the issues
+ * @param {ChatInputCommandInteraction} interaction - Discord interaction
+ */
+async function handleLint(interaction) {
+    logger.discord(`[BRIDGE-TEMPLATE] ${interaction.user.username} linting templates`);
+
+    const issues = getTemplateChecker().lint();
+
+    const embed = new EmbedBuilder()
+        .setTitle('🔍 Template Lint')
+        .setColor(issues.length === 0 ? 0x00FF00 : 0xFF9900)
+        .setTimestamp();
+
+    if (issues.length === 0) {
+        embed.setDescription('✅ No issue found in templates.json.');
+    } else {
+        embed.setDescription(formatIssues(issues));
+        embed.setFooter({ text: `${issues.length} issue(s) · ❓ unknown placeholder · 📏 over the chat limit · 🕳️ missing template` });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Format a preview as an embed field value
+ * @param {object} preview - Preview from TemplateChecker
+ * @param {string} platform - Platform
+ * @returns {string} Field value
+ */
+function formatPreview(preview, platform) {
+    if (!preview.template) {
+        return `No template, the fallback message is sent:\n${codeBlock(preview.text || 'Nothing')}`;
+    }
+
+    const lines = [
+        `Template:\n${codeBlock(preview.template, MAX_TEMPLATE_LENGTH)}`,
+        `Result:\n${codeBlock(preview.text || '')}`
+    ];
+
+    if (platform === 'messagesToMinecraft') {
+        const lengthStatus = preview.length > preview.limit ? `⚠️ over the ${preview.limit} character limit, truncated` : `of ${preview.limit}`;
+        lines.push(`${preview.length} characters ${lengthStatus}`);
+
+        if (preview.sourceGuildConfig.id !== preview.guildConfig.id) {
+            lines.push(`Relayed from ${preview.sourceGuildConfig.name}`);
+        }
+    }
+
+    return lines.join('\n').substring(0, MAX_FIELD_LENGTH);
+}
+
+/**
+ * Format lint issues as an embed description
+ * @param {Array<object>} issues - Issues from TemplateChecker
+ * @returns {string} Description
+ */
+function formatIssues(issues) {
+    let description = '';
+
+    for (let index = 0; index < issues.length; index++) {
+        const issue = issues[index];
+        const line = `${ISSUE_ICONS[issue.type] || '⚠️'} \`${issue.path}\` ${issue.message}\n`;
+
+        if (description.length + line.length > MAX_DESCRIPTION_LENGTH - 30) {
+            description += `... and ${issues.length - index} more`;
+            break;
+        }
+
+        description += line;
+    }
+
+    return description;
+}
+
+/**
+ * Wrap text in a code block that fits in an embed field
+ * @param {string} text - Text
+ * @param {number} limit - Maximum text length
+ * @returns {string} Code block
+ */
+function codeBlock(text, limit = 400) {
+    const value = String(text).replace(/```/g, "'''");
+    return `\`\`\`\n${value.length > limit ? `${value.substring(0, limit - 3)}...` : value}\n\`\`\``;
+}
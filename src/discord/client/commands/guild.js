@@ -283,6 +283,82 @@ module.exports = {
                     .setDescription('Command to execute (DO NOT include /g or /guild prefix)')
                     .setRequired(true)
             )
+    )
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('members')
+            .setDescription('List the tracked members of a guild')
+            .addStringOption(option =>
+                option.setName('guildname')
+                    .setDescription('Name of the guild')
+                    .setRequired(true)
+                    .setAutocomplete(true)
+            )
+            .addStringOption(option =>
+                option.setName('rank')
+                    .setDescription('Only list members with this rank')
+                    .setRequired(false)
+                    .setAutocomplete(true)
+            )
+            .addBooleanOption(option =>
+                option.setName('online')
+                    .setDescription('Only list online members')
+                    .setRequired(false)
+            )
+            .addIntegerOption(option =>
+                option.setName('page')
+                    .setDescription('Page number')
+                    .setRequired(false)
+                    .setMinValue(1)
+            )
+    )
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('history')
+            .setDescription('Search the archive of bridged messages and guild events')
+            .addStringOption(option =>
+                option.setName('guildname')
+                    .setDescription('Name of the guild')
+                    .setRequired(false)
+                    .setAutocomplete(true)
+            )
+            .addStringOption(option =>
+                option.setName('player')
+                    .setDescription('Minecraft username or Discord display name')
+                    .setRequired(false)
+            )
+            .addStringOption(option =>
+                option.setName('type')
+                    .setDescription('Chat type to search')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'guild', value: 'guild' },
+                        { name: 'officer', value: 'officer' },
+                        { name: 'event', value: 'event' }
+                    )
+            )
+            .addStringOption(option =>
+                option.setName('text')
+                    .setDescription('Text contained in the message')
+                    .setRequired(false)
+            )
+            .addStringOption(option =>
+                option.setName('from')
+                    .setDescription('Start date (YYYY-MM-DD or YYYY-MM-DD HH:MM, UTC)')
+                    .setRequired(false)
+            )
+            .addStringOption(option =>
+                option.setName('to')
+                    .setDescription('End date (YYYY-MM-DD or YYYY-MM-DD HH:MM, UTC)')
+                    .setRequired(false)
+            )
+            .addIntegerOption(option =>
+                option.setName('limit')
+                    .setDescription('Maximum number of results')
+                    .setRequired(false)
+                    .setMinValue(1)
+                    .setMaxValue(50)
+            )
     ),
     
     permission: 'user', // Base permission, subcommands can override
@@ -94,7 +94,7 @@ async function handleDemoteCommand(interaction, context) {
     await interaction.editReply({ embeds: [initialEmbed] });
 
     try {
-      await botManager.executeCommand(guildConfig.id, command);
+      await botManager.executeCommand(guildConfig.id, command, 'moderation');
       logger.discord(`[GUILD-DEMOTE] Command sent to ${guildName}: ${command}`);
 
       const result = await responseListener.waitForResult(listenerId);
@@ -124,7 +124,7 @@ async function handleExecuteCommand(interaction, context) {
         
         try {
             // Execute the command
-            await botManager.executeCommand(guildConfig.id, finalCommand);
+            await botManager.executeCommand(guildConfig.id, finalCommand, 'moderation');
             
             logger.discord(`[GUILD-EXECUTE] Command sent to ${guildName}: ${finalCommand}`);
             
@@ -0,0 +1,248 @@
+// Globals Imports
+const { EmbedBuilder } = require('discord.js');
+
+// Specific Imports
+const { getMessageArchive } = require('../../../../shared/MessageArchive.js');
+const logger = require('../../../../shared/logger');
+
+// Discord embed description limit
+const MAX_DESCRIPTION_LENGTH = 4096;
+
+const CHAT_TYPE_LABELS = {
+    guild: 'G',
+    officer: 'O',
+    event: 'E'
+};
+
+module.exports = {
+    permission: 'moderator',
+
+    async execute(interaction, context) {
+        await interaction.deferReply({ ephemeral: true });
+
+        await handleHistoryCommand(interaction, context);
+    },
+};
+
+/**
+ * Handle the guild history command
+ * @param {ChatInputCommandInteraction} interaction - Discord interaction
+ * @param {object} context - Command context with client, config, etc.
+ */
+async function handleHistoryCommand(interaction, context) {
+    const guildName = interaction.options.getString('guildname');
+    const player = interaction.options.getString('player');
+    const chatType = interaction.options.getString('type');
+    const text = interaction.options.getString('text');
+    const fromInput = interaction.options.getString('from');
+    const toInput = interaction.options.getString('to');
+    const limit = interaction.options.getInteger('limit');
+
+    try {
+        const archive = getMessageArchive();
+        if (!archive.enabled) {
+            await interaction.editReply({
+                content: '❌ The message archive is disabled (`features.archive.enabled`).'
+            });
+            return;
+        }
+
+        // Resolve guild filter
+        let guildConfig = null;
+        if (guildName) {
+            guildConfig = findGuildByName(context.config, guildName);
+            if (!guildConfig) {
+                await interaction.editReply({
+                    content: `❌ Guild \`${guildName}\` not found. Available guilds: ${getAvailableGuilds(context.config).join(', ')}`
+                });
+                return;
+            }
+        }
+
+        // Resolve date range
+        const from = fromInput ? parseDateInput(fromInput, false) : null;
+        const to = toInput ? parseDateInput(toInput, true) : null;
+
+        const invalidDate = (fromInput && from === null) ? fromInput : (toInput && to === null) ? toInput : null;
+        if (invalidDate) {
+            await interaction.editReply({
+                content: `❌ Invalid date: \`${invalidDate}\`. Use \`YYYY-MM-DD\` or \`YYYY-MM-DD HH:MM\` (UTC).`
+            });
+            return;
+        }
+
+        if (from !== null && to !== null && from > to) {
+            await interaction.editReply({
+                content: '❌ The `from` date must be before the `to` date.'
+            });
+            return;
+        }
+
+        logger.discord(`[GUILD-HISTORY] ${interaction.user.username} searching archive (guild: ${guildName || 'any'}, player: ${player || 'any'}, type: ${chatType || 'any'}, text: ${text || 'any'})`);
+
+        const result = await archive.search({
+            guildId: guildConfig ? guildConfig.id : null,
+            username: player,
+            chatType: chatType,
+            text: text,
+            from: from,
+            to: to,
+            limit: limit
+        });
+
+        const embed = createHistoryEmbed(result, {
+            guildName: guildConfig ? guildConfig.name : null,
+            player,
+            chatType,
+            text,
+            fromInput,
+            toInput
+        });
+
+        await interaction.editReply({ embeds: [embed] });
+
+    } catch (error) {
+        logger.logError(error, `[GUILD-HISTORY] Unexpected error processing history command`);
+
+        const errorEmbed = new EmbedBuilder()
+            .setTitle('❌ Unexpected Error')
+            .setDescription('An unexpected error occurred while searching the message archive.')
+            .setColor(0xFF0000)
+            .addFields(
+                { name: '🚫 Error', value: error.message || 'Unknown error', inline: false }
+            )
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [errorEmbed] });
+    }
+}
+
+/**
+ * Find guild configuration by name
+ * @param {object} config - Configuration object
+ * @param {string} guildName - Guild name to search for
+ * @returns {object|null} Guild configuration or null if not found
+ */
+function findGuildByName(config, guildName) {
+    const guilds = config.get('guilds') || [];
+    return guilds.find(guild =>
+        guild.name.toLowerCase() === guildName.toLowerCase()
+    );
+}
+
+/**
+ * Get list of available guild names
+ * @param {object} config - Configuration object
+ * @returns {string[]} Array of guild names
+ */
+function getAvailableGuilds(config) {
+    const guilds = config.get('guilds') || [];
+    return guilds.map(guild => guild.name);
+}
+
+/**
+ * Parse a UTC date input
+ * @param {string} input - Date as YYYY-MM-DD or YYYY-MM-DD HH:MM
+ * @param {boolean} endOfPeriod - Round up to the end of the day/minute (for range ends)
+ * @returns {number|null} Timestamp or null if invalid
+ */
+function parseDateInput(input, endOfPeriod) {
+    const match = input.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}))?$/);
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, day, hours, minutes] = match;
+    const hasTime = hours !== undefined;
+
+    const timestamp = Date.UTC(
+        Number(year),
+        Number(month) - 1,
+        Number(day),
+        hasTime ? Number(hours) : 0,
+        hasTime ? Number(minutes) : 0
+    );
+
+    // Reject overflowing dates like 2024-02-31
+    if (new Date(timestamp).getUTCDate() !== Number(day)) {
+        return null;
+    }
+
+    if (!endOfPeriod) {
+        return timestamp;
+    }
+
+    return timestamp + (hasTime ? 60 * 1000 : 24 * 60 * 60 * 1000) - 1;
+}
+
+/**
+ * Format an archived entry as a single line
+ * @param {object} entry - Archived entry
+ * @returns {string} Formatted line
+ */
+function formatEntry(entry) {
+    const date = new Date(entry.timestamp).toISOString().replace('T', ' ').substring(0, 16);
+    const typeLabel = CHAT_TYPE_LABELS[entry.kind === 'event' ? 'event' : entry.chatType] || '?';
+    const sourceLabel = entry.source === 'discord' ? ' 💬' : '';
+
+    if (entry.kind === 'event') {
+        return `\`${date}\` **[${entry.guildName}]** [${typeLabel}] ${entry.eventType}: ${entry.message}`;
+    }
+
+    return `\`${date}\` **[${entry.guildName}]** [${typeLabel}]${sourceLabel} **${entry.username || 'Unknown'}**: ${entry.message}`;
+}
+
+/**
+ * Create the search result embed
+ * @param {object} result - Search result ({entries, scannedDays, truncated})
+ * @param {object} filters - Filters as entered by the user
+ * @returns {EmbedBuilder} Result embed
+ */
+function createHistoryEmbed(result, filters) {
+    const filterDescriptions = [];
+    if (filters.guildName) filterDescriptions.push(`Guild: \`${filters.guildName}\``);
+    if (filters.player) filterDescriptions.push(`Player: \`${filters.player}\``);
+    if (filters.chatType) filterDescriptions.push(`Type: \`${filters.chatType}\``);
+    if (filters.text) filterDescriptions.push(`Text: \`${filters.text}\``);
+    if (filters.fromInput) filterDescriptions.push(`From: \`${filters.fromInput}\``);
+    if (filters.toInput) filterDescriptions.push(`To: \`${filters.toInput}\``);
+
+    const embed = new EmbedBuilder()
+        .setTitle('📚 Message History')
+        .setColor(result.entries.length > 0 ? 0x3498DB : 0x808080)
+        .addFields(
+            { name: '🔎 Filters', value: filterDescriptions.join('\n') || 'None', inline: false }
+        )
+        .setTimestamp();
+
+    if (result.entries.length === 0) {
+        embed.setDescription('No archived message matches these filters.');
+        return embed;
+    }
+
+    // Keep the newest entries when the description is too long
+    const lines = [];
+    let length = 0;
+
+    for (const entry of result.entries) {
+        const line = formatEntry(entry);
+        if (length + line.length + 1 > MAX_DESCRIPTION_LENGTH) {
+            break;
+        }
+
+        lines.push(line);
+        length += line.length + 1;
+    }
+
+    // Show oldest first so the result reads like a chat log
+    const shown = lines.length;
+    const hiddenCount = result.entries.length - shown;
+    embed.setDescription(lines.reverse().join('\n'));
+
+    let footer = `${shown} result(s)`;
+    if (hiddenCount > 0) footer += ` - ${hiddenCount} hidden (too long)`;
+    if (result.truncated) footer += ' - more results available, narrow your search';
+    embed.setFooter({ text: footer });
+
+    return embed;
+}
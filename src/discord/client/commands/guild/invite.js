@@ -105,7 +105,7 @@ async function handleInviteCommand(interaction, context) {
         await interaction.editReply({ embeds: [initialEmbed] });
 
         try {
-            await botManager.executeCommand(guildConfig.id, command);
+            await botManager.executeCommand(guildConfig.id, command, 'moderation');
             
             logger.discord(`[GUILD-INVITE] Command sent to ${guildName}: ${command}`);
 
@@ -107,7 +107,7 @@ async function handleKickCommand(interaction, context) {
         await interaction.editReply({ embeds: [initialEmbed] });
 
         try {
-            await botManager.executeCommand(guildConfig.id, command);
+            await botManager.executeCommand(guildConfig.id, command, 'moderation');
             
             logger.discord(`[GUILD-KICK] Command sent to ${guildName}: ${command}`);
 
@@ -0,0 +1,154 @@
+// Globals Imports
+const { EmbedBuilder } = require('discord.js');
+
+// Specific Imports
+const { getGuildRoster } = require('../../../../shared/GuildRoster.js');
+const logger = require('../../../../shared/logger');
+
+const PAGE_SIZE = 20;
+
+module.exports = {
+    permission: 'user',
+
+    async execute(interaction, context) {
+        await interaction.deferReply({ ephemeral: true });
+
+        await handleMembersCommand(interaction, context);
+    },
+};
+
+/**
+ * Handle the guild members command
+ * @param {ChatInputCommandInteraction} interaction - Discord interaction
+ * @param {object} context - Command context with client, config, etc.
+ */
+async function handleMembersCommand(interaction, context) {
+    const guildName = interaction.options.getString('guildname');
+    const rank = interaction.options.getString('rank');
+    const onlineOnly = interaction.options.getBoolean('online') || false;
+    const requestedPage = interaction.options.getInteger('page') || 1;
+
+    try {
+        const roster = getGuildRoster();
+        if (!roster.enabled) {
+            await interaction.editReply({
+                content: '❌ Roster tracking is disabled (`features.roster.enabled`).'
+            });
+            return;
+        }
+
+        const guildConfig = findGuildByName(context.config, guildName);
+        if (!guildConfig) {
+            await interaction.editReply({
+                content: `❌ Guild \`${guildName}\` not found. Available guilds: ${getAvailableGuilds(context.config).join(', ')}`
+            });
+            return;
+        }
+
+        logger.discord(`[GUILD-MEMBERS] ${interaction.user.username} listing members of ${guildConfig.name} (rank: ${rank || 'any'}, online: ${onlineOnly}, page: ${requestedPage})`);
+
+        const members = roster.getMembers(guildConfig, { rank, onlineOnly });
+        const totalPages = Math.max(1, Math.ceil(members.length / PAGE_SIZE));
+        const page = Math.min(requestedPage, totalPages);
+        const pageMembers = members.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+
+        const embed = createMembersEmbed(guildConfig, pageMembers, {
+            total: members.length,
+            page,
+            totalPages,
+            rank,
+            onlineOnly,
+            lastReconciledAt: roster.getLastReconciledAt(guildConfig.id)
+        });
+
+        await interaction.editReply({ embeds: [embed] });
+
+    } catch (error) {
+        logger.logError(error, `[GUILD-MEMBERS] Unexpected error processing members command`);
+
+        const errorEmbed = new EmbedBuilder()
+            .setTitle('❌ Unexpected Error')
+            .setDescription('An unexpected error occurred while listing guild members.')
+            .setColor(0xFF0000)
+            .addFields(
+                { name: '🚫 Error', value: error.message || 'Unknown error', inline: false }
+            )
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [errorEmbed] });
+    }
+}
+
+/**
+ * Find guild configuration by name
+ * @param {object} config - Configuration object
+ * @param {string} guildName - Guild name to search for
+ * @returns {object|null} Guild configuration or null if not found
+ */
+function findGuildByName(config, guildName) {
+    const guilds = config.get('guilds') || [];
+    return guilds.find(guild =>
+        guild.name.toLowerCase() === guildName.toLowerCase() && guild.enabled
+    );
+}
+
+/**
+ * Get list of available guild names
+ * @param {object} config - Configuration object
+ * @returns {string[]} Array of guild names
+ */
+function getAvailableGuilds(config) {
+    const guilds = config.get('guilds') || [];
+    return guilds
+        .filter(guild => guild.enabled)
+        .map(guild => guild.name);
+}
+
+/**
+ * Format a timestamp as a Discord relative timestamp
+ * @param {number|null} timestamp - Timestamp in ms
+ * @returns {string} Formatted timestamp
+ */
+function formatRelative(timestamp) {
+    return timestamp ? `<t:${Math.floor(timestamp / 1000)}:R>` : 'unknown';
+}
+
+/**
+ * Format a member as a single line
+ * @param {object} member - Roster member
+ * @returns {string} Formatted line
+ */
+function formatMember(member) {
+    const status = member.online ? '🟢 online' : `⚫ last seen ${formatRelative(member.lastSeenOnline)}`;
+    const joined = member.joinedAt ? ` · joined <t:${Math.floor(member.joinedAt / 1000)}:d>` : '';
+
+    return `**${member.username}** · ${member.rank || 'Unknown rank'} · ${status}${joined}`;
+}
+
+/**
+ * Create the members list embed
+ * @param {object} guildConfig - Guild configuration
+ * @param {Array<object>} members - Members of the current page
+ * @param {object} details - Paging and filter details
+ * @returns {EmbedBuilder} Members embed
+ */
+function createMembersEmbed(guildConfig, members, details) {
+    const filterDescriptions = [];
+    if (details.rank) filterDescriptions.push(`Rank: \`${details.rank}\``);
+    if (details.onlineOnly) filterDescriptions.push('Online only');
+
+    const embed = new EmbedBuilder()
+        .setTitle(`👥 ${guildConfig.name} Members`)
+        .setColor(members.length > 0 ? 0x3498DB : 0x808080)
+        .setDescription(members.length > 0
+            ? members.map(formatMember).join('\n')
+            : 'No tracked member matches these filters.')
+        .addFields(
+            { name: '🔎 Filters', value: filterDescriptions.join('\n') || 'None', inline: true },
+            { name: '📋 Last full sync', value: formatRelative(details.lastReconciledAt), inline: true }
+        )
+        .setFooter({ text: `Page ${details.page}/${details.totalPages} - ${details.total} member(s)` })
+        .setTimestamp();
+
+    return embed;
+}
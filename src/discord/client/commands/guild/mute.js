@@ -124,7 +124,7 @@ async function handleMuteCommand(interaction, context) {
       logger.discord(`[GUILD-MUTE] Executing command: ${command}`);
 
       // Execute the command
-      await connection.executeCommand(command);
+      await connection.executeCommand(command, 'moderation');
 
       // Wait for response
       const result = await responseListener.waitForResult(listenerId);
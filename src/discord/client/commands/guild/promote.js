@@ -100,7 +100,7 @@ async function handlePromoteCommand(interaction, context) {
     await interaction.editReply({ embeds: [initialEmbed] });
 
     try {
-      await botManager.executeCommand(guildConfig.id, command);
+      await botManager.executeCommand(guildConfig.id, command, 'moderation');
       logger.discord(
         `[GUILD-PROMOTE] Command sent to ${guildName}: ${command}`
       );
@@ -114,7 +114,7 @@ async function handleSetRankCommand(interaction, context) {
     await interaction.editReply({ embeds: [initialEmbed] });
 
     try {
-      await botManager.executeCommand(guildConfig.id, command);
+      await botManager.executeCommand(guildConfig.id, command, 'moderation');
       logger.discord(
         `[GUILD-SETRANK] Command sent to ${guildName}: ${command}`
       );
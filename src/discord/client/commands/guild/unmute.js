@@ -114,7 +114,7 @@ async function handleUnmuteCommand(interaction, context) {
       logger.discord(`[GUILD-UNMUTE] Executing command: ${command}`);
 
       // Execute the command
-      await connection.executeCommand(command);
+      await connection.executeCommand(command, 'moderation');
 
       // Wait for response
       const result = await responseListener.waitForResult(listenerId);
@@ -0,0 +1,156 @@
+// Globals Imports
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+
+// Specific Imports
+const { getAccountLinker } = require('../../../shared/AccountLinker.js');
+const logger = require('../../../shared/logger');
+
+const MINECRAFT_USERNAME_REGEX = /^[a-zA-Z0-9_]{3,16}$/;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('link')
+        .setDescription('Link your Discord account to your Minecraft account')
+        .addStringOption(option =>
+            option.setName('username')
+                .setDescription('Your Minecraft username')
+                .setRequired(true)
+                .setMinLength(3)
+                .setMaxLength(16)
+        ),
+
+    // Permission level (optional)
+    permission: 'user', // 'user', 'mod', 'admin'
+
+    async execute(interaction, context) {
+        await interaction.deferReply({ ephemeral: true });
+
+        const username = interaction.options.getString('username');
+
+        if (!MINECRAFT_USERNAME_REGEX.test(username)) {
+            await interaction.editReply({
+                content: `❌ \`${username}\` is not a valid Minecraft username.`
+            });
+            return;
+        }
+
+        const accountLinker = getAccountLinker();
+        const result = accountLinker.startVerification(interaction.user, username);
+
+        if (!result.success) {
+            await interaction.editReply({ content: `❌ ${result.error}` });
+            return;
+        }
+
+        const botUsernames = getConnectedBotUsernames(context);
+
+        logger.discord(`[LINK] ${interaction.user.username} requested a link to ${username}`);
+
+        await interaction.editReply({ embeds: [createPendingEmbed(username, result, botUsernames)] });
+
+        waitForVerification(interaction, accountLinker, username);
+    },
+};
+
+/**
+ * Get usernames of connected bridge bots
+ * @param {object} context - Command context with client, config, etc.
+ * @returns {string[]} Bot usernames
+ */
+function getConnectedBotUsernames(context) {
+    const minecraftManager = context.bridgeLocator.getMinecraftManager?.();
+    if (!minecraftManager || !minecraftManager._botManager) {
+        return [];
+    }
+
+    return [...new Set(minecraftManager._botManager.getConnectedGuilds().map(guild => guild.username))];
+}
+
+/**
+ * Update the reply once the verification succeeds, fails or expires
+ * @param {ChatInputCommandInteraction} interaction - Discord interaction
+ * @param {AccountLinker} accountLinker - Account linker
+ * @param {string} username - Minecraft username being verified
+ */
+function waitForVerification(interaction, accountLinker, username) {
+    const userId = interaction.user.id;
+
+    const finish = (embed) => {
+        accountLinker.removeListener('linked', onLinked);
+        accountLinker.removeListener('verificationExpired', onExpired);
+        accountLinker.removeListener('verificationFailed', onFailed);
+        accountLinker.removeListener('verificationCancelled', onCancelled);
+
+        if (embed) {
+            interaction.editReply({ embeds: [embed] }).catch(error => {
+                logger.logError(error, `[LINK] Failed to update link reply for ${interaction.user.username}`);
+            });
+        }
+    };
+
+    const onLinked = (link) => {
+        if (link.discordUserId !== userId) return;
+
+        finish(new EmbedBuilder()
+            .setTitle('✅ Account Linked')
+            .setDescription(`Your Discord account is now linked to **${link.minecraftUsername}**.`)
+            .setColor(0x00FF00)
+            .setTimestamp());
+    };
+
+    const onExpired = (data) => {
+        if (data.discordUserId !== userId) return;
+
+        finish(new EmbedBuilder()
+            .setTitle('⌛ Verification Expired')
+            .setDescription(`The code for **${username}** expired. Run \`/link\` again to get a new one.`)
+            .setColor(0xFF9900)
+            .setTimestamp());
+    };
+
+    const onFailed = (data) => {
+        if (data.discordUserId !== userId) return;
+
+        finish(new EmbedBuilder()
+            .setTitle('❌ Verification Failed')
+            .setDescription(data.error)
+            .setColor(0xFF0000)
+            .setTimestamp());
+    };
+
+    // A new /link or /unlink replaces this verification
+    const onCancelled = (data) => {
+        if (data.discordUserId !== userId) return;
+
+        finish(null);
+    };
+
+    accountLinker.on('linked', onLinked);
+    accountLinker.on('verificationExpired', onExpired);
+    accountLinker.on('verificationFailed', onFailed);
+    accountLinker.on('verificationCancelled', onCancelled);
+}
+
+/**
+ * Create the embed with verification instructions
+ * @param {string} username - Minecraft username being verified
+ * @param {object} result - Verification result ({code, expiresAt})
+ * @param {string[]} botUsernames - Usernames of connected bridge bots
+ * @returns {EmbedBuilder} Instructions embed
+ */
+function createPendingEmbed(username, result, botUsernames) {
+    const whisperTarget = botUsernames.length > 0 ? botUsernames[0] : '<bridge bot>';
+
+    const embed = new EmbedBuilder()
+        .setTitle('🔗 Link Your Minecraft Account')
+        .setDescription(`Log in as **${username}** and whisper this code to a bridge bot:\n\n\`/msg ${whisperTarget} ${result.code}\``)
+        .setColor(0x3498DB)
+        .addFields(
+            { name: '🔑 Code', value: `\`${result.code}\``, inline: true },
+            { name: '⏳ Expires', value: `<t:${Math.floor(result.expiresAt / 1000)}:R>`, inline: true },
+            { name: '🤖 Bridge bots', value: botUsernames.length > 0 ? botUsernames.join(', ') : 'No bot connected right now', inline: false }
+        )
+        .setTimestamp();
+
+    return embed;
+}
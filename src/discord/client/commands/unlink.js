@@ -0,0 +1,28 @@
+// Globals Imports
+const { SlashCommandBuilder } = require('discord.js');
+
+// Specific Imports
+const { getAccountLinker } = require('../../../shared/AccountLinker.js');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('unlink')
+        .setDescription('Unlink your Discord account from your Minecraft account'),
+
+    // Permission level (optional)
+    permission: 'user', // 'user', 'mod', 'admin'
+
+    async execute(interaction) {
+        const accountLinker = getAccountLinker();
+
+        accountLinker.cancelVerification(interaction.user.id);
+        const link = accountLinker.removeLink(interaction.user.id);
+
+        await interaction.reply({
+            content: link
+                ? `✅ Your Discord account is no longer linked to \`${link.minecraftUsername}\`.`
+                : '❌ Your Discord account is not linked to any Minecraft account.',
+            ephemeral: true
+        });
+    },
+};
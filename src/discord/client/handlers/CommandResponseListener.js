@@ -4,6 +4,8 @@ const EventEmitter = require('events');
 // Specific Imports
 const BridgeLocator = require("../../../bridgeLocator.js");
 const { getPatternLoader } = require("../../../config/PatternLoader.js");
+const { getConfigReloader } = require("../../../config/ConfigReloader.js");
+const { getAccountLinker } = require("../../../shared/AccountLinker.js");
 const logger = require("../../../shared/logger");
 
 class CommandResponseListener extends EventEmitter {
@@ -18,6 +20,7 @@ class CommandResponseListener extends EventEmitter {
         
         // Load patterns from configuration
         this.loadResponsePatterns();
+        getConfigReloader().on('patternsReloaded', () => this.loadResponsePatterns());
 
         logger.debug('CommandResponseListener initialized');
     }
@@ -553,6 +556,12 @@ class CommandResponseListener extends EventEmitter {
                 }
             }
 
+            // Show who the target player is on Discord when linked
+            const targetLink = getAccountLinker().getLinkByMinecraft(listener.targetPlayer);
+            if (targetLink) {
+                targetPlayerValue += ` • <@${targetLink.discordUserId}>`;
+            }
+
             // Add command details section
             embed.addFields(
                 { 
@@ -5,8 +5,15 @@ const EventEmitter = require('events');
 // Specific Imports
 const BridgeLocator = require("../../../bridgeLocator.js");
 const MessageFormatter = require("../../../shared/MessageFormatter.js");
+const { getRelayedMessages } = require("../../../shared/RelayedMessages.js");
 const logger = require("../../../shared/logger");
 
+// Attachment content types summarized by their kind, others are "file"
+const ATTACHMENT_KINDS = ['image', 'video', 'audio'];
+
+// Chat line the bridge posted, e.g. "Guild > [MVP+] Steve [Officer]: hi", "[V1] [MVP+] Steve: hi" or "Steve: hi"
+const RELAYED_LINE_REGEX = /^(?:(?:Guild|Officer) > )?(?:\[[^\]]+\] )*(\w{1,16})(?: \[[^\]]+\])?: (.+)$/;
+
 class MessageHandler extends EventEmitter {
     constructor() {
         super();
@@ -22,6 +29,9 @@ class MessageHandler extends EventEmitter {
             staff: null
         };
 
+        // Discord channel ID -> { channelType, guildId } (guildId is null for shared channels)
+        this.channelRoutes = new Map();
+
         // Message filtering
         this.botUsers = new Set(); // Bot users to ignore
         this.commandPrefix = this.config.get('bridge.commandPrefix') || '!';
@@ -87,36 +97,52 @@ class MessageHandler extends EventEmitter {
             throw new Error('Discord client not available for channel validation');
         }
 
-        const bridgeConfig = this.config.get('bridge.channels');
-
-        if (!bridgeConfig) {
-            throw new Error('Bridge channels configuration not found');
-        }
+        this.channelRoutes.clear();
 
         try {
-            // Validate chat channel
-            if (!bridgeConfig.chat || !bridgeConfig.chat.id) {
-                throw new Error('Chat channel ID not configured');
-            }
+            // Cache shared channels (optional when every guild declares its own)
+            for (const channelType of ['chat', 'staff']) {
+                const sharedConfig = this.config.getSharedChannelConfig(channelType);
+                if (!sharedConfig) {
+                    continue;
+                }
 
-            const chatChannel = await this.client.channels.fetch(bridgeConfig.chat.id);
-            if (!chatChannel) {
-                throw new Error(`Chat channel not found: ${bridgeConfig.chat.id}`);
-            }
-            this.channels.chat = chatChannel;
+                const channel = await this.client.channels.fetch(sharedConfig.id);
+                if (!channel) {
+                    throw new Error(`Shared ${channelType} channel not found: ${sharedConfig.id}`);
+                }
 
-            // Validate staff channel
-            if (!bridgeConfig.staff || !bridgeConfig.staff.id) {
-                throw new Error('Staff channel ID not configured');
+                this.channels[channelType] = channel;
+                this.channelRoutes.set(channel.id, { channelType, guildId: null });
             }
 
-            const staffChannel = await this.client.channels.fetch(bridgeConfig.staff.id);
-            if (!staffChannel) {
-                throw new Error(`Staff channel not found: ${bridgeConfig.staff.id}`);
+            // Cache per-guild channels
+            for (const guildConfig of this.config.getEnabledGuilds()) {
+                for (const channelType of ['chat', 'staff']) {
+                    const guildChannelConfig = this.config.getGuildChannelConfig(guildConfig.id, channelType);
+
+                    if (!guildChannelConfig) {
+                        if (!this.channels[channelType]) {
+                            throw new Error(`No ${channelType} channel configured for guild ${guildConfig.name} and no shared ${channelType} channel available`);
+                        }
+                        continue;
+                    }
+
+                    if (this.channelRoutes.has(guildChannelConfig.id)) {
+                        throw new Error(`Discord channel ${guildChannelConfig.id} is already routed, it can't be used as ${channelType} channel for guild ${guildConfig.name}`);
+                    }
+
+                    const channel = await this.client.channels.fetch(guildChannelConfig.id);
+                    if (!channel) {
+                        throw new Error(`${channelType} channel not found for guild ${guildConfig.name}: ${guildChannelConfig.id}`);
+                    }
+
+                    this.channelRoutes.set(channel.id, { channelType, guildId: guildConfig.id });
+                    logger.debug(`Routing Discord channel #${channel.name} as ${channelType} channel of guild ${guildConfig.name}`);
+                }
             }
-            this.channels.staff = staffChannel;
 
-            logger.discord(`Validated Discord channels - Chat: ${chatChannel.name}, Staff: ${staffChannel.name}`);
+            logger.discord(`Validated Discord channels - Chat: ${this.channels.chat?.name || 'per-guild'}, Staff: ${this.channels.staff?.name || 'per-guild'}, Routes: ${this.channelRoutes.size}`);
 
         } catch (error) {
             logger.logError(error, 'Failed to validate Discord channels');
@@ -142,13 +168,14 @@ class MessageHandler extends EventEmitter {
                 return;
             }
 
-            // Skip empty messages
-            if (!message.content || message.content.trim().length === 0) {
+            // Skip empty messages, a message with only an image or a sticker still has something to relay
+            const hasContent = !!message.content && message.content.trim().length > 0;
+            if (!hasContent && !this.summarizeAttachments(message)) {
                 return;
             }
 
             // Handle commands
-            if (message.content.startsWith(this.commandPrefix)) {
+            if (hasContent && message.content.startsWith(this.commandPrefix)) {
                 await this.handleCommand(message);
                 return;
             }
@@ -174,20 +201,16 @@ class MessageHandler extends EventEmitter {
      */
     async processMessageForBridge(message) {
         try {
-            // Determine channel type
-            let channelType = null;
-            if (message.channel.id === this.channels.chat?.id) {
-                channelType = 'chat';
-            } else if (message.channel.id === this.channels.staff?.id) {
-                channelType = 'staff';
-            }
-
-            if (!channelType) {
+            // Determine channel type and owning guild
+            const route = this.resolveChannelRoute(message.channel.id);
+            if (!route) {
                 return; // Not a bridged channel
             }
 
-            // Clean and process message content
-            const cleanedContent = this.cleanMessageContent(message.content);
+            const { channelType, guildId } = route;
+
+            // Clean and process message content, attachments are relayed as a short summary
+            const cleanedContent = this.buildBridgedContent(message);
             if (!cleanedContent || cleanedContent.trim().length === 0) {
                 return; // Nothing to bridge after cleaning
             }
@@ -197,12 +220,14 @@ class MessageHandler extends EventEmitter {
                 messageRef: message, // Add reference to original message for reactions
                 channel: message.channel,
                 channelType: channelType,
+                guildId: guildId,
                 author: {
                     id: message.author.id,
                     username: message.author.username,
                     displayName: message.author.displayName || message.author.username,
                     tag: message.author.tag,
-                    avatar: message.author.displayAvatarURL()
+                    avatar: message.author.displayAvatarURL(),
+                    roles: this.getMemberRoles(message.member)
                 },
                 content: cleanedContent,
                 timestamp: message.createdAt,
@@ -213,7 +238,8 @@ class MessageHandler extends EventEmitter {
                     messageId: message.reference.messageId,
                     channelId: message.reference.channelId,
                     guildId: message.reference.guildId
-                } : null
+                } : null,
+                replyTo: await this.getReplyTarget(message)
             });
 
             if (!messageData) {
@@ -269,13 +295,15 @@ class MessageHandler extends EventEmitter {
                 messageRef: messageObject.messageRef, // For error handling reactions
                 channel: messageObject.channel,
                 channelType: messageObject.channelType,
+                guildId: messageObject.guildId || null,
                 author: {
                     id: messageObject.author.id,
                     username: messageObject.author.username,
                     displayName: messageObject.author.displayName || messageObject.author.username,
                     tag: messageObject.author.tag,
                     avatar: messageObject.author.avatar,
-                    bot: messageObject.author.bot || false
+                    bot: messageObject.author.bot || false,
+                    roles: messageObject.author.roles || []
                 },
                 content: messageObject.content,
                 cleanedContent: this.cleanMessageContent(messageObject.content),
@@ -287,7 +315,8 @@ class MessageHandler extends EventEmitter {
                 } : null,
                 attachments: messageObject.attachments || null,
                 embeds: messageObject.embeds || null,
-                reference: messageObject.reference || null
+                reference: messageObject.reference || null,
+                replyTo: messageObject.replyTo || null
             };
 
             return processedData;
@@ -298,6 +327,169 @@ class MessageHandler extends EventEmitter {
         }
     }
 
+    /**
+     * Get the roles of a member, highest first
+     * @param {GuildMember|null} member - Discord guild member
+     * @returns {Array<object>} Roles ({id, name}), without @everyone
+     */
+    getMemberRoles(member) {
+        if (!member || !member.roles) {
+            return [];
+        }
+
+        return [...member.roles.cache.values()]
+            .filter(role => role.id !== member.guild.id)
+            .sort((a, b) => b.position - a.position)
+            .map(role => ({ id: role.id, name: role.name }));
+    }
+
+    /**
+     * Get the author and a short quote of the message a message replies to
+     * Messages the bridge posted itself are named after the Minecraft player who wrote them
+     * @param {Message} message - Discord message object
+     * @returns {Promise<object|null>} Replied message ({id, username, displayName, webhook, minecraft, quote}) or null
+     */
+    async getReplyTarget(message) {
+        if (!message.reference || !message.reference.messageId) {
+            return null;
+        }
+
+        try {
+            const referenced = await message.fetchReference();
+            if (!referenced || !referenced.author) {
+                return null;
+            }
+
+            if (this.client && this.client.user && referenced.author.id === this.client.user.id) {
+                return this.getRelayedReplyTarget(referenced);
+            }
+
+            // Webhook messages carry the Minecraft player as author name
+            const member = referenced.member;
+            return {
+                id: referenced.author.id,
+                username: referenced.author.username,
+                displayName: member ? member.displayName : (referenced.author.displayName || referenced.author.username),
+                webhook: !!referenced.webhookId,
+                quote: this.buildReplyQuote(referenced)
+            };
+
+        } catch (error) {
+            logger.debug(`Could not fetch the message replied to by ${message.id}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Get the Minecraft player and message behind a message the bridge posted itself
+     * @param {Message} referenced - Replied Discord message, posted by the bot
+     * @returns {object|null} Replied message, null for bot messages that are not chat lines
+     */
+    getRelayedReplyTarget(referenced) {
+        const relayed = getRelayedMessages().get(referenced.id) || this.parseRelayedLine(referenced);
+        if (!relayed) {
+            return null;
+        }
+
+        return {
+            id: null,
+            username: relayed.username,
+            displayName: relayed.username,
+            webhook: false,
+            minecraft: true,
+            quote: this.cutReplyQuote(relayed.message)
+        };
+    }
+
+    /**
+     * Read the player and message out of a chat line the bridge posted
+     * Used for messages posted before a restart, which RelayedMessages no longer knows
+     * @param {Message} referenced - Replied Discord message, posted by the bot
+     * @returns {object|null} Player and message ({username, message}) or null when it is not a chat line
+     */
+    parseRelayedLine(referenced) {
+        const embed = referenced.embeds && referenced.embeds[0];
+        const text = (referenced.content || (embed && embed.description) || '')
+            // ANSI code blocks and markdown of colored lines
+            .replace(/```(?:ansi)?\n?/g, '')
+            .replace(/\u001b\[[\d;]*m/g, '')
+            .replace(/\*\*|__|~~|\|\|/g, '')
+            .replace(/\\([\\*_~|`])/g, '$1')
+            .trim();
+
+        const match = text.split('\n')[0].match(RELAYED_LINE_REGEX);
+        return match ? { username: match[1], message: match[2].trim() } : null;
+    }
+
+    /**
+     * Build the short quote of a replied message
+     * @param {Message} referenced - Replied Discord message
+     * @returns {string} Quote, cut to bridge.discordMessages.replyQuoteLength (empty when 0)
+     */
+    buildReplyQuote(referenced) {
+        return this.cutReplyQuote(this.buildBridgedContent(referenced));
+    }
+
+    /**
+     * Cut a reply quote to bridge.discordMessages.replyQuoteLength
+     * @param {string} quote - Full quote
+     * @returns {string} Quote, empty when the length is 0
+     */
+    cutReplyQuote(quote) {
+        const maxLength = this.config.get('bridge.discordMessages.replyQuoteLength', 40);
+        if (!maxLength || !quote) {
+            return '';
+        }
+
+        return quote.length > maxLength ? `${quote.substring(0, Math.max(1, maxLength - 3)).trim()}...` : quote;
+    }
+
+    /**
+     * Build the text relayed to Minecraft for a message: cleaned content followed by the attachments summary
+     * @param {Message} message - Discord message object
+     * @returns {string} Relayed text, empty when there is nothing to relay
+     */
+    buildBridgedContent(message) {
+        const content = this.cleanMessageContent(message.content, message.guild);
+        const attachments = this.summarizeAttachments(message);
+
+        return [content, attachments].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Summarize the attachments, stickers and embeds of a message
+     * Link previews are left out, their link is already in the content
+     * @param {Message} message - Discord message object
+     * @returns {string} Summary, e.g. "[image: cat.png]" or "[3 attachments]", empty when there is none
+     */
+    summarizeAttachments(message) {
+        const summary = [];
+
+        const attachments = message.attachments ? [...message.attachments.values()] : [];
+        if (attachments.length === 1) {
+            const attachment = attachments[0];
+            const kind = ATTACHMENT_KINDS.find(type => (attachment.contentType || '').startsWith(`${type}/`)) || 'file';
+            summary.push(attachment.spoiler ? `[${kind}: spoiler]` : `[${kind}: ${attachment.name}]`);
+        } else if (attachments.length > 1) {
+            summary.push(`[${attachments.length} attachments]`);
+        }
+
+        const stickers = message.stickers ? [...message.stickers.values()] : [];
+        for (const sticker of stickers) {
+            summary.push(`[sticker: ${sticker.name}]`);
+        }
+
+        const content = message.content || '';
+        const embeds = (message.embeds || []).filter(embed => !embed.url || !content.includes(embed.url));
+        if (embeds.length === 1) {
+            summary.push(embeds[0].title ? `[embed: ${embeds[0].title}]` : '[embed]');
+        } else if (embeds.length > 1) {
+            summary.push(`[${embeds.length} embeds]`);
+        }
+
+        return summary.join(' ');
+    }
+
     /**
      * Handle Discord commands
      * @param {Message} message - Discord message object
@@ -407,9 +599,10 @@ class MessageHandler extends EventEmitter {
     /**
      * Clean message content for Minecraft compatibility
      * @param {string} content - Raw message content
+     * @param {Guild|null} guild - Discord guild the message was sent in, to resolve member and role mentions
      * @returns {string} Cleaned content
      */
-    cleanMessageContent(content) {
+    cleanMessageContent(content, guild = null) {
         if (!content) return '';
 
         let cleaned = content;
@@ -423,10 +616,10 @@ class MessageHandler extends EventEmitter {
         cleaned = cleaned.replace(/__([^_]+)__/g, '$1'); // Underline
         cleaned = cleaned.replace(/\|\|([^|]+)\|\|/g, '[spoiler]'); // Spoilers
 
-        // Convert mentions to readable format
-        cleaned = cleaned.replace(/<@!?(\d+)>/g, '@user'); // User mentions
-        cleaned = cleaned.replace(/<#(\d+)>/g, '#channel'); // Channel mentions
-        cleaned = cleaned.replace(/<@&(\d+)>/g, '@role'); // Role mentions
+        // Convert mentions to the names Discord shows
+        cleaned = cleaned.replace(/<@!?(\d+)>/g, (match, id) => `@${this.resolveUserName(id, guild) || 'user'}`); // User mentions
+        cleaned = cleaned.replace(/<#(\d+)>/g, (match, id) => `#${this.resolveChannelName(id) || 'channel'}`); // Channel mentions
+        cleaned = cleaned.replace(/<@&(\d+)>/g, (match, id) => `@${this.resolveRoleName(id, guild) || 'role'}`); // Role mentions
 
         // Convert custom emojis to names
         cleaned = cleaned.replace(/<a?:(\w+):\d+>/g, ':$1:');
@@ -434,13 +627,45 @@ class MessageHandler extends EventEmitter {
         // Remove excessive whitespace and trim
         cleaned = cleaned.replace(/\s+/g, ' ').trim();
 
-        // Limit length for Minecraft chat
-        const maxLength = 200;
-        if (cleaned.length > maxLength) {
-            cleaned = cleaned.substring(0, maxLength - 3) + '...';
+        // Long messages are split over several Minecraft lines by the connection
+        return cleaned;
+    }
+
+    /**
+     * Resolve a mentioned user to the name Discord shows, from the client cache
+     * @param {string} userId - User ID
+     * @param {Guild|null} guild - Discord guild, for the server nickname
+     * @returns {string|null} Display name or null when not cached
+     */
+    resolveUserName(userId, guild) {
+        const member = guild && guild.members ? guild.members.cache.get(userId) : null;
+        if (member) {
+            return member.displayName;
         }
 
-        return cleaned;
+        const user = this.client ? this.client.users.cache.get(userId) : null;
+        return user ? (user.displayName || user.username) : null;
+    }
+
+    /**
+     * Resolve a mentioned channel to its name, from the client cache
+     * @param {string} channelId - Channel ID
+     * @returns {string|null} Channel name or null when not cached
+     */
+    resolveChannelName(channelId) {
+        const channel = this.client ? this.client.channels.cache.get(channelId) : null;
+        return channel && channel.name ? channel.name : null;
+    }
+
+    /**
+     * Resolve a mentioned role to its name, from the guild cache
+     * @param {string} roleId - Role ID
+     * @param {Guild|null} guild - Discord guild
+     * @returns {string|null} Role name or null when not cached
+     */
+    resolveRoleName(roleId, guild) {
+        const role = guild && guild.roles ? guild.roles.cache.get(roleId) : null;
+        return role ? role.name : null;
     }
 
     // ==================== UTILITY METHODS ====================
@@ -472,13 +697,22 @@ class MessageHandler extends EventEmitter {
         return this.channels[channelType] || null;
     }
 
+    /**
+     * Resolve which channel type and guild a Discord channel is routed to
+     * @param {string} channelId - Channel ID
+     * @returns {object|null} Route ({channelType, guildId}) or null if not bridged
+     */
+    resolveChannelRoute(channelId) {
+        return this.channelRoutes.get(channelId) || null;
+    }
+
     /**
      * Check if channel is monitored
      * @param {string} channelId - Channel ID
      * @returns {boolean} Whether channel is monitored
      */
     isMonitoredChannel(channelId) {
-        return channelId === this.channels.chat?.id || channelId === this.channels.staff?.id;
+        return this.channelRoutes.has(channelId);
     }
 
     /**
@@ -506,6 +740,7 @@ class MessageHandler extends EventEmitter {
         this.botUsers.clear();
         this.client = null;
         this.channels = { chat: null, staff: null };
+        this.channelRoutes.clear();
 
         // Remove all listeners
         this.removeAllListeners();
@@ -7,6 +7,7 @@ const { EventEmitter } = require('events');
 // Specific Imports
 const logger = require('../../../shared/logger');
 const BridgeLocator = require('../../../bridgeLocator.js');
+const { getUnmatchedReview } = require('../../../shared/UnmatchedReview.js');
 
 class SlashCommandHandler extends EventEmitter {
     constructor() {
@@ -186,6 +187,12 @@ class SlashCommandHandler extends EventEmitter {
                 return;
             }
 
+            // Handle buttons of bridge messages
+            if (interaction.isButton()) {
+                await this.handleButton(interaction);
+                return;
+            }
+
             // Handle slash command interactions
             if (!interaction.isChatInputCommand())
                 return;
@@ -234,6 +241,34 @@ class SlashCommandHandler extends EventEmitter {
         });
     }
 
+    /**
+     * Handle button interactions
+     * @param {ButtonInteraction} interaction - Discord button interaction
+     */
+    async handleButton(interaction) {
+        const unmatchedReview = getUnmatchedReview();
+        if (!unmatchedReview.ownsButton(interaction.customId)) {
+            return;
+        }
+
+        try {
+            // Drafts are for the admins reviewing the log channel
+            if (!this.hasPermission(interaction.member, 'admin')) {
+                await interaction.reply({ content: 'You do not have permission to use this button.', ephemeral: true });
+                return;
+            }
+
+            await unmatchedReview.handleDraftButton(interaction);
+
+        } catch (error) {
+            logger.logError(error, `Error handling button: ${interaction.customId}`);
+
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({ content: 'There was an error while drafting the pattern!', ephemeral: true }).catch(() => {});
+            }
+        }
+    }
+
     /**
      * Handle autocomplete interactions
      * @param {AutocompleteInteraction} interaction - Discord autocomplete interaction
@@ -6,6 +6,9 @@ const BridgeLocator = require("../../../bridgeLocator.js");
 const MessageFormatter = require("../../../shared/MessageFormatter.js");
 const WebhookSender = require("./WebhookSender.js");
 const EmbedBuilder = require("../../utils/EmbedBuilder.js");
+const MinecraftRenderer = require("../../utils/MinecraftRenderer.js");
+const { getAccountLinker } = require("../../../shared/AccountLinker.js");
+const { getRelayedMessages } = require("../../../shared/RelayedMessages.js");
 const logger = require("../../../shared/logger");
 
 class MessageSender {
@@ -17,12 +20,16 @@ class MessageSender {
         this.messageFormatter = null;
         this.webhookSender = null;
         this.embedBuilder = null;
+        this.minecraftRenderer = null;
 
         this.channels = {
             chat: null,
             staff: null
         };
 
+        // Guild ID -> { chat, staff } channels declared in guilds[].channels
+        this.guildChannels = new Map();
+
         // Rate limiting
         this.rateLimiter = new Map(); // channelId -> last message times
         this.rateLimit = this.config.get('bridge.rateLimit.discord') || { limit: 5, window: 10000 };
@@ -57,6 +64,9 @@ class MessageSender {
             // Initialize embed builder
             this.embedBuilder = new EmbedBuilder();
 
+            // Initialize renderer of Minecraft colors
+            this.minecraftRenderer = new MinecraftRenderer();
+
             logger.discord('MessageSender components initialized');
 
         } catch (error) {
@@ -99,36 +109,46 @@ class MessageSender {
             throw new Error('Discord client not available for channel validation');
         }
 
-        const bridgeConfig = this.config.get('bridge.channels');
-
-        if (!bridgeConfig) {
-            throw new Error('Bridge channels configuration not found');
-        }
+        this.guildChannels.clear();
 
         try {
-            // Validate chat channel
-            if (!bridgeConfig.chat || !bridgeConfig.chat.id) {
-                throw new Error('Chat channel ID not configured');
-            }
-
-            const chatChannel = await this.client.channels.fetch(bridgeConfig.chat.id);
-            if (!chatChannel) {
-                throw new Error(`Chat channel not found: ${bridgeConfig.chat.id}`);
-            }
-            this.channels.chat = chatChannel;
-
-            // Validate staff channel
-            if (!bridgeConfig.staff || !bridgeConfig.staff.id) {
-                throw new Error('Staff channel ID not configured');
+            // Cache shared channels (optional when every guild declares its own)
+            for (const channelType of ['chat', 'staff']) {
+                const sharedConfig = this.config.getSharedChannelConfig(channelType);
+                if (!sharedConfig) {
+                    continue;
+                }
+
+                const channel = await this.client.channels.fetch(sharedConfig.id);
+                if (!channel) {
+                    throw new Error(`Shared ${channelType} channel not found: ${sharedConfig.id}`);
+                }
+                this.channels[channelType] = channel;
             }
 
-            const staffChannel = await this.client.channels.fetch(bridgeConfig.staff.id);
-            if (!staffChannel) {
-                throw new Error(`Staff channel not found: ${bridgeConfig.staff.id}`);
+            // Cache per-guild channels
+            for (const guildConfig of this.config.getEnabledGuilds()) {
+                const guildChannels = { chat: null, staff: null };
+
+                for (const channelType of ['chat', 'staff']) {
+                    const guildChannelConfig = this.config.getGuildChannelConfig(guildConfig.id, channelType);
+                    if (!guildChannelConfig) {
+                        continue;
+                    }
+
+                    const channel = await this.client.channels.fetch(guildChannelConfig.id);
+                    if (!channel) {
+                        throw new Error(`${channelType} channel not found for guild ${guildConfig.name}: ${guildChannelConfig.id}`);
+                    }
+                    guildChannels[channelType] = channel;
+                }
+
+                if (guildChannels.chat || guildChannels.staff) {
+                    this.guildChannels.set(guildConfig.id, guildChannels);
+                }
             }
-            this.channels.staff = staffChannel;
 
-            logger.discord(`Validated Discord channels - Chat: ${chatChannel.name}, Staff: ${staffChannel.name}`);
+            logger.discord(`Validated Discord channels - Chat: ${this.channels.chat?.name || 'per-guild'}, Staff: ${this.channels.staff?.name || 'per-guild'}, Guilds with own channels: ${this.guildChannels.size}`);
 
         } catch (error) {
             logger.logError(error, 'Failed to validate Discord channels');
@@ -152,7 +172,7 @@ class MessageSender {
         try {
             // Determine target channel based on chat type
             const channelType = messageData.chatType === 'officer' ? 'staff' : 'chat';
-            const channel = this.channels[channelType];
+            const channel = this.getChannel(channelType, guildConfig.id);
 
             if (!channel) {
                 throw new Error(`Discord ${channelType} channel not available`);
@@ -174,10 +194,16 @@ class MessageSender {
             let result;
 
             // Use webhook if available and preferred
-            if (this.webhookSender && this.webhookSender.hasWebhook(channelType) && 
-                this.config.get('bridge.webhook.useForGuildMessages') !== false) {
-                
-                result = await this.sendViaWebhook(messageData, guildConfig, channelType);
+            const useWebhook = this.webhookSender && this.webhookSender.hasWebhook(channelType, guildConfig.id) &&
+                this.config.get('bridge.webhook.useForGuildMessages') !== false;
+
+            // Webhooks already show the sender, so only the message part is rendered for them
+            const rendered = this.renderGuildMessage(messageData, useWebhook, guildConfig);
+
+            if (useWebhook) {
+                result = await this.sendViaWebhook(messageData, guildConfig, channelType, rendered);
+            } else if (rendered) {
+                result = await this.sendViaChannel(rendered.content, channel, rendered.embeds);
             } else {
                 // Send via regular channel
                 result = await this.sendViaChannel(formattedMessage, channel);
@@ -186,6 +212,16 @@ class MessageSender {
             // Update rate limiting
             this.updateRateLimit(channel.id);
 
+            // Replies to this message name the player, whatever the line shows
+            if (result && result.id) {
+                getRelayedMessages().remember(result.id, {
+                    username: messageData.username,
+                    message: messageData.message,
+                    guildId: guildConfig.id,
+                    chatType: messageData.chatType || 'guild'
+                });
+            }
+
             logger.discord(`[DISCORD] Sent guild message to ${channelType} channel: "${formattedMessage}"`);
 
             return result;
@@ -208,7 +244,7 @@ class MessageSender {
         }
 
         try {
-            const channel = this.channels.chat; // Events go to chat channel
+            const channel = this.getChannel('chat', guildConfig.id); // Events go to chat channel
 
             if (!channel) {
                 throw new Error('Discord chat channel not available');
@@ -220,6 +256,18 @@ class MessageSender {
                 return null;
             }
 
+            // Events listed in features.messageSystem.eventEmbeds are sent as an embed only
+            const eventEmbed = this.createEventEmbed(eventData, guildConfig);
+            if (eventEmbed) {
+                const result = await this.sendViaChannel('', channel, [eventEmbed]);
+
+                this.updateRateLimit(channel.id);
+
+                logger.discord(`[DISCORD] Sent ${eventData.type} event embed to chat channel`);
+
+                return result;
+            }
+
             // Get formatted message
             const formattedMessage = this.messageFormatter.formatGuildEvent(eventData, guildConfig, guildConfig, 'messagesToDiscord');
 
@@ -228,8 +276,19 @@ class MessageSender {
                 return null;
             }
 
+            const rendered = this.renderEvent(eventData, guildConfig);
+            const embeds = rendered ? rendered.embeds : [];
+
+            // Attach the linked Discord user of the player, if any
+            const link = this.config.get('features.linking.showInEvents') !== false
+                ? getAccountLinker().getLinkByMinecraft(eventData.username)
+                : null;
+            if (link && this.embedBuilder) {
+                embeds.push(this.embedBuilder.createLinkedAccountEmbed(eventData, link));
+            }
+
             // Send the message
-            const result = await this.sendViaChannel(formattedMessage, channel);
+            const result = await this.sendViaChannel(rendered ? rendered.content : formattedMessage, channel, embeds);
 
             // Update rate limiting
             this.updateRateLimit(channel.id);
@@ -249,15 +308,16 @@ class MessageSender {
      * @param {string} type - System message type
      * @param {object} data - Message data
      * @param {string} channelType - Target channel type ('chat' or 'staff')
+     * @param {string|null} guildId - Guild ID used to pick the guild's own channel (null for shared channel)
      * @returns {Promise} Send promise
      */
-    async sendSystemMessage(type, data, channelType = 'chat') {
+    async sendSystemMessage(type, data, channelType = 'chat', guildId = null) {
         if (!this.client) {
             throw new Error('Discord client not initialized');
         }
 
         try {
-            const channel = this.channels[channelType];
+            const channel = this.getChannel(channelType, guildId);
 
             if (!channel) {
                 throw new Error(`Discord ${channelType} channel not available`);
@@ -303,7 +363,7 @@ class MessageSender {
         }
 
         try {
-            const channel = this.channels.chat; // Connection status goes to chat channel
+            const channel = this.getChannel('chat', guildConfig.id); // Connection status goes to chat channel
 
             if (!channel) {
                 throw new Error('Discord chat channel not available');
@@ -327,6 +387,21 @@ class MessageSender {
                 case 'reconnecting':
                     message = `🔄 **${guildConfig.name}** bot reconnecting to Hypixel...`;
                     break;
+
+                case 'reconnected':
+                    message = `🔄 **${guildConfig.name}** bot reconnected to Hypixel`;
+                    embed = this.embedBuilder.createConnectionEmbed(guildConfig, status, details);
+                    break;
+
+                case 'circuit_open':
+                    message = `⚡ **${guildConfig.name}** bot keeps failing to reconnect (${details.cause || 'unknown cause'}), pausing reconnection`;
+                    embed = this.embedBuilder.createConnectionEmbed(guildConfig, status, details);
+                    break;
+
+                case 'gave_up':
+                    message = `⛔ **${guildConfig.name}** bot stopped reconnecting (${details.cause || 'unknown cause'})`;
+                    embed = this.embedBuilder.createConnectionEmbed(guildConfig, status, details);
+                    break;
                     
                 case 'error':
                     const errorMsg = details.error ? ` - ${details.error}` : '';
@@ -358,47 +433,155 @@ class MessageSender {
      * @param {object} messageData - Message data
      * @param {object} guildConfig - Guild configuration
      * @param {string} channelType - Channel type
+     * @param {object|null} rendered - Message rendered with Minecraft colors ({content, embeds})
      * @returns {Promise} Send promise
      */
-    async sendViaWebhook(messageData, guildConfig, channelType) {
+    async sendViaWebhook(messageData, guildConfig, channelType, rendered = null) {
         if (!this.webhookSender) {
             throw new Error('Webhook sender not available');
         }
 
-        const webhook = this.webhookSender.getWebhook(channelType);
+        const webhook = this.webhookSender.getWebhook(channelType, guildConfig.id);
         if (!webhook) {
             throw new Error(`Webhook not available for ${channelType} channel`);
         }
 
         // Format message content
-        const content = this.messageFormatter.formatGuildMessage(messageData, guildConfig, guildConfig, 'messagesToDiscord');
+        const content = rendered
+            ? rendered.content
+            : this.messageFormatter.formatGuildMessage(messageData, guildConfig, guildConfig, 'messagesToDiscord');
 
         // Send via webhook
         return await this.webhookSender.sendMessage(
             content,
             messageData,
             guildConfig,
-            channelType
+            channelType,
+            rendered ? rendered.embeds : []
         );
     }
 
     /**
      * Send message via channel
-     * @param {string} content - Message content
+     * @param {string} content - Message content (may be empty when embeds are sent)
      * @param {Channel} channel - Discord channel
-     * @param {object} embed - Optional embed
+     * @param {object|Array<object>} embed - Optional embed or embeds
      * @returns {Promise} Send promise
      */
     async sendViaChannel(content, channel, embed = null) {
-        const options = { content };
+        const options = {};
+        const embeds = Array.isArray(embed) ? embed : (embed ? [embed] : []);
 
-        if (embed) {
-            options.embeds = [embed];
+        if (content) {
+            options.content = content;
+        }
+
+        if (embeds.length > 0) {
+            options.embeds = embeds;
         }
 
         return await channel.send(options);
     }
 
+    // ==================== EVENT EMBEDS ====================
+
+    /**
+     * Create the embed of an event when its type is listed in features.messageSystem.eventEmbeds
+     * The layout is events.<type>.embed of templates.json, the built-in one without it
+     * @param {object} eventData - Parsed event data
+     * @param {object} guildConfig - Guild configuration
+     * @returns {EmbedBuilder|null} Discord embed or null to send the text template
+     */
+    createEventEmbed(eventData, guildConfig) {
+        const eventTypes = this.config.get('features.messageSystem.eventEmbeds', []) || [];
+
+        if (!this.embedBuilder || !eventTypes.includes(eventData.type)) {
+            return null;
+        }
+
+        const variables = this.messageFormatter.buildEventVariables(eventData, guildConfig, guildConfig);
+        return this.embedBuilder.createGuildEventEmbed(eventData, guildConfig, variables);
+    }
+
+    // ==================== COLOR RENDERING ====================
+
+    /**
+     * Render a guild message with its Minecraft colors, following features.colorRendering.chat
+     * @param {object} messageData - Parsed guild message data (with segments)
+     * @param {boolean} forWebhook - Whether the message goes through a webhook
+     * @param {object} guildConfig - Guild configuration
+     * @returns {object|null} Rendered message ({content, embeds}) or null to send the template
+     */
+    renderGuildMessage(messageData, forWebhook, guildConfig) {
+        const chatType = messageData.chatType || 'guild';
+        const mode = this.minecraftRenderer.getChatMode(chatType);
+
+        if (mode === 'plain' || !messageData.segments) {
+            return null;
+        }
+
+        const segments = forWebhook
+            ? this.minecraftRenderer.getMessageSegments(messageData.segments, messageData.message)
+            : this.minecraftRenderer.getSenderSegments(messageData.segments, messageData.username);
+
+        if (!segments) {
+            logger.debug(`[DISCORD] Could not locate ${chatType} message in its colored line, sending as plain`);
+            return null;
+        }
+
+        const lineColor = this.minecraftRenderer.getSenderColor(messageData.segments, messageData.username);
+        const color = lineColor !== null ? lineColor : this.embedBuilder.getRankColor(messageData.networkRank);
+        // The webhook username already names the guild (bridge.interGuild.showSourceTag)
+        return this.renderSegments(segments, mode, color, chatType === 'officer' ? 'officer' : 'guild', forWebhook ? null : guildConfig);
+    }
+
+    /**
+     * Render an event line with its Minecraft colors, following features.colorRendering.events
+     * @param {object} eventData - Parsed event data (with segments)
+     * @param {object} guildConfig - Guild configuration
+     * @returns {object|null} Rendered event ({content, embeds}) or null to send the template
+     */
+    renderEvent(eventData, guildConfig) {
+        const mode = this.minecraftRenderer.getEventMode(eventData.type);
+
+        if (mode === 'plain' || !eventData.segments) {
+            return null;
+        }
+
+        const color = this.minecraftRenderer.getColor(eventData.segments);
+        return this.renderSegments(eventData.segments, mode, color, 'event', guildConfig);
+    }
+
+    /**
+     * Render segments as an ANSI code block or as an embed
+     * The guild is named like the templates do, a [TAG] prefix in the block or the embed footer
+     * @param {Array<object>} segments - Segments to render
+     * @param {string} mode - Rendering mode (ansi, embed)
+     * @param {number|null} color - Embed color
+     * @param {string} colorType - Embed color used without line color
+     * @param {object|null} guildConfig - Guild the line comes from, null when it is already named
+     * @returns {object|null} Rendered message ({content, embeds}) or null when it does not fit
+     */
+    renderSegments(segments, mode, color, colorType, guildConfig = null) {
+        if (mode === 'ansi') {
+            const tagged = guildConfig && guildConfig.tag
+                ? [{ text: `[${guildConfig.tag}] `, color: 'gray' }, ...segments]
+                : segments;
+            const block = this.minecraftRenderer.toAnsi(tagged);
+            return block ? { content: block, embeds: [] } : null;
+        }
+
+        const description = this.minecraftRenderer.toMarkdown(segments);
+        if (!description) {
+            return null;
+        }
+
+        return {
+            content: '',
+            embeds: [this.embedBuilder.createMinecraftLineEmbed(description, color, colorType, guildConfig)]
+        };
+    }
+
     // ==================== UTILITY METHODS ====================
 
     /**
@@ -442,11 +625,19 @@ class MessageSender {
     }
 
     /**
-     * Get channel by type
+     * Get channel by type, preferring the guild's own channel over the shared one
      * @param {string} channelType - Channel type (chat/staff)
+     * @param {string|null} guildId - Guild ID (null for shared channel)
      * @returns {Channel|null} Discord channel
      */
-    getChannel(channelType) {
+    getChannel(channelType, guildId = null) {
+        if (guildId) {
+            const guildChannels = this.guildChannels.get(guildId);
+            if (guildChannels && guildChannels[channelType]) {
+                return guildChannels[channelType];
+            }
+        }
+
         return this.channels[channelType] || null;
     }
 
@@ -488,6 +679,7 @@ class MessageSender {
 
         this.client = null;
         this.channels = { chat: null, staff: null };
+        this.guildChannels.clear();
 
         logger.debug('Discord MessageSender cleaned up');
     }
@@ -16,6 +16,9 @@ class WebhookSender {
             staff: null
         };
 
+        // Guild ID -> { chat, staff } webhooks for guilds declaring their own channels
+        this.guildWebhooks = new Map();
+
         this.webhookConfig = this.config.get('bridge.webhook') || {};
         this.avatarAPI = this.webhookConfig.avatarAPI || 'https://minotar.net/helm/{username}/64.png';
 
@@ -39,68 +42,103 @@ class WebhookSender {
     }
 
     async setupWebhooks() {
-        const bridgeConfig = this.config.get('bridge.channels');
+        // Setup shared channel webhooks
+        for (const channelType of ['chat', 'staff']) {
+            const sharedConfig = this.config.getSharedChannelConfig(channelType);
+            if (!sharedConfig) {
+                continue;
+            }
 
-        // Setup chat channel webhook
-        if (bridgeConfig.chat.webhookUrl) {
-            try {
-                this.webhooks.chat = new WebhookClient({ url: bridgeConfig.chat.webhookUrl });
-                logger.debug('Chat channel webhook initialized');
-            } catch (error) {
-                logger.logError(error, 'Failed to initialize chat webhook');
+            this.webhooks[channelType] = await this.setupWebhook(channelType, sharedConfig);
+        }
+
+        // Setup per-guild channel webhooks
+        for (const guildConfig of this.config.getEnabledGuilds()) {
+            const guildWebhooks = { chat: null, staff: null };
+            let hasOwnChannel = false;
+
+            for (const channelType of ['chat', 'staff']) {
+                const guildChannelConfig = this.config.getGuildChannelConfig(guildConfig.id, channelType);
+                if (!guildChannelConfig) {
+                    continue;
+                }
+
+                hasOwnChannel = true;
+                guildWebhooks[channelType] = await this.setupWebhook(channelType, guildChannelConfig, guildConfig);
+            }
+
+            if (hasOwnChannel) {
+                this.guildWebhooks.set(guildConfig.id, guildWebhooks);
             }
-        } else {
-            // Try to create webhook for chat channel
-            await this.createWebhookForChannel('chat');
         }
 
-        // Setup staff channel webhook
-        if (bridgeConfig.staff.webhookUrl) {
+        logger.discord(`WebhookSender setup complete - Chat: ${!!this.webhooks.chat}, Staff: ${!!this.webhooks.staff}, Guilds with own webhooks: ${this.guildWebhooks.size}`);
+    }
+
+    /**
+     * Setup webhook for a channel, from its configured URL or by creating one
+     * @param {string} channelType - Channel type (chat/staff)
+     * @param {object} channelConfig - Channel configuration ({id, webhookUrl})
+     * @param {object|null} guildConfig - Guild configuration (null for shared channel)
+     * @returns {Promise<WebhookClient|Webhook|null>} Webhook or null
+     */
+    async setupWebhook(channelType, channelConfig, guildConfig = null) {
+        const label = guildConfig ? `${guildConfig.name} ${channelType}` : channelType;
+
+        if (channelConfig.webhookUrl) {
             try {
-                this.webhooks.staff = new WebhookClient({ url: bridgeConfig.staff.webhookUrl });
-                logger.debug('Staff channel webhook initialized');
+                const webhook = new WebhookClient({ url: channelConfig.webhookUrl });
+                logger.debug(`${label} channel webhook initialized`);
+                return webhook;
             } catch (error) {
-                logger.logError(error, 'Failed to initialize staff webhook');
+                logger.logError(error, `Failed to initialize ${label} webhook`);
+                return null;
             }
-        } else {
-            // Try to create webhook for staff channel
-            await this.createWebhookForChannel('staff');
         }
 
-        logger.discord(`WebhookSender setup complete - Chat: ${!!this.webhooks.chat}, Staff: ${!!this.webhooks.staff}`);
+        // Try to create webhook for the channel
+        return await this.createWebhookForChannel(channelType, channelConfig.id, guildConfig);
     }
 
-    async createWebhookForChannel(channelType) {
-        try {
-            const bridgeConfig = this.config.get('bridge.channels');
-            const channelId = bridgeConfig[channelType].id;
+    /**
+     * Create a webhook in a Discord channel
+     * @param {string} channelType - Channel type (chat/staff)
+     * @param {string} channelId - Discord channel ID
+     * @param {object|null} guildConfig - Guild configuration (null for shared channel)
+     * @returns {Promise<Webhook|null>} Created webhook or null
+     */
+    async createWebhookForChannel(channelType, channelId, guildConfig = null) {
+        const label = guildConfig ? `${guildConfig.name} ${channelType}` : channelType;
 
+        try {
             const channel = await this.client.channels.fetch(channelId);
             if (!channel || !channel.isTextBased()) {
-                throw new Error(`Invalid channel for webhook creation: ${channelType}`);
+                throw new Error(`Invalid channel for webhook creation: ${label}`);
             }
 
             // Check if we have permission to create webhooks
             const botMember = await channel.guild.members.fetch(this.client.user.id);
             if (!botMember.permissions.has('ManageWebhooks')) {
-                logger.warn(`Missing ManageWebhooks permission for ${channelType} channel`);
-                return;
+                logger.warn(`Missing ManageWebhooks permission for ${label} channel`);
+                return null;
             }
 
             // Create webhook
+            const suffix = channelType.charAt(0).toUpperCase() + channelType.slice(1);
             const webhook = await channel.createWebhook({
-                name: `Minecraft Bridge - ${channelType.charAt(0).toUpperCase() + channelType.slice(1)}`,
+                name: guildConfig ? `Minecraft Bridge - ${guildConfig.tag || guildConfig.name} ${suffix}` : `Minecraft Bridge - ${suffix}`,
                 avatar: 'https://minotar.net/helm/steve/64.png', // Default Minecraft avatar
                 reason: 'Created by Minecraft Bridge Chat bot for message relaying'
             });
 
-            this.webhooks[channelType] = webhook;
-            
-            logger.discord(`Created webhook for ${channelType} channel: ${webhook.id}`);
+            logger.discord(`Created webhook for ${label} channel: ${webhook.id}`);
             logger.info(`💡 Add this webhook URL to your config: ${webhook.url}`);
 
+            return webhook;
+
         } catch (error) {
-            logger.logError(error, `Failed to create webhook for ${channelType} channel`);
+            logger.logError(error, `Failed to create webhook for ${label} channel`);
+            return null;
         }
     }
 
@@ -110,17 +148,18 @@ class WebhookSender {
      * @param {object} messageData - Original message data
      * @param {object} guildConfig - Guild configuration
      * @param {string} channelType - Channel type (chat/staff)
+     * @param {Array<EmbedBuilder>} embeds - Embeds to send with the message
      * @returns {Promise} Send promise
      */
-    async sendMessage(message, messageData, guildConfig, channelType) {
+    async sendMessage(message, messageData, guildConfig, channelType, embeds = []) {
         try {
-            const webhook = this.webhooks[channelType];
+            const webhook = this.getWebhook(channelType, guildConfig ? guildConfig.id : null);
             if (!webhook) {
                 throw new Error(`No webhook available for ${channelType} channel`);
             }
 
             // Build webhook payload
-            const payload = await this.buildWebhookPayload(message, messageData, guildConfig);
+            const payload = await this.buildWebhookPayload(message, messageData, guildConfig, embeds);
 
             // Send via webhook
             const result = await webhook.send(payload);
@@ -140,21 +179,30 @@ class WebhookSender {
      * @param {string} message - Message content
      * @param {object} messageData - Original message data
      * @param {object} guildConfig - Guild configuration
+     * @param {Array<EmbedBuilder>} embeds - Embeds to send with the message
      * @returns {object} Webhook payload
      */
-    async buildWebhookPayload(message, messageData, guildConfig) {
+    async buildWebhookPayload(message, messageData, guildConfig, embeds = []) {
         const username = messageData.username || 'Unknown';
         const avatarUrl = await this.getUserAvatar(username);
 
         const payload = {
-            content: message,
-            username: this.formatWebhookUsername(username, guildConfig),
+            username: this.formatWebhookUsername(username, guildConfig, messageData),
             avatarURL: avatarUrl,
             allowedMentions: {
                 parse: [] // Disable all mentions for security
             }
         };
 
+        // Rendered messages may come as an embed only
+        if (message) {
+            payload.content = message;
+        }
+
+        if (embeds.length > 0) {
+            payload.embeds = embeds;
+        }
+
         // Add thread support if message is in a thread
         // This would be expanded based on Discord.js version and thread requirements
 
@@ -163,11 +211,35 @@ class WebhookSender {
 
     /**
      * Format username for webhook display
+     * Follows bridge.webhook.usernameFormat when set, e.g. "[{networkRank}] {username} • {guildRank}"
      * @param {string} username - Original username
      * @param {object} guildConfig - Guild configuration
+     * @param {object} messageData - Original message data (networkRank, guildRank)
      * @returns {string} Formatted username
      */
-    formatWebhookUsername(username, guildConfig) {
+    formatWebhookUsername(username, guildConfig, messageData = {}) {
+        const usernameFormat = this.config.get('bridge.webhook.usernameFormat', '');
+        if (usernameFormat) {
+            const values = {
+                username: username,
+                networkRank: messageData.networkRank || '',
+                guildRank: messageData.guildRank || '',
+                guildTag: guildConfig ? guildConfig.tag || '' : '',
+                guildName: guildConfig ? guildConfig.name : ''
+            };
+
+            const formatted = usernameFormat
+                .replace(/\{(\w+)\}/g, (placeholder, key) => key in values ? values[key] : placeholder)
+                // Drop what missing ranks leave behind: "[] Name • " -> "Name"
+                .replace(/[[(]\s*[\])]/g, '')
+                .replace(/[•|·]\s*(?=[•|·])/g, '')
+                .replace(/\s{2,}/g, ' ')
+                .replace(/^[\s•|·:-]+|[\s•|·:-]+$/g, '');
+
+            // Discord webhook usernames are limited to 80 characters
+            return (formatted || username).substring(0, 80);
+        }
+
         const interGuildConfig = this.config.get('bridge.interGuild');
         
         // Add guild tag if enabled
@@ -262,17 +334,21 @@ class WebhookSender {
         this.avatarCache.clear();
 
         // Destroy webhook clients
-        for (const [channelType, webhook] of Object.entries(this.webhooks)) {
-            if (webhook && typeof webhook.destroy === 'function') {
-                try {
-                    webhook.destroy();
-                } catch (error) {
-                    logger.debug(`Error destroying ${channelType} webhook: ${error.message}`);
+        const webhookSets = [this.webhooks, ...this.guildWebhooks.values()];
+        for (const webhookSet of webhookSets) {
+            for (const [channelType, webhook] of Object.entries(webhookSet)) {
+                if (webhook && typeof webhook.destroy === 'function') {
+                    try {
+                        webhook.destroy();
+                    } catch (error) {
+                        logger.debug(`Error destroying ${channelType} webhook: ${error.message}`);
+                    }
                 }
             }
         }
 
         this.webhooks = { chat: null, staff: null };
+        this.guildWebhooks.clear();
 
         logger.debug('WebhookSender cleaned up');
     }
@@ -280,18 +356,27 @@ class WebhookSender {
     /**
      * Check if webhook is available for channel type
      * @param {string} channelType - Channel type
+     * @param {string|null} guildId - Guild ID (null for shared channel)
      * @returns {boolean} Whether webhook is available
      */
-    hasWebhook(channelType) {
-        return !!this.webhooks[channelType];
+    hasWebhook(channelType, guildId = null) {
+        return !!this.getWebhook(channelType, guildId);
     }
 
     /**
      * Get webhook client for channel type
+     * A guild declaring its own channel never falls back to the shared webhook,
+     * as that webhook posts to a different channel
      * @param {string} channelType - Channel type
+     * @param {string|null} guildId - Guild ID (null for shared channel)
      * @returns {WebhookClient|null} Webhook client or null
      */
-    getWebhook(channelType) {
+    getWebhook(channelType, guildId = null) {
+        if (guildId && this.config.getGuildChannelConfig(guildId, channelType)) {
+            const guildWebhooks = this.guildWebhooks.get(guildId);
+            return guildWebhooks ? guildWebhooks[channelType] || null : null;
+        }
+
         return this.webhooks[channelType] || null;
     }
 }
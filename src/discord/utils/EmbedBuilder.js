@@ -4,13 +4,26 @@ const { EmbedBuilder: DiscordEmbedBuilder } = require('discord.js');
 // Specific Imports
 const BridgeLocator = require("../../bridgeLocator.js");
 const { getTemplateLoader } = require("../../config/TemplateLoader.js");
+const { getTemplateEngine } = require("../../shared/TemplateEngine.js");
+const { getAccountLinker } = require("../../shared/AccountLinker.js");
 const logger = require("../../shared/logger");
 
+// Discord embed limits
+const EMBED_LIMITS = {
+    title: 256,
+    description: 4096,
+    fields: 25,
+    fieldName: 256,
+    fieldValue: 1024,
+    footer: 2048
+};
+
 class EmbedBuilder {
     constructor() {
         const mainBridge = BridgeLocator.getInstance();
         this.config = mainBridge.config;
         this.templateLoader = getTemplateLoader();
+        this.templateEngine = getTemplateEngine();
 
         // Default colors from templates
         this.colors = this.templateLoader.getDefaults('colors') || {
@@ -54,23 +67,26 @@ class EmbedBuilder {
         
         const chatType = messageData.chatType || 'guild';
         const emoji = chatType === 'officer' ? this.emojis.officer : this.emojis.guild;
-        const color = chatType === 'officer' ? this.colors.officer : this.colors.guild;
+        const rankColor = this.getRankColor(messageData.networkRank);
+        const color = rankColor !== null ? rankColor : (chatType === 'officer' ? this.colors.officer : this.colors.guild);
+        const sender = messageData.networkRank ? `[${messageData.networkRank}] ${messageData.username}` : messageData.username;
 
         embed
             .setColor(color)
             .setTitle(`${emoji} ${chatType.charAt(0).toUpperCase() + chatType.slice(1)} Chat - ${guildConfig.name}`)
-            .setDescription(`**${messageData.username}**: ${messageData.message}`)
+            .setDescription(`**${sender}**: ${messageData.message}`)
             .setFooter({
                 text: `From ${guildConfig.name} [${guildConfig.tag}]`,
                 iconURL: this.getGuildIcon(guildConfig)
             })
             .setTimestamp();
 
-        // Add rank if available
-        if (messageData.rank) {
+        // Add guild rank if available
+        const guildRank = messageData.guildRank || messageData.rank;
+        if (guildRank) {
             embed.addFields({
                 name: 'Rank',
-                value: messageData.rank,
+                value: guildRank,
                 inline: true
             });
         }
@@ -78,13 +94,61 @@ class EmbedBuilder {
         return embed;
     }
 
+    /**
+     * Get the color of a Hypixel network rank, from templates.json defaults.colors.ranks
+     * @param {string|null} networkRank - Network rank (VIP, MVP+...)
+     * @returns {number|null} Color or null for no rank or an unknown one
+     */
+    getRankColor(networkRank) {
+        if (!networkRank) {
+            return null;
+        }
+
+        const rankColors = this.colors.ranks || {};
+        const rank = Object.keys(rankColors).find(name => name.toLowerCase() === networkRank.toLowerCase());
+
+        return rank ? rankColors[rank] : null;
+    }
+
     /**
      * Create guild event embed
+     * The layout comes from templates.json (events.<type>.embed) when the event type has one
+     * @param {object} eventData - Event data
+     * @param {object} guildConfig - Guild configuration
+     * @param {object|null} variables - Event variables (MessageFormatter.buildEventVariables), needed for the template layout
+     * @returns {EmbedBuilder} Discord embed
+     */
+    createGuildEventEmbed(eventData, guildConfig, variables = null) {
+        const template = variables
+            ? this.templateLoader.getEventEmbedTemplate(guildConfig.server.serverName, eventData.type, guildConfig.id)
+            : null;
+
+        const embed = template
+            ? this.createTemplateEmbed(template, variables, guildConfig, 'event')
+            : this.createDefaultEventEmbed(eventData, guildConfig);
+
+        // Show who the player is on Discord when linked
+        const link = this.config.get('features.linking.showInEvents') !== false
+            ? getAccountLinker().getLinkByMinecraft(eventData.username)
+            : null;
+        if (link) {
+            embed.addFields({
+                name: 'Discord',
+                value: `<@${link.discordUserId}>`,
+                inline: true
+            });
+        }
+
+        return embed;
+    }
+
+    /**
+     * Create the built-in event embed, for event types without a template layout
      * @param {object} eventData - Event data
      * @param {object} guildConfig - Guild configuration
      * @returns {EmbedBuilder} Discord embed
      */
-    createGuildEventEmbed(eventData, guildConfig) {
+    createDefaultEventEmbed(eventData, guildConfig) {
         const embed = new DiscordEmbedBuilder();
         
         const eventType = eventData.type;
@@ -106,6 +170,40 @@ class EmbedBuilder {
         return embed;
     }
 
+    /**
+     * Create a compact embed showing the Discord user linked to an event player
+     * @param {object} eventData - Event data
+     * @param {object} link - Account link ({discordUserId, minecraftUsername})
+     * @returns {EmbedBuilder} Discord embed
+     */
+    createLinkedAccountEmbed(eventData, link) {
+        const emoji = this.emojis[eventData.type] || this.emojis.system;
+
+        return new DiscordEmbedBuilder()
+            .setColor(this.colors.event)
+            .setDescription(`${emoji} **${link.minecraftUsername}** is <@${link.discordUserId}> on Discord`);
+    }
+
+    /**
+     * Create an embed holding a Minecraft line rendered with its colors and formatting
+     * @param {string} description - Markdown from MinecraftRenderer
+     * @param {number|null} color - Color of the line, the chat type color otherwise
+     * @param {string} colorType - Color used without line color (guild, officer, event)
+     * @param {object|null} guildConfig - Guild named in the footer, like the embed templates
+     * @returns {EmbedBuilder} Discord embed
+     */
+    createMinecraftLineEmbed(description, color, colorType, guildConfig = null) {
+        const embed = new DiscordEmbedBuilder()
+            .setColor(color !== null ? color : this.colors[colorType] || this.colors.system)
+            .setDescription(description);
+
+        if (guildConfig) {
+            embed.setFooter({ text: guildConfig.tag ? `${guildConfig.name} [${guildConfig.tag}]` : guildConfig.name });
+        }
+
+        return embed;
+    }
+
     /**
      * Add event-specific fields to embed
      * @param {EmbedBuilder} embed - Discord embed builder
@@ -127,6 +225,14 @@ class EmbedBuilder {
                 }
                 break;
 
+            case 'server_join':
+                embed.setDescription(`**${eventData.username}** joined the server 👋`);
+                break;
+
+            case 'server_leave':
+                embed.setDescription(`**${eventData.username}** left the server 👋`);
+                break;
+
             case 'leave':
                 embed.setDescription(`**${eventData.username}** left the guild 👋`);
                 if (eventData.reason) {
@@ -259,12 +365,18 @@ class EmbedBuilder {
 
     /**
      * Create connection status embed
+     * The layout comes from templates.json (system.connectionEmbed.<status>) when the status has one
      * @param {object} guildConfig - Guild configuration
      * @param {string} status - Connection status
      * @param {object} details - Additional details
      * @returns {EmbedBuilder} Discord embed
      */
     createConnectionEmbed(guildConfig, status, details = {}) {
+        const template = this.templateLoader.getConnectionEmbedTemplate(guildConfig.server.serverName, status, guildConfig.id);
+        if (template) {
+            return this.createTemplateEmbed(template, this.buildConnectionVariables(guildConfig, status, details), guildConfig, 'system');
+        }
+
         const embed = new DiscordEmbedBuilder();
 
         let color, emoji, title, description;
@@ -291,6 +403,20 @@ class EmbedBuilder {
                 description = `**${guildConfig.name}** bot reconnected to Hypixel`;
                 break;
 
+            case 'circuit_open':
+                color = this.colors.error;
+                emoji = this.emojis.warning;
+                title = `⚡ Reconnection Paused`;
+                description = `**${guildConfig.name}** bot failed to reconnect ${details.failures || 'several'} times in a row, retrying later`;
+                break;
+
+            case 'gave_up':
+                color = this.colors.error;
+                emoji = this.emojis.error;
+                title = `⛔ Reconnection Stopped`;
+                description = `**${guildConfig.name}** bot will not reconnect, restart the bridge once the cause is fixed`;
+                break;
+
             default:
                 color = this.colors.system;
                 emoji = this.emojis.system;
@@ -329,7 +455,23 @@ class EmbedBuilder {
         if (details.reason) {
             embed.addFields({
                 name: 'Reason',
-                value: details.reason,
+                value: String(details.reason).substring(0, 1024),
+                inline: true
+            });
+        }
+
+        if (details.cause) {
+            embed.addFields({
+                name: 'Cause',
+                value: details.cause,
+                inline: true
+            });
+        }
+
+        if (details.nextAttemptAt) {
+            embed.addFields({
+                name: 'Next Attempt',
+                value: `<t:${Math.floor(details.nextAttemptAt / 1000)}:R>`,
                 inline: true
             });
         }
@@ -350,6 +492,142 @@ class EmbedBuilder {
         return embed;
     }
 
+    /**
+     * Create an embed from a templates.json layout
+     * Layout: {title, description, color, thumbnail, footer, fields: [{name, value, inline}], timestamp}
+     * Every text goes through the template engine, fields rendering to nothing are left out
+     * @param {object} template - Embed template
+     * @param {object} variables - Placeholder variables
+     * @param {object} guildConfig - Guild configuration
+     * @param {string} defaultColor - Color name used when the layout has none
+     * @returns {EmbedBuilder} Discord embed
+     */
+    createTemplateEmbed(template, variables, guildConfig, defaultColor = 'system') {
+        const embed = new DiscordEmbedBuilder();
+        const render = (text, limit) => this.renderEmbedText(text, variables, limit);
+
+        embed.setColor(this.resolveColor(template.color, variables, defaultColor));
+
+        const title = render(template.title, EMBED_LIMITS.title);
+        if (title) {
+            embed.setTitle(title);
+        }
+
+        const description = render(template.description, EMBED_LIMITS.description);
+        if (description) {
+            embed.setDescription(description);
+        }
+
+        const thumbnail = render(template.thumbnail);
+        if (thumbnail && /^https?:\/\//.test(thumbnail)) {
+            embed.setThumbnail(thumbnail);
+        }
+
+        const footer = render(template.footer, EMBED_LIMITS.footer);
+        if (footer) {
+            embed.setFooter({
+                text: footer,
+                iconURL: this.getGuildIcon(guildConfig)
+            });
+        }
+
+        if (template.timestamp !== false) {
+            embed.setTimestamp();
+        }
+
+        const fields = (Array.isArray(template.fields) ? template.fields : [])
+            .map(field => ({
+                name: render(field.name, EMBED_LIMITS.fieldName),
+                value: render(field.value, EMBED_LIMITS.fieldValue),
+                inline: field.inline === true
+            }))
+            .filter(field => field.name && field.value)
+            .slice(0, EMBED_LIMITS.fields);
+
+        if (fields.length > 0) {
+            embed.addFields(...fields);
+        }
+
+        return embed;
+    }
+
+    /**
+     * Render a text of an embed template
+     * @param {string|undefined} text - Template text
+     * @param {object} variables - Placeholder variables
+     * @param {number|null} limit - Maximum length
+     * @returns {string} Rendered text, empty when there is nothing but whitespace
+     */
+    renderEmbedText(text, variables, limit = null) {
+        if (typeof text !== 'string') {
+            return '';
+        }
+
+        const rendered = this.templateEngine.render(text, variables, this.templateLoader.getDefaults('placeholders')).trim();
+
+        if (limit && rendered.length > limit) {
+            return `${rendered.substring(0, limit - 3)}...`;
+        }
+
+        return rendered;
+    }
+
+    /**
+     * Resolve the color of an embed template
+     * Accepts a number, '#rrggbb', a color name of defaults.colors (event, success...) or a placeholder giving one
+     * @param {number|string|undefined} color - Template color
+     * @param {object} variables - Placeholder variables
+     * @param {string} defaultColor - Color name used when the color cannot be resolved
+     * @returns {number} Color
+     */
+    resolveColor(color, variables, defaultColor) {
+        if (Number.isInteger(color)) {
+            return color;
+        }
+
+        const value = this.renderEmbedText(color, variables);
+
+        if (/^#[0-9a-f]{6}$/i.test(value)) {
+            return parseInt(value.substring(1), 16);
+        }
+
+        if (Number.isInteger(this.colors[value])) {
+            return this.colors[value];
+        }
+
+        if (value) {
+            logger.debug(`Unknown embed template color "${value}", using ${defaultColor}`);
+        }
+
+        return this.colors[defaultColor] || this.colors.system;
+    }
+
+    /**
+     * Build the placeholder variables of a connection embed
+     * @param {object} guildConfig - Guild configuration
+     * @param {string} status - Connection status
+     * @param {object} details - Additional details
+     * @returns {object} Variables
+     */
+    buildConnectionVariables(guildConfig, status, details = {}) {
+        return {
+            status: status,
+            guildName: guildConfig.name,
+            guildTag: guildConfig.tag,
+            guildId: guildConfig.id,
+            serverName: guildConfig.server.serverName,
+            botUsername: guildConfig.account.username,
+            connectionTime: details.connectionTime || '',
+            attempt: details.attempt ? details.attempt.toString() : '',
+            failures: details.failures ? details.failures.toString() : '',
+            reason: details.reason ? String(details.reason) : '',
+            cause: details.cause || '',
+            nextAttempt: details.nextAttemptAt ? `<t:${Math.floor(details.nextAttemptAt / 1000)}:R>` : '',
+            timestamp: new Date().toLocaleTimeString(),
+            date: new Date().toLocaleDateString()
+        };
+    }
+
     /**
      * Create system message embed
      * @param {string} type - System message type
@@ -0,0 +1,292 @@
+// Specific Imports
+const BridgeLocator = require("../../bridgeLocator.js");
+const { getTemplateLoader } = require("../../config/TemplateLoader.js");
+const ChatComponent = require("../../minecraft/client/parsers/utils/ChatComponent.js");
+const logger = require("../../shared/logger");
+
+// Discord ANSI foreground codes and the color each one stands for when picking the nearest
+const ANSI_COLORS = [
+    { code: 30, rgb: [128, 128, 128] }, // Gray
+    { code: 31, rgb: [255, 0, 0] },     // Red
+    { code: 32, rgb: [0, 255, 0] },     // Green
+    { code: 33, rgb: [255, 255, 0] },   // Yellow
+    { code: 34, rgb: [0, 0, 255] },     // Blue
+    { code: 35, rgb: [255, 0, 255] },   // Pink
+    { code: 36, rgb: [0, 255, 255] },   // Cyan
+    { code: 37, rgb: [255, 255, 255] }  // White
+];
+
+const ESC = '\u001b';
+
+// Discord limits
+const MAX_CONTENT_LENGTH = 2000;
+const MAX_DESCRIPTION_LENGTH = 4096;
+
+const MODES = ['plain', 'ansi', 'embed'];
+
+/**
+ * Renders Minecraft chat segments (see ChatComponent) for Discord
+ *
+ * Two renderings:
+ *   - ansi:  an ```ansi code block, colors mapped to the nearest of the 8 colors Discord shows
+ *   - embed: markdown text, the embed taking the color of the rank
+ *
+ * Colors come from templates.json defaults.colors.minecraft and are read on every render so
+ * a template reload applies right away.
+ */
+class MinecraftRenderer {
+    constructor() {
+        const mainBridge = BridgeLocator.getInstance();
+        this.config = mainBridge.config;
+        this.templateLoader = getTemplateLoader();
+    }
+
+    // ==================== MODES ====================
+
+    /**
+     * Get the rendering mode of a chat type
+     * @param {string} chatType - Chat type (guild, officer)
+     * @returns {string} Mode (plain, ansi, embed)
+     */
+    getChatMode(chatType) {
+        return this.getMode('chat', chatType);
+    }
+
+    /**
+     * Get the rendering mode of an event type
+     * @param {string} eventType - Event type (join, promote, motd...)
+     * @returns {string} Mode (plain, ansi, embed)
+     */
+    getEventMode(eventType) {
+        return this.getMode('events', eventType);
+    }
+
+    /**
+     * Get the mode configured for a type, then for 'default', plain otherwise
+     * @param {string} kind - 'chat' or 'events'
+     * @param {string} type - Chat or event type
+     * @returns {string} Mode
+     */
+    getMode(kind, type) {
+        if (!this.config.get('features.colorRendering.enabled', false)) {
+            return 'plain';
+        }
+
+        const modes = this.config.get(`features.colorRendering.${kind}`, {}) || {};
+        const mode = modes[type] || modes.default;
+
+        return MODES.includes(mode) ? mode : 'plain';
+    }
+
+    // ==================== SEGMENT SELECTION ====================
+
+    /**
+     * Get the segments of a chat line from the sender (rank included) to the end
+     * @param {Array<object>} segments - Segments of the whole line
+     * @param {string} username - Sender username
+     * @returns {Array<object>|null} Segments or null when the sender is not found
+     */
+    getSenderSegments(segments, username) {
+        if (!username) {
+            return null;
+        }
+
+        const text = ChatComponent.toText(segments);
+        const escaped = username.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const match = text.match(new RegExp(`(?:\\[[^\\]]+\\] )?\\b${escaped}\\b`));
+
+        return match ? ChatComponent.slice(segments, match.index) : null;
+    }
+
+    /**
+     * Get the segments of the message part of a chat line
+     * @param {Array<object>} segments - Segments of the whole line
+     * @param {string} message - Parsed message
+     * @returns {Array<object>|null} Segments or null when the message is not found
+     */
+    getMessageSegments(segments, message) {
+        if (!message) {
+            return null;
+        }
+
+        const text = ChatComponent.toText(segments);
+        const index = text.lastIndexOf(message);
+
+        return index === -1 ? null : ChatComponent.slice(segments, index, index + message.length);
+    }
+
+    /**
+     * Get the color of the sender in a chat line, which Hypixel gives from the rank
+     * @param {Array<object>} segments - Segments of the whole line
+     * @param {string} username - Sender username
+     * @returns {number|null} Color or null
+     */
+    getSenderColor(segments, username) {
+        const senderSegments = this.getSenderSegments(segments, username);
+        return senderSegments ? this.getColor(senderSegments) : null;
+    }
+
+    // ==================== RENDERING ====================
+
+    /**
+     * Render segments as a Discord ANSI code block
+     * @param {Array<object>} segments - Segments
+     * @returns {string|null} Code block or null when it does not fit in a message
+     */
+    toAnsi(segments) {
+        let body = '';
+
+        for (const segment of segments) {
+            const codes = [0];
+
+            if (segment.bold) {
+                codes.push(1);
+            }
+            if (segment.underlined) {
+                codes.push(4);
+            }
+
+            const rgb = this.resolveRgb(segment.color);
+            if (rgb) {
+                codes.push(this.getNearestAnsiColor(rgb));
+            }
+
+            // Code blocks cannot be closed from the inside
+            const text = this.obfuscate(segment).replace(/```/g, "'''");
+            body += `${ESC}[${codes.join(';')}m${text}`;
+        }
+
+        const block = `\`\`\`ansi\n${body}${ESC}[0m\n\`\`\``;
+        if (block.length > MAX_CONTENT_LENGTH) {
+            logger.debug(`[RENDER] ANSI block too long (${block.length} characters), falling back to plain`);
+            return null;
+        }
+
+        return block;
+    }
+
+    /**
+     * Render segments as Discord markdown
+     * @param {Array<object>} segments - Segments
+     * @returns {string|null} Markdown or null when it does not fit in an embed
+     */
+    toMarkdown(segments) {
+        let markdown = '';
+
+        for (const segment of segments) {
+            const text = segment.text.replace(/([\\*_~|`])/g, '\\$1');
+
+            // Markers must touch the text, so surrounding spaces stay outside
+            const [, leading, core, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+            if (!core) {
+                markdown += text;
+                continue;
+            }
+
+            let wrapped = core;
+            if (segment.obfuscated) {
+                wrapped = `||${wrapped}||`;
+            }
+            if (segment.strikethrough) {
+                wrapped = `~~${wrapped}~~`;
+            }
+            if (segment.underlined) {
+                wrapped = `__${wrapped}__`;
+            }
+            if (segment.italic) {
+                wrapped = `*${wrapped}*`;
+            }
+            if (segment.bold) {
+                wrapped = `**${wrapped}**`;
+            }
+
+            markdown += `${leading}${wrapped}${trailing}`;
+        }
+
+        if (markdown.length > MAX_DESCRIPTION_LENGTH) {
+            logger.debug(`[RENDER] Markdown too long (${markdown.length} characters), falling back to plain`);
+            return null;
+        }
+
+        return markdown;
+    }
+
+    /**
+     * Get the color of the first colored segment
+     * @param {Array<object>} segments - Segments
+     * @returns {number|null} Color or null
+     */
+    getColor(segments) {
+        for (const segment of segments) {
+            if (!segment.text.trim()) {
+                continue;
+            }
+
+            const rgb = this.resolveRgb(segment.color);
+            if (rgb) {
+                return (rgb[0] << 16) + (rgb[1] << 8) + rgb[2];
+            }
+        }
+
+        return null;
+    }
+
+    // ==================== COLORS ====================
+
+    /**
+     * Resolve a component color from the palette or a '#rrggbb' value
+     * @param {string|null} color - Component color
+     * @returns {Array<number>|null} RGB or null
+     */
+    resolveRgb(color) {
+        if (!color) {
+            return null;
+        }
+
+        let value = null;
+
+        if (/^#[0-9a-f]{6}$/i.test(color)) {
+            value = parseInt(color.substring(1), 16);
+        } else {
+            const palette = this.templateLoader.getDefaults('colors').minecraft || {};
+            value = Number.isInteger(palette[color]) ? palette[color] : null;
+        }
+
+        if (value === null) {
+            return null;
+        }
+
+        return [(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+    }
+
+    /**
+     * Get the Discord ANSI color closest to a color
+     * @param {Array<number>} rgb - RGB
+     * @returns {number} ANSI foreground code
+     */
+    getNearestAnsiColor(rgb) {
+        let nearest = ANSI_COLORS[0];
+        let nearestDistance = Infinity;
+
+        for (const candidate of ANSI_COLORS) {
+            const distance = candidate.rgb.reduce((sum, channel, index) => sum + (channel - rgb[index]) ** 2, 0);
+            if (distance < nearestDistance) {
+                nearest = candidate;
+                nearestDistance = distance;
+            }
+        }
+
+        return nearest.code;
+    }
+
+    /**
+     * Hide obfuscated text, as Discord has no such style in code blocks
+     * @param {object} segment - Segment
+     * @returns {string} Text
+     */
+    obfuscate(segment) {
+        return segment.obfuscated ? segment.text.replace(/\S/g, '▒') : segment.text;
+    }
+}
+
+module.exports = MinecraftRenderer;
@@ -2,12 +2,24 @@
 const fs = require('fs');
 const path = require('path');
 
+// --check-config only validates settings.json, before the logger loads it or anything connects
+if (require.main === module && process.argv.includes('--check-config')) {
+    const { checkConfigFile } = require('./config/SettingsValidator.js');
+    process.exit(checkConfigFile() ? 0 : 1);
+}
+
 // Specific Imports
 const logger = require('./shared/logger');
 const Config = require("./config/ConfigLoader.js");
 const MinecraftManager = require('./minecraft/MinecraftManager.js');
 const DiscordManager = require('./discord/DiscordManager.js');
 const BridgeLocator = require("./bridgeLocator.js");
+const { getMessageArchive } = require('./shared/MessageArchive.js');
+const { getConfigReloader } = require('./config/ConfigReloader.js');
+const { getTemplateChecker } = require('./shared/TemplateChecker.js');
+
+// --simulate connects every enabled guild to a local fake Hypixel server instead of the real one
+const SIMULATE = process.argv.includes('--simulate');
 
 class MainBridge {
     constructor() {
@@ -17,6 +29,8 @@ class MainBridge {
         this.config = new Config();
         this._minecraftManager = null;
         this._discordManager = null;
+        this._simulation = null;
+        this._simulationConsole = null;
     }
 
     async start() {
@@ -64,18 +78,30 @@ class MainBridge {
         const stopStartTime = Date.now();
 
         try {
+            // Stop watching configuration files
+            getConfigReloader().stop();
+
             // Stop Minecraft connections
             if (this._minecraftManager) {
                 await this._minecraftManager.stop();
                 logger.info('✅ Minecraft connections stopped');
             }
 
+            // Stop the simulated server once the bots are gone
+            if (this._simulation) {
+                this._simulationConsole?.stop();
+                this._simulation.stop();
+            }
+
             // Stop Discord connections
             if (this._discordManager) {
                 await this._discordManager.stop();
                 logger.info('✅ Discord connections stopped');
             }
 
+            // Persist pending message archive index changes
+            getMessageArchive().cleanup();
+
             this._isRunning = false;
 
             const stopTime = Date.now() - stopStartTime;
@@ -130,7 +156,7 @@ class MainBridge {
             
             // Verify logging configuration and directory
             const loggingConfig = this.config.get("features.logging");
-            logger.debug('Logging configuration:', loggingConfig);
+            logger.debug('Logging configuration:', this.config.redact(loggingConfig));
             
             if (loggingConfig.file) {
                 logger.info('📝 File logging enabled');
@@ -138,7 +164,7 @@ class MainBridge {
             }
             
             // Log all configured paths for debug
-            logger.debug('Configured directories:', requiredDirs);
+            logger.debug('Configured directories:', this.config.redact(requiredDirs));
             
             logger.logPerformance('Core systems initialization', stepStartTime);
             logger.info('✅ Core systems initialized');
@@ -157,6 +183,12 @@ class MainBridge {
         const stepStartTime = Date.now();
 
         try {
+            // Lint templates now and on every reload (features.messageSystem.validateTemplates)
+            const templateIssues = getTemplateChecker().lintIfEnabled();
+            if (templateIssues && templateIssues.length > 0) {
+                logger.warn(`⚠️ ${templateIssues.length} template issue(s) found, see /bridge template lint`);
+            }
+
             logger.logPerformance('Management systems initialization', stepStartTime);
             logger.info('✅ Management systems initialized');
 
@@ -173,6 +205,10 @@ class MainBridge {
 
         const stepStartTime = Date.now();
         try {
+            if (SIMULATE) {
+                await this.startSimulation();
+            }
+
             this._minecraftManager = new MinecraftManager();
             await this._minecraftManager.start();
             
@@ -187,6 +223,33 @@ class MainBridge {
         }
     }
 
+    /**
+     * Start the local fake Hypixel server and point every enabled guild at it
+     * Accounts connect in offline mode, settings.json is left untouched
+     */
+    async startSimulation() {
+        // Only loaded in simulation mode
+        const SimulatedHypixelServer = require('./minecraft/simulation/SimulatedHypixelServer.js');
+        const SimulationConsole = require('./minecraft/simulation/SimulationConsole.js');
+
+        const settings = this.config.get('features.simulation', {});
+        const guilds = this.config.getEnabledGuilds();
+
+        this._simulation = new SimulatedHypixelServer(guilds, settings);
+        await this._simulation.start();
+
+        for (const guildConfig of guilds) {
+            this._simulation.applyTo(guildConfig);
+        }
+
+        if (settings.console !== false) {
+            this._simulationConsole = new SimulationConsole(this._simulation);
+            this._simulationConsole.start();
+        }
+
+        logger.warn(`🧪 Simulation mode: ${guilds.length} guild(s) connect to ${this._simulation.host}:${this._simulation.port} instead of their server`);
+    }
+
     async initializeDiscordModule() {
         logger.info("===========================================");
         logger.info("==== 💬  Initializing Discord Module  ====");
@@ -294,6 +357,9 @@ class MainBridge {
             // Log startup summary
             this.logStartupSummary();
 
+            // Watch configuration files with reloadOnChange enabled
+            getConfigReloader().start();
+
             logger.logPerformance('Startup finalization', stepStartTime);
             logger.info('✅ Startup finalized');
 
@@ -350,12 +416,18 @@ class MainBridge {
         
         const databasePath = './data/database'; // TODO: Make configurable in settings
         const backupsPath = './data/backups'; // TODO: Make configurable in settings
+        const archivePath = this.config.get('features.archive.directory', './data/archive');
+        const rosterPath = this.config.get('features.roster.directory', './data/roster');
+        const linksPath = this.config.get('features.linking.directory', './data/links');
         
         const directories = {
             data: 'data',
             logs: logsPath,
             database: databasePath,
             backups: backupsPath,
+            archive: archivePath,
+            roster: rosterPath,
+            links: linksPath,
             authCache: authCachePath
         };
         
@@ -446,6 +518,66 @@ async function main() {
     }
 }
 
+/**
+ * Replay a chat capture through the parsers without connecting anything, see ChatReplay
+ */
+async function replay() {
+    try {
+        // Parsers read settings through the locator like in the running bridge
+        BridgeLocator.setInstance(new MainBridge());
+
+        const { runReplayCommand } = require('./minecraft/client/ChatReplay.js');
+        process.exit(await runReplayCommand(process.argv.slice(2)) ? 0 : 1);
+    } catch (error) {
+        console.error(`❌ Replay failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Explain how a chat line is classified without connecting anything, see PatternExplainer
+ * node src/main.js --explain "<line>" [--guild <guild id>]
+ */
+async function explain() {
+    try {
+        const args = process.argv.slice(2);
+        const option = (name) => args.indexOf(name) >= 0 ? args[args.indexOf(name) + 1] : undefined;
+
+        const line = option('--explain');
+        if (!line) {
+            console.error('❌ Usage: node src/main.js --explain "<line>" [--guild <guild id>]');
+            process.exit(1);
+        }
+
+        const mainBridge = new MainBridge();
+        BridgeLocator.setInstance(mainBridge);
+
+        const guildId = option('--guild');
+        const guilds = mainBridge.config.getAllGuilds();
+        const guildConfig = guildId ? guilds.find(guild => guild.id === guildId) : mainBridge.config.getEnabledGuilds()[0];
+        if (!guildConfig) {
+            console.error(`❌ ${guildId ? `Unknown guild: ${guildId}` : 'No enabled guild'}`);
+            process.exit(1);
+        }
+
+        if (!args.includes('--verbose')) {
+            logger.setLevel('warn');
+        }
+
+        const { PatternExplainer, formatExplanation } = require('./minecraft/client/parsers/PatternExplainer.js');
+        const report = await new PatternExplainer().explain(line, guildConfig);
+
+        for (const section of formatExplanation(report)) {
+            console.log(`\n== ${section.title} ==`);
+            section.lines.forEach(sectionLine => console.log(sectionLine));
+        }
+        process.exit(0);
+    } catch (error) {
+        console.error(`❌ Explain failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
 // Signal handling for clean shutdown
 process.on('SIGINT', async () => {
     logger.info('🛑 Shutdown signal received (Ctrl+C)...');
@@ -486,7 +618,13 @@ process.on('unhandledRejection', (reason, promise) => {
 
 // Start the application
 if (require.main === module) {
-    main();
+    if (process.argv.includes('--replay')) {
+        replay();
+    } else if (process.argv.includes('--explain')) {
+        explain();
+    } else {
+        main();
+    }
 }
 
 module.exports = MainBridge;
\ No newline at end of file
@@ -250,12 +250,28 @@ class MinecraftManager {
         return this._botManager.sendMessage(guildId, message);
     }
 
-    async executeCommand(guildId, command) {
+    async sendOfficerMessage(guildId, message) {
         if (!this._isStarted || !this._botManager) {
             throw new Error('MinecraftManager not started');
         }
 
-        return this._botManager.executeCommand(guildId, command);
+        return this._botManager.sendOfficerMessage(guildId, message);
+    }
+
+    async sendSplitMessage(guildId, chatType, header, content, maxParts) {
+        if (!this._isStarted || !this._botManager) {
+            throw new Error('MinecraftManager not started');
+        }
+
+        return this._botManager.sendSplitMessage(guildId, chatType, header, content, maxParts);
+    }
+
+    async executeCommand(guildId, command, priority = 'command') {
+        if (!this._isStarted || !this._botManager) {
+            throw new Error('MinecraftManager not started');
+        }
+
+        return this._botManager.executeCommand(guildId, command, priority);
     }
 
     // Status methods
@@ -283,6 +299,24 @@ class MinecraftManager {
         return this._botManager.getConnectedGuilds();
     }
 
+    /**
+     * Get the message coordinator holding the live parsers (and their event cooldowns)
+     * @returns {MessageCoordinator|null} Message coordinator or null if not started
+     */
+    getMessageCoordinator() {
+        return this._botManager ? this._botManager.messageCoordinator : null;
+    }
+
+    /**
+     * Get the strategy manager of a guild's connection (and its detection caches)
+     * @param {string} guildId - Guild ID
+     * @returns {StrategyManager|null} Strategy manager or null if the guild has no connection
+     */
+    getStrategyManager(guildId) {
+        const connection = this._botManager ? this._botManager.connections.get(guildId) : null;
+        return connection ? connection.strategyManager : null;
+    }
+
     // Discord integration methods
     getDiscordManager() {
         return this._discordManager;
@@ -6,6 +6,12 @@ const BridgeLocator = require("../../bridgeLocator.js");
 const MinecraftConnection = require("./connection.js");
 const MessageCoordinator = require("../client/parsers/MessageCoordinator.js");
 const InterGuildManager = require("../../shared/InterGuildManager.js");
+const RosterReconciler = require("./RosterReconciler.js");
+const ReconnectionPolicy = require("./ReconnectionPolicy.js");
+const { getGuildRoster } = require("../../shared/GuildRoster.js");
+const { getAccountLinker } = require("../../shared/AccountLinker.js");
+const { getRoleSync } = require("../../shared/RoleSync.js");
+const { getUnmatchedReview } = require("../../shared/UnmatchedReview.js");
 const logger = require("../../shared/logger");
 
 class BotManager extends EventEmitter {
@@ -17,8 +23,14 @@ class BotManager extends EventEmitter {
 
         this.connections = new Map();
         this.reconnectTimers = new Map();
+        this.reconnectionPolicies = new Map();
         this.messageCoordinator = new MessageCoordinator();
         this.interGuildManager = new InterGuildManager();
+        this.guildRoster = getGuildRoster();
+        this.rosterReconciler = new RosterReconciler(this);
+        this.accountLinker = getAccountLinker();
+        this.roleSync = getRoleSync();
+        this.unmatchedReview = getUnmatchedReview();
 
         this.initialize();
     }
@@ -33,8 +45,14 @@ class BotManager extends EventEmitter {
             connection.setMessageCallback((rawMessage, guildMessageData) => {
                 this.handleGuildMessage(guild.id, rawMessage, guildMessageData);
             });
+
+            // Whispers are needed for account link verification
+            connection.setRawMessageCallback((rawMessage) => {
+                this.handleRawMessage(guild.id, rawMessage);
+            });
             
             this.connections.set(guild.id, connection);
+            this.reconnectionPolicies.set(guild.id, new ReconnectionPolicy(guild));
 
             logger.info(`Connection initialized for ${guild.name}`);
         });
@@ -71,6 +89,9 @@ class BotManager extends EventEmitter {
         if (successCount === 0) {
             throw new Error('Failed to start any Minecraft connections');
         }
+
+        this.rosterReconciler.start();
+        this.unmatchedReview.start();
     }
 
     async startConnection(guildId) {
@@ -81,6 +102,7 @@ class BotManager extends EventEmitter {
 
         try {
             await connection.connect();
+            this.reconnectionPolicies.get(guildId).recordSuccess();
             this.setupConnectionMonitoring(guildId);
             
             // Emit connection event
@@ -95,7 +117,7 @@ class BotManager extends EventEmitter {
             logger.logError(error, `Failed to start connection for guild: ${guildId}`);
             
             // Schedule reconnection if enabled
-            this.scheduleReconnection(guildId);
+            this.scheduleReconnection(guildId, error);
             throw error;
         }
     }
@@ -109,19 +131,27 @@ class BotManager extends EventEmitter {
         if (!bot)
             return;
 
+        // 'kicked' comes before 'end' and carries the actual reason
+        let kickReason = null;
+        bot.on('kicked', (reason) => {
+            kickReason = reason;
+        });
+
         // Monitor for disconnections
         bot.on('end', (reason) => {
             logger.minecraft(`Connection ended for ${connection.getGuildConfig().name}: ${reason}`);
-            
+
+            // Schedule reconnection
+            const decision = this.scheduleReconnection(guildId, kickReason || reason);
+
             this.emit('connection', {
                 type: 'disconnected',
                 guildId: guildId,
                 guildName: connection.getGuildConfig().name,
-                reason: reason
+                reason: decision.text,
+                cause: decision.label,
+                nextAttemptAt: decision.action === 'retry' ? Date.now() + decision.delay : null
             });
-
-            // Schedule reconnection
-            this.scheduleReconnection(guildId);
         });
 
         bot.on('error', (error) => {
@@ -170,11 +200,16 @@ class BotManager extends EventEmitter {
                 logger.bridge(`[GUILD] [${guildConfig.name}] Emitting message event - Username: ${result.data.username || 'unknown'}, Message: "${result.data.message || 'N/A'}"`);
                 this.emit('message', result.data);
             } else if (result.category === 'event') {
+                this.guildRoster.applyEvent(result.data, guildConfig);
+                this.roleSync.handleEvent(result.data, guildConfig);
                 logger.bridge(`[GUILD] [${guildConfig.name}] Emitting event - Type: ${result.data.type}, Username: ${result.data.username || 'system'}`);
                 this.emit('event', result.data);
             } else {
                 // Log other categories but still with [GUILD] prefix since it came from strategy
                 logger.bridge(`[GUILD] [${guildConfig.name}] Other category: ${result.category} - ${result.data.type || 'unknown'}`);
+
+                // The strategy saw a guild line no pattern could parse, keep it for review
+                this.unmatchedReview.record(result, guildConfig, guildMessageData);
             }
             
         } catch (error) {
@@ -182,6 +217,42 @@ class BotManager extends EventEmitter {
         }
     }
 
+    /**
+     * Handle every raw message of a connection, before strategy filtering
+     * Only whispers matter here, they carry account link verification codes
+     * @param {string} guildId - Guild ID
+     * @param {object} rawMessage - Raw message from Minecraft
+     */
+    handleRawMessage(guildId, rawMessage) {
+        // Skip parsing entirely while nobody is verifying
+        if (!this.accountLinker.hasPendingVerifications()) {
+            return;
+        }
+
+        const connection = this.connections.get(guildId);
+        if (!connection) {
+            return;
+        }
+
+        const guildConfig = connection.getGuildConfig();
+
+        try {
+            const chatData = this.messageCoordinator.getParsers(guildConfig).chatParser.parseMessage(rawMessage, guildConfig);
+            if (chatData.type !== 'private_message' || chatData.direction !== 'from') {
+                return;
+            }
+
+            const link = this.accountLinker.handleWhisper(chatData.username, chatData.message, guildConfig);
+            if (link) {
+                connection.executeCommand(`/msg ${chatData.username} Your account is now linked to ${link.discordTag} on Discord`)
+                    .catch(error => logger.debug(`[LINK] Could not confirm link to ${chatData.username}: ${error.message}`));
+            }
+
+        } catch (error) {
+            logger.logError(error, `Error checking whisper for account linking on ${guildConfig.name}`);
+        }
+    }
+
     /**
      * Handle inter-guild processing for messages and events
      * @param {object} result - Processed message/event result
@@ -209,34 +280,78 @@ class BotManager extends EventEmitter {
         }
     }
 
-    scheduleReconnection(guildId) {
+    /**
+     * Ask the guild reconnection policy what to do after a disconnection or a failed attempt
+     * Circuit breaker and give up transitions are emitted as connection events
+     * @param {string} guildId - Guild ID
+     * @param {string|object|Error} reason - Kick reason, end reason or connection error
+     * @returns {object} Policy decision ({action, delay, cause, label, text, failures})
+     */
+    scheduleReconnection(guildId, reason) {
         const connection = this.connections.get(guildId);
-        if (!connection)
-            return;
+        const policy = this.reconnectionPolicies.get(guildId);
+        if (!connection || !policy)
+            return { action: 'ignore', delay: 0, label: 'Unknown', text: 'unknown' };
 
         const guildConfig = connection.getGuildConfig();
-        const reconnectionConfig = guildConfig.account.reconnection;
-
-        // Check if reconnection is enabled
-        if (!reconnectionConfig || !reconnectionConfig.enabled) {
-            logger.minecraft(`Reconnection disabled for ${guildConfig.name}`);
-            return;
-        }
+        const decision = policy.recordFailure(reason);
 
         // Clear existing timer if any
         if (this.reconnectTimers.has(guildId)) {
             clearTimeout(this.reconnectTimers.get(guildId));
+            this.reconnectTimers.delete(guildId);
         }
 
-        // Calculate delay
-        const delay = reconnectionConfig.retryDelay || 30000;
-        
-        logger.minecraft(`Scheduling reconnection for ${guildConfig.name} in ${delay}ms`);
+        switch (decision.action) {
+            case 'ignore':
+                return decision;
+
+            case 'disabled':
+                logger.minecraft(`Reconnection disabled for ${guildConfig.name}`);
+                return decision;
+
+            case 'give_up':
+                this.emit('connection', {
+                    type: 'gave_up',
+                    guildId: guildId,
+                    guildName: guildConfig.name,
+                    reason: decision.text,
+                    cause: decision.label
+                });
+                return decision;
+
+            case 'circuit_open':
+                logger.minecraft(`⚡ Circuit open for ${guildConfig.name} after ${decision.failures} failures (${decision.label}), next attempt in ${decision.delay}ms`);
+
+                // A failed trial attempt keeps the circuit open, Discord already knows
+                if (decision.reopened) {
+                    break;
+                }
+
+                this.emit('connection', {
+                    type: 'circuit_open',
+                    guildId: guildId,
+                    guildName: guildConfig.name,
+                    reason: decision.text,
+                    cause: decision.label,
+                    failures: decision.failures,
+                    nextAttemptAt: Date.now() + decision.delay
+                });
+                break;
+
+            default:
+                logger.minecraft(`Scheduling reconnection for ${guildConfig.name} in ${decision.delay}ms (${decision.label}, failure ${decision.failures})`);
+        }
 
         const timer = setTimeout(async () => {
+            this.reconnectTimers.delete(guildId);
+            policy.beginAttempt();
+
             try {
                 logger.minecraft(`Attempting reconnection for ${guildConfig.name}`);
                 await connection.reconnect();
+
+                const previousState = policy.recordSuccess();
                 
                 // Setup monitoring again
                 this.setupConnectionMonitoring(guildId);
@@ -245,25 +360,38 @@ class BotManager extends EventEmitter {
                     type: 'reconnected',
                     guildId: guildId,
                     guildName: guildConfig.name,
-                    username: guildConfig.account.username
+                    username: guildConfig.account.username,
+                    afterCircuitOpen: previousState === 'half_open'
                 });
                 
             } catch (error) {
                 logger.logError(error, `Reconnection failed for ${guildConfig.name}`);
-                this.scheduleReconnection(guildId);
+                this.scheduleReconnection(guildId, error);
             }
-        }, delay);
+        }, decision.delay);
 
         this.reconnectTimers.set(guildId, timer);
+        return decision;
     }
 
     async stopAll() {
+        // Disconnecting below must not schedule reconnections
+        for (const policy of this.reconnectionPolicies.values()) {
+            policy.stop();
+        }
+
         // Clear all reconnection timers
         for (const timer of this.reconnectTimers.values()) {
             clearTimeout(timer);
         }
         this.reconnectTimers.clear();
 
+        // Stop roster reconciliation and save pending roster changes
+        this.rosterReconciler.stop();
+        this.unmatchedReview.stop();
+        this.guildRoster.cleanup();
+        this.accountLinker.cleanup();
+
         // Stop inter-guild manager
         if (this.interGuildManager) {
             this.interGuildManager.stopQueueProcessor();
@@ -334,7 +462,29 @@ class BotManager extends EventEmitter {
         }
     }
 
-    async executeCommand(guildId, command) {
+    /**
+     * Send a message after a header, split over several lines if needed
+     * @param {string} guildId - Guild ID
+     * @param {string} chatType - Chat type (guild/officer)
+     * @param {string} header - Line header
+     * @param {string} content - Message content
+     * @param {number} maxParts - Maximum number of lines
+     * @returns {object} Send result ({parts, truncated})
+     */
+    async sendSplitMessage(guildId, chatType, header, content, maxParts) {
+        const connection = this.connections.get(guildId);
+        if (!connection) {
+            throw new Error(`No connection found for guild: ${guildId}`);
+        }
+
+        if (!connection.isconnected()) {
+            throw new Error(`Guild ${guildId} is not connected`);
+        }
+
+        return connection.sendSplitMessage(chatType, header, content, maxParts);
+    }
+
+    async executeCommand(guildId, command, priority = 'command') {
         const connection = this.connections.get(guildId);
         if (!connection) {
             throw new Error(`No connection found for guild: ${guildId}`);
@@ -344,7 +494,7 @@ class BotManager extends EventEmitter {
             throw new Error(`Guild ${guildId} is not connected`);
         }
 
-        return connection.executeCommand(command);
+        return connection.executeCommand(command, priority);
     }
 
     // Status methods
@@ -352,7 +502,10 @@ class BotManager extends EventEmitter {
         const status = {};
         
         for (const [guildId, connection] of this.connections) {
-            status[guildId] = connection.getConnectionStatus();
+            status[guildId] = {
+                ...connection.getConnectionStatus(),
+                reconnection: this.reconnectionPolicies.get(guildId).getStatus()
+            };
         }
 
         return status;
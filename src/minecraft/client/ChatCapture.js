@@ -0,0 +1,77 @@
+// Globals Imports
+const fs = require('fs');
+const path = require('path');
+
+// Specific Imports
+const BridgeLocator = require("../../bridgeLocator.js");
+const logger = require("../../shared/logger");
+
+/**
+ * Records every chat packet received from Minecraft, when features.chatCapture.enabled is set
+ *
+ * Entries are written as one JSON object per line in a file per UTC day (capture-YYYY-MM-DD.jsonl)
+ * and can be fed back through the parsers with `node src/main.js --replay <file>` (see ChatReplay).
+ *
+ * Entry shape:
+ *   { timestamp, guildId, text, json }   text is what the parsers see, json the chat component
+ */
+class ChatCapture {
+    constructor() {
+        this.config = BridgeLocator.getInstance().config;
+    }
+
+    /**
+     * Capture settings, read on every packet so a settings reload turns capture on or off
+     * @returns {object} Settings ({enabled, directory})
+     */
+    getSettings() {
+        return this.config.get('features.chatCapture') || {};
+    }
+
+    /**
+     * Record an incoming chat packet
+     * @param {object} message - Chat message from mineflayer
+     * @param {object} guildConfig - Guild configuration
+     */
+    record(message, guildConfig) {
+        const settings = this.getSettings();
+        if (settings.enabled !== true) {
+            return;
+        }
+
+        try {
+            const directory = path.resolve(process.cwd(), settings.directory || './data/captures');
+            if (!fs.existsSync(directory)) {
+                fs.mkdirSync(directory, { recursive: true });
+            }
+
+            const timestamp = Date.now();
+            const entry = {
+                timestamp: timestamp,
+                guildId: guildConfig.id,
+                text: message.toString(),
+                json: message.json !== undefined ? message.json : null
+            };
+
+            const day = new Date(timestamp).toISOString().substring(0, 10);
+            fs.appendFileSync(path.join(directory, `capture-${day}.jsonl`), `${JSON.stringify(entry)}\n`, 'utf8');
+
+        } catch (error) {
+            logger.logError(error, `Failed to capture chat packet for ${guildConfig.name}`);
+        }
+    }
+}
+
+let chatCaptureInstance = null;
+
+function getChatCapture() {
+    if (!chatCaptureInstance) {
+        chatCaptureInstance = new ChatCapture();
+    }
+    return chatCaptureInstance;
+}
+
+module.exports = {
+    ChatCapture,
+    getChatCapture
+};
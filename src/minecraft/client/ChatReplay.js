@@ -0,0 +1,297 @@
+// Globals Imports
+const fs = require('fs');
+const path = require('path');
+
+// Specific Imports
+const BridgeLocator = require("../../bridgeLocator.js");
+const logger = require("../../shared/logger");
+const StrategyManager = require("../servers/StrategyManager.js");
+const MessageCoordinator = require("./parsers/MessageCoordinator.js");
+
+// Result fields that change between runs or only describe the parser, left out of comparisons
+const IGNORED_FIELDS = new Set([
+    'raw', 'originalRaw', 'timestamp', 'guildId', 'guildName', 'guildTag',
+    'parser', 'parserVersion', 'patternIndex', 'parsedSuccessfully'
+]);
+
+/**
+ * Chat message rebuilt from a capture entry
+ * Parsers only read toString(), the component fields are kept like prismarine-chat does
+ */
+class CapturedMessage {
+    constructor(entry) {
+        this.json = entry.json;
+        if (entry.json && typeof entry.json === 'object') {
+            this.text = entry.json.text;
+            this.extra = entry.json.extra;
+        }
+        this.capturedText = entry.text;
+    }
+
+    toString() {
+        return this.capturedText;
+    }
+}
+
+/**
+ * Feeds chat captures (see ChatCapture) through the parsers offline
+ *
+ * Every entry goes through the same steps as a live packet in MinecraftConnection.handleMessage:
+ * send feedback check, StrategyManager.handleMessage, then MessageCoordinator.processMessage.
+ * The event parsers read the time from the capture timestamp of the entry being processed, so
+ * event cooldowns behave as they did live.
+ *
+ * Result shape:
+ *   { line, guildId, category, type, fields }   category is 'not_guild', 'send_feedback',
+ *   'unknown_guild' or the MessageCoordinator category, fields the parsed values
+ */
+class ChatReplay {
+    constructor() {
+        this.config = BridgeLocator.getInstance().config;
+
+        // Capture timestamp of the entry being replayed
+        this.replayTime = null;
+
+        this.strategyManager = new StrategyManager();
+        this.messageCoordinator = new MessageCoordinator({
+            clock: () => this.replayTime !== null ? this.replayTime : Date.now()
+        });
+    }
+
+    /**
+     * Read a capture file
+     * @param {string} filePath - Capture file (JSONL)
+     * @returns {Array<object>} Capture entries
+     */
+    readCapture(filePath) {
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+        const entries = [];
+
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                throw new Error(`${filePath}:${index + 1} is not valid JSON: ${error.message}`);
+            }
+        });
+
+        return entries;
+    }
+
+    /**
+     * Replay capture entries in order
+     * @param {Array<object>} entries - Capture entries
+     * @returns {Promise<Array<object>>} Results
+     */
+    async replay(entries) {
+        const results = [];
+
+        for (const entry of entries) {
+            results.push(await this.replayEntry(entry));
+        }
+
+        return results;
+    }
+
+    /**
+     * Replay one capture entry
+     * @param {object} entry - Capture entry ({timestamp, guildId, text, json})
+     * @returns {Promise<object>} Result
+     */
+    async replayEntry(entry) {
+        const result = { line: entry.text, guildId: entry.guildId, category: null, type: null, fields: {} };
+
+        const guildConfig = this.config.getAllGuilds().find(guild => guild.id === entry.guildId);
+        if (!guildConfig) {
+            result.category = 'unknown_guild';
+            return result;
+        }
+
+        this.replayTime = entry.timestamp;
+
+        try {
+            const message = new CapturedMessage(entry);
+
+            const feedback = this.strategyManager.getSendFeedback(guildConfig, message.toString());
+            if (feedback) {
+                result.category = 'send_feedback';
+                result.type = feedback;
+                return result;
+            }
+
+            const guildMessageData = await this.strategyManager.handleMessage(null, message, guildConfig);
+            if (!guildMessageData) {
+                result.category = 'not_guild';
+                return result;
+            }
+
+            const processed = this.messageCoordinator.processMessage(message, guildConfig);
+            result.category = processed.category;
+            result.type = processed.data ? processed.data.type || null : null;
+            result.fields = pickFields(processed.data);
+
+            return result;
+
+        } finally {
+            this.replayTime = null;
+        }
+    }
+
+    /**
+     * Compare results with a saved expectation
+     * @param {Array<object>} expected - Expected results
+     * @param {Array<object>} actual - Replay results
+     * @returns {Array<object>} Differences ({index, line, expected, actual})
+     */
+    compare(expected, actual) {
+        const differences = [];
+        const length = Math.max(expected.length, actual.length);
+
+        for (let index = 0; index < length; index++) {
+            const expectedResult = expected[index] || null;
+            const actualResult = actual[index] || null;
+
+            if (JSON.stringify(normalize(expectedResult)) !== JSON.stringify(normalize(actualResult))) {
+                differences.push({
+                    index,
+                    line: (actualResult || expectedResult).line,
+                    expected: expectedResult,
+                    actual: actualResult
+                });
+            }
+        }
+
+        return differences;
+    }
+}
+
+/**
+ * Keep the plain values of a parser result
+ * @param {object} data - Parser result
+ * @returns {object} Fields
+ */
+function pickFields(data) {
+    const fields = {};
+    if (!data) return fields;
+
+    for (const key of Object.keys(data).sort()) {
+        const value = data[key];
+        if (IGNORED_FIELDS.has(key) || key === 'type') continue;
+
+        if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+            fields[key] = value;
+        }
+    }
+
+    return fields;
+}
+
+function normalize(result) {
+    if (!result) return null;
+    return { line: result.line, guildId: result.guildId, category: result.category, type: result.type, fields: result.fields };
+}
+
+/**
+ * One line description of a result
+ * @param {object|null} result - Result
+ * @returns {string} Description
+ */
+function describe(result) {
+    if (!result) {
+        return '(no result)';
+    }
+
+    const label = result.type ? `${result.category}/${result.type}` : result.category;
+    const fields = Object.entries(result.fields || {}).map(([key, value]) => `${key}=${JSON.stringify(value)}`);
+
+    return [label, ...fields].join(' ');
+}
+
+/**
+ * Run `node src/main.js --replay <capture> [--expect <file>] [--save <file>] [--verbose]`
+ *   --expect  diff the results against a saved expectation
+ *   --save    write the results as the expectation of this capture
+ *   --verbose keep the bridge logs
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Promise<boolean>} Whether the replay matched the expectation (true without --expect)
+ */
+async function runReplayCommand(args) {
+    const option = (name) => {
+        const index = args.indexOf(name);
+        return index >= 0 && args[index + 1] && !args[index + 1].startsWith('--') ? args[index + 1] : null;
+    };
+
+    const capturePath = option('--replay');
+    if (!capturePath) {
+        console.error('❌ Usage: node src/main.js --replay <capture.jsonl> [--expect <file>] [--save <file>] [--verbose]');
+        return false;
+    }
+
+    if (!args.includes('--verbose')) {
+        logger.setLevel('warn');
+    }
+
+    // Replayed lines are not real traffic, keep them out of the message archive
+    const archiveSettings = BridgeLocator.getInstance().config.get('features.archive');
+    if (archiveSettings) {
+        archiveSettings.enabled = false;
+    }
+
+    const replay = new ChatReplay();
+    const results = await replay.replay(replay.readCapture(capturePath));
+
+    const expectPath = option('--expect');
+    const savePath = option('--save');
+
+    // Read before saving, both may be the same file
+    const expectation = expectPath ? JSON.parse(fs.readFileSync(expectPath, 'utf8')) : null;
+
+    if (savePath) {
+        fs.writeFileSync(savePath, `${JSON.stringify({ capture: path.basename(capturePath), results }, null, 2)}\n`, 'utf8');
+        console.log(`💾 Saved ${results.length} result(s) to ${savePath}`);
+    }
+
+    if (!expectation) {
+        results.forEach((result, index) => console.log(`#${index + 1} [${result.guildId}] ${describe(result)}\n    ${result.line}`));
+        printSummary(results);
+        return true;
+    }
+
+    const differences = replay.compare(expectation.results || [], results);
+
+    for (const difference of differences) {
+        console.log(`❌ #${difference.index + 1} ${difference.line}`);
+        console.log(`     expected: ${describe(difference.expected)}`);
+        console.log(`     actual:   ${describe(difference.actual)}`);
+    }
+
+    printSummary(results);
+
+    if (differences.length > 0) {
+        console.log(`❌ ${differences.length} of ${results.length} line(s) differ from ${expectPath}`);
+        return false;
+    }
+
+    console.log(`✅ ${results.length} line(s) match ${expectPath}`);
+    return true;
+}
+
+function printSummary(results) {
+    const counts = new Map();
+    for (const result of results) {
+        const label = result.type ? `${result.category}/${result.type}` : result.category;
+        counts.set(label, (counts.get(label) || 0) + 1);
+    }
+
+    console.log(`📊 ${results.length} line(s) replayed:`);
+    for (const [label, count] of Array.from(counts.entries()).sort((a, b) => b[1] - a[1])) {
+        console.log(`  ${label}: ${count}`);
+    }
+}
+
+module.exports = {
+    ChatReplay,
+    runReplayCommand
+};
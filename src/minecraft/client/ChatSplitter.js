@@ -0,0 +1,84 @@
+const ELLIPSIS = '...';
+
+/**
+ * Split a message into parts that fit in a chat line, on word boundaries when possible
+ *
+ * Parts are numbered by the caller with " (i/n)", room for that suffix is kept on every part
+ * as soon as the message needs more than one line. Past maxParts the last part ends with "...".
+ *
+ * @param {string} content - Message content
+ * @param {number} width - Characters available for the content on one line
+ * @param {number} maxParts - Maximum number of parts
+ * @returns {object} Parts and whether content was cut ({parts: string[], truncated: boolean})
+ */
+function splitChatMessage(content, width, maxParts) {
+    const text = content.trim();
+
+    if (width <= 0) {
+        throw new Error('Chat line is too short for any content');
+    }
+
+    if (text.length <= width) {
+        return { parts: [text], truncated: false };
+    }
+
+    const partWidth = width - getPartSuffix(maxParts, maxParts).length;
+    if (partWidth <= ELLIPSIS.length) {
+        throw new Error('Chat line is too short to split the message');
+    }
+
+    const parts = [];
+    let remaining = text;
+
+    while (remaining.length > 0 && parts.length < maxParts) {
+        if (remaining.length <= partWidth) {
+            parts.push(remaining);
+            remaining = '';
+            break;
+        }
+
+        const cut = findCut(remaining, partWidth);
+        parts.push(remaining.substring(0, cut).trim());
+        remaining = remaining.substring(cut).trim();
+    }
+
+    if (remaining.length === 0) {
+        return { parts, truncated: false };
+    }
+
+    // Out of parts, end the last one with an ellipsis
+    const last = parts[parts.length - 1];
+    const room = partWidth - ELLIPSIS.length;
+    const kept = last.length > room ? last.substring(0, findCut(last, room)).trim() : last;
+    parts[parts.length - 1] = kept + ELLIPSIS;
+
+    return { parts, truncated: true };
+}
+
+/**
+ * Find where to cut a text so the first piece fits, preferring the last space
+ * @param {string} text - Text to cut
+ * @param {number} width - Maximum length of the first piece
+ * @returns {number} Cut index
+ */
+function findCut(text, width) {
+    const space = text.lastIndexOf(' ', width);
+
+    // Words longer than a third of a line are cut in the middle rather than leaving a short line
+    return space > width / 3 ? space : width;
+}
+
+/**
+ * Suffix numbering a part
+ * @param {number} index - Part number, from 1
+ * @param {number} total - Number of parts
+ * @returns {string} Suffix
+ */
+function getPartSuffix(index, total) {
+    return ` (${index}/${total})`;
+}
+
+module.exports = {
+    splitChatMessage,
+    getPartSuffix
+};
@@ -0,0 +1,246 @@
+// Specific Imports
+const BridgeLocator = require("../../bridgeLocator.js");
+const logger = require("../../shared/logger");
+
+// Lanes in sending order, a lane is only sent from when the previous ones are empty
+const PRIORITY_LANES = ['moderation', 'command', 'chat'];
+
+const QUEUE_DEFAULTS = {
+    sendInterval: 1200,
+    throttleDelay: 5000,
+    maxRetries: 3,
+    maxSize: 100
+};
+
+/**
+ * Ordered outbound chat queue of one Minecraft connection
+ *
+ * Lines are sent one at a time, sendInterval ms apart, moderation commands first, then other
+ * commands, then relayed chat. The server reply to the last sent line is checked during that
+ * interval: a throttle reply pauses the queue for throttleDelay ms and sends the line again, a
+ * duplicate message reply sends it again with a counter appended so it is not identical.
+ *
+ * enqueue() resolves once the line went through without a throttle or duplicate reply.
+ */
+class OutboundQueue {
+    /**
+     * @param {object} guildConfig - Guild configuration
+     * @param {function} sendLine - Sends a line to the server
+     */
+    constructor(guildConfig, sendLine) {
+        this.guildConfig = guildConfig;
+        this.sendLine = sendLine;
+
+        this.lanes = {};
+        for (const lane of PRIORITY_LANES) {
+            this.lanes[lane] = [];
+        }
+
+        this.lastSent = null;
+        this.timer = null;
+        this.pausedUntil = null;
+
+        this.stats = { sent: 0, retried: 0, dropped: 0 };
+    }
+
+    /**
+     * Queue settings merged with defaults
+     * @returns {object} Settings
+     */
+    getSettings() {
+        const config = BridgeLocator.getInstance().config;
+        return { ...QUEUE_DEFAULTS, ...(config.get('features.outboundQueue') || {}) };
+    }
+
+    /**
+     * Queue a line
+     * @param {string} line - Chat line or command
+     * @param {string} priority - Lane (moderation/command/chat)
+     * @returns {Promise} Resolves once sent, rejects if it could not be sent
+     */
+    enqueue(line, priority = 'chat') {
+        if (!this.lanes[priority]) {
+            throw new Error(`Unknown outbound priority: ${priority}`);
+        }
+
+        const settings = this.getSettings();
+        if (this.getDepth() >= settings.maxSize) {
+            this.stats.dropped++;
+            return Promise.reject(new Error(`Outbound queue full for ${this.guildConfig.name} (${settings.maxSize} lines)`));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.lanes[priority].push({ line, originalLine: line, priority, attempts: 0, duplicates: 0, resolve, reject });
+            this.schedule(0);
+        });
+    }
+
+    // ==================== PROCESSING ====================
+
+    /**
+     * Run the next step after a delay, unless one is already planned
+     * @param {number} delay - Delay in ms
+     */
+    schedule(delay) {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.processNext();
+        }, delay);
+    }
+
+    /**
+     * Confirm the last sent line, then send the next one
+     */
+    processNext() {
+        this.confirmLastSent();
+
+        if (this.pausedUntil && Date.now() < this.pausedUntil) {
+            this.schedule(this.pausedUntil - Date.now());
+            return;
+        }
+        this.pausedUntil = null;
+
+        const item = this.takeNext();
+        if (!item) {
+            return;
+        }
+
+        try {
+            item.attempts++;
+            this.sendLine(item.line);
+            this.lastSent = item;
+            this.stats.sent++;
+
+            logger.debug(`[OUTBOUND] [${this.guildConfig.name}] Sent (${item.priority}, attempt ${item.attempts}): ${item.line}`);
+
+        } catch (error) {
+            item.reject(error);
+        }
+
+        this.schedule(this.getSettings().sendInterval);
+    }
+
+    /**
+     * Take the first line of the highest priority lane
+     * @returns {object|null} Queued item
+     */
+    takeNext() {
+        for (const lane of PRIORITY_LANES) {
+            if (this.lanes[lane].length > 0) {
+                return this.lanes[lane].shift();
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The last sent line got no error reply in time
+     */
+    confirmLastSent() {
+        if (this.lastSent) {
+            this.lastSent.resolve();
+            this.lastSent = null;
+        }
+    }
+
+    // ==================== SERVER FEEDBACK ====================
+
+    /**
+     * Handle a server reply about the last sent line
+     * @param {string} feedback - Feedback kind (throttled/duplicate)
+     */
+    handleFeedback(feedback) {
+        const item = this.lastSent;
+        if (!item) {
+            return;
+        }
+
+        this.lastSent = null;
+        const settings = this.getSettings();
+
+        if (item.attempts > settings.maxRetries) {
+            this.stats.dropped++;
+            logger.warn(`[OUTBOUND] [${this.guildConfig.name}] Dropping line after ${item.attempts} attempts (${feedback}): ${item.line}`);
+            item.reject(new Error(`Server rejected the message (${feedback}) ${item.attempts} times`));
+            return;
+        }
+
+        this.stats.retried++;
+
+        if (feedback === 'throttled') {
+            this.pausedUntil = Date.now() + settings.throttleDelay;
+            logger.warn(`[OUTBOUND] [${this.guildConfig.name}] Throttled by the server, pausing for ${settings.throttleDelay}ms`);
+        } else if (feedback === 'duplicate') {
+            item.duplicates++;
+            item.line = this.varyLine(item.originalLine, item.duplicates);
+            logger.debug(`[OUTBOUND] [${this.guildConfig.name}] Duplicate message, retrying as: ${item.line}`);
+        }
+
+        // Retry before anything else of the same lane
+        this.lanes[item.priority].unshift(item);
+    }
+
+    /**
+     * Make a line differ from the previous one while staying within the chat length limit
+     * @param {string} line - Original line
+     * @param {number} variation - Variation number
+     * @returns {string} Varied line
+     */
+    varyLine(line, variation) {
+        const suffix = ` (${variation + 1})`;
+        const maxLength = this.guildConfig.account.chatLengthLimit || 256;
+
+        return line.length + suffix.length > maxLength
+            ? line.substring(0, maxLength - suffix.length) + suffix
+            : line + suffix;
+    }
+
+    // ==================== LIFECYCLE ====================
+
+    /**
+     * Reject every pending line, the connection is gone
+     * @param {string} reason - Reason given to the callers
+     */
+    clear(reason) {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        // Sent lines got no error reply before the disconnection
+        this.confirmLastSent();
+        this.pausedUntil = null;
+
+        for (const lane of PRIORITY_LANES) {
+            for (const item of this.lanes[lane]) {
+                this.stats.dropped++;
+                item.reject(new Error(reason));
+            }
+            this.lanes[lane] = [];
+        }
+    }
+
+    getDepth() {
+        return PRIORITY_LANES.reduce((depth, lane) => depth + this.lanes[lane].length, 0);
+    }
+
+    getStatus() {
+        const lanes = {};
+        for (const lane of PRIORITY_LANES) {
+            lanes[lane] = this.lanes[lane].length;
+        }
+
+        return {
+            depth: this.getDepth(),
+            lanes,
+            paused: this.pausedUntil !== null && Date.now() < this.pausedUntil,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = OutboundQueue;
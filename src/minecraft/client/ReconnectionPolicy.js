@@ -0,0 +1,266 @@
+// Specific Imports
+const logger = require("../../shared/logger");
+
+/**
+ * Disconnection causes, matched against the kick/end reason or the connection error
+ *   - retry: whether reconnecting can help at all
+ *   - countsAsFailure: counted towards maxRetries and the backoff
+ *   - delaySetting: reconnection setting holding the base delay, retryDelay otherwise
+ */
+const DISCONNECT_CAUSES = {
+    banned: {
+        label: 'Banned',
+        patterns: [/banned/i, /blacklisted/i],
+        retry: false
+    },
+    duplicate_login: {
+        label: 'Logged in from another location',
+        patterns: [/logged in from another location/i, /duplicate.?login/i, /already connected/i],
+        retry: true,
+        countsAsFailure: true,
+        delaySetting: 'duplicateLoginDelay'
+    },
+    throttled: {
+        label: 'Connection throttled',
+        patterns: [/throttl/i, /logging in too fast/i, /wait before reconnecting/i],
+        retry: true,
+        countsAsFailure: true,
+        delaySetting: 'throttleDelay'
+    },
+    server_restart: {
+        label: 'Server restart',
+        patterns: [/restart/i, /reboot/i, /server closed/i, /shutting down/i],
+        retry: true,
+        countsAsFailure: false
+    },
+    network: {
+        label: 'Network error',
+        patterns: [/ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EHOSTUNREACH|EPIPE/i, /socket/i, /keep.?alive/i, /timed? ?out/i],
+        retry: true,
+        countsAsFailure: true
+    },
+    unknown: {
+        label: 'Unknown',
+        patterns: [],
+        retry: true,
+        countsAsFailure: true
+    }
+};
+
+const RECONNECTION_DEFAULTS = {
+    enabled: false,
+    maxRetries: 5,
+    retryDelay: 30000,
+    exponentialBackoff: true,
+    maxDelay: 600000,
+    throttleDelay: 60000,
+    duplicateLoginDelay: 600000,
+    circuitBreakerCooldown: 1800000
+};
+
+/**
+ * Decides when a guild connection reconnects, from guilds[].account.reconnection
+ *
+ * States:
+ *   - connected: nothing to do
+ *   - reconnecting: retrying with backoff after a disconnection
+ *   - circuit_open: maxRetries consecutive failures, waiting circuitBreakerCooldown before one trial attempt
+ *   - half_open: trial attempt running, one more failure opens the circuit again
+ *   - gave_up: reconnecting cannot help (ban), the bridge must be restarted
+ *   - stopped: the bridge is shutting down
+ */
+class ReconnectionPolicy {
+    constructor(guildConfig) {
+        this.guildConfig = guildConfig;
+
+        this.state = 'connected';
+        this.failures = 0;
+        this.lastCause = null;
+        this.lastReason = null;
+        this.nextAttemptAt = null;
+    }
+
+    /**
+     * Reconnection settings merged with defaults
+     * @returns {object} Settings
+     */
+    getSettings() {
+        return { ...RECONNECTION_DEFAULTS, ...(this.guildConfig.account.reconnection || {}) };
+    }
+
+    isEnabled() {
+        return this.getSettings().enabled === true;
+    }
+
+    /**
+     * Classify a disconnection reason
+     * @param {string|object|Error} reason - Kick reason, end reason or connection error
+     * @returns {object} Cause ({cause, label, text, retry, countsAsFailure, delaySetting})
+     */
+    classify(reason) {
+        const text = getReasonText(reason);
+
+        for (const [cause, definition] of Object.entries(DISCONNECT_CAUSES)) {
+            if (definition.patterns.some(pattern => pattern.test(text))) {
+                return { cause, text, ...definition };
+            }
+        }
+
+        return { cause: 'unknown', text, ...DISCONNECT_CAUSES.unknown };
+    }
+
+    /**
+     * Record a disconnection or a failed attempt and decide what to do next
+     * @param {string|object|Error} reason - Kick reason, end reason or connection error
+     * @returns {object} Decision ({action: 'retry'|'circuit_open'|'give_up'|'disabled'|'ignore', delay, cause, label, text, failures, reopened})
+     */
+    recordFailure(reason) {
+        const classification = this.classify(reason);
+        const decision = {
+            action: 'retry',
+            delay: 0,
+            cause: classification.cause,
+            label: classification.label,
+            text: classification.text,
+            failures: this.failures
+        };
+
+        if (this.state === 'stopped' || this.state === 'gave_up') {
+            return { ...decision, action: 'ignore' };
+        }
+
+        if (!this.isEnabled()) {
+            return { ...decision, action: 'disabled' };
+        }
+
+        this.lastCause = classification.cause;
+        this.lastReason = classification.text;
+
+        if (!classification.retry) {
+            this.state = 'gave_up';
+            this.nextAttemptAt = null;
+            logger.minecraft(`⛔ Giving up reconnection for ${this.guildConfig.name}: ${classification.label} (${classification.text})`);
+            return { ...decision, action: 'give_up' };
+        }
+
+        const settings = this.getSettings();
+        const wasHalfOpen = this.state === 'half_open';
+
+        if (classification.countsAsFailure) {
+            this.failures++;
+        }
+        decision.failures = this.failures;
+
+        if (wasHalfOpen || (settings.maxRetries > 0 && this.failures > settings.maxRetries)) {
+            this.state = 'circuit_open';
+            decision.action = 'circuit_open';
+            decision.delay = settings.circuitBreakerCooldown;
+            decision.reopened = wasHalfOpen;
+        } else {
+            this.state = 'reconnecting';
+            decision.delay = this.calculateDelay(classification, settings);
+        }
+
+        this.nextAttemptAt = Date.now() + decision.delay;
+        return decision;
+    }
+
+    /**
+     * Calculate the delay before the next attempt
+     * @param {object} classification - Disconnection cause
+     * @param {object} settings - Reconnection settings
+     * @returns {number} Delay in ms
+     */
+    calculateDelay(classification, settings) {
+        let delay = settings[classification.delaySetting] || settings.retryDelay;
+
+        if (classification.countsAsFailure && settings.exponentialBackoff && this.failures > 1) {
+            delay = delay * Math.pow(2, this.failures - 1);
+        }
+
+        delay = Math.min(delay, Math.max(settings.maxDelay, settings.retryDelay));
+
+        // Avoid every guild reconnecting at the same moment
+        const jitter = Math.random() * Math.min(5000, delay * 0.1);
+
+        return Math.round(delay + jitter);
+    }
+
+    /**
+     * Mark the start of a scheduled attempt
+     * An attempt made while the circuit is open is the trial attempt
+     */
+    beginAttempt() {
+        if (this.state === 'circuit_open') {
+            this.state = 'half_open';
+        }
+        this.nextAttemptAt = null;
+    }
+
+    /**
+     * Record a successful connection
+     * @returns {string} State before the connection
+     */
+    recordSuccess() {
+        const previousState = this.state;
+
+        this.state = 'connected';
+        this.failures = 0;
+        this.nextAttemptAt = null;
+
+        return previousState;
+    }
+
+    /**
+     * Stop reconnecting, the bridge is shutting down
+     */
+    stop() {
+        this.state = 'stopped';
+        this.nextAttemptAt = null;
+    }
+
+    getStatus() {
+        return {
+            enabled: this.isEnabled(),
+            state: this.state,
+            failures: this.failures,
+            lastCause: this.lastCause,
+            lastReason: this.lastReason,
+            nextAttemptAt: this.nextAttemptAt
+        };
+    }
+}
+
+/**
+ * Get readable text from a kick reason
+ * Kick reasons are chat components, as an object or a JSON string depending on the version
+ * @param {string|object|Error} reason - Reason
+ * @returns {string} Reason text
+ */
+function getReasonText(reason) {
+    if (reason instanceof Error) {
+        return reason.code ? `${reason.code} ${reason.message}` : reason.message;
+    }
+
+    let component = reason;
+    if (typeof reason === 'string' && /^[{["]/.test(reason.trim())) {
+        try {
+            component = JSON.parse(reason);
+        } catch (error) {
+            component = reason;
+        }
+    }
+
+    return flattenComponent(component).trim() || 'unknown';
+}
+
+function flattenComponent(component) {
+    if (component === null || component === undefined) return '';
+    if (typeof component !== 'object') return String(component);
+    if (Array.isArray(component)) return component.map(flattenComponent).join('');
+
+    const text = typeof component.text === 'string' ? component.text : (component.translate || '');
+    return text + (Array.isArray(component.extra) ? component.extra.map(flattenComponent).join('') : '');
+}
+
+module.exports = ReconnectionPolicy;
@@ -0,0 +1,268 @@
+// Specific Imports
+const BridgeLocator = require("../../bridgeLocator.js");
+const { getPatternLoader } = require("../../config/PatternLoader.js");
+const { getGuildRoster } = require("../../shared/GuildRoster.js");
+const { getRoleSync } = require("../../shared/RoleSync.js");
+const logger = require("../../shared/logger");
+
+const DEFAULT_RECONCILE_INTERVAL = 30 * 60 * 1000; // 30 minutes
+const MIN_RECONCILE_INTERVAL = 60 * 1000;
+const INITIAL_DELAY = 60 * 1000; // Let post-connect strategies finish
+const OUTPUT_TIMEOUT = 10000;
+
+/**
+ * Periodically runs /g list and /g online on every connected guild
+ * and reconciles the guild roster with their output
+ */
+class RosterReconciler {
+    /**
+     * @param {BotManager} botManager - Bot manager owning the connections
+     */
+    constructor(botManager) {
+        const mainBridge = BridgeLocator.getInstance();
+        this.config = mainBridge.config;
+
+        this.botManager = botManager;
+        this.patternLoader = getPatternLoader();
+        this.roster = getGuildRoster();
+        this.roleSync = getRoleSync();
+
+        this.rosterConfig = this.config.get('features.roster') || {};
+        this.interval = Math.max(this.rosterConfig.reconcileInterval || DEFAULT_RECONCILE_INTERVAL, MIN_RECONCILE_INTERVAL);
+        this.commands = {
+            list: this.rosterConfig.listCommand || '/g list',
+            online: this.rosterConfig.onlineCommand || '/g online'
+        };
+
+        this.initialTimer = null;
+        this.intervalTimer = null;
+        this.isRunning = false;
+    }
+
+    /**
+     * Start periodic reconciliation
+     */
+    start() {
+        if (!this.roster.enabled || this.rosterConfig.reconcileInterval === 0) {
+            logger.debug('Roster reconciliation disabled');
+            return;
+        }
+
+        this.stop();
+
+        this.initialTimer = setTimeout(() => this.reconcileAll(), INITIAL_DELAY);
+        this.intervalTimer = setInterval(() => this.reconcileAll(), this.interval);
+
+        logger.minecraft(`📋 Roster reconciliation scheduled every ${Math.round(this.interval / 60000)} minute(s)`);
+    }
+
+    /**
+     * Stop periodic reconciliation
+     */
+    stop() {
+        if (this.initialTimer) {
+            clearTimeout(this.initialTimer);
+            this.initialTimer = null;
+        }
+
+        if (this.intervalTimer) {
+            clearInterval(this.intervalTimer);
+            this.intervalTimer = null;
+        }
+    }
+
+    /**
+     * Reconcile every connected guild, one after the other
+     */
+    async reconcileAll() {
+        if (this.isRunning) {
+            logger.debug('Roster reconciliation already running, skipping');
+            return;
+        }
+
+        this.isRunning = true;
+
+        try {
+            for (const guildInfo of this.botManager.getConnectedGuilds()) {
+                await this.reconcileGuild(guildInfo.guildId);
+            }
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Reconcile a guild roster with /g list then /g online
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<boolean>} Whether the guild was reconciled
+     */
+    async reconcileGuild(guildId) {
+        const connection = this.botManager.connections.get(guildId);
+        if (!connection || !connection.isconnected()) {
+            return false;
+        }
+
+        const guildConfig = connection.getGuildConfig();
+        const patterns = this.getListPatterns(guildConfig.server.serverName);
+
+        if (!patterns) {
+            logger.debug(`[ROSTER] [${guildConfig.name}] No guild list patterns for ${guildConfig.server.serverName}, skipping reconciliation`);
+            return false;
+        }
+
+        try {
+            for (const listType of ['list', 'online']) {
+                const output = await this.captureCommandOutput(connection, this.commands[listType], patterns);
+                const listResult = this.parseListOutput(output, patterns);
+
+                if (listResult.members.length === 0) {
+                    logger.warn(`[ROSTER] [${guildConfig.name}] No member found in /g ${listType} output, skipping`);
+                    continue;
+                }
+
+                this.roster.reconcile(guildConfig, listResult, listType);
+
+                // Only a complete member list tells who left the guild
+                if (listType === 'list' && listResult.complete) {
+                    await this.roleSync.syncGuild(guildConfig);
+                }
+            }
+
+            return true;
+
+        } catch (error) {
+            logger.logError(error, `[ROSTER] Failed to reconcile roster for ${guildConfig.name}`);
+            return false;
+        }
+    }
+
+    /**
+     * Get guild list patterns of a server
+     * @param {string} serverName - Server name
+     * @returns {object|null} Patterns ({header, rank, member, end}) or null if the server has none
+     */
+    getListPatterns(serverName) {
+        const patterns = {};
+
+        for (const type of ['header', 'rank', 'member', 'end']) {
+            patterns[type] = this.patternLoader.getPatterns(serverName, 'guildList', type).filter(Boolean);
+        }
+
+        return patterns.header.length > 0 && patterns.member.length > 0 && patterns.end.length > 0 ? patterns : null;
+    }
+
+    /**
+     * Run a command and collect its output lines, from the header line to the end line
+     * @param {MinecraftConnection} connection - Guild connection
+     * @param {string} command - Command to run
+     * @param {object} patterns - Guild list patterns
+     * @returns {Promise<object>} Output ({lines, complete})
+     */
+    captureCommandOutput(connection, command, patterns) {
+        return new Promise((resolve, reject) => {
+            const bot = connection.getBot();
+            if (!bot) {
+                reject(new Error('Bot not available'));
+                return;
+            }
+
+            const lines = [];
+            let started = false;
+            let timeout = null;
+
+            const finish = (complete) => {
+                clearTimeout(timeout);
+                bot.removeListener('message', onMessage);
+                resolve({ lines, complete });
+            };
+
+            const onMessage = (message) => {
+                // Hypixel sends the whole output as one multi-line message
+                for (const rawLine of message.toString().split('\n')) {
+                    const line = rawLine.trim();
+                    if (!line) continue;
+
+                    if (!started) {
+                        if (!this.matchesAny(line, patterns.header)) continue;
+                        started = true;
+                    }
+
+                    lines.push(line);
+
+                    if (this.matchesAny(line, patterns.end)) {
+                        finish(true);
+                        return;
+                    }
+                }
+            };
+
+            timeout = setTimeout(() => finish(false), OUTPUT_TIMEOUT);
+            bot.on('message', onMessage);
+
+            connection.executeCommand(command).catch(error => {
+                clearTimeout(timeout);
+                bot.removeListener('message', onMessage);
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Parse /g list or /g online output
+     * @param {object} output - Captured output ({lines, complete})
+     * @param {object} patterns - Guild list patterns
+     * @returns {object} List result ({members: [{username, rank}], complete})
+     */
+    parseListOutput(output, patterns) {
+        const members = [];
+        let currentRank = null;
+
+        for (const line of output.lines) {
+            const rankMatch = this.matchFirst(line, patterns.rank);
+            if (rankMatch) {
+                currentRank = rankMatch[1].trim();
+                continue;
+            }
+
+            for (const patternObj of patterns.member) {
+                const regex = patternObj.pattern.global
+                    ? new RegExp(patternObj.pattern.source, patternObj.pattern.flags)
+                    : new RegExp(patternObj.pattern.source, `${patternObj.pattern.flags}g`);
+
+                for (const match of line.matchAll(regex)) {
+                    members.push({ username: match[1], rank: currentRank });
+                }
+            }
+        }
+
+        return { members, complete: output.complete };
+    }
+
+    /**
+     * Check a line against patterns
+     * @param {string} line - Output line
+     * @param {Array} patterns - Pattern objects
+     * @returns {boolean} Whether any pattern matches
+     */
+    matchesAny(line, patterns) {
+        return this.matchFirst(line, patterns) !== null;
+    }
+
+    /**
+     * Get the first pattern match of a line
+     * @param {string} line - Output line
+     * @param {Array} patterns - Pattern objects
+     * @returns {Array|null} Match or null
+     */
+    matchFirst(line, patterns) {
+        for (const patternObj of patterns) {
+            // Global patterns keep state between calls, use a fresh copy
+            const match = line.match(new RegExp(patternObj.pattern.source, patternObj.pattern.flags.replace('g', '')));
+            if (match) return match;
+        }
+
+        return null;
+    }
+}
+
+module.exports = RosterReconciler;
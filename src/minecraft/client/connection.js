@@ -2,18 +2,31 @@
 const mineflayer = require('mineflayer');
 
 // Specific Imports
+const BridgeLocator = require("../../bridgeLocator.js");
 const logger = require("../../shared/logger");
 const StrategyManager = require("../servers/StrategyManager.js")
+const OutboundQueue = require("./OutboundQueue.js");
+const { splitChatMessage, getPartSuffix } = require("./ChatSplitter.js");
+const { getChatCapture } = require("./ChatCapture.js");
+
+// Characters of a chat line always left to the message, whatever the header length
+const MIN_CONTENT_WIDTH = 40;
 
 class MinecraftConnection {
     constructor(guildConfig) {
         this._guildConfig = guildConfig;
 
         this._bot = null;
+        // Consecutive attempts, retries are decided by BotManager's ReconnectionPolicy
         this._connectionAttempts = 0;
-        this._maxConnectionAttempts = 5;
 
         this.strategyManager = new StrategyManager();
+        this.outboundQueue = new OutboundQueue(guildConfig, (line) => {
+            if (!this._bot) {
+                throw new Error(`Cannot send: ${this._guildConfig.name} is not connected`);
+            }
+            this._bot.chat(line);
+        });
 
         this._isConnected = false;
         this._isConnecting = false;
@@ -23,6 +36,7 @@ class MinecraftConnection {
         // Event callbacks
         this.messageCallback = null;
         this.eventCallback = null;
+        this.rawMessageCallback = null;
     }
 
     async connect() {
@@ -81,18 +95,6 @@ class MinecraftConnection {
             
             logger.logError(error, `Connection failed for ${this._guildConfig.name} (attempt ${this._connectionAttempts})`);
             
-            if (this._connectionAttempts >= this._maxConnectionAttempts) {
-                logger.logMinecraftConnection(
-                    this._guildConfig.id, 
-                    this._guildConfig.account.username, 
-                    'failed - max attempts reached',
-                    {
-                        maxAttempts: this._maxConnectionAttempts,
-                    }
-                );
-                throw new Error(`Max connection attempts (${this._maxConnectionAttempts}) reached for ${this._guildConfig.name}`);
-            }
-            
             throw error;
         }
     }
@@ -138,13 +140,14 @@ class MinecraftConnection {
             logger.info('');
         }
 
-        logger.debug(`Creating bot for ${this._guildConfig.name}:`, {
+        // The username may be the Microsoft account email
+        logger.debug(`Creating bot for ${this._guildConfig.name}:`, BridgeLocator.getInstance().config.redact({
             host: botConfig.host,
             port: botConfig.port,
             username: botConfig.username,
             version: botConfig.version,
             auth: botConfig.auth
-        });
+        }));
 
         try {
             // Create the bot
@@ -246,13 +249,8 @@ class MinecraftConnection {
         try {
             // Clean up existing connection
             await this.disconnect(false); // Don't log as normal disconnect
-            
-            // Wait before attempting reconnection
-            const reconnectDelay = this.calculateReconnectDelay();
-            logger.minecraft(`Waiting ${reconnectDelay}ms before reconnecting ${this._guildConfig.name}`);
-            await this.wait(reconnectDelay);
 
-            // Attempt to reconnect
+            // Attempt to reconnect, the delay was already applied by the reconnection policy
             await this.connect();
 
             // Apply reconnection strategy
@@ -277,15 +275,6 @@ class MinecraftConnection {
         }
     }
 
-    calculateReconnectDelay() {
-        // Exponential backoff with jitter
-        const baseDelay = this._guildConfig.account.reconnection?.retryDelay || 30000;
-        const backoffMultiplier = Math.min(this._connectionAttempts, 5); // Cap at 5x
-        const jitter = Math.random() * 5000; // 0-5 second jitter
-        
-        return baseDelay * backoffMultiplier + jitter;
-    }
-
     setupEventHandlers() {
         // Connection events
         this._bot.on('error', (error) => {
@@ -294,6 +283,7 @@ class MinecraftConnection {
 
         this._bot.on('end', (reason) => {
             this._isConnected = false;
+            this.outboundQueue.clear(`${this._guildConfig.name} disconnected before the message was sent`);
             logger.logMinecraftConnection(
                 this._guildConfig.id, 
                 this._guildConfig.account.username, 
@@ -344,6 +334,21 @@ class MinecraftConnection {
      */
     async handleMessage(message) {
         try {
+            // Regression corpus for the parsers, see ChatReplay
+            getChatCapture().record(message, this._guildConfig);
+
+            // Server replies to what the outbound queue just sent
+            const feedback = this.strategyManager.getSendFeedback(this._guildConfig, message.toString());
+            if (feedback) {
+                this.outboundQueue.handleFeedback(feedback);
+                return;
+            }
+
+            // Let the manager see every message (whispers are not guild messages)
+            if (this.rawMessageCallback) {
+                this.rawMessageCallback(message);
+            }
+
             // Use strategy to check if this is a guild message and process it
             const guildMessageData = await this.strategyManager.handleMessage(this._bot, message, this._guildConfig);
             
@@ -373,6 +378,14 @@ class MinecraftConnection {
         this.messageCallback = callback;
     }
 
+    /**
+     * Set callback for every raw message, before strategy filtering
+     * @param {function} callback - Callback function for raw messages
+     */
+    setRawMessageCallback(callback) {
+        this.rawMessageCallback = callback;
+    }
+
     /**
      * Set callback for guild events
      * @param {function} callback - Callback function for guild events
@@ -393,8 +406,8 @@ class MinecraftConnection {
                 ? message.substring(0, maxLength - 3) + '...'
                 : message;
 
-            const fullCommand = `/gc ${truncatedMessage}`;
-            this._bot.chat(fullCommand);
+            const fullCommand = this.buildChatLine('guild', truncatedMessage);
+            await this.outboundQueue.enqueue(fullCommand, 'chat');
 
             logger.debug(`Guild message sent for ${this._guildConfig.name}: ${truncatedMessage}`);
         
@@ -416,8 +429,8 @@ class MinecraftConnection {
                 ? message.substring(0, maxLength - 3) + '...'
                 : message;
 
-            const fullCommand = `/oc ${truncatedMessage}`;
-            this._bot.chat(fullCommand);
+            const fullCommand = this.buildChatLine('officer', truncatedMessage);
+            await this.outboundQueue.enqueue(fullCommand, 'chat');
 
             logger.debug(`Officer message sent for ${this._guildConfig.name}: ${truncatedMessage}`);
         
@@ -427,13 +440,91 @@ class MinecraftConnection {
         }
     }
 
-    async executeCommand(command) {
+    /**
+     * Send a message after a header, split over numbered lines when it does not fit in one
+     * Every line repeats the chat command and the header so each one reads on its own
+     * A header too long to leave MIN_CONTENT_WIDTH characters for the content is cut
+     * @param {string} chatType - Chat type (guild/officer)
+     * @param {string} header - Line header, e.g. "Discord > Name:", may be empty
+     * @param {string} content - Message content
+     * @param {number} maxParts - Maximum number of lines
+     * @returns {object} Sent lines and whether content was cut ({parts, truncated})
+     */
+    async sendSplitMessage(chatType, header, content, maxParts) {
+        if (!this._isConnected || !this._bot) {
+            throw new Error(`Cannot send ${chatType} message: ${this._guildConfig.name} is not connected`);
+        }
+
+        const maxLength = this._guildConfig.account.chatLengthLimit || 256;
+        const commandLength = this.buildChatLine(chatType, '').length;
+        const maxHeaderLength = Math.max(0, maxLength - commandLength - MIN_CONTENT_WIDTH - 1);
+
+        let lineHeader = header ? header.trim() : '';
+        if (lineHeader.length > maxHeaderLength) {
+            lineHeader = lineHeader.substring(0, maxHeaderLength).trim();
+            logger.debug(`Header cut to ${lineHeader.length} characters for ${this._guildConfig.name}: ${lineHeader}`);
+        }
+
+        const lineStart = lineHeader ? `${lineHeader} ` : '';
+        const width = maxLength - this.buildChatLine(chatType, lineStart).length;
+        const { parts, truncated } = splitChatMessage(content, width, maxParts);
+
+        const lines = parts.map((part, index) => parts.length > 1
+            ? this.buildChatLine(chatType, `${lineStart}${part}${getPartSuffix(index + 1, parts.length)}`)
+            : this.buildChatLine(chatType, `${lineStart}${part}`));
+
+        try {
+            // Same lane, so the parts keep their order
+            await Promise.all(lines.map(line => this.outboundQueue.enqueue(line, 'chat')));
+
+            logger.debug(`${chatType} message sent for ${this._guildConfig.name} in ${lines.length} part(s)${truncated ? ', cut off' : ''}`);
+            return { parts: lines.length, truncated };
+
+        } catch (error) {
+            logger.logError(error, `Failed to send ${chatType} message for ${this._guildConfig.name}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Build the chat line for a chat type using the server strategy command
+     * Without a chat command (plain chat) leading slashes are dropped, the line would run as a command
+     * @param {string} chatType - Chat type (guild/officer)
+     * @param {string} message - Message to send
+     * @returns {string} Chat line to send
+     */
+    buildChatLine(chatType, message) {
+        const chatCommand = this.strategyManager.getChatCommand(this._guildConfig, chatType);
+
+        if (chatCommand === null || chatCommand === undefined) {
+            throw new Error(`${chatType} chat is not available on ${this._guildConfig.server.serverName} for ${this._guildConfig.name}`);
+        }
+
+        if (chatCommand) {
+            return `${chatCommand} ${message}`;
+        }
+
+        // The server trims spaces before looking for the slash
+        const chatLine = message.replace(/^[\s/]+/, '');
+        if (chatLine !== message.trimStart()) {
+            logger.warn(`Dropped the leading slash of a chat line for ${this._guildConfig.name}: ${message}`);
+        }
+
+        return chatLine;
+    }
+
+    /**
+     * Send a command through the outbound queue
+     * @param {string} command - Command to send
+     * @param {string} priority - Queue lane, 'moderation' for staff actions, 'command' otherwise
+     */
+    async executeCommand(command, priority = 'command') {
         if (!this._isConnected || !this._bot) {
             throw new Error(`Cannot execute command: ${this._guildConfig.name} is not connected`);
         }
 
         try {
-            this._bot.chat(command);        
+            await this.outboundQueue.enqueue(command, priority);
         } catch (error) {
             logger.logError(error, `Failed to execute command for ${this._guildConfig.name}`);
             throw error;
@@ -441,6 +532,8 @@ class MinecraftConnection {
     }
 
     async disconnect(logAsNormal = true) {
+        this.outboundQueue.clear(`${this._guildConfig.name} disconnected before the message was sent`);
+
         if (this._bot) {
             try {
                 this._bot.removeAllListeners();
@@ -481,7 +574,8 @@ class MinecraftConnection {
             guildName: this._guildConfig.name,
             guildId: this._guildConfig.id,
             username: this._guildConfig.account.username,
-            server: this._guildConfig.server.serverName
+            server: this._guildConfig.server.serverName,
+            outboundQueue: this.outboundQueue.getStatus()
         };
     }
     
@@ -5,13 +5,16 @@ const MessagePatterns = require("./patterns/MessagePatterns.js");
 const MessageCleaner = require("./utils/MessageCleaner.js");
 
 class ChatParser {
-    constructor() {
+    /**
+     * @param {string|null} serverType - Server pattern set to use (defaults to features.chatParser.serverType)
+     */
+    constructor(serverType = null) {
         const mainBridge = BridgeLocator.getInstance();
         this.config = mainBridge.config;
 
         this.chatParserConfig = this.config.get("features.chatParser");
 
-        this._patterns = new MessagePatterns(this.chatParserConfig);
+        this._patterns = new MessagePatterns(serverType ? { ...this.chatParserConfig, serverType } : this.chatParserConfig);
         this._cleaner = new MessageCleaner(this.config.get("advanced.messageCleaner"));
     }
 
@@ -135,6 +138,7 @@ class ChatParser {
             username: match.username,
             message: this._cleaner.cleanMessageContent(match.message),
             rank: match.rank || null,
+            ...this.resolveChatRanks(match, guildConfig),
             messageCategory: 'chat',
             parsed: {
                 username: match.username,
@@ -161,6 +165,7 @@ class ChatParser {
             username: match.username,
             message: this._cleaner.cleanMessageContent(match.message),
             rank: match.rank || null,
+            ...this.resolveChatRanks(match, guildConfig),
             messageCategory: 'chat',
             isOfficerChat: true,
             parsed: {
@@ -172,6 +177,34 @@ class ChatParser {
         };
     }
 
+    /**
+     * Resolve the ranks of a guild or officer line sender
+     * The guild rank tag shown in chat is looked up in the guild's rankTags, then in its ranks
+     * @param {object} match - Pattern match result (with networkRank and guildRank)
+     * @param {object} guildConfig - Guild configuration
+     * @returns {object} Ranks ({networkRank, guildRank, guildRankTag, rankIndex}), rankIndex -1 for unknown rank
+     */
+    resolveChatRanks(match, guildConfig) {
+        const tag = match.guildRank || null;
+        if (!tag) {
+            return { networkRank: match.networkRank || null, guildRank: null, guildRankTag: null, rankIndex: -1 };
+        }
+
+        const ranks = guildConfig.ranks || [];
+        const rankTags = guildConfig.rankTags || {};
+
+        const taggedRank = Object.keys(rankTags).find(key => key.toLowerCase() === tag.toLowerCase());
+        const rankName = taggedRank ? rankTags[taggedRank] : tag;
+        const rankIndex = ranks.findIndex(rank => rank.toLowerCase() === rankName.toLowerCase());
+
+        return {
+            networkRank: match.networkRank || null,
+            guildRank: rankIndex !== -1 ? ranks[rankIndex] : rankName,
+            guildRankTag: tag,
+            rankIndex: rankIndex
+        };
+    }
+
     /**
      * Create private message result
      * @param {object} match - Pattern match result
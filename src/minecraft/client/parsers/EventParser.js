@@ -5,16 +5,21 @@ const EventPatterns = require("./patterns/EventPatterns.js");
 const logger = require("../../../shared/logger");
 
 class EventParser {
-    constructor() {
+    /**
+     * @param {string|null} serverType - Server pattern set to use (defaults to features.eventParser.serverType)
+     * @param {Function} clock - Current time in ms for cooldowns and timestamps, ChatReplay passes the capture time
+     */
+    constructor(serverType = null, clock = Date.now) {
         const mainBridge = BridgeLocator.getInstance();
         this.config = mainBridge.config;
         
         this.eventParserConfig = this.config.get("features.eventParser");
 
-        this._patterns = new EventPatterns(this.eventParserConfig);
+        this._patterns = new EventPatterns(serverType ? { ...this.eventParserConfig, serverType } : this.eventParserConfig);
         this._cleaner = new MessageCleaner(this.config.get("advanced.messageCleaner"));
 
         this.eventCooldowns = new Map();
+        this.clock = clock;
     }
 
     /**
@@ -87,7 +92,7 @@ class EventParser {
             guildTag: guildConfig.tag,
             
             // Parsing metadata
-            timestamp: Date.now(),
+            timestamp: this.clock(),
             parsedSuccessfully: true,
             parser: 'EventParser',
             parserVersion: '2.0.0',
@@ -117,6 +122,14 @@ class EventParser {
                     reason: eventMatch.reason || null,
                     wasKicked: false
                 };
+
+            // Players joining or leaving a server without guilds, not guild members
+            case 'server_join':
+            case 'server_leave':
+                return {
+                    ...baseResult,
+                    username: eventMatch.username,
+                };
             
             case 'welcome':
                 return {
@@ -220,7 +233,7 @@ class EventParser {
             },
             guildId: guildConfig.id,
             guildName: guildConfig.name,
-            timestamp: Date.now(),
+            timestamp: this.clock(),
             parsedSuccessfully: false,
             parser: 'EventParser',
             parserVersion: '2.0.0'
@@ -245,7 +258,7 @@ class EventParser {
             return false; // No previous event
         }
 
-        const timeSinceLastEvent = Date.now() - lastEventTime;
+        const timeSinceLastEvent = this.clock() - lastEventTime;
         return timeSinceLastEvent < this.config.eventCooldown;
     }
 
@@ -260,7 +273,7 @@ class EventParser {
         }
 
         const cooldownKey = this.generateCooldownKey(eventMatch, guildConfig);
-        this.eventCooldowns.set(cooldownKey, Date.now());
+        this.eventCooldowns.set(cooldownKey, this.clock());
 
         // Clean up old cooldown entries periodically
         if (this.eventCooldowns.size > 1000) {
@@ -288,7 +301,7 @@ class EventParser {
      * Clean up old cooldown entries
      */
     cleanupOldCooldowns() {
-        const now = Date.now();
+        const now = this.clock();
         const cutoff = now - (this.config.eventCooldown * 2); // Keep entries for 2x cooldown period
 
         for (const [key, timestamp] of this.eventCooldowns.entries()) {
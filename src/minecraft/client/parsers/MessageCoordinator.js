@@ -2,15 +2,67 @@
 const BridgeLocator = require("../../../bridgeLocator.js");
 const ChatParser = require("./ChatParser.js");
 const EventParser = require("./EventParser.js");
+const ChatComponent = require("./utils/ChatComponent.js");
 const logger = require("../../../shared/logger");
+const { getMessageArchive } = require("../../../shared/MessageArchive.js");
+const { getConfigReloader } = require("../../../config/ConfigReloader.js");
 
 class MessageCoordinator {
-    constructor() {
+    /**
+     * @param {object} options - Options
+     * @param {Function} [options.clock] - Current time in ms given to the event parsers (Date.now by default)
+     */
+    constructor(options = {}) {
         const mainBridge = BridgeLocator.getInstance();
         this.config = mainBridge.config;
+        this.clock = options.clock || Date.now;
 
         this.chatParser = new ChatParser();
-        this.eventParser = new EventParser();
+        this.eventParser = new EventParser(null, this.clock);
+
+        // Server name -> { chatParser, eventParser } for guilds on other servers
+        this.serverParsers = new Map();
+
+        this.archive = getMessageArchive();
+
+        // Parsers cache compiled patterns and parser settings
+        const reloader = getConfigReloader();
+        reloader.on('patternsReloaded', () => this.resetParsers());
+        reloader.on('settingsReloaded', () => this.resetParsers());
+    }
+
+    /**
+     * Replace every parser, dropping their pattern caches
+     */
+    resetParsers() {
+        this.chatParser = new ChatParser();
+        this.eventParser = new EventParser(null, this.clock);
+        this.serverParsers.clear();
+
+        logger.debug('Message parsers reset');
+    }
+
+    /**
+     * Get the parsers matching the server a guild is connected to
+     * @param {object} guildConfig - Guild configuration
+     * @returns {object} Parsers ({chatParser, eventParser})
+     */
+    getParsers(guildConfig) {
+        const serverName = guildConfig.server && guildConfig.server.serverName;
+
+        if (!serverName || serverName === this.config.get('features.chatParser.serverType', 'Hypixel')) {
+            return { chatParser: this.chatParser, eventParser: this.eventParser };
+        }
+
+        if (!this.serverParsers.has(serverName)) {
+            this.serverParsers.set(serverName, {
+                chatParser: new ChatParser(serverName),
+                eventParser: new EventParser(serverName, this.clock)
+            });
+            logger.debug(`Created message parsers for server: ${serverName}`);
+        }
+
+        return this.serverParsers.get(serverName);
     }
 
     /**
@@ -26,9 +78,11 @@ class MessageCoordinator {
         logger.bridge(`[GUILD] [${guildConfig.name}] Coordinator processing guild message: "${messageText.substring(0, 100)}${messageText.length > 100 ? '...' : ''}"`);
         
         // Try to parse as guild event first (events are more specific)
-        const eventData = this.eventParser.parseEvent(rawMessage, guildConfig);
+        const eventData = this.getParsers(guildConfig).eventParser.parseEvent(rawMessage, guildConfig);
         if (eventData && eventData.parsedSuccessfully) {
             logger.bridge(`[GUILD] [${guildConfig.name}] Parsed as event - Type: ${eventData.type}, Username: ${eventData.username || 'system'}`);
+            this.archive.recordMinecraftEvent(eventData, guildConfig);
+            this.attachSegments(eventData, rawMessage);
             return {
                 category: 'event',
                 data: eventData
@@ -36,7 +90,7 @@ class MessageCoordinator {
         }
         
         // Try to parse as chat message (including officer chat)
-        const chatData = this.chatParser.parseMessage(rawMessage, guildConfig);
+        const chatData = this.getParsers(guildConfig).chatParser.parseMessage(rawMessage, guildConfig);
         if (chatData.type === 'guild_chat') {
             // CHECK: Verify this isn't our own bot message (defense in depth)
             if (this.isOwnBotMessage(chatData, guildConfig)) {
@@ -70,6 +124,8 @@ class MessageCoordinator {
             // Determine chat type label for logging
             const chatTypeLabel = chatData.chatType === 'officer' ? '[OFFICER]' : '[GUILD]';
             logger.bridge(`${chatTypeLabel} [${guildConfig.name}] Parsed as ${chatData.chatType} chat - Username: ${chatData.username}, Message: "${chatData.message}"`);
+            this.archive.recordMinecraftMessage(chatData, guildConfig);
+            this.attachSegments(chatData, rawMessage);
             
             return {
                 category: 'message',
@@ -98,6 +154,23 @@ class MessageCoordinator {
         };
     }
 
+    /**
+     * Keep the colors and formatting of the line for the Discord side, when color rendering is on
+     * @param {object} data - Parsed message or event data
+     * @param {string|object} rawMessage - Raw message from Minecraft client
+     */
+    attachSegments(data, rawMessage) {
+        if (!this.config.get('features.colorRendering.enabled', false)) {
+            return;
+        }
+
+        try {
+            data.segments = ChatComponent.toSegments(rawMessage);
+        } catch (error) {
+            logger.logError(error, 'Failed to read chat component colors');
+        }
+    }
+
     /**
      * Check if parsed chat data represents our own bot message
      * @param {object} chatData - Parsed chat data
@@ -241,7 +314,7 @@ class MessageCoordinator {
     processGuildChatMessage(rawMessage, guildConfig) {
         logger.bridge(`[GUILD] [${guildConfig.name}] Processing specifically as guild chat message`);
         
-        const chatData = this.chatParser.parseMessage(rawMessage, guildConfig);
+        const chatData = this.getParsers(guildConfig).chatParser.parseMessage(rawMessage, guildConfig);
         
         if (chatData.type === 'guild_chat') {
             // Apply the same filtering as in processMessage
@@ -267,7 +340,7 @@ class MessageCoordinator {
     processOfficerChatMessage(rawMessage, guildConfig) {
         logger.bridge(`[OFFICER] [${guildConfig.name}] Processing specifically as officer chat message`);
         
-        const chatData = this.chatParser.parseMessage(rawMessage, guildConfig);
+        const chatData = this.getParsers(guildConfig).chatParser.parseMessage(rawMessage, guildConfig);
         
         if (chatData.type === 'guild_chat' && chatData.chatType === 'officer') {
             // Apply the same filtering as in processMessage
@@ -292,7 +365,7 @@ class MessageCoordinator {
     processGuildEvent(rawMessage, guildConfig) {
         logger.bridge(`[GUILD] [${guildConfig.name}] Processing specifically as guild event`);
         
-        const eventData = this.eventParser.parseEvent(rawMessage, guildConfig);
+        const eventData = this.getParsers(guildConfig).eventParser.parseEvent(rawMessage, guildConfig);
         
         if (eventData && eventData.parsedSuccessfully) {
             logger.bridge(`[GUILD] [${guildConfig.name}] Successfully parsed guild event - ${eventData.type}: ${eventData.username || 'system'}`);
@@ -309,7 +382,7 @@ class MessageCoordinator {
      * @returns {boolean} Whether message is officer chat
      */
     isOfficerChatMessage(rawMessage, guildConfig) {
-        const chatData = this.chatParser.parseMessage(rawMessage, guildConfig);
+        const chatData = this.getParsers(guildConfig).chatParser.parseMessage(rawMessage, guildConfig);
         return chatData.type === 'guild_chat' && chatData.chatType === 'officer';
     }
 
@@ -320,7 +393,7 @@ class MessageCoordinator {
      * @returns {boolean} Whether message is guild chat
      */
     isGuildChatMessage(rawMessage, guildConfig) {
-        const chatData = this.chatParser.parseMessage(rawMessage, guildConfig);
+        const chatData = this.getParsers(guildConfig).chatParser.parseMessage(rawMessage, guildConfig);
         return chatData.type === 'guild_chat';
     }
 }
@@ -0,0 +1,352 @@
+// Specific Imports
+const logger = require("../../../shared/logger");
+const StrategyManager = require("../../servers/StrategyManager.js");
+const MessageCoordinator = require("./MessageCoordinator.js");
+const { getPatternLoader } = require("../../../config/PatternLoader.js");
+
+const MESSAGE_TYPES = ['guild', 'officer', 'private', 'party'];
+// Detection groups the strategies check against join/leave lines before accepting them
+const CHAT_DETECTION_GROUPS = ['guildChat', 'officerChat'];
+
+/**
+ * Explains how the bridge classifies a chat line, for `/bridge explain` and `--explain`
+ *
+ * Every stage reports the pattern that matched (index in patterns.json, description, pattern)
+ * and its captured groups:
+ *   1. MessageCleaner.cleanMessage
+ *   2. Send feedback (throttle/duplicate replies consumed by the outbound queue)
+ *   3. Every detection group of the server strategy, then the strategy decision
+ *   4. EventPatterns.matchEvent and the event cooldown
+ *   5. MessagePatterns (ignore, guild, officer, private, party, system)
+ *   6. The category MessageCoordinator would emit
+ *
+ * Nothing is recorded and no cooldown is started, the line can be explained repeatedly.
+ */
+class PatternExplainer {
+    /**
+     * @param {object} options - Live components to explain with, new ones otherwise
+     * @param {MessageCoordinator} options.messageCoordinator - Coordinator holding the parsers and their cooldowns
+     * @param {StrategyManager} options.strategyManager - Strategy manager
+     */
+    constructor(options = {}) {
+        this.messageCoordinator = options.messageCoordinator || new MessageCoordinator();
+        this.strategyManager = options.strategyManager || new StrategyManager();
+        this.patternLoader = getPatternLoader();
+    }
+
+    /**
+     * Explain how a line received by a guild would be classified
+     * @param {string} line - Raw chat line
+     * @param {object} guildConfig - Guild configuration
+     * @returns {Promise<object>} Explanation
+     */
+    async explain(line, guildConfig) {
+        const serverName = guildConfig.server.serverName;
+        const { chatParser, eventParser } = this.messageCoordinator.getParsers(guildConfig);
+        const cleaned = chatParser.getCleaner().cleanMessage(line);
+        const detection = this.explainDetection(line, serverName);
+
+        const report = {
+            line,
+            guild: { id: guildConfig.id, name: guildConfig.name, serverName },
+            cleaned,
+            sendFeedback: this.strategyManager.getSendFeedback(guildConfig, line),
+            detection,
+            strategy: await this.explainStrategy(line, guildConfig, detection),
+            event: null,
+            cooldown: null,
+            messages: this.explainMessages(cleaned, chatParser.getPatterns()),
+            final: null
+        };
+
+        const eventPatterns = eventParser.getPatterns();
+        const eventMatch = eventPatterns.matchEvent(cleaned);
+        if (eventMatch) {
+            report.event = describeEventMatch(eventMatch, eventPatterns);
+            report.cooldown = this.explainCooldown(eventParser, eventMatch, guildConfig);
+        }
+
+        report.final = this.explainFinal(report, line, guildConfig, chatParser);
+
+        logger.debug(`[EXPLAIN] [${guildConfig.name}] "${line}" -> ${report.final.category}${report.final.type ? `/${report.final.type}` : ''}`);
+        return report;
+    }
+
+    // ==================== STAGES ====================
+
+    /**
+     * Test every detection group of the server
+     * Strategies cache detection patterns, use theirs when they expose them
+     * @param {string} line - Raw line, strategies test the raw text
+     * @param {string} serverName - Server name
+     * @returns {Array<object>} Result per group ({group, match})
+     */
+    explainDetection(line, serverName) {
+        const strategy = this.strategyManager.getStrategy(serverName);
+
+        return this.patternLoader.getDetectionTypes(serverName).map(group => {
+            const patterns = strategy && typeof strategy.getDetectionPatterns === 'function'
+                ? strategy.getDetectionPatterns(group)
+                : this.patternLoader.getDetectionPatterns(serverName, group);
+
+            return { group, match: findMatch(patterns, line) };
+        });
+    }
+
+    /**
+     * Run the strategy decision
+     * @param {string} line - Raw line
+     * @param {object} guildConfig - Guild configuration
+     * @param {Array<object>} detection - Detection results from explainDetection
+     * @returns {Promise<object>} Strategy result ({guildMessage, ownBotMessage, filter})
+     */
+    async explainStrategy(line, guildConfig, detection) {
+        const strategy = this.strategyManager.getStrategy(guildConfig.server.serverName);
+        const guildMessage = await this.strategyManager.handleMessage(null, line, guildConfig);
+        const ownBotMessage = !!(strategy && typeof strategy.isOwnBotMessage === 'function' && strategy.isOwnBotMessage(line, guildConfig));
+
+        return {
+            guildMessage: guildMessage ? { type: guildMessage.type, subtype: guildMessage.subtype || null } : null,
+            ownBotMessage,
+            filter: guildMessage || ownBotMessage ? null : explainStrategyFilter(strategy, line, detection)
+        };
+    }
+
+    /**
+     * Match the cleaned line against the message patterns, in the order ChatParser tries them
+     * @param {string} cleaned - Cleaned line
+     * @param {MessagePatterns} messagePatterns - Message patterns of the guild's server
+     * @returns {Array<object>} Result per stage ({stage, match})
+     */
+    explainMessages(cleaned, messagePatterns) {
+        return [
+            { stage: 'ignore', match: findMatch(messagePatterns.getIgnorePatterns(), cleaned) },
+            ...MESSAGE_TYPES.map(type => ({ stage: type, match: findMatch(messagePatterns.getMessagePatterns(type), cleaned) })),
+            { stage: 'system', match: findMatch(messagePatterns.getSystemPatterns(), cleaned) }
+        ];
+    }
+
+    /**
+     * Read the cooldown of a matched event without starting it
+     * @param {EventParser} eventParser - Event parser of the guild
+     * @param {object} eventMatch - Matched event
+     * @param {object} guildConfig - Guild configuration
+     * @returns {object} Cooldown ({key, cooldownMs, active, remainingMs})
+     */
+    explainCooldown(eventParser, eventMatch, guildConfig) {
+        const key = eventParser.generateCooldownKey(eventMatch, guildConfig);
+        const cooldownMs = eventParser.config.eventCooldown || 0;
+        const lastEventTime = eventParser.eventCooldowns.get(key);
+        const active = eventParser.isEventInCooldown(eventMatch, guildConfig);
+
+        return {
+            key,
+            cooldownMs,
+            active,
+            remainingMs: active ? lastEventTime + cooldownMs - eventParser.clock() : 0
+        };
+    }
+
+    /**
+     * Decide the final category, following MinecraftConnection.handleMessage then
+     * MessageCoordinator.processMessage
+     * @param {object} report - Explanation so far
+     * @param {string} line - Raw line
+     * @param {object} guildConfig - Guild configuration
+     * @param {ChatParser} chatParser - Chat parser of the guild
+     * @returns {object} Final decision ({category, type, reason})
+     */
+    explainFinal(report, line, guildConfig, chatParser) {
+        if (report.sendFeedback) {
+            return { category: 'send_feedback', type: report.sendFeedback, reason: 'Reply to the last line sent, handled by the outbound queue' };
+        }
+
+        if (!report.strategy.guildMessage) {
+            if (report.strategy.ownBotMessage) {
+                return { category: 'ignored', type: 'own_bot_message', reason: 'Sent by the bridge account, dropped by the strategy' };
+            }
+
+            const filter = report.strategy.filter;
+            return filter
+                ? { category: 'ignored', type: filter.type, reason: filter.reason }
+                : { category: 'not_guild', type: null, reason: 'No detection pattern matched, the strategy drops the line' };
+        }
+
+        if (report.event && !report.cooldown.active) {
+            return { category: 'event', type: report.event.type, reason: `Event pattern ${report.event.type}[${report.event.index}]` };
+        }
+
+        const chatData = chatParser.parseMessage(line, guildConfig);
+
+        if (chatData.type === 'guild_chat') {
+            if (this.messageCoordinator.isOwnBotMessage(chatData, guildConfig)) {
+                return { category: 'ignored', type: 'own_bot_message', reason: `Sent by the bridge account (${chatData.username})` };
+            }
+            if (this.messageCoordinator.isInterGuildRelayMessage(chatData, guildConfig)) {
+                return { category: 'ignored', type: 'inter_guild_relay', reason: 'Looks like a message relayed by a bridge' };
+            }
+            return { category: 'message', type: chatData.chatType, reason: `${chatData.chatType} chat from ${chatData.username}` };
+        }
+
+        const cooldownNote = report.event ? ' (event in cooldown)' : '';
+        return {
+            category: chatData.type,
+            type: chatData.systemType || null,
+            reason: `${chatData.reason || 'Not guild chat'}${cooldownNote}`
+        };
+    }
+}
+
+/**
+ * Tell which step of the strategy dropped a line some detection pattern matched
+ * @param {object|null} strategy - Server strategy
+ * @param {string} line - Raw line
+ * @param {Array<object>} detection - Detection results
+ * @returns {object|null} Filter ({type, group, reason}) or null when no detection pattern matched
+ */
+function explainStrategyFilter(strategy, line, detection) {
+    const matched = detection.filter(result => result.match);
+    if (matched.length === 0) {
+        return null;
+    }
+
+    const chatMatch = matched.find(result => CHAT_DETECTION_GROUPS.includes(result.group));
+    if (chatMatch && strategy && typeof strategy.isJoinLeaveMessage === 'function' && strategy.isJoinLeaveMessage(line)) {
+        return {
+            type: 'join_leave',
+            group: chatMatch.group,
+            reason: `${chatMatch.group} #${chatMatch.match.index} matched, but the strategy keeps join/leave lines out of chat (isJoinLeaveMessage) and no event or system detection pattern matched`
+        };
+    }
+
+    const groups = matched.map(result => result.group).join(', ');
+    return {
+        type: 'strategy_filter',
+        group: matched[0].group,
+        reason: `${groups} matched, but the strategy rejected the line`
+    };
+}
+
+/**
+ * Find the first pattern matching a text
+ * @param {Array<object>} patterns - Pattern objects from PatternLoader
+ * @param {string} text - Text to test
+ * @returns {object|null} Match ({index, description, pattern, groups, customId}) or null
+ */
+function findMatch(patterns, text) {
+    for (let index = 0; index < patterns.length; index++) {
+        const patternObj = patterns[index];
+        if (!patternObj || !patternObj.pattern) continue;
+
+        // Global patterns keep their position between calls
+        patternObj.pattern.lastIndex = 0;
+        const match = patternObj.pattern.exec(text);
+        patternObj.pattern.lastIndex = 0;
+
+        if (match) {
+            return {
+                index,
+                description: patternObj.description || null,
+                pattern: patternObj.originalPattern || String(patternObj.pattern),
+                groups: nameGroups(patternObj.groups || [], match),
+                customId: patternObj.customId || null
+            };
+        }
+    }
+
+    return null;
+}
+
+function nameGroups(names, match) {
+    const groups = {};
+    match.slice(1).forEach((value, i) => {
+        if (value !== undefined) {
+            groups[names[i] || `$${i + 1}`] = value;
+        }
+    });
+    return groups;
+}
+
+/**
+ * Describe an EventPatterns match
+ * @param {object} eventMatch - Result of EventPatterns.matchEvent
+ * @param {EventPatterns} eventPatterns - Event patterns
+ * @returns {object} Event ({type, index, description, pattern, groups, customId})
+ */
+function describeEventMatch(eventMatch, eventPatterns) {
+    const patternObj = eventPatterns.getEventPatterns(eventMatch.type)[eventMatch.patternIndex] || {};
+    const groups = {};
+
+    for (const name of eventMatch.groups || []) {
+        if (eventMatch[name] !== undefined) {
+            groups[name] = eventMatch[name];
+        }
+    }
+
+    return {
+        type: eventMatch.type,
+        index: eventMatch.patternIndex,
+        description: eventMatch.description,
+        pattern: patternObj.originalPattern || String(patternObj.pattern || ''),
+        groups,
+        customId: patternObj.customId || null
+    };
+}
+
+/**
+ * Turn an explanation into titled sections of text lines, shared by the Discord and CLI outputs
+ * @param {object} report - Explanation
+ * @returns {Array<object>} Sections ({title, lines})
+ */
+function formatExplanation(report) {
+    const describe = (match) => {
+        const groups = Object.entries(match.groups).map(([name, value]) => `${name}=${JSON.stringify(value)}`).join(' ');
+        const custom = match.customId ? ` [custom ${match.customId}]` : '';
+        return `#${match.index}${custom} ${match.description || ''}\n    /${match.pattern}/${groups ? `\n    ${groups}` : ''}`;
+    };
+
+    const detectionLines = report.detection.map(({ group, match }) =>
+        match ? `✅ ${group} ${describe(match)}` : `▫️ ${group}`
+    );
+
+    const strategy = report.strategy;
+    const strategyLine = strategy.guildMessage
+        ? `✅ ${strategy.guildMessage.type}${strategy.guildMessage.subtype ? ` (${strategy.guildMessage.subtype})` : ''}`
+        : `❌ Not a guild message${strategy.ownBotMessage ? ', sent by the bridge account' : ''}${strategy.filter ? `, filtered out after ${strategy.filter.group} matched` : ''}`;
+
+    const eventLines = [];
+    if (report.event) {
+        eventLines.push(`✅ ${report.event.type} ${describe(report.event)}`);
+        const cooldown = report.cooldown;
+        if (cooldown.cooldownMs <= 0) {
+            eventLines.push('Cooldown: disabled');
+        } else {
+            eventLines.push(cooldown.active
+                ? `⏳ In cooldown for ${Math.ceil(cooldown.remainingMs / 1000)}s more (${cooldown.key})`
+                : `Cooldown: not active (${cooldown.cooldownMs}ms, ${cooldown.key})`);
+        }
+    } else {
+        eventLines.push('▫️ No event pattern matched');
+    }
+
+    const messageLines = report.messages.map(({ stage, match }) =>
+        match ? `✅ ${stage} ${describe(match)}` : `▫️ ${stage}`
+    );
+
+    const final = report.final;
+
+    return [
+        { title: 'Line', lines: [`Guild: ${report.guild.name} (${report.guild.serverName})`, `Raw: ${report.line}`, `Cleaned: ${report.cleaned}`] },
+        { title: 'Send feedback', lines: [report.sendFeedback ? `✅ ${report.sendFeedback}` : '▫️ None'] },
+        { title: 'Detection', lines: [...detectionLines, `Strategy: ${strategyLine}`] },
+        { title: 'Event', lines: eventLines },
+        { title: 'Message patterns', lines: messageLines },
+        { title: 'Result', lines: [`${final.category}${final.type ? `/${final.type}` : ''}`, final.reason] }
+    ];
+}
+
+module.exports = {
+    PatternExplainer,
+    formatExplanation,
+    findMatch
+};
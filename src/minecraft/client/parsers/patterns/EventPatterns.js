@@ -67,6 +67,8 @@ class EventPatterns {
             'join': ['username'],
             'disconnect': ['username'],
             'leave': ['username'],
+            'server_join': ['username'],
+            'server_leave': ['username'],
             'welcome': ['username'],
             'kick': ['username', 'kicker'],
             'promote': ['username', 'toRank'],
@@ -295,11 +295,37 @@ class MessagePatterns {
             if (!result.message && match.length > 1) {
                 result.message = match[match.length - 1];
             }
+
+            this.extractChatRanks(match[0], result);
         }
 
         return result;
     }
 
+    /**
+     * Split the ranks around the sender of a guild or officer line
+     * "Guild > [MVP++] Name [Officer]: hi" gives networkRank "MVP++" and guildRank "Officer"
+     * Ranks captured by pattern groups (networkRank/guildRank, or rank1/rank2) take precedence
+     * @param {string} line - Matched line
+     * @param {object} result - Match result, updated with networkRank and guildRank
+     */
+    extractChatRanks(line, result) {
+        result.networkRank = result.networkRank || result.rank1 || null;
+        result.guildRank = result.guildRank || result.rank2 || null;
+
+        if (!result.username || (result.networkRank && result.guildRank)) {
+            return;
+        }
+
+        const escaped = result.username.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const ranks = line.match(new RegExp(`(?:\\[([^\\]]+)\\] )?\\b${escaped}\\b(?: \\[([^\\]]+)\\])?`));
+
+        if (ranks) {
+            result.networkRank = result.networkRank || ranks[1] || null;
+            result.guildRank = result.guildRank || ranks[2] || null;
+        }
+    }
+
     /**
      * Extract system message data
      * @param {Array} match - Regex match result
@@ -0,0 +1,201 @@
+// Legacy § codes -> color names of the chat component format
+const LEGACY_COLORS = {
+    '0': 'black', '1': 'dark_blue', '2': 'dark_green', '3': 'dark_aqua',
+    '4': 'dark_red', '5': 'dark_purple', '6': 'gold', '7': 'gray',
+    '8': 'dark_gray', '9': 'blue', 'a': 'green', 'b': 'aqua',
+    'c': 'red', 'd': 'light_purple', 'e': 'yellow', 'f': 'white'
+};
+
+const LEGACY_FORMATS = {
+    'k': 'obfuscated', 'l': 'bold', 'm': 'strikethrough', 'n': 'underlined', 'o': 'italic'
+};
+
+const STYLE_KEYS = ['color', 'bold', 'italic', 'underlined', 'strikethrough', 'obfuscated'];
+
+const PLAIN_STYLE = { color: null, bold: false, italic: false, underlined: false, strikethrough: false, obfuscated: false };
+
+/**
+ * Flattens a Minecraft chat message into styled text segments
+ *
+ * Handles JSON chat components (text/extra with inherited styles) as well as § codes left
+ * inside the text, which Hypixel still uses for ranks and MOTDs.
+ *
+ * Segment shape:
+ *   { text, color, bold, italic, underlined, strikethrough, obfuscated }   color is a
+ *   component color name ('gold', 'dark_aqua'...), a '#rrggbb' value or null
+ */
+class ChatComponent {
+    /**
+     * Get the segments of a chat message
+     * Falls back to a single unstyled segment when the component does not give back the
+     * text the parsers saw (translated messages for instance)
+     * @param {string|object} rawMessage - Message from mineflayer, its JSON component or a string
+     * @returns {Array<object>} Segments
+     */
+    static toSegments(rawMessage) {
+        const segments = [];
+
+        if (typeof rawMessage === 'string') {
+            ChatComponent.parseLegacy(rawMessage, PLAIN_STYLE, segments);
+            return ChatComponent.merge(segments);
+        }
+
+        const isChatMessage = !!rawMessage && rawMessage.json !== undefined;
+        ChatComponent.walk(isChatMessage ? rawMessage.json : rawMessage, PLAIN_STYLE, segments);
+
+        const merged = ChatComponent.merge(segments);
+        if (!isChatMessage) {
+            return merged;
+        }
+
+        const expected = String(rawMessage).replace(/§[0-9a-fk-or]/gi, '');
+        if (ChatComponent.toText(merged) !== expected) {
+            return [{ ...PLAIN_STYLE, text: expected }];
+        }
+
+        return merged;
+    }
+
+    /**
+     * Walk a component and its children, children inherit the style of their parent
+     * @param {*} node - Component, string or array of components
+     * @param {object} inherited - Style of the parent
+     * @param {Array<object>} segments - Segments, appended to
+     */
+    static walk(node, inherited, segments) {
+        if (node === null || node === undefined) {
+            return;
+        }
+
+        if (typeof node === 'string' || typeof node === 'number') {
+            ChatComponent.parseLegacy(String(node), inherited, segments);
+            return;
+        }
+
+        if (Array.isArray(node)) {
+            node.forEach(child => ChatComponent.walk(child, inherited, segments));
+            return;
+        }
+
+        if (typeof node !== 'object') {
+            return;
+        }
+
+        const style = { ...inherited };
+        for (const key of STYLE_KEYS) {
+            if (node[key] !== undefined) {
+                style[key] = key === 'color' ? node[key] : node[key] === true || node[key] === 'true';
+            }
+        }
+
+        if (node.text !== undefined) {
+            ChatComponent.parseLegacy(String(node.text), style, segments);
+        }
+
+        if (Array.isArray(node.extra)) {
+            node.extra.forEach(child => ChatComponent.walk(child, style, segments));
+        }
+    }
+
+    /**
+     * Split text on § codes
+     * A color code resets the formatting codes before it, like the game does
+     * @param {string} text - Text, possibly with § codes
+     * @param {object} style - Style the text starts with
+     * @param {Array<object>} segments - Segments, appended to
+     */
+    static parseLegacy(text, style, segments) {
+        let current = { ...style };
+        let buffer = '';
+
+        const flush = () => {
+            if (buffer) {
+                segments.push({ ...current, text: buffer });
+                buffer = '';
+            }
+        };
+
+        for (let index = 0; index < text.length; index++) {
+            const code = text[index] === '§' && index + 1 < text.length ? text[index + 1].toLowerCase() : null;
+
+            if (code && (LEGACY_COLORS[code] || LEGACY_FORMATS[code] || code === 'r')) {
+                flush();
+
+                if (LEGACY_COLORS[code]) {
+                    current = { ...PLAIN_STYLE, color: LEGACY_COLORS[code] };
+                } else if (LEGACY_FORMATS[code]) {
+                    current = { ...current, [LEGACY_FORMATS[code]]: true };
+                } else {
+                    current = { ...PLAIN_STYLE };
+                }
+
+                index++;
+                continue;
+            }
+
+            buffer += text[index];
+        }
+
+        flush();
+    }
+
+    /**
+     * Join neighbouring segments sharing the same style
+     * @param {Array<object>} segments - Segments
+     * @returns {Array<object>} Merged segments
+     */
+    static merge(segments) {
+        const merged = [];
+
+        for (const segment of segments) {
+            const previous = merged[merged.length - 1];
+            if (previous && STYLE_KEYS.every(key => previous[key] === segment[key])) {
+                previous.text += segment.text;
+            } else {
+                merged.push({ ...segment });
+            }
+        }
+
+        return merged;
+    }
+
+    /**
+     * Get the text of segments
+     * @param {Array<object>} segments - Segments
+     * @returns {string} Text
+     */
+    static toText(segments) {
+        return segments.map(segment => segment.text).join('');
+    }
+
+    /**
+     * Keep the part of segments between two text positions
+     * @param {Array<object>} segments - Segments
+     * @param {number} start - Start position in the text
+     * @param {number} end - End position in the text (excluded), the end by default
+     * @returns {Array<object>} Segments of the range
+     */
+    static slice(segments, start, end = Infinity) {
+        const sliced = [];
+        let position = 0;
+
+        for (const segment of segments) {
+            const segmentStart = position;
+            const segmentEnd = position + segment.text.length;
+            position = segmentEnd;
+
+            if (segmentEnd <= start || segmentStart >= end) {
+                continue;
+            }
+
+            const text = segment.text.substring(Math.max(0, start - segmentStart), Math.min(segment.text.length, end - segmentStart));
+            if (text) {
+                sliced.push({ ...segment, text });
+            }
+        }
+
+        return sliced;
+    }
+}
+
+module.exports = ChatComponent;
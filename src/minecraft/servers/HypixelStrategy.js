@@ -48,6 +48,39 @@ class HypixelStrategy {
         });
     }
 
+    /**
+     * Get the command prefix used to talk in a chat
+     * @param {string} chatType - Chat type (guild/officer)
+     * @returns {string|null} Command prefix or null if the chat type is not available
+     */
+    getChatCommand(chatType) {
+        switch (chatType) {
+            case 'guild':
+                return '/gc';
+            case 'officer':
+                return '/oc';
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Check whether a message is Hypixel rejecting the last line the bot sent
+     * @param {string} messageText - Message text
+     * @returns {string|null} Feedback kind (throttled/duplicate) or null
+     */
+    getSendFeedback(messageText) {
+        if (this.testDetectionPatterns(messageText, 'sendThrottled')) {
+            return 'throttled';
+        }
+
+        if (this.testDetectionPatterns(messageText, 'sendDuplicate')) {
+            return 'duplicate';
+        }
+
+        return null;
+    }
+
     async onConnect(bot, guildConfig) {
         logger.minecraft(`🏰 Hypixel connection strategy for ${guildConfig.name}`);
         
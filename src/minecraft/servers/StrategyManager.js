@@ -1,18 +1,164 @@
+// Globals Imports
+const fs = require('fs');
+const path = require('path');
+
 // Specific Imports
 const logger = require("../../shared/logger");
-const HypixelStrategy = require("./HypixelStrategy.js");
+const BridgeLocator = require("../../bridgeLocator.js");
+const { getConfigReloader } = require("../../config/ConfigReloader.js");
+
+/**
+ * Server strategy interface
+ *
+ * A strategy is a class exported from a `*Strategy.js` file, either in this folder or in the
+ * folder configured by `features.strategies.directory`. It is instantiated once per connection.
+ *
+ * Required:
+ *   - serverName {string}                               Matches guilds[].server.serverName
+ *   - async onConnect(bot, guildConfig)                 Run once the bot spawned
+ *   - async onReconnect(bot, guildConfig)               Run after a reconnection
+ *   - async onMessage(bot, message, guildConfig)        Return { type, category, subtype, raw } for messages to bridge, null otherwise
+ *   - isGuildMessage(messageText)                       Whether a message is relevant for the bridge
+ *
+ * Optional:
+ *   - getChatCommand(chatType)                          Command prefix used to talk in 'guild' or 'officer' chat,
+ *                                                       '' for plain chat, null if the chat type is not available
+ *   - clearCache()                                      Drop cached patterns, called when patterns.json is reloaded
+ *   - getSendFeedback(messageText)                      'throttled' or 'duplicate' when the message is the server rejecting
+ *                                                       the last line the bot sent, null otherwise
+ */
+const REQUIRED_STRATEGY_METHODS = ['onConnect', 'onReconnect', 'onMessage', 'isGuildMessage'];
+const OPTIONAL_STRATEGY_METHODS = ['getChatCommand', 'clearCache', 'getSendFeedback'];
+
+// Used when a strategy does not implement getChatCommand
+const DEFAULT_CHAT_COMMANDS = {
+    guild: '/gc',
+    officer: '/oc'
+};
 
 class StrategyManager {
     constructor() {
-        this.strategies = {
-            "Hypixel": new HypixelStrategy()
-            // 'Mineplex': new VanillaStrategy(), 
-            // '2b2t': new VanillaStrategy(),
-            // 'Vanilla': new VanillaStrategy(),
-            // 'Custom': new VanillaStrategy()
-        };
+        const mainBridge = BridgeLocator.getInstance();
+        this.config = mainBridge.config;
+
+        this.strategies = {};
+
+        this.loadStrategies();
+
+        getConfigReloader().on('patternsReloaded', () => this.clearStrategyCaches());
+    }
+
+    // ==================== STRATEGY LOADING ====================
+
+    /**
+     * Load built-in strategies, then the ones from the configured strategies directory
+     * Strategies from the configured directory override built-in ones with the same serverName
+     */
+    loadStrategies() {
+        this.loadStrategiesFromDirectory(__dirname);
+
+        const customDirectory = this.config.get('features.strategies.directory');
+        if (customDirectory) {
+            this.loadStrategiesFromDirectory(path.resolve(process.cwd(), customDirectory));
+        }
+
+        logger.debug(`Loaded server strategies: ${Object.keys(this.strategies).join(', ') || 'none'}`);
+    }
+
+    /**
+     * Load every *Strategy.js file from a directory
+     * @param {string} dirPath - Directory path to scan
+     */
+    loadStrategiesFromDirectory(dirPath) {
+        if (!fs.existsSync(dirPath)) {
+            logger.warn(`Strategies directory not found: ${dirPath}`);
+            return;
+        }
+
+        try {
+            const files = fs.readdirSync(dirPath)
+                .filter(file => file.endsWith('Strategy.js') && file !== path.basename(__filename));
+
+            for (const file of files) {
+                this.loadStrategyFile(path.join(dirPath, file));
+            }
+        } catch (error) {
+            logger.logError(error, `Failed to load strategies from directory: ${dirPath}`);
+        }
+    }
+
+    /**
+     * Load, validate and register a single strategy file
+     * @param {string} filePath - Path to the strategy file
+     */
+    loadStrategyFile(filePath) {
+        const fileName = path.basename(filePath);
+
+        try {
+            const StrategyClass = require(filePath);
+            if (typeof StrategyClass !== 'function') {
+                throw new Error('module must export a strategy class');
+            }
+
+            const strategy = new StrategyClass();
+
+            const errors = this.validateStrategy(strategy);
+            if (errors.length > 0) {
+                throw new Error(errors.join(', '));
+            }
+
+            if (this.strategies[strategy.serverName]) {
+                logger.warn(`Strategy ${fileName} overrides existing strategy for server: ${strategy.serverName}`);
+            }
+
+            this.strategies[strategy.serverName] = strategy;
+            logger.debug(`Loaded strategy ${strategy.name || StrategyClass.name} for server ${strategy.serverName} from ${fileName}`);
+
+        } catch (error) {
+            logger.warn(`Skipping invalid strategy ${fileName}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Validate a strategy instance against the strategy interface
+     * @param {object} strategy - Strategy instance
+     * @returns {Array<string>} Validation errors (empty if valid)
+     */
+    validateStrategy(strategy) {
+        const errors = [];
+
+        if (!strategy.serverName || typeof strategy.serverName !== 'string') {
+            errors.push('missing serverName');
+        }
+
+        for (const method of REQUIRED_STRATEGY_METHODS) {
+            if (typeof strategy[method] !== 'function') {
+                errors.push(`missing method ${method}()`);
+            }
+        }
+
+        for (const method of OPTIONAL_STRATEGY_METHODS) {
+            if (strategy[method] !== undefined && typeof strategy[method] !== 'function') {
+                errors.push(`${method} must be a function`);
+            }
+        }
+
+        return errors;
     }
 
+    /**
+     * Clear the pattern caches of strategies that have one
+     */
+    clearStrategyCaches() {
+        for (const strategy of Object.values(this.strategies)) {
+            if (typeof strategy.clearCache === 'function') {
+                strategy.clearCache();
+            }
+        }
+    }
+
+    // ==================== STRATEGY ACCESS ====================
+
     getStrategy(serverName) {
         const strategy = this.strategies[serverName];
         if (!strategy) {
@@ -22,6 +168,39 @@ class StrategyManager {
         return strategy;
     }
 
+    /**
+     * Get the command prefix used to talk in a chat on the guild's server
+     * @param {object} guildConfig - Guild configuration
+     * @param {string} chatType - Chat type (guild/officer)
+     * @returns {string|null} Command prefix, '' for plain chat, null if the chat type is not available
+     */
+    getChatCommand(guildConfig, chatType) {
+        const strategy = this.getStrategy(guildConfig.server.serverName);
+
+        if (strategy && typeof strategy.getChatCommand === 'function') {
+            return strategy.getChatCommand(chatType);
+        }
+
+        return DEFAULT_CHAT_COMMANDS[chatType] !== undefined ? DEFAULT_CHAT_COMMANDS[chatType] : null;
+    }
+
+    /**
+     * Check whether a message is the server rejecting the last line the bot sent
+     * @param {object} guildConfig - Guild configuration
+     * @param {string} messageText - Message text
+     * @returns {string|null} Feedback kind (throttled/duplicate) or null
+     */
+    getSendFeedback(guildConfig, messageText) {
+        // Called for every message, stay quiet when the server has no strategy
+        const strategy = this.strategies[guildConfig.server.serverName];
+
+        if (strategy && typeof strategy.getSendFeedback === 'function') {
+            return strategy.getSendFeedback(messageText);
+        }
+
+        return null;
+    }
+
     async executePostConnectStrategy(bot, guildConfig) {
         const serverName = guildConfig.server.serverName;
         const strategy = this.getStrategy(serverName);
@@ -0,0 +1,205 @@
+// Specific Imports
+const logger = require("../../shared/logger");
+const { getPatternLoader } = require("../../config/PatternLoader.js");
+
+class VanillaStrategy {
+    constructor() {
+        this.name = "VanillaStrategy";
+        this.serverName = "Vanilla";
+        this.connectDelay = 2000;
+
+        this.patternLoader = getPatternLoader();
+
+        // Cache for detection patterns
+        this.detectionCache = new Map();
+
+        logger.debug(`${this.name} initialized with PatternLoader`);
+    }
+
+    /**
+     * Get detection patterns for a specific type
+     * @param {string} type - Detection type (guildChat, officerChat, guildEvent, guildSystem)
+     * @returns {Array} Array of detection pattern objects
+     */
+    getDetectionPatterns(type) {
+        if (this.detectionCache.has(type)) {
+            return this.detectionCache.get(type);
+        }
+
+        const patterns = this.patternLoader.getDetectionPatterns(this.serverName, type);
+        this.detectionCache.set(type, patterns);
+
+        logger.debug(`Loaded ${patterns.length} detection patterns for ${type}`);
+        return patterns;
+    }
+
+    /**
+     * Test message against detection patterns
+     * @param {string} messageText - Message text to test
+     * @param {string} type - Detection type
+     * @returns {boolean} Whether message matches any pattern
+     */
+    testDetectionPatterns(messageText, type) {
+        const patterns = this.getDetectionPatterns(type);
+
+        return patterns.some(patternObj => {
+            if (!patternObj || !patternObj.pattern) return false;
+            return patternObj.pattern.test(messageText);
+        });
+    }
+
+    /**
+     * Get the command prefix used to talk in a chat
+     * Guild chat maps to the global server chat, there is no officer chat
+     * @param {string} chatType - Chat type (guild/officer)
+     * @returns {string|null} '' for plain chat or null if the chat type is not available
+     */
+    getChatCommand(chatType) {
+        return chatType === 'guild' ? '' : null;
+    }
+
+    async onConnect(bot, guildConfig) {
+        // Plain servers need no lobby handling, only let the connection stabilize
+        logger.minecraft(`🌍 Vanilla connection strategy for ${guildConfig.name}`);
+        await this.wait(this.connectDelay);
+    }
+
+    async onReconnect(bot, guildConfig) {
+        logger.minecraft(`🔄 Vanilla reconnection strategy for ${guildConfig.name}`);
+        await this.wait(this.connectDelay);
+    }
+
+    /**
+     * Main message handler for Vanilla strategy
+     * Global server chat is treated as the "guild" chat of the configured guild entry
+     * @param {object} bot - Mineflayer bot instance
+     * @param {object} message - Raw message from Minecraft
+     * @param {object} guildConfig - Guild configuration
+     * @returns {object|null} Processed message or null if not relevant for the bridge
+     */
+    async onMessage(bot, message, guildConfig) {
+        const messageText = message.toString();
+
+        const messageResult = this.processServerMessage(messageText);
+
+        if (messageResult) {
+            // Avoid relaying what our own bot said back to Discord
+            if (this.isOwnBotMessage(messageText, guildConfig)) {
+                logger.debug(`[${guildConfig.name}] Ignoring own bot message: ${messageText}`);
+                return null;
+            }
+
+            logger.bridge(`[SERVER] [${guildConfig.name}] ${messageResult.type}: ${messageText}`);
+
+            messageResult.sourceGuildConfig = guildConfig;
+            messageResult.needsInterGuildProcessing = this.shouldProcessForInterGuild(messageResult.type);
+
+            return messageResult;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if a message was sent by our own bot (to avoid infinite loops)
+     * @param {string} messageText - Message text to check
+     * @param {object} guildConfig - Guild configuration
+     * @returns {boolean} Whether this message was sent by our own bot
+     */
+    isOwnBotMessage(messageText, guildConfig) {
+        const botUsername = guildConfig.account.username;
+
+        if (!botUsername) {
+            logger.warn(`[${guildConfig.name}] No bot username configured, cannot filter own messages`);
+            return false;
+        }
+
+        // "<username> message" or "<[rank] username> message"
+        const match = messageText.match(/^<(?:\[[^\]]+\]\s+)?(\w+)>\s/);
+
+        return !!match && match[1].toLowerCase() === botUsername.toLowerCase();
+    }
+
+    /**
+     * Check if a message type should be processed for inter-guild transfer
+     * @param {string} messageType - Message type
+     * @returns {boolean} Whether message should be processed for inter-guild
+     */
+    shouldProcessForInterGuild(messageType) {
+        return messageType === 'GUILD_CHAT' || messageType === 'GUILD_EVENT';
+    }
+
+    /**
+     * Classify server messages using PatternLoader detection patterns
+     * Results reuse the guild message types so the rest of the pipeline stays server agnostic
+     * @param {string} messageText - Raw message text
+     * @returns {object|null} Message data or null
+     */
+    processServerMessage(messageText) {
+        if (this.testDetectionPatterns(messageText, 'guildChat')) {
+            return {
+                type: 'GUILD_CHAT',
+                category: 'chat',
+                subtype: 'guild',
+                raw: messageText,
+                isGuildRelated: true
+            };
+        }
+
+        if (this.testDetectionPatterns(messageText, 'guildEvent')) {
+            return {
+                type: 'GUILD_EVENT',
+                category: 'event',
+                subtype: this.getEventType(messageText),
+                raw: messageText,
+                isGuildRelated: true
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Get specific event type
+     * @param {string} message - Message text
+     * @returns {string} Event type
+     */
+    getEventType(message) {
+        const eventTypes = this.patternLoader.getEventTypes(this.serverName);
+
+        for (const eventType of eventTypes) {
+            const patterns = this.patternLoader.getPatterns(this.serverName, 'events', eventType);
+
+            for (const patternObj of patterns) {
+                if (patternObj && patternObj.pattern && patternObj.pattern.test(message)) {
+                    return eventType;
+                }
+            }
+        }
+
+        return 'unknown';
+    }
+
+    /**
+     * Check if message is relevant for the bridge
+     * @param {string} message - Message text
+     * @returns {boolean} Whether message is chat or a join/leave event
+     */
+    isGuildMessage(message) {
+        return this.processServerMessage(message) !== null;
+    }
+
+    /**
+     * Clear detection pattern cache
+     */
+    clearCache() {
+        this.detectionCache.clear();
+        logger.debug(`${this.name} detection pattern cache cleared`);
+    }
+
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = VanillaStrategy;
@@ -0,0 +1,758 @@
+// Globals Imports
+const minecraftProtocol = require('minecraft-protocol');
+const minecraftData = require('minecraft-data');
+
+// Specific Imports
+const logger = require("../../shared/logger");
+const { getPatternLoader } = require("../../config/PatternLoader.js");
+
+const BOT_HYPIXEL_RANK = '[MVP+]';
+const PLAYER_HYPIXEL_RANK = '[VIP]';
+const GUILD_MASTER_RANK = 'Guild Master';
+// Online members every simulated guild starts with, next to the bridge account
+const DEFAULT_MEMBERS = ['Steve', 'Alex', 'Notch'];
+// Delay before an invited player accepts
+const INVITE_ACCEPT_DELAY = 3000;
+const ZERO_UUID = '00000000-0000-0000-0000-000000000000';
+
+/**
+ * Lines the simulated server replies with to guild commands, by command and outcome
+ * They follow Hypixel's wording so they match detection.commandsResponse of patterns.json,
+ * verifyReplies() checks it at startup
+ */
+const REPLIES = {
+    invite: {
+        sent: { kind: 'success', format: v => `You invited ${v.target} to your guild. They have 5 minutes to accept.` },
+        alreadyMember: { kind: 'error', format: v => `${v.target} is already in your guild!` },
+        unknownPlayer: { kind: 'error', format: v => `Can't find a player by the name of '${v.name}'` }
+    },
+    kick: {
+        kicked: { kind: 'success', format: v => `You kicked ${v.target} from the guild!` },
+        notMember: { kind: 'error', format: v => `${v.target} is not in your guild!` }
+    },
+    promote: {
+        promoted: { kind: 'success', format: v => `${v.target} was promoted from ${v.from} to ${v.to}` },
+        highest: { kind: 'error', format: v => `${v.target} is already the highest rank you've created!` },
+        usage: { kind: 'error', format: () => `Invalid usage! '/guild promote <player>'` },
+        notMember: { kind: 'error', format: v => `${v.target} is not in your guild!` }
+    },
+    demote: {
+        demoted: { kind: 'success', format: v => `${v.target} was demoted from ${v.from} to ${v.to}` },
+        lowest: { kind: 'error', format: v => `${v.target} is already the lowest rank you've created!` },
+        usage: { kind: 'error', format: () => `Invalid usage! '/guild demote <player>'` },
+        notMember: { kind: 'error', format: v => `${v.target} is not in your guild!` }
+    },
+    setrank: {
+        promoted: { kind: 'success', format: v => `${v.target} was promoted from ${v.from} to ${v.to}` },
+        demoted: { kind: 'success', format: v => `${v.target} was demoted from ${v.from} to ${v.to}` },
+        usage: { kind: 'error', format: () => `Invalid usage! '/guild setrank <player> <rank>'` },
+        unknownRank: { kind: 'error', format: v => `I couldn't find a rank by the name of '${v.rank}'!` },
+        sameRank: { kind: 'error', format: () => `They already have that rank!` },
+        notMember: { kind: 'error', format: v => `${v.target} is not in your guild!` }
+    },
+    mute: {
+        player: { kind: 'success', format: v => `${v.actor} has muted ${v.target} for ${v.duration}` },
+        everyone: { kind: 'success', format: v => `${v.actor} has muted the guild chat for ${v.duration}` },
+        usage: { kind: 'error', format: () => `Invalid usage! '/guild mute <player/everyone> <time>'` },
+        alreadyMuted: { kind: 'error', format: () => `This player is already muted!` },
+        notMember: { kind: 'error', format: v => `${v.target} is not in your guild!` }
+    },
+    unmute: {
+        player: { kind: 'success', format: v => `${v.actor} has unmuted ${v.target}` },
+        everyone: { kind: 'success', format: v => `${v.actor} has unmuted the guild chat!` },
+        usage: { kind: 'error', format: () => `Invalid usage! '/guild unmute <player/everyone>'` },
+        notMuted: { kind: 'error', format: () => `This player is not muted!` },
+        notMember: { kind: 'error', format: v => `${v.target} is not in your guild!` }
+    }
+};
+
+/**
+ * Local offline-mode server behaving like a minimal Hypixel lobby, used by --simulate
+ *
+ * Every enabled guild's account logs in with its username, the server keeps a fake guild for it:
+ *   - /limbo and /language are acknowledged
+ *   - /gc and /oc are echoed as "Guild > [RANK] Name [Tag]: msg" and "Officer > ..."
+ *   - /g invite|kick|promote|demote|setrank|mute|unmute change the fake guild and reply with
+ *     the success/error lines from detection.commandsResponse
+ *   - /g list and /g online print the roster like Hypixel
+ *
+ * Other players are simulated through the methods used by SimulationConsole (chat, whispers,
+ * joins, kicks of the bot account).
+ */
+class SimulatedHypixelServer {
+    /**
+     * @param {Array<object>} guildConfigs - Guilds that will connect to the server
+     * @param {object} options - Simulation settings ({host, port, members})
+     */
+    constructor(guildConfigs, options = {}) {
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port || 25566;
+        // One server speaks one protocol version
+        this.version = guildConfigs.length > 0 ? guildConfigs[0].server.version : '1.8.9';
+
+        this.guilds = new Map();
+        for (const guildConfig of guildConfigs) {
+            this.guilds.set(guildConfig.id, this.createGuildState(guildConfig, options.members || DEFAULT_MEMBERS));
+        }
+
+        this.clients = new Map();
+        this.server = null;
+        this.mcData = null;
+    }
+
+    /**
+     * Point a guild configuration at the simulated server
+     * Only the in-memory configuration is changed
+     * @param {object} guildConfig - Guild configuration
+     */
+    applyTo(guildConfig) {
+        guildConfig.server.host = this.host;
+        guildConfig.server.port = this.port;
+        guildConfig.server.version = this.version;
+        guildConfig.account.authMethod = 'offline';
+    }
+
+    // ==================== LIFECYCLE ====================
+
+    /**
+     * Start listening
+     * @returns {Promise} Resolves once the server listens
+     */
+    start() {
+        this.mcData = minecraftData(this.version);
+
+        if (!this.mcData) {
+            throw new Error(`Unknown Minecraft version for the simulation: ${this.version}`);
+        }
+
+        // Chat components became NBT in 1.20.3, the simulation only writes JSON components
+        if (this.mcData.supportFeature('chatPacketsUseNbtComponents')) {
+            throw new Error(`The simulation supports Minecraft versions up to 1.20.2, guilds use ${this.version}`);
+        }
+
+        this.verifyReplies();
+
+        return new Promise((resolve, reject) => {
+            this.server = minecraftProtocol.createServer({
+                'online-mode': false,
+                host: this.host,
+                port: this.port,
+                version: this.version,
+                motd: 'Simulated Hypixel',
+                maxPlayers: 100
+            });
+
+            this.server.once('listening', () => {
+                logger.minecraft(`🧪 Simulated Hypixel server listening on ${this.host}:${this.port} (${this.version})`);
+                resolve();
+            });
+            this.server.once('error', reject);
+
+            this.server.on('playerJoin', client => this.handleJoin(client));
+        });
+    }
+
+    stop() {
+        if (!this.server) {
+            return;
+        }
+
+        for (const client of this.clients.values()) {
+            client.end('Simulation stopped');
+        }
+        this.clients.clear();
+
+        this.server.close();
+        this.server = null;
+        logger.minecraft('🧪 Simulated Hypixel server stopped');
+    }
+
+    // ==================== CONNECTIONS ====================
+
+    /**
+     * Spawn a bridge account in the lobby
+     * @param {object} client - minecraft-protocol client
+     */
+    handleJoin(client) {
+        const guild = this.findGuildByAccount(client.username);
+        if (!guild) {
+            logger.warn(`[SIMULATION] Refusing ${client.username}, no enabled guild uses this account`);
+            client.end('This simulated server only accepts bridge accounts');
+            return;
+        }
+
+        const guildId = guild.config.id;
+        const previous = this.clients.get(guildId);
+        if (previous) {
+            previous.end('You logged in from another location');
+        }
+        this.clients.set(guildId, client);
+
+        client.write('login', {
+            ...this.getLoginFields(),
+            entityId: client.id,
+            isHardcore: false,
+            gameMode: 0,
+            previousGameMode: 1,
+            worldName: 'minecraft:overworld',
+            hashedSeed: [0, 0],
+            maxPlayers: 100,
+            viewDistance: 10,
+            reducedDebugInfo: false,
+            enableRespawnScreen: true,
+            isDebug: false,
+            isFlat: true
+        });
+        client.write('position', { x: 0, y: 64, z: 0, yaw: 0, pitch: 0, flags: 0, teleportId: 1 });
+        // Mineflayer spawns the bot on its first health update
+        client.write('update_health', { health: 20, food: 20, foodSaturation: 5 });
+
+        // Pre-1.19 chat, then 1.19+ signed chat and commands
+        client.on('chat', packet => this.handleLine(guild, packet.message));
+        client.on('chat_message', packet => this.handleLine(guild, packet.message));
+        client.on('chat_command', packet => this.handleLine(guild, `/${packet.command}`));
+
+        client.on('end', () => {
+            if (this.clients.get(guildId) === client) {
+                this.clients.delete(guildId);
+            }
+        });
+
+        logger.minecraft(`🧪 [SIMULATION] ${client.username} joined the lobby for ${guild.config.name}`);
+    }
+
+    /**
+     * Get the base fields of the login packet
+     * minecraft-data only has a sample login packet from 1.16, older versions get the fields
+     * they had before (1.8.9 to 1.15.2)
+     * @returns {object} Login packet fields
+     */
+    getLoginFields() {
+        if (this.mcData.loginPacket) {
+            return this.mcData.loginPacket;
+        }
+
+        return {
+            gameMode: 0,
+            dimension: 0,
+            difficulty: 0,
+            maxPlayers: 100,
+            levelType: 'default',
+            reducedDebugInfo: false
+        };
+    }
+
+    /**
+     * Send a chat line to the bridge account of a guild
+     * @param {string} guildId - Guild ID
+     * @param {string} text - Plain text line
+     * @returns {boolean} Whether the account is connected
+     */
+    sendLine(guildId, text) {
+        const client = this.clients.get(guildId);
+        if (!client) {
+            return false;
+        }
+
+        const message = JSON.stringify({ text });
+
+        if (this.mcData.supportFeature('signedChat')) {
+            client.write('system_chat', { content: message, type: 1, isActionBar: false });
+        } else {
+            client.write('chat', { message, position: 0, sender: ZERO_UUID });
+        }
+
+        logger.debug(`[SIMULATION] [${this.guilds.get(guildId).config.name}] → ${text}`);
+        return true;
+    }
+
+    /**
+     * Kick the bridge account of a guild, to exercise reconnection
+     * @param {string} guildId - Guild ID
+     * @param {string} reason - Kick reason
+     * @returns {boolean} Whether the account was connected
+     */
+    kickAccount(guildId, reason) {
+        const client = this.clients.get(guildId);
+        if (!client) {
+            return false;
+        }
+
+        client.end(reason);
+        return true;
+    }
+
+    // ==================== BRIDGE COMMANDS ====================
+
+    /**
+     * Handle a line sent by a bridge account
+     * @param {object} guild - Guild state
+     * @param {string} line - Chat line or command
+     */
+    handleLine(guild, line) {
+        logger.debug(`[SIMULATION] [${guild.config.name}] ← ${line}`);
+
+        // Public chat goes nowhere in limbo
+        if (!line.startsWith('/')) {
+            return;
+        }
+
+        const [command, ...args] = line.slice(1).trim().split(/\s+/);
+        const guildId = guild.config.id;
+
+        switch (command.toLowerCase()) {
+            case 'limbo':
+                this.sendLine(guildId, 'You were spawned in Limbo.');
+                break;
+
+            case 'language':
+            case 'lang':
+                this.sendLine(guildId, `Your language has been set to ${args[0] || 'English'}!`);
+                break;
+
+            case 'gc':
+                this.broadcastChat(guild, 'Guild', guild.bot, args.join(' '));
+                break;
+
+            case 'oc':
+                this.broadcastChat(guild, 'Officer', guild.bot, args.join(' '));
+                break;
+
+            case 'g':
+            case 'guild':
+                this.handleGuildCommand(guild, args);
+                break;
+
+            default:
+                this.sendLine(guildId, 'Unknown command. Type "/help" for help.');
+        }
+    }
+
+    /**
+     * Handle a /g subcommand
+     * @param {object} guild - Guild state
+     * @param {Array<string>} args - Arguments after /g
+     */
+    handleGuildCommand(guild, args) {
+        const [subcommand = '', name, ...rest] = args;
+
+        switch (subcommand.toLowerCase()) {
+            case 'chat':
+                this.broadcastChat(guild, 'Guild', guild.bot, args.slice(1).join(' '));
+                break;
+            case 'invite':
+                this.invite(guild, name);
+                break;
+            case 'kick':
+                this.kick(guild, name);
+                break;
+            case 'promote':
+                this.changeRank(guild, 'promote', name, 1);
+                break;
+            case 'demote':
+                this.changeRank(guild, 'demote', name, -1);
+                break;
+            case 'setrank':
+                this.setRank(guild, name, rest[0]);
+                break;
+            case 'mute':
+                this.mute(guild, name, rest[0]);
+                break;
+            case 'unmute':
+                this.unmute(guild, name);
+                break;
+            case 'list':
+                this.sendList(guild, false);
+                break;
+            case 'online':
+                this.sendList(guild, true);
+                break;
+            default:
+                this.sendLine(guild.config.id, 'Unknown command. Type "/help" for help.');
+        }
+    }
+
+    invite(guild, name) {
+        if (!isUsername(name)) {
+            this.reply(guild, 'invite', 'unknownPlayer', { name: name || '' });
+            return;
+        }
+
+        const member = this.getMember(guild, name);
+        if (member) {
+            this.reply(guild, 'invite', 'alreadyMember', { target: displayName(member) });
+            return;
+        }
+
+        this.reply(guild, 'invite', 'sent', { target: `${PLAYER_HYPIXEL_RANK} ${name}` });
+
+        // Invited players always accept
+        setTimeout(() => this.addMember(guild, name), INVITE_ACCEPT_DELAY);
+    }
+
+    kick(guild, name) {
+        const member = this.getMember(guild, name);
+        if (!member || member === guild.bot) {
+            this.reply(guild, 'kick', 'notMember', { target: `${PLAYER_HYPIXEL_RANK} ${name || ''}` });
+            return;
+        }
+
+        guild.members.delete(member.username.toLowerCase());
+        this.reply(guild, 'kick', 'kicked', { target: displayName(member) });
+        this.sendLine(guild.config.id, `${member.username} was kicked from the guild by ${guild.bot.username}!`);
+    }
+
+    /**
+     * Move a member one rank up or down
+     * @param {object} guild - Guild state
+     * @param {string} command - promote or demote
+     * @param {string} name - Member name
+     * @param {number} step - 1 or -1
+     */
+    changeRank(guild, command, name, step) {
+        if (!name) {
+            this.reply(guild, command, 'usage', {});
+            return;
+        }
+
+        const member = this.getMember(guild, name);
+        if (!member || member === guild.bot) {
+            this.reply(guild, command, 'notMember', { target: `${PLAYER_HYPIXEL_RANK} ${name}` });
+            return;
+        }
+
+        const index = guild.ranks.indexOf(member.rank);
+        const nextRank = guild.ranks[index + step];
+        if (!nextRank) {
+            this.reply(guild, command, step > 0 ? 'highest' : 'lowest', { target: displayName(member) });
+            return;
+        }
+
+        const from = member.rank;
+        member.rank = nextRank;
+        this.reply(guild, command, step > 0 ? 'promoted' : 'demoted', { target: displayName(member), from, to: nextRank });
+    }
+
+    setRank(guild, name, rankName) {
+        if (!name || !rankName) {
+            this.reply(guild, 'setrank', 'usage', {});
+            return;
+        }
+
+        const member = this.getMember(guild, name);
+        if (!member || member === guild.bot) {
+            this.reply(guild, 'setrank', 'notMember', { target: `${PLAYER_HYPIXEL_RANK} ${name}` });
+            return;
+        }
+
+        const rank = guild.ranks.find(r => r.toLowerCase() === rankName.toLowerCase());
+        if (!rank) {
+            this.reply(guild, 'setrank', 'unknownRank', { rank: rankName });
+            return;
+        }
+
+        if (rank === member.rank) {
+            this.reply(guild, 'setrank', 'sameRank', {});
+            return;
+        }
+
+        const from = member.rank;
+        const promoted = guild.ranks.indexOf(rank) > guild.ranks.indexOf(from);
+        member.rank = rank;
+        this.reply(guild, 'setrank', promoted ? 'promoted' : 'demoted', { target: displayName(member), from, to: rank });
+    }
+
+    mute(guild, name, duration) {
+        if (!name || !duration || !/^\d+[smhd]$/i.test(duration)) {
+            this.reply(guild, 'mute', 'usage', {});
+            return;
+        }
+
+        const actor = displayName(guild.bot);
+
+        if (name.toLowerCase() === 'everyone') {
+            guild.chatMuted = true;
+            this.reply(guild, 'mute', 'everyone', { actor, duration });
+            return;
+        }
+
+        const member = this.getMember(guild, name);
+        if (!member || member === guild.bot) {
+            this.reply(guild, 'mute', 'notMember', { target: `${PLAYER_HYPIXEL_RANK} ${name}` });
+            return;
+        }
+
+        if (member.muted) {
+            this.reply(guild, 'mute', 'alreadyMuted', {});
+            return;
+        }
+
+        member.muted = true;
+        this.reply(guild, 'mute', 'player', { actor, target: displayName(member), duration });
+    }
+
+    unmute(guild, name) {
+        if (!name) {
+            this.reply(guild, 'unmute', 'usage', {});
+            return;
+        }
+
+        const actor = displayName(guild.bot);
+
+        if (name.toLowerCase() === 'everyone') {
+            guild.chatMuted = false;
+            this.reply(guild, 'unmute', 'everyone', { actor });
+            return;
+        }
+
+        const member = this.getMember(guild, name);
+        if (!member || member === guild.bot) {
+            this.reply(guild, 'unmute', 'notMember', { target: `${PLAYER_HYPIXEL_RANK} ${name}` });
+            return;
+        }
+
+        if (!member.muted) {
+            this.reply(guild, 'unmute', 'notMuted', {});
+            return;
+        }
+
+        member.muted = false;
+        this.reply(guild, 'unmute', 'player', { actor, target: displayName(member) });
+    }
+
+    /**
+     * Print the roster in the /g list format, greatest rank first
+     * @param {object} guild - Guild state
+     * @param {boolean} onlineOnly - /g online instead of /g list
+     */
+    sendList(guild, onlineOnly) {
+        const guildId = guild.config.id;
+        const members = Array.from(guild.members.values());
+        const shown = onlineOnly ? members.filter(member => member.online) : members;
+
+        this.sendLine(guildId, `Guild Name: ${guild.config.name}`);
+
+        for (const rank of [GUILD_MASTER_RANK, ...guild.ranks.slice().reverse()]) {
+            const inRank = shown.filter(member => member.rank === rank);
+            if (inRank.length === 0) continue;
+
+            this.sendLine(guildId, `-- ${rank} --`);
+            this.sendLine(guildId, inRank.map(member => `${displayName(member)} ●`).join('  '));
+        }
+
+        this.sendLine(guildId, `Total Members: ${members.length}`);
+        this.sendLine(guildId, `Online Members: ${members.filter(member => member.online).length}`);
+    }
+
+    /**
+     * Send a reply line from REPLIES
+     * @param {object} guild - Guild state
+     * @param {string} command - Command type
+     * @param {string} outcome - Reply key
+     * @param {object} values - Values of the line
+     */
+    reply(guild, command, outcome, values) {
+        this.sendLine(guild.config.id, REPLIES[command][outcome].format(values));
+    }
+
+    // ==================== SIMULATED PLAYERS ====================
+
+    /**
+     * Send guild or officer chat from a member to the guild
+     * @param {object} guild - Guild state
+     * @param {string} channel - Guild or Officer
+     * @param {object} member - Sender
+     * @param {string} message - Message
+     * @returns {boolean} Whether the message was sent
+     */
+    broadcastChat(guild, channel, member, message) {
+        if (!message) {
+            return false;
+        }
+
+        if (member !== guild.bot && (guild.chatMuted || member.muted)) {
+            return false;
+        }
+
+        return this.sendLine(guild.config.id, `${channel} > ${displayName(member)} [${rankTag(member.rank)}]: ${message}`);
+    }
+
+    /**
+     * Chat as a simulated member, the member joins the guild if needed
+     * @param {string} guildRef - Guild ID or tag
+     * @param {string} name - Player name
+     * @param {string} message - Message
+     * @param {string} channel - Guild or Officer
+     * @returns {boolean} Whether the message was sent
+     */
+    playerChat(guildRef, name, message, channel = 'Guild') {
+        const guild = this.resolveGuild(guildRef);
+        const member = this.getMember(guild, name) || this.addMember(guild, name);
+
+        return this.broadcastChat(guild, channel, member, message);
+    }
+
+    /**
+     * Whisper the bridge account as a player
+     * @param {string} guildRef - Guild ID or tag
+     * @param {string} name - Player name
+     * @param {string} message - Message
+     * @returns {boolean} Whether the message was sent
+     */
+    whisper(guildRef, name, message) {
+        const guild = this.resolveGuild(guildRef);
+        return this.sendLine(guild.config.id, `From ${PLAYER_HYPIXEL_RANK} ${name}: ${message}`);
+    }
+
+    /**
+     * Log a member in or out
+     * @param {string} guildRef - Guild ID or tag
+     * @param {string} name - Player name
+     * @param {boolean} online - Joined or left
+     * @returns {boolean} Whether the line was sent
+     */
+    setOnline(guildRef, name, online) {
+        const guild = this.resolveGuild(guildRef);
+        const member = this.getMember(guild, name) || this.addMember(guild, name);
+
+        member.online = online;
+        return this.sendLine(guild.config.id, `Guild > ${member.username} ${online ? 'joined' : 'left'}.`);
+    }
+
+    /**
+     * Send a raw line to a guild's bridge account
+     * @param {string} guildRef - Guild ID or tag
+     * @param {string} line - Line
+     * @returns {boolean} Whether the line was sent
+     */
+    sendRaw(guildRef, line) {
+        return this.sendLine(this.resolveGuild(guildRef).config.id, line);
+    }
+
+    // ==================== GUILD STATE ====================
+
+    /**
+     * Build the fake guild of a guild configuration
+     * @param {object} guildConfig - Guild configuration
+     * @param {Array<string>} memberNames - Members besides the bridge account
+     * @returns {object} Guild state
+     */
+    createGuildState(guildConfig, memberNames) {
+        const ranks = guildConfig.ranks && guildConfig.ranks.length > 0 ? guildConfig.ranks : ['Member', 'Officer'];
+        const guild = { config: guildConfig, ranks, members: new Map(), chatMuted: false, bot: null };
+
+        guild.bot = this.addMember(guild, guildConfig.account.username, GUILD_MASTER_RANK, BOT_HYPIXEL_RANK, false);
+
+        memberNames.forEach((name, index) => {
+            this.addMember(guild, name, ranks[index % ranks.length], PLAYER_HYPIXEL_RANK, false);
+        });
+
+        return guild;
+    }
+
+    /**
+     * Add a member, announcing it to the bridge account when asked
+     * @param {object} guild - Guild state
+     * @param {string} name - Player name
+     * @param {string} rank - Guild rank, lowest rank by default
+     * @param {string} hypixelRank - Network rank
+     * @param {boolean} announce - Send the joined the guild line
+     * @returns {object} Member
+     */
+    addMember(guild, name, rank = guild.ranks[0], hypixelRank = PLAYER_HYPIXEL_RANK, announce = true) {
+        const member = { username: name, rank, hypixelRank, online: true, muted: false };
+        guild.members.set(name.toLowerCase(), member);
+
+        if (announce) {
+            this.sendLine(guild.config.id, `${name} joined the guild!`);
+        }
+
+        return member;
+    }
+
+    getMember(guild, name) {
+        return name ? guild.members.get(name.toLowerCase()) || null : null;
+    }
+
+    findGuildByAccount(username) {
+        return Array.from(this.guilds.values())
+            .find(guild => guild.config.account.username.toLowerCase() === username.toLowerCase()) || null;
+    }
+
+    /**
+     * Find a guild by ID or tag
+     * @param {string} guildRef - Guild ID or tag
+     * @returns {object} Guild state
+     */
+    resolveGuild(guildRef) {
+        const reference = String(guildRef || '').toLowerCase();
+        const guild = Array.from(this.guilds.values()).find(g =>
+            g.config.id.toLowerCase() === reference || (g.config.tag || '').toLowerCase() === reference
+        );
+
+        if (!guild) {
+            throw new Error(`Unknown simulated guild: ${guildRef}`);
+        }
+        return guild;
+    }
+
+    getGuildReferences() {
+        return Array.from(this.guilds.values()).map(guild => guild.config.tag || guild.config.id);
+    }
+
+    // ==================== SELF CHECK ====================
+
+    /**
+     * Check that every reply matches a pattern of its command in patterns.json
+     * A mismatch means the bridge would not recognize the reply, the patterns changed
+     */
+    verifyReplies() {
+        const patterns = getPatternLoader().getCommandsResponsePatterns('Hypixel') || {};
+        const sample = {
+            actor: `${BOT_HYPIXEL_RANK} Bot`,
+            target: `${PLAYER_HYPIXEL_RANK} Steve`,
+            name: 'Steve',
+            from: 'Member',
+            to: 'Officer',
+            rank: 'Nope',
+            duration: '1h'
+        };
+
+        let mismatches = 0;
+
+        for (const [command, outcomes] of Object.entries(REPLIES)) {
+            for (const [outcome, reply] of Object.entries(outcomes)) {
+                const line = reply.format(sample);
+                const candidates = (patterns[command] && patterns[command][reply.kind]) || [];
+
+                if (!candidates.some(candidate => new RegExp(candidate.pattern, candidate.flags || '').test(line))) {
+                    mismatches++;
+                    logger.warn(`[SIMULATION] ${command}.${outcome} reply "${line}" matches no ${command} ${reply.kind} pattern`);
+                }
+            }
+        }
+
+        if (mismatches === 0) {
+            logger.debug('[SIMULATION] All simulated replies match the Hypixel command response patterns');
+        }
+    }
+}
+
+/**
+ * Name with network rank, as Hypixel prints it
+ * @param {object} member - Member
+ * @returns {string} Display name
+ */
+function displayName(member) {
+    return `${member.hypixelRank} ${member.username}`;
+}
+
+function rankTag(rank) {
+    return rank === GUILD_MASTER_RANK ? 'GM' : rank;
+}
+
+function isUsername(name) {
+    return typeof name === 'string' && /^\w{3,16}$/.test(name);
+}
+
+module.exports = SimulatedHypixelServer;
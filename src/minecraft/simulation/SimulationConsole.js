@@ -0,0 +1,99 @@
+// Globals Imports
+const readline = require('readline');
+
+// Specific Imports
+const logger = require("../../shared/logger");
+
+const HELP = [
+    'Simulation console, <guild> is a guild id or tag:',
+    '  chat <guild> <player> <message>     guild chat from a player',
+    '  officer <guild> <player> <message>  officer chat from a player',
+    '  whisper <guild> <player> <message>  whisper to the bridge account',
+    '  join <guild> <player>               player logs in',
+    '  leave <guild> <player>              player logs out',
+    '  raw <guild> <line>                  send any line to the bridge account',
+    '  kickbot <guild> [reason]            kick the bridge account (tests reconnection)',
+    '  help                                show this help'
+];
+
+/**
+ * Reads simulated player actions from stdin while --simulate runs
+ */
+class SimulationConsole {
+    /**
+     * @param {SimulatedHypixelServer} server - Simulated server
+     */
+    constructor(server) {
+        this.server = server;
+        this.readline = null;
+    }
+
+    start() {
+        this.readline = readline.createInterface({ input: process.stdin, terminal: false });
+        this.readline.on('line', line => this.handleLine(line.trim()));
+
+        logger.info(`🧪 Simulation console ready, guilds: ${this.server.getGuildReferences().join(', ')} (type "help")`);
+    }
+
+    stop() {
+        if (this.readline) {
+            this.readline.close();
+            this.readline = null;
+        }
+    }
+
+    /**
+     * Run one console command
+     * @param {string} line - Command line
+     */
+    handleLine(line) {
+        if (!line) {
+            return;
+        }
+
+        const [command, guildRef, ...args] = line.split(/\s+/);
+
+        try {
+            let delivered;
+
+            switch (command.toLowerCase()) {
+                case 'chat':
+                    delivered = this.server.playerChat(guildRef, args[0], args.slice(1).join(' '), 'Guild');
+                    break;
+                case 'officer':
+                    delivered = this.server.playerChat(guildRef, args[0], args.slice(1).join(' '), 'Officer');
+                    break;
+                case 'whisper':
+                    delivered = this.server.whisper(guildRef, args[0], args.slice(1).join(' '));
+                    break;
+                case 'join':
+                    delivered = this.server.setOnline(guildRef, args[0], true);
+                    break;
+                case 'leave':
+                    delivered = this.server.setOnline(guildRef, args[0], false);
+                    break;
+                case 'raw':
+                    delivered = this.server.sendRaw(guildRef, line.split(/\s+/).slice(2).join(' '));
+                    break;
+                case 'kickbot':
+                    delivered = this.server.kickAccount(this.server.resolveGuild(guildRef).config.id, args.join(' ') || 'Kicked by the simulation');
+                    break;
+                case 'help':
+                    HELP.forEach(helpLine => logger.info(helpLine));
+                    return;
+                default:
+                    logger.warn(`[SIMULATION] Unknown console command "${command}", type "help"`);
+                    return;
+            }
+
+            if (!delivered) {
+                logger.warn(`[SIMULATION] Nothing sent, the bridge account is offline or the player is muted`);
+            }
+
+        } catch (error) {
+            logger.warn(`[SIMULATION] ${error.message}`);
+        }
+    }
+}
+
+module.exports = SimulationConsole;
@@ -0,0 +1,332 @@
+// Globals Imports
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Specific Imports
+const BridgeLocator = require("../bridgeLocator.js");
+const logger = require("./logger");
+
+const LINKS_FILE = 'links.json';
+const DEFAULT_CODE_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+// No 0/O or 1/I to avoid typos when whispering the code
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+/**
+ * Links Discord users to Minecraft accounts
+ *
+ * A link is verified by whispering a one-time code to any bridge bot in game.
+ * Links are stored in features.linking.directory/links.json.
+ *
+ * Events:
+ *   - 'linked' (link)                                   Verification succeeded
+ *   - 'verificationExpired' ({discordUserId, minecraftUsername})
+ *   - 'verificationFailed' ({discordUserId, minecraftUsername, error})
+ *   - 'verificationCancelled' ({discordUserId, minecraftUsername})
+ */
+class AccountLinker extends EventEmitter {
+    constructor() {
+        super();
+
+        const mainBridge = BridgeLocator.getInstance();
+        this.config = mainBridge.config;
+
+        this.linkingConfig = this.config.get('features.linking') || {};
+        this.enabled = this.linkingConfig.enabled !== false;
+        this.directory = path.resolve(process.cwd(), this.linkingConfig.directory || './data/links');
+        this.codeTimeout = this.linkingConfig.codeTimeout || DEFAULT_CODE_TIMEOUT;
+
+        // Discord user ID -> link ({discordUserId, discordTag, minecraftUsername, linkedAt, verifiedOn})
+        this.links = new Map();
+        // Lowercase Minecraft username -> Discord user ID
+        this.minecraftIndex = new Map();
+        // Discord user ID -> pending verification ({discordUserId, discordTag, minecraftUsername, code, expiresAt, timer})
+        this.pendingVerifications = new Map();
+
+        if (this.enabled) {
+            this.loadLinks();
+        }
+
+        logger.debug(`AccountLinker initialized (enabled: ${this.enabled}, ${this.links.size} links)`);
+    }
+
+    // ==================== VERIFICATION ====================
+
+    /**
+     * Start a link verification, replacing any pending one of the same Discord user
+     * @param {object} discordUser - Discord user ({id, tag or username})
+     * @param {string} minecraftUsername - Minecraft username to link
+     * @returns {object} Result ({success, code, expiresAt} or {success: false, error})
+     */
+    startVerification(discordUser, minecraftUsername) {
+        if (!this.enabled) {
+            return { success: false, error: 'Account linking is disabled' };
+        }
+
+        const existingOwner = this.minecraftIndex.get(minecraftUsername.toLowerCase());
+        if (existingOwner && existingOwner !== discordUser.id) {
+            return { success: false, error: `\`${minecraftUsername}\` is already linked to another Discord account` };
+        }
+
+        const currentLink = this.links.get(discordUser.id);
+        if (currentLink && currentLink.minecraftUsername.toLowerCase() === minecraftUsername.toLowerCase()) {
+            return { success: false, error: `You are already linked to \`${currentLink.minecraftUsername}\`` };
+        }
+
+        this.cancelVerification(discordUser.id);
+
+        const verification = {
+            discordUserId: discordUser.id,
+            discordTag: discordUser.tag || discordUser.username,
+            minecraftUsername: minecraftUsername,
+            code: this.generateCode(),
+            expiresAt: Date.now() + this.codeTimeout,
+            timer: null
+        };
+
+        verification.timer = setTimeout(() => {
+            this.pendingVerifications.delete(discordUser.id);
+            logger.debug(`[LINK] Verification expired for ${verification.discordTag} -> ${minecraftUsername}`);
+            this.emit('verificationExpired', {
+                discordUserId: discordUser.id,
+                minecraftUsername: minecraftUsername
+            });
+        }, this.codeTimeout);
+
+        this.pendingVerifications.set(discordUser.id, verification);
+
+        logger.discord(`[LINK] Verification started for ${verification.discordTag} -> ${minecraftUsername}`);
+
+        return { success: true, code: verification.code, expiresAt: verification.expiresAt };
+    }
+
+    /**
+     * Cancel a pending verification
+     * @param {string} discordUserId - Discord user ID
+     */
+    cancelVerification(discordUserId) {
+        const verification = this.pendingVerifications.get(discordUserId);
+        if (!verification) {
+            return;
+        }
+
+        clearTimeout(verification.timer);
+        this.pendingVerifications.delete(discordUserId);
+
+        this.emit('verificationCancelled', {
+            discordUserId: discordUserId,
+            minecraftUsername: verification.minecraftUsername
+        });
+    }
+
+    /**
+     * Check a whisper received by a bridge bot against pending verifications
+     * @param {string} username - Minecraft username who whispered
+     * @param {string} message - Whispered message
+     * @param {object} guildConfig - Guild configuration of the bot that received it
+     * @returns {object|null} Created link or null if the whisper was not a valid code
+     */
+    handleWhisper(username, message, guildConfig) {
+        if (!username || !message) {
+            return null;
+        }
+
+        const code = message.trim().toUpperCase();
+
+        for (const verification of this.pendingVerifications.values()) {
+            if (verification.minecraftUsername.toLowerCase() !== username.toLowerCase()) continue;
+            if (verification.code !== code) continue;
+
+            clearTimeout(verification.timer);
+            this.pendingVerifications.delete(verification.discordUserId);
+
+            // Someone else may have linked this account while the code was pending
+            const existingOwner = this.minecraftIndex.get(username.toLowerCase());
+            if (existingOwner && existingOwner !== verification.discordUserId) {
+                logger.warn(`[LINK] ${username} was linked to another Discord account during verification of ${verification.discordTag}`);
+                this.emit('verificationFailed', {
+                    discordUserId: verification.discordUserId,
+                    minecraftUsername: username,
+                    error: `\`${username}\` was linked to another Discord account in the meantime`
+                });
+                return null;
+            }
+
+            // Keep the in-game casing of the username
+            const link = this.createLink(verification.discordUserId, verification.discordTag, username, guildConfig.id);
+
+            logger.discord(`[LINK] ✅ ${verification.discordTag} linked to ${username} (verified on ${guildConfig.name})`);
+            this.emit('linked', link);
+
+            return link;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether whispers need to be parsed
+     * @returns {boolean} Whether verifications are pending
+     */
+    hasPendingVerifications() {
+        return this.pendingVerifications.size > 0;
+    }
+
+    /**
+     * Generate a one-time code
+     * @returns {string} Code
+     */
+    generateCode() {
+        let code = '';
+        for (let i = 0; i < CODE_LENGTH; i++) {
+            code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+        }
+        return code;
+    }
+
+    // ==================== LINKS ====================
+
+    /**
+     * Create or replace the link of a Discord user
+     * @param {string} discordUserId - Discord user ID
+     * @param {string} discordTag - Discord tag, for display
+     * @param {string} minecraftUsername - Minecraft username
+     * @param {string} verifiedOn - Guild ID of the bot that received the code
+     * @returns {object} Link
+     */
+    createLink(discordUserId, discordTag, minecraftUsername, verifiedOn) {
+        this.removeLink(discordUserId);
+
+        const link = {
+            discordUserId: discordUserId,
+            discordTag: discordTag,
+            minecraftUsername: minecraftUsername,
+            linkedAt: Date.now(),
+            verifiedOn: verifiedOn
+        };
+
+        this.links.set(discordUserId, link);
+        this.minecraftIndex.set(minecraftUsername.toLowerCase(), discordUserId);
+        this.saveLinks();
+
+        return link;
+    }
+
+    /**
+     * Remove the link of a Discord user
+     * @param {string} discordUserId - Discord user ID
+     * @returns {object|null} Removed link or null
+     */
+    removeLink(discordUserId) {
+        const link = this.links.get(discordUserId);
+        if (!link) {
+            return null;
+        }
+
+        this.links.delete(discordUserId);
+        this.minecraftIndex.delete(link.minecraftUsername.toLowerCase());
+        this.saveLinks();
+
+        logger.discord(`[LINK] ${link.discordTag} unlinked from ${link.minecraftUsername}`);
+        return link;
+    }
+
+    /**
+     * Get the link of a Discord user
+     * @param {string} discordUserId - Discord user ID
+     * @returns {object|null} Link or null
+     */
+    getLinkByDiscordId(discordUserId) {
+        if (!this.enabled || !discordUserId) return null;
+        return this.links.get(discordUserId) || null;
+    }
+
+    /**
+     * Get the link of a Minecraft player
+     * @param {string} minecraftUsername - Minecraft username
+     * @returns {object|null} Link or null
+     */
+    getLinkByMinecraft(minecraftUsername) {
+        if (!this.enabled || !minecraftUsername) return null;
+
+        const discordUserId = this.minecraftIndex.get(minecraftUsername.toLowerCase());
+        return discordUserId ? this.links.get(discordUserId) || null : null;
+    }
+
+    // ==================== PERSISTENCE ====================
+
+    /**
+     * Load links from disk
+     */
+    loadLinks() {
+        const filePath = path.join(this.directory, LINKS_FILE);
+        if (!fs.existsSync(filePath)) {
+            return;
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+            for (const link of data.links || []) {
+                if (!link.discordUserId || !link.minecraftUsername) continue;
+
+                this.links.set(link.discordUserId, link);
+                this.minecraftIndex.set(link.minecraftUsername.toLowerCase(), link.discordUserId);
+            }
+        } catch (error) {
+            logger.logError(error, 'Failed to load account links');
+        }
+    }
+
+    /**
+     * Write links to disk
+     */
+    saveLinks() {
+        try {
+            if (!fs.existsSync(this.directory)) {
+                fs.mkdirSync(this.directory, { recursive: true });
+            }
+
+            const filePath = path.join(this.directory, LINKS_FILE);
+            const tempPath = `${filePath}.tmp`;
+
+            fs.writeFileSync(tempPath, JSON.stringify({ links: [...this.links.values()] }, null, 2), 'utf8');
+            fs.renameSync(tempPath, filePath);
+
+        } catch (error) {
+            logger.logError(error, 'Failed to save account links');
+        }
+    }
+
+    /**
+     * Cancel pending verifications
+     */
+    cleanup() {
+        for (const discordUserId of [...this.pendingVerifications.keys()]) {
+            this.cancelVerification(discordUserId);
+        }
+
+        logger.debug('AccountLinker cleaned up');
+    }
+}
+
+// Singleton instance
+let accountLinkerInstance = null;
+
+/**
+ * Get singleton instance of AccountLinker
+ * @returns {AccountLinker} AccountLinker instance
+ */
+function getAccountLinker() {
+    if (!accountLinkerInstance) {
+        accountLinkerInstance = new AccountLinker();
+    }
+    return accountLinkerInstance;
+}
+
+module.exports = {
+    AccountLinker,
+    getAccountLinker
+};
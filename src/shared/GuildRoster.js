@@ -0,0 +1,493 @@
+// Globals Imports
+const fs = require('fs');
+const path = require('path');
+
+// Specific Imports
+const BridgeLocator = require("../bridgeLocator.js");
+const logger = require("./logger");
+
+const SAVE_DELAY = 5000;
+const MAX_RANK_HISTORY = 20;
+
+/**
+ * Per guild member roster, kept up to date from guild events and /g list reconciliation
+ *
+ * Each guild is stored in its own file (<guildId>.json) under features.roster.directory.
+ *
+ * Member shape:
+ *   { username, rank, joinedAt, lastSeenOnline, online, rankHistory: [{ from, to, timestamp, source }] }
+ */
+class GuildRoster {
+    constructor() {
+        const mainBridge = BridgeLocator.getInstance();
+        this.config = mainBridge.config;
+
+        this.rosterConfig = this.config.get('features.roster') || {};
+        this.enabled = this.rosterConfig.enabled !== false;
+        this.directory = path.resolve(process.cwd(), this.rosterConfig.directory || './data/roster');
+
+        // Guild ID -> { guildId, lastReconciledAt, members: Map(lowercase username -> member) }
+        this.rosters = new Map();
+        this.saveTimers = new Map();
+
+        if (this.enabled) {
+            this.initialize();
+        }
+
+        logger.debug(`GuildRoster initialized (enabled: ${this.enabled}, directory: ${this.directory})`);
+    }
+
+    /**
+     * Create the roster directory and load existing rosters
+     */
+    initialize() {
+        try {
+            if (!fs.existsSync(this.directory)) {
+                fs.mkdirSync(this.directory, { recursive: true });
+            }
+
+            for (const guildConfig of this.config.getEnabledGuilds()) {
+                this.loadRoster(guildConfig.id);
+            }
+        } catch (error) {
+            logger.logError(error, 'Failed to initialize guild roster, roster tracking disabled');
+            this.enabled = false;
+        }
+    }
+
+    // ==================== EVENT TRACKING ====================
+
+    /**
+     * Update the roster from a parsed guild event
+     * @param {object} eventData - Parsed event data from EventParser
+     * @param {object} guildConfig - Guild configuration
+     */
+    applyEvent(eventData, guildConfig) {
+        if (!this.enabled || !eventData || !eventData.type) {
+            return;
+        }
+
+        try {
+            const now = eventData.timestamp || Date.now();
+            const username = eventData.username;
+
+            switch (eventData.type) {
+                case 'welcome': {
+                    const member = this.ensureMember(guildConfig.id, username);
+                    member.joinedAt = now;
+                    member.rank = member.rank || (guildConfig.ranks && guildConfig.ranks[0]) || null;
+                    break;
+                }
+
+                case 'join': {
+                    const member = this.ensureMember(guildConfig.id, username);
+                    member.online = true;
+                    member.lastSeenOnline = now;
+                    break;
+                }
+
+                case 'disconnect': {
+                    const member = this.ensureMember(guildConfig.id, username);
+                    member.online = false;
+                    member.lastSeenOnline = now;
+                    break;
+                }
+
+                case 'leave':
+                case 'kick':
+                    this.removeMember(guildConfig.id, username);
+                    break;
+
+                case 'promote':
+                case 'demote': {
+                    const member = this.ensureMember(guildConfig.id, username);
+                    this.setRank(member, this.normalizeRank(guildConfig, eventData.toRank), eventData.type, now);
+                    break;
+                }
+
+                case 'online': {
+                    const usernames = this.parseMembersList(eventData.membersList);
+                    for (const onlineName of usernames) {
+                        const member = this.ensureMember(guildConfig.id, onlineName);
+                        member.online = true;
+                        member.lastSeenOnline = now;
+                    }
+                    break;
+                }
+
+                default:
+                    return;
+            }
+
+            this.scheduleSave(guildConfig.id);
+            logger.debug(`[ROSTER] [${guildConfig.name}] Applied ${eventData.type} event for ${username || 'members list'}`);
+
+        } catch (error) {
+            logger.logError(error, `Failed to apply ${eventData.type} event to roster of ${guildConfig.name}`);
+        }
+    }
+
+    /**
+     * Reconcile a roster with the output of /g list or /g online
+     * @param {object} guildConfig - Guild configuration
+     * @param {object} listResult - Parsed list ({members: [{username, rank}], complete})
+     * @param {string} listType - 'list' (every member) or 'online' (online members only)
+     * @returns {object} Reconciliation summary ({added, removed, rankChanges, online})
+     */
+    reconcile(guildConfig, listResult, listType) {
+        const summary = { added: 0, removed: 0, rankChanges: 0, online: 0 };
+
+        if (!this.enabled) {
+            return summary;
+        }
+
+        const roster = this.getRoster(guildConfig.id);
+        const now = Date.now();
+        const listed = new Set();
+
+        for (const entry of listResult.members) {
+            const key = entry.username.toLowerCase();
+            listed.add(key);
+
+            if (!roster.members.has(key)) {
+                summary.added++;
+            }
+
+            const member = this.ensureMember(guildConfig.id, entry.username);
+            member.username = entry.username;
+
+            if (entry.rank) {
+                const rank = this.normalizeRank(guildConfig, entry.rank);
+                if (member.rank !== rank) {
+                    // The first known rank is not a change
+                    if (member.rank) summary.rankChanges++;
+                    this.setRank(member, rank, 'reconcile', now);
+                }
+            }
+
+            if (listType === 'online') {
+                member.online = true;
+                member.lastSeenOnline = now;
+                summary.online++;
+            }
+        }
+
+        // Only trust absences from a complete output
+        if (listResult.complete) {
+            for (const [key, member] of roster.members.entries()) {
+                if (listed.has(key)) continue;
+
+                if (listType === 'list') {
+                    roster.members.delete(key);
+                    summary.removed++;
+                } else if (member.online) {
+                    member.online = false;
+                    member.lastSeenOnline = now;
+                }
+            }
+
+            if (listType === 'list') {
+                roster.lastReconciledAt = now;
+            }
+        }
+
+        this.scheduleSave(guildConfig.id);
+        logger.minecraft(`[ROSTER] [${guildConfig.name}] Reconciled with /g ${listType}: ${listResult.members.length} listed, +${summary.added} -${summary.removed}, ${summary.rankChanges} rank change(s)`);
+
+        return summary;
+    }
+
+    // ==================== QUERIES ====================
+
+    /**
+     * Get members of a guild, highest rank first
+     * @param {object} guildConfig - Guild configuration
+     * @param {object} filters - Filters ({rank, onlineOnly})
+     * @returns {Array<object>} Members
+     */
+    getMembers(guildConfig, filters = {}) {
+        const roster = this.getRoster(guildConfig.id);
+        const rankFilter = filters.rank ? filters.rank.toLowerCase() : null;
+
+        return [...roster.members.values()]
+            .filter(member => {
+                if (rankFilter && (!member.rank || member.rank.toLowerCase() !== rankFilter)) return false;
+                if (filters.onlineOnly && !member.online) return false;
+                return true;
+            })
+            .sort((a, b) => {
+                const rankDiff = this.getRankIndex(guildConfig, b.rank) - this.getRankIndex(guildConfig, a.rank);
+                return rankDiff !== 0 ? rankDiff : a.username.localeCompare(b.username);
+            });
+    }
+
+    /**
+     * Get a single member
+     * @param {string} guildId - Guild ID
+     * @param {string} username - Minecraft username
+     * @returns {object|null} Member or null
+     */
+    getMember(guildId, username) {
+        if (!username) return null;
+        return this.getRoster(guildId).members.get(username.toLowerCase()) || null;
+    }
+
+    /**
+     * Get when a guild roster was last reconciled with /g list
+     * @param {string} guildId - Guild ID
+     * @returns {number|null} Timestamp or null
+     */
+    getLastReconciledAt(guildId) {
+        return this.getRoster(guildId).lastReconciledAt;
+    }
+
+    /**
+     * Get the position of a rank in the guild ranks (least to greatest)
+     * Ranks missing from the configuration (e.g. Guild Master) rank above configured ones
+     * @param {object} guildConfig - Guild configuration
+     * @param {string|null} rank - Rank name
+     * @returns {number} Rank index, -1 for unknown rank
+     */
+    getRankIndex(guildConfig, rank) {
+        if (!rank) return -1;
+
+        const ranks = guildConfig.ranks || [];
+        const index = ranks.findIndex(r => r.toLowerCase() === rank.toLowerCase());
+
+        return index !== -1 ? index : ranks.length;
+    }
+
+    // ==================== MEMBER HELPERS ====================
+
+    /**
+     * Get or create a roster
+     * @param {string} guildId - Guild ID
+     * @returns {object} Roster
+     */
+    getRoster(guildId) {
+        if (!this.rosters.has(guildId)) {
+            this.rosters.set(guildId, {
+                guildId: guildId,
+                lastReconciledAt: null,
+                members: new Map()
+            });
+        }
+
+        return this.rosters.get(guildId);
+    }
+
+    /**
+     * Get or create a member
+     * @param {string} guildId - Guild ID
+     * @param {string} username - Minecraft username
+     * @returns {object} Member
+     */
+    ensureMember(guildId, username) {
+        if (!username) {
+            throw new Error('Cannot track a member without username');
+        }
+
+        const roster = this.getRoster(guildId);
+        const key = username.toLowerCase();
+
+        if (!roster.members.has(key)) {
+            roster.members.set(key, {
+                username: username,
+                rank: null,
+                joinedAt: null,
+                lastSeenOnline: null,
+                online: false,
+                rankHistory: []
+            });
+        }
+
+        return roster.members.get(key);
+    }
+
+    /**
+     * Remove a member
+     * @param {string} guildId - Guild ID
+     * @param {string} username - Minecraft username
+     */
+    removeMember(guildId, username) {
+        if (!username) return;
+        this.getRoster(guildId).members.delete(username.toLowerCase());
+    }
+
+    /**
+     * Change a member rank and record it in the rank history
+     * @param {object} member - Member
+     * @param {string|null} rank - New rank
+     * @param {string} source - What caused the change (promote, demote, reconcile)
+     * @param {number} timestamp - Change timestamp
+     */
+    setRank(member, rank, source, timestamp) {
+        if (!rank || member.rank === rank) {
+            return;
+        }
+
+        member.rankHistory.push({ from: member.rank, to: rank, timestamp: timestamp, source: source });
+        if (member.rankHistory.length > MAX_RANK_HISTORY) {
+            member.rankHistory.splice(0, member.rankHistory.length - MAX_RANK_HISTORY);
+        }
+
+        member.rank = rank;
+    }
+
+    /**
+     * Use the configured casing of a rank when it is known
+     * @param {object} guildConfig - Guild configuration
+     * @param {string} rank - Rank as seen in game
+     * @returns {string|null} Rank name
+     */
+    normalizeRank(guildConfig, rank) {
+        if (!rank) return null;
+
+        const configuredRank = (guildConfig.ranks || []).find(r => r.toLowerCase() === rank.trim().toLowerCase());
+        return configuredRank || rank.trim();
+    }
+
+    /**
+     * Extract usernames from an online members list
+     * @param {string} membersList - Members list ("[MVP+] Name ● Other ●" or "Name, Other")
+     * @returns {Array<string>} Usernames
+     */
+    parseMembersList(membersList) {
+        if (!membersList) return [];
+
+        return membersList
+            .replace(/\[[^\]]+\]/g, ' ')
+            .split(/[●,\s]+/)
+            .filter(name => /^\w{3,16}$/.test(name) && !/^\d+$/.test(name));
+    }
+
+    // ==================== PERSISTENCE ====================
+
+    /**
+     * Get the file path of a guild roster
+     * @param {string} guildId - Guild ID
+     * @returns {string} File path
+     */
+    getRosterFile(guildId) {
+        return path.join(this.directory, `${guildId}.json`);
+    }
+
+    /**
+     * Load a guild roster from disk
+     * @param {string} guildId - Guild ID
+     */
+    loadRoster(guildId) {
+        const filePath = this.getRosterFile(guildId);
+        if (!fs.existsSync(filePath)) {
+            return;
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            const roster = this.getRoster(guildId);
+
+            roster.lastReconciledAt = data.lastReconciledAt || null;
+            roster.members.clear();
+
+            for (const member of data.members || []) {
+                if (!member.username) continue;
+                roster.members.set(member.username.toLowerCase(), {
+                    username: member.username,
+                    rank: member.rank || null,
+                    joinedAt: member.joinedAt || null,
+                    lastSeenOnline: member.lastSeenOnline || null,
+                    // Nobody is known to be online until the bot sees it again
+                    online: false,
+                    rankHistory: member.rankHistory || []
+                });
+            }
+
+            logger.debug(`Loaded roster for ${guildId} (${roster.members.size} members)`);
+
+        } catch (error) {
+            logger.logError(error, `Failed to load roster for ${guildId}`);
+        }
+    }
+
+    /**
+     * Save a guild roster after a short delay, batching writes
+     * @param {string} guildId - Guild ID
+     */
+    scheduleSave(guildId) {
+        if (this.saveTimers.has(guildId)) {
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            this.saveTimers.delete(guildId);
+            this.saveRoster(guildId);
+        }, SAVE_DELAY);
+
+        // Do not keep the process alive only for the roster
+        if (typeof timer.unref === 'function') {
+            timer.unref();
+        }
+
+        this.saveTimers.set(guildId, timer);
+    }
+
+    /**
+     * Write a guild roster to disk
+     * @param {string} guildId - Guild ID
+     */
+    saveRoster(guildId) {
+        if (this.saveTimers.has(guildId)) {
+            clearTimeout(this.saveTimers.get(guildId));
+            this.saveTimers.delete(guildId);
+        }
+
+        try {
+            const roster = this.getRoster(guildId);
+            const filePath = this.getRosterFile(guildId);
+            const tempPath = `${filePath}.tmp`;
+
+            const data = {
+                guildId: guildId,
+                updatedAt: Date.now(),
+                lastReconciledAt: roster.lastReconciledAt,
+                members: [...roster.members.values()]
+            };
+
+            fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+            fs.renameSync(tempPath, filePath);
+
+        } catch (error) {
+            logger.logError(error, `Failed to save roster for ${guildId}`);
+        }
+    }
+
+    /**
+     * Save pending roster changes
+     */
+    cleanup() {
+        for (const guildId of [...this.saveTimers.keys()]) {
+            this.saveRoster(guildId);
+        }
+
+        logger.debug('GuildRoster cleaned up');
+    }
+}
+
+// Singleton instance
+let guildRosterInstance = null;
+
+/**
+ * Get singleton instance of GuildRoster
+ * @returns {GuildRoster} GuildRoster instance
+ */
+function getGuildRoster() {
+    if (!guildRosterInstance) {
+        guildRosterInstance = new GuildRoster();
+    }
+    return guildRosterInstance;
+}
+
+module.exports = {
+    GuildRoster,
+    getGuildRoster
+};
@@ -0,0 +1,555 @@
+// Globals Imports
+const fs = require('fs');
+const path = require('path');
+
+// Specific Imports
+const BridgeLocator = require("../bridgeLocator.js");
+const logger = require("./logger");
+
+const INDEX_FILE = 'index.json';
+const INDEX_FLUSH_DELAY = 5000;
+
+/**
+ * Append-only archive of everything the bridge relays
+ *
+ * Entries are written as one JSON object per line in a file per UTC day (archive-YYYY-MM-DD.jsonl).
+ * index.json keeps a summary of every day (count, guilds, players, chat types) so searches only
+ * read the day files that can contain a match. The summary also keeps the size of the day file it
+ * was built from, a day file of another size is read again on startup.
+ *
+ * Entry shape:
+ *   { id, timestamp, source: 'minecraft'|'discord', kind: 'chat'|'event', guildId, guildName,
+ *     chatType: 'guild'|'officer'|null, eventType, username, discordUserId, message }
+ */
+class MessageArchive {
+    constructor() {
+        const mainBridge = BridgeLocator.getInstance();
+        this.config = mainBridge.config;
+
+        this.archiveConfig = this.config.get('features.archive') || {};
+        this.enabled = this.archiveConfig.enabled !== false;
+        this.directory = path.resolve(process.cwd(), this.archiveConfig.directory || './data/archive');
+        this.maxResults = this.archiveConfig.maxResults || 50;
+
+        // Day (YYYY-MM-DD) -> { count, size, guilds: Set, players: Set, chatTypes: Set }
+        this.index = new Map();
+        this.indexFlushTimer = null;
+        this.sequence = 0;
+
+        if (this.enabled) {
+            this.initialize();
+        }
+
+        logger.debug(`MessageArchive initialized (enabled: ${this.enabled}, directory: ${this.directory})`);
+    }
+
+    /**
+     * Create the archive directory and load (or rebuild) the day index
+     */
+    initialize() {
+        try {
+            if (!fs.existsSync(this.directory)) {
+                fs.mkdirSync(this.directory, { recursive: true });
+            }
+
+            if (!this.loadIndex()) {
+                this.rebuildIndex();
+            }
+        } catch (error) {
+            logger.logError(error, 'Failed to initialize message archive, archiving disabled');
+            this.enabled = false;
+        }
+    }
+
+    // ==================== RECORDING ====================
+
+    /**
+     * Archive a parsed guild/officer chat message coming from Minecraft
+     * @param {object} chatData - Parsed chat data from ChatParser
+     * @param {object} guildConfig - Guild configuration
+     */
+    recordMinecraftMessage(chatData, guildConfig) {
+        this.record({
+            source: 'minecraft',
+            kind: 'chat',
+            guildId: guildConfig.id,
+            guildName: guildConfig.name,
+            chatType: chatData.chatType || 'guild',
+            eventType: null,
+            username: chatData.username || null,
+            discordUserId: null,
+            message: chatData.message || ''
+        });
+    }
+
+    /**
+     * Archive a parsed guild event coming from Minecraft
+     * @param {object} eventData - Parsed event data from EventParser
+     * @param {object} guildConfig - Guild configuration
+     */
+    recordMinecraftEvent(eventData, guildConfig) {
+        this.record({
+            source: 'minecraft',
+            kind: 'event',
+            guildId: guildConfig.id,
+            guildName: guildConfig.name,
+            chatType: null,
+            eventType: eventData.type,
+            username: eventData.username || eventData.invited || null,
+            discordUserId: null,
+            message: eventData.raw || ''
+        });
+    }
+
+    /**
+     * Archive a Discord message delivered to a Minecraft guild
+     * @param {object} messageData - Discord message data from MessageHandler
+     * @param {object} guildInfo - Target guild info ({guildId, guildName})
+     * @param {string} chatType - Target chat type (guild/officer)
+     * @param {string} formattedMessage - Message as sent in Minecraft
+     */
+    recordDiscordMessage(messageData, guildInfo, chatType, formattedMessage) {
+        this.record({
+            source: 'discord',
+            kind: 'chat',
+            guildId: guildInfo.guildId,
+            guildName: guildInfo.guildName,
+            chatType: chatType,
+            eventType: null,
+            username: messageData.author.displayName || messageData.author.username,
+            discordUserId: messageData.author.id || null,
+            message: formattedMessage || messageData.content
+        });
+    }
+
+    /**
+     * Append an entry to the archive file of the current day
+     * @param {object} entry - Entry without id and timestamp
+     */
+    record(entry) {
+        if (!this.enabled) {
+            return;
+        }
+
+        try {
+            const timestamp = Date.now();
+            const day = this.getDayKey(timestamp);
+
+            const fullEntry = {
+                id: `${timestamp.toString(36)}-${(this.sequence++).toString(36)}`,
+                timestamp: timestamp,
+                ...entry
+            };
+
+            const line = `${JSON.stringify(fullEntry)}\n`;
+            fs.appendFileSync(this.getDayFile(day), line, 'utf8');
+
+            this.indexEntry(day, fullEntry);
+            this.index.get(day).size += Buffer.byteLength(line);
+            this.scheduleIndexFlush();
+
+        } catch (error) {
+            logger.logError(error, 'Failed to write message archive entry');
+        }
+    }
+
+    // ==================== SEARCH ====================
+
+    /**
+     * Search archived entries, newest first
+     * @param {object} filters - Search filters
+     * @param {string} [filters.username] - Player or Discord display name (case-insensitive, exact)
+     * @param {string} [filters.guildId] - Guild ID
+     * @param {string} [filters.chatType] - 'guild', 'officer' or 'event'
+     * @param {number} [filters.from] - Start timestamp (inclusive)
+     * @param {number} [filters.to] - End timestamp (inclusive)
+     * @param {string} [filters.text] - Text contained in the message (case-insensitive)
+     * @param {number} [filters.limit] - Maximum number of results
+     * @returns {Promise<object>} Search result ({entries, scannedDays, truncated})
+     */
+    async search(filters = {}) {
+        const limit = Math.max(1, Math.min(filters.limit || this.maxResults, this.maxResults));
+        const entries = [];
+        let scannedDays = 0;
+        let truncated = false;
+
+        if (!this.enabled) {
+            return { entries, scannedDays, truncated };
+        }
+
+        const criteria = {
+            username: filters.username ? filters.username.toLowerCase() : null,
+            guildId: filters.guildId || null,
+            chatType: filters.chatType || null,
+            from: filters.from || null,
+            to: filters.to || null,
+            text: filters.text ? filters.text.toLowerCase() : null
+        };
+
+        const days = this.getCandidateDays(criteria);
+
+        for (const day of days) {
+            scannedDays++;
+
+            const dayEntries = await this.readDay(day);
+
+            // Day files are in chronological order, walk them backwards for newest first
+            for (let i = dayEntries.length - 1; i >= 0; i--) {
+                if (!this.matchesCriteria(dayEntries[i], criteria)) {
+                    continue;
+                }
+
+                if (entries.length >= limit) {
+                    truncated = true;
+                    break;
+                }
+
+                entries.push(dayEntries[i]);
+            }
+
+            if (truncated) {
+                break;
+            }
+        }
+
+        return { entries, scannedDays, truncated };
+    }
+
+    /**
+     * Use the day index to list the days that can contain matching entries, newest first
+     * @param {object} criteria - Normalized search criteria
+     * @returns {Array<string>} Day keys
+     */
+    getCandidateDays(criteria) {
+        const fromDay = criteria.from ? this.getDayKey(criteria.from) : null;
+        const toDay = criteria.to ? this.getDayKey(criteria.to) : null;
+
+        return [...this.index.keys()]
+            .filter(day => {
+                const summary = this.index.get(day);
+
+                if (fromDay && day < fromDay) return false;
+                if (toDay && day > toDay) return false;
+                if (criteria.guildId && !summary.guilds.has(criteria.guildId)) return false;
+                if (criteria.username && !summary.players.has(criteria.username)) return false;
+                if (criteria.chatType && !summary.chatTypes.has(criteria.chatType)) return false;
+
+                return true;
+            })
+            .sort()
+            .reverse();
+    }
+
+    /**
+     * Check an entry against search criteria
+     * @param {object} entry - Archived entry
+     * @param {object} criteria - Normalized search criteria
+     * @returns {boolean} Whether entry matches
+     */
+    matchesCriteria(entry, criteria) {
+        if (criteria.from && entry.timestamp < criteria.from) return false;
+        if (criteria.to && entry.timestamp > criteria.to) return false;
+        if (criteria.guildId && entry.guildId !== criteria.guildId) return false;
+        if (criteria.chatType && this.getEntryChatType(entry) !== criteria.chatType) return false;
+        if (criteria.username && (!entry.username || entry.username.toLowerCase() !== criteria.username)) return false;
+        if (criteria.text && !(entry.message || '').toLowerCase().includes(criteria.text)) return false;
+
+        return true;
+    }
+
+    /**
+     * Read and parse all entries of a day file
+     * @param {string} day - Day key (YYYY-MM-DD)
+     * @returns {Promise<Array<object>>} Entries in chronological order
+     */
+    async readDay(day) {
+        try {
+            const content = await fs.promises.readFile(this.getDayFile(day), 'utf8');
+            return this.parseLines(content, day);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.logError(error, `Failed to read archive day ${day}`);
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Parse JSONL content, skipping corrupted lines
+     * @param {string} content - File content
+     * @param {string} day - Day key (for logging)
+     * @returns {Array<object>} Parsed entries
+     */
+    parseLines(content, day) {
+        const entries = [];
+
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                logger.debug(`Skipping corrupted archive line in ${day}: ${line.substring(0, 50)}`);
+            }
+        }
+
+        return entries;
+    }
+
+    // ==================== INDEX ====================
+
+    /**
+     * Add an entry to the in-memory day index
+     * @param {string} day - Day key (YYYY-MM-DD)
+     * @param {object} entry - Archived entry
+     */
+    indexEntry(day, entry) {
+        const summary = this.getDaySummary(day);
+        summary.count++;
+        if (entry.guildId) summary.guilds.add(entry.guildId);
+        if (entry.username) summary.players.add(entry.username.toLowerCase());
+        summary.chatTypes.add(this.getEntryChatType(entry));
+    }
+
+    /**
+     * Get the summary of a day in the index, created empty when missing
+     * @param {string} day - Day key (YYYY-MM-DD)
+     * @returns {object} Day summary
+     */
+    getDaySummary(day) {
+        if (!this.index.has(day)) {
+            this.index.set(day, {
+                count: 0,
+                size: 0,
+                guilds: new Set(),
+                players: new Set(),
+                chatTypes: new Set()
+            });
+        }
+
+        return this.index.get(day);
+    }
+
+    /**
+     * Index a day again from its file
+     * @param {string} day - Day key (YYYY-MM-DD)
+     */
+    indexDay(day) {
+        this.index.delete(day);
+
+        const content = fs.readFileSync(this.getDayFile(day));
+        for (const entry of this.parseLines(content.toString('utf8'), day)) {
+            this.indexEntry(day, entry);
+        }
+
+        this.getDaySummary(day).size = content.length;
+    }
+
+    /**
+     * Load index.json, then read again the day files it does not match
+     * @returns {boolean} Whether the index was loaded
+     */
+    loadIndex() {
+        const indexPath = path.join(this.directory, INDEX_FILE);
+        if (!fs.existsSync(indexPath)) {
+            return false;
+        }
+
+        try {
+            const rawIndex = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+            const days = rawIndex.days || {};
+
+            const dayFiles = this.listDayFiles();
+
+            this.index.clear();
+            for (const [day, summary] of Object.entries(days)) {
+                // Day files removed by hand
+                if (!dayFiles.includes(day)) continue;
+
+                this.index.set(day, {
+                    count: summary.count || 0,
+                    size: summary.size,
+                    guilds: new Set(summary.guilds || []),
+                    players: new Set(summary.players || []),
+                    chatTypes: new Set(summary.chatTypes || [])
+                });
+            }
+
+            // Lines written after the last flush (crash) or files edited by hand change the size
+            const staleDays = dayFiles.filter(day => !this.index.has(day) ||
+                this.index.get(day).size !== fs.statSync(this.getDayFile(day)).size);
+
+            if (staleDays.length > 0) {
+                logger.warn(`Message archive index is out of date for ${staleDays.length} day(s), reading them again`);
+                staleDays.forEach(day => this.indexDay(day));
+            }
+
+            if (staleDays.length > 0 || this.index.size !== Object.keys(days).length) {
+                this.flushIndex();
+            }
+
+            logger.debug(`Message archive index loaded (${this.index.size} days)`);
+            return true;
+
+        } catch (error) {
+            logger.warn(`Message archive index is unreadable, rebuilding: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Rebuild the day index by reading every day file
+     */
+    rebuildIndex() {
+        this.index.clear();
+
+        for (const day of this.listDayFiles()) {
+            this.indexDay(day);
+        }
+
+        this.flushIndex();
+
+        if (this.index.size > 0) {
+            logger.info(`📚 Message archive index rebuilt (${this.index.size} days)`);
+        }
+    }
+
+    /**
+     * Write the day index to disk after a short delay, batching writes
+     */
+    scheduleIndexFlush() {
+        if (this.indexFlushTimer) {
+            return;
+        }
+
+        this.indexFlushTimer = setTimeout(() => {
+            this.indexFlushTimer = null;
+            this.flushIndex();
+        }, INDEX_FLUSH_DELAY);
+
+        // Do not keep the process alive only for the index
+        if (typeof this.indexFlushTimer.unref === 'function') {
+            this.indexFlushTimer.unref();
+        }
+    }
+
+    /**
+     * Write the day index to disk
+     */
+    flushIndex() {
+        if (this.indexFlushTimer) {
+            clearTimeout(this.indexFlushTimer);
+            this.indexFlushTimer = null;
+        }
+
+        try {
+            const days = {};
+            for (const [day, summary] of this.index.entries()) {
+                days[day] = {
+                    count: summary.count,
+                    size: summary.size,
+                    guilds: [...summary.guilds],
+                    players: [...summary.players],
+                    chatTypes: [...summary.chatTypes]
+                };
+            }
+
+            const indexPath = path.join(this.directory, INDEX_FILE);
+            const tempPath = `${indexPath}.tmp`;
+
+            fs.writeFileSync(tempPath, JSON.stringify({ version: 2, updatedAt: Date.now(), days }), 'utf8');
+            fs.renameSync(tempPath, indexPath);
+
+        } catch (error) {
+            logger.logError(error, 'Failed to write message archive index');
+        }
+    }
+
+    // ==================== UTILITY METHODS ====================
+
+    /**
+     * Get the chat type used for filtering ('event' for events)
+     * @param {object} entry - Archived entry
+     * @returns {string} Chat type
+     */
+    getEntryChatType(entry) {
+        return entry.kind === 'event' ? 'event' : (entry.chatType || 'guild');
+    }
+
+    /**
+     * Get the UTC day key of a timestamp
+     * @param {number} timestamp - Timestamp in ms
+     * @returns {string} Day key (YYYY-MM-DD)
+     */
+    getDayKey(timestamp) {
+        return new Date(timestamp).toISOString().split('T')[0];
+    }
+
+    /**
+     * Get the file path of a day
+     * @param {string} day - Day key (YYYY-MM-DD)
+     * @returns {string} File path
+     */
+    getDayFile(day) {
+        return path.join(this.directory, `archive-${day}.jsonl`);
+    }
+
+    /**
+     * List the days having an archive file
+     * @returns {Array<string>} Day keys
+     */
+    listDayFiles() {
+        return fs.readdirSync(this.directory)
+            .map(file => file.match(/^archive-(\d{4}-\d{2}-\d{2})\.jsonl$/))
+            .filter(Boolean)
+            .map(match => match[1]);
+    }
+
+    /**
+     * Get archive statistics
+     * @returns {object} Statistics
+     */
+    getStatistics() {
+        let totalEntries = 0;
+        for (const summary of this.index.values()) {
+            totalEntries += summary.count;
+        }
+
+        return {
+            enabled: this.enabled,
+            directory: this.directory,
+            days: this.index.size,
+            totalEntries: totalEntries
+        };
+    }
+
+    /**
+     * Flush pending index changes
+     */
+    cleanup() {
+        if (this.enabled) {
+            this.flushIndex();
+        }
+
+        logger.debug('MessageArchive cleaned up');
+    }
+}
+
+// Singleton instance
+let messageArchiveInstance = null;
+
+/**
+ * Get singleton instance of MessageArchive
+ * @returns {MessageArchive} MessageArchive instance
+ */
+function getMessageArchive() {
+    if (!messageArchiveInstance) {
+        messageArchiveInstance = new MessageArchive();
+    }
+    return messageArchiveInstance;
+}
+
+module.exports = {
+    MessageArchive,
+    getMessageArchive
+};
@@ -1,6 +1,12 @@
 // Specific Imports
 const logger = require('./logger');
 const { getTemplateLoader } = require('../config/TemplateLoader.js');
+const { getTemplateEngine } = require('./TemplateEngine.js');
+const { getConfigReloader } = require('../config/ConfigReloader.js');
+
+// Stand for {message} and {reply} while rendering Discord templates, to split them around the message
+const MESSAGE_MARKER = '\u0000message\u0000';
+const REPLY_MARKER = '\u0000reply\u0000';
 
 class MessageFormatter {
     constructor(config = {}) {
@@ -14,10 +20,13 @@ class MessageFormatter {
         };
 
         this.templateLoader = getTemplateLoader();
+        this.templateEngine = getTemplateEngine();
         
         // Performance cache for formatted messages
         this.formatCache = new Map();
         this.cacheMaxSize = 1000;
+
+        getConfigReloader().on('templatesReloaded', () => this.clearCache());
         
         logger.debug('MessageFormatter initialized with config:', this.config);
     }
@@ -39,7 +48,8 @@ class MessageFormatter {
                 platform, 
                 targetGuildConfig.server.serverName, 
                 chatType, 
-                this.config
+                this.config,
+                targetGuildConfig.id
             );
 
             if (!template) {
@@ -77,7 +87,8 @@ class MessageFormatter {
                 platform,
                 targetGuildConfig.server.serverName,
                 eventData.type,
-                this.config
+                this.config,
+                targetGuildConfig.id
             );
 
             if (!template) {
@@ -111,12 +122,13 @@ class MessageFormatter {
         try {
             const variables = this.buildSystemVariables(type, data, guildConfig);
             
-            const template = this.templateLoader.getTemplate(
-                platform,
-                guildConfig.server.serverName,
-                'system',
-                type
-            );
+            const template = this.templateLoader.getGuildTemplate(guildConfig.id, platform, 'system', type) ||
+                this.templateLoader.getTemplate(
+                    platform,
+                    guildConfig.server.serverName,
+                    'system',
+                    type
+                );
 
             if (!template) {
                 logger.warn(`No system template found for ${platform}/${guildConfig.server.serverName}/system/${type}`);
@@ -137,6 +149,137 @@ class MessageFormatter {
         }
     }
 
+    /**
+     * Format a Discord message for a Minecraft guild, from the discord.<chatType> template
+     * The result is split around {message} so long messages can be sent over several lines,
+     * each starting with the header. The {message} and {reply} filters run on the real text.
+     * @param {string} content - Message content
+     * @param {object} sender - Discord sender ({username, discordName, discordUsername, minecraftUsername, role, rolePrefix, replyTo, replyQuote})
+     * @param {string} chatType - Target chat type (guild, officer)
+     * @param {object} targetGuildConfig - Target guild configuration
+     * @returns {object|null} Line parts ({header, content, truncated}) or null without template or {message}
+     */
+    formatDiscordMessage(content, sender, chatType, targetGuildConfig) {
+        const platform = 'messagesToMinecraft';
+        const template = this.templateLoader.getBestTemplateFromObject(
+            this.templateLoader.getGuildTemplate(targetGuildConfig.id, platform, 'discord', chatType) ||
+            this.templateLoader.getTemplate(platform, targetGuildConfig.server.serverName, 'discord', chatType),
+            this.config
+        );
+
+        if (!template) {
+            return null;
+        }
+
+        try {
+            const variables = this.buildDiscordVariables(content, sender, chatType, targetGuildConfig);
+            const rendered = this.substituteVariables(
+                template,
+                { ...variables, message: MESSAGE_MARKER, reply: variables.reply ? REPLY_MARKER : '' },
+                ['message', 'reply']
+            );
+
+            const markerIndex = rendered.indexOf(MESSAGE_MARKER);
+
+            // A template without {message} would drop the message, the default line is used
+            if (markerIndex === -1) {
+                logger.debug(`discord.${chatType} template for ${targetGuildConfig.name} has no {message}, using the default line`);
+                return null;
+            }
+
+            const messageFilters = this.templateEngine.getFilters(template, 'message');
+            const message = this.templateEngine.applyFilters(content, messageFilters, '{message}');
+            const reply = variables.reply
+                ? this.templateEngine.applyFilters(variables.reply, this.templateEngine.getFilters(template, 'reply'), '{reply}')
+                : '';
+
+            // The reply only belongs to the first line, it's moved from the header to the content
+            let before = rendered.substring(0, markerIndex);
+            let lead = '';
+            const replyIndex = before.indexOf(REPLY_MARKER);
+            if (replyIndex !== -1) {
+                lead = before.substring(replyIndex);
+                before = before.substring(0, replyIndex);
+            }
+
+            // Every line needs a header, a line made of content alone could read as someone else's or as a command
+            const header = this.postProcessMessage(before, platform) || `Discord > ${variables.username}:`;
+            const trailer = rendered.substring(markerIndex + MESSAGE_MARKER.length).split(MESSAGE_MARKER).join(message);
+
+            if (this.config.enableDebugLogging) {
+                logger.debug(`Formatted Discord ${chatType} message for ${targetGuildConfig.name}: "${header}" + content`);
+            }
+
+            return {
+                header: header,
+                content: `${lead}${message}${trailer}`.split(REPLY_MARKER).join(reply).replace(/\s+/g, ' ').trim(),
+                // A truncate filter cut the message, reported like a split message that did not fit
+                truncated: message.length < content.length && messageFilters.some(filter => filter.name === 'truncate')
+            };
+
+        } catch (error) {
+            logger.logError(error, `Error formatting Discord message for ${targetGuildConfig.name}`);
+            return null;
+        }
+    }
+
+    /**
+     * Build variables for Discord message formatting
+     * @param {string} content - Message content
+     * @param {object} sender - Discord sender
+     * @param {string} chatType - Target chat type
+     * @param {object} targetGuildConfig - Target guild configuration
+     * @returns {object} Variables object
+     */
+    buildDiscordVariables(content, sender, chatType, targetGuildConfig) {
+        const variables = {
+            // Linked users go by their Minecraft username
+            username: sender.username,
+            discordName: sender.discordName || sender.username,
+            discordUsername: sender.discordUsername || sender.username,
+            minecraftUsername: sender.minecraftUsername || '',
+            linked: !!sender.minecraftUsername,
+
+            // Highest Discord role and its prefix from bridge.discordMessages.rolePrefixes
+            role: sender.role || '',
+            rolePrefix: sender.rolePrefix || '',
+
+            // Replied message, {reply} is "↩ Author: quote"
+            replyTo: sender.replyTo || '',
+            replyQuote: sender.replyQuote || '',
+            reply: this.formatDiscordReply(sender),
+
+            message: content,
+            chatType: chatType,
+
+            // Target guild information
+            guildName: targetGuildConfig.name,
+            guildTag: targetGuildConfig.tag,
+            guildId: targetGuildConfig.id,
+
+            // Timestamp
+            timestamp: new Date().toLocaleTimeString(),
+            date: new Date().toLocaleDateString()
+        };
+
+        this.addTagSettings(variables);
+
+        return variables;
+    }
+
+    /**
+     * Format the replied message of a Discord sender
+     * @param {object} sender - Discord sender ({replyTo, replyQuote})
+     * @returns {string} Reply, e.g. "↩ Steve: see you tomorrow", empty when the message is not a reply
+     */
+    formatDiscordReply(sender) {
+        if (!sender.replyTo) {
+            return '';
+        }
+
+        return sender.replyQuote ? `↩ ${sender.replyTo}: ${sender.replyQuote}` : `↩ ${sender.replyTo}`;
+    }
+
     /**
      * Build variables for message formatting
      * @param {object} messageData - Parsed message data
@@ -150,6 +293,9 @@ class MessageFormatter {
             message: messageData.message || '',
             chatType: messageData.chatType || 'guild',
             rank: messageData.rank || null,
+            networkRank: messageData.networkRank || null,
+            guildRank: messageData.guildRank || null,
+            rankIndex: messageData.rankIndex !== undefined ? messageData.rankIndex : -1,
             
             // Source guild information
             sourceGuildName: sourceGuildConfig.name,
@@ -178,6 +324,8 @@ class MessageFormatter {
             variables.tag = '';
         }
 
+        this.addTagSettings(variables);
+
         return variables;
     }
 
@@ -209,6 +357,9 @@ class MessageFormatter {
             guildTag: sourceGuildConfig.tag,
             guildId: sourceGuildConfig.id,
             
+            // Emoji of the event type, from templates.json defaults.emojis
+            emoji: this.getEventEmoji(eventData.type),
+            
             // Timestamp
             timestamp: new Date().toLocaleTimeString(),
             date: new Date().toLocaleDateString()
@@ -221,6 +372,8 @@ class MessageFormatter {
             variables.tag = '';
         }
 
+        this.addTagSettings(variables);
+
         // Add event-specific variables
         switch (eventData.type) {
             case 'join':
@@ -229,9 +382,14 @@ class MessageFormatter {
             
             case 'disconnect':
                 break;
+
+            case 'server_join':
+            case 'server_leave':
+                break;
                 
             case 'leave':
                 variables.reason = eventData.reason ? ` (${eventData.reason})` : '';
+                variables.reasonText = eventData.reason || '';
                 break;
             
             case 'welcome':
@@ -239,6 +397,7 @@ class MessageFormatter {
 
             case 'kick':
                 variables.reason = eventData.reason ? ` for: ${eventData.reason}` : '';
+                variables.reasonText = eventData.reason || '';
                 break;
                 
             case 'promote':
@@ -281,6 +440,26 @@ class MessageFormatter {
         return variables;
     }
 
+    /**
+     * Get the emoji of an event type
+     * @param {string} eventType - Event type
+     * @returns {string} Emoji, the system one for types without their own
+     */
+    getEventEmoji(eventType) {
+        const emojis = this.templateLoader.getDefaults('emojis');
+        return emojis[eventType] || emojis.system || '';
+    }
+
+    /**
+     * Expose the tag settings, so one template with {#if showSourceTag} can replace the
+     * basic/withTag/withSourceTag/withBothTags variants
+     * @param {object} variables - Variables, updated
+     */
+    addTagSettings(variables) {
+        variables.showTags = this.config.showTags === true;
+        variables.showSourceTag = this.config.showSourceTag === true;
+    }
+
     /**
      * Build variables for system message formatting
      * @param {string} type - System message type
@@ -312,31 +491,20 @@ class MessageFormatter {
 
     /**
      * Substitute variables in template string
+     * See TemplateEngine for the syntax (conditionals, filters, fallbacks)
      * @param {string} template - Template string with {variable} placeholders
      * @param {object} variables - Variables to substitute
+     * @param {Array<string>} unfiltered - Variables inserted without their filters
      * @returns {string} String with substituted variables
      */
-    substituteVariables(template, variables) {
+    substituteVariables(template, variables, unfiltered = []) {
         if (!template || typeof template !== 'string') {
             return template;
         }
 
-        let result = template;
         const defaults = this.templateLoader.getDefaults('placeholders');
-        
-        // Replace all {variable} patterns
-        result = result.replace(/\{([^}]+)\}/g, (match, variableName) => {
-            if (variables.hasOwnProperty(variableName)) {
-                return variables[variableName] || '';
-            } else if (defaults.hasOwnProperty(variableName)) {
-                return defaults[variableName];
-            } else {
-                // Keep the placeholder if variable not found
-                return match;
-            }
-        });
 
-        return result;
+        return this.templateEngine.render(template, variables, defaults, unfiltered);
     }
 
     /**
@@ -0,0 +1,64 @@
+// Discord messages remembered, the oldest are forgotten first
+const MAX_MESSAGES = 1000;
+
+/**
+ * Remembers who wrote the Minecraft chat lines the bridge posted on Discord
+ *
+ * Lines the bot posts itself (no webhook) do not always name their author, the default Hypixel
+ * template only keeps the message. Replies to those lines are resolved here by Discord message id.
+ * Kept in memory only, MessageHandler reads the line itself for messages posted before a restart.
+ *
+ * Entry shape:
+ *   { username, message, guildId, chatType }
+ */
+class RelayedMessages {
+    constructor() {
+        // Discord message ID -> entry, in posting order
+        this.messages = new Map();
+    }
+
+    /**
+     * Remember the Minecraft message behind a Discord message
+     * @param {string} discordMessageId - ID of the posted Discord message
+     * @param {object} entry - Minecraft message ({username, message, guildId, chatType})
+     */
+    remember(discordMessageId, entry) {
+        if (!discordMessageId || !entry || !entry.username) {
+            return;
+        }
+
+        this.messages.set(discordMessageId, entry);
+
+        if (this.messages.size > MAX_MESSAGES) {
+            this.messages.delete(this.messages.keys().next().value);
+        }
+    }
+
+    /**
+     * Get the Minecraft message behind a Discord message
+     * @param {string} discordMessageId - Discord message ID
+     * @returns {object|null} Entry or null when unknown
+     */
+    get(discordMessageId) {
+        return this.messages.get(discordMessageId) || null;
+    }
+}
+
+// Singleton instance
+let relayedMessagesInstance = null;
+
+/**
+ * Get singleton instance of RelayedMessages
+ * @returns {RelayedMessages} RelayedMessages instance
+ */
+function getRelayedMessages() {
+    if (!relayedMessagesInstance) {
+        relayedMessagesInstance = new RelayedMessages();
+    }
+    return relayedMessagesInstance;
+}
+
+module.exports = {
+    RelayedMessages,
+    getRelayedMessages
+};
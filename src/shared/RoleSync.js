@@ -0,0 +1,396 @@
+// Globals Imports
+const { EmbedBuilder } = require('discord.js');
+
+// Specific Imports
+const BridgeLocator = require("../bridgeLocator.js");
+const { getAccountLinker } = require("./AccountLinker.js");
+const { getGuildRoster } = require("./GuildRoster.js");
+const logger = require("./logger");
+
+const SYNC_EVENT_TYPES = ['welcome', 'join', 'leave', 'kick', 'promote', 'demote'];
+
+/**
+ * Keeps Discord roles of linked accounts in line with their guild membership and rank
+ *
+ * Roles are mapped per guild in guilds[].roleSync:
+ *   { memberRole: "ROLE_ID", ranks: { "RANK_NAME": "ROLE_ID" } }
+ *
+ * Only the roles mapped for a guild are ever added or removed for that guild, and a role
+ * mapped by several guilds is kept while the player is still in one of them (roster).
+ * With features.roleSync.dryRun, changes are only logged and audited.
+ */
+class RoleSync {
+    constructor() {
+        const mainBridge = BridgeLocator.getInstance();
+        this.config = mainBridge.config;
+
+        this.roleSyncConfig = this.config.get('features.roleSync') || {};
+        this.enabled = this.roleSyncConfig.enabled === true;
+        this.dryRun = this.roleSyncConfig.dryRun !== false;
+
+        this.accountLinker = getAccountLinker();
+        this.roster = getGuildRoster();
+
+        // "discordUserId:guildId" -> last dry run diff, nothing is applied so the same diff comes back on every trigger
+        this.dryRunDiffs = new Map();
+
+        if (this.enabled) {
+            // A freshly linked account gets the roles of the guilds it is already in
+            this.accountLinker.on('linked', (link) => {
+                this.syncLinkEverywhere(link).catch(error => {
+                    logger.logError(error, `[ROLESYNC] Failed to sync roles of newly linked ${link.minecraftUsername}`);
+                });
+            });
+        }
+
+        logger.debug(`RoleSync initialized (enabled: ${this.enabled}, dryRun: ${this.dryRun})`);
+    }
+
+    // ==================== TRIGGERS ====================
+
+    /**
+     * Sync roles after a parsed guild event
+     * @param {object} eventData - Parsed event data from EventParser
+     * @param {object} guildConfig - Guild configuration
+     */
+    async handleEvent(eventData, guildConfig) {
+        if (!this.isGuildEnabled(guildConfig) || !eventData || !SYNC_EVENT_TYPES.includes(eventData.type)) {
+            return;
+        }
+
+        const link = this.accountLinker.getLinkByMinecraft(eventData.username);
+        if (!link) {
+            return;
+        }
+
+        try {
+            const membership = this.getMembershipFromEvent(eventData, guildConfig);
+            await this.syncMember(link, guildConfig, membership, eventData.type);
+        } catch (error) {
+            logger.logError(error, `[ROLESYNC] Failed to sync roles of ${eventData.username} after ${eventData.type}`);
+        }
+    }
+
+    /**
+     * Sync roles of every linked account against a reconciled roster
+     * Must only be called after a complete /g list reconciliation, absences are trusted
+     * @param {object} guildConfig - Guild configuration
+     * @returns {Promise<number>} Number of members whose roles changed
+     */
+    async syncGuild(guildConfig) {
+        if (!this.isGuildEnabled(guildConfig) || !this.roster.enabled) {
+            return 0;
+        }
+
+        let changed = 0;
+
+        for (const link of this.accountLinker.links.values()) {
+            try {
+                const membership = this.getMembershipFromRoster(link.minecraftUsername, guildConfig);
+                if (await this.syncMember(link, guildConfig, membership, 'reconcile')) {
+                    changed++;
+                }
+            } catch (error) {
+                logger.logError(error, `[ROLESYNC] Failed to sync roles of ${link.minecraftUsername} on ${guildConfig.name}`);
+            }
+        }
+
+        logger.discord(`[ROLESYNC] [${guildConfig.name}] Reconciled roles of ${this.accountLinker.links.size} linked account(s), ${changed} changed`);
+        return changed;
+    }
+
+    /**
+     * Sync roles of a link on every guild whose roster knows the player
+     * @param {object} link - Account link
+     */
+    async syncLinkEverywhere(link) {
+        for (const guildConfig of this.config.getEnabledGuilds()) {
+            if (!this.isGuildEnabled(guildConfig)) continue;
+
+            const member = this.roster.getMember(guildConfig.id, link.minecraftUsername);
+            if (!member) continue;
+
+            await this.syncMember(link, guildConfig, { isMember: true, rank: member.rank }, 'link');
+        }
+    }
+
+    // ==================== MEMBERSHIP ====================
+
+    /**
+     * Get the guild membership of a player from an event
+     * @param {object} eventData - Parsed event data
+     * @param {object} guildConfig - Guild configuration
+     * @returns {object} Membership ({isMember, rank}), a null rank leaves rank roles untouched
+     */
+    getMembershipFromEvent(eventData, guildConfig) {
+        switch (eventData.type) {
+            case 'leave':
+            case 'kick':
+                return { isMember: false, rank: null };
+
+            case 'promote':
+            case 'demote':
+                return { isMember: true, rank: eventData.toRank || null };
+
+            default: {
+                // welcome and join: the roster knows the rank, if anything
+                const member = this.roster.getMember(guildConfig.id, eventData.username);
+                return { isMember: true, rank: member ? member.rank : null };
+            }
+        }
+    }
+
+    /**
+     * Get the guild membership of a player from the roster
+     * @param {string} username - Minecraft username
+     * @param {object} guildConfig - Guild configuration
+     * @returns {object} Membership ({isMember, rank})
+     */
+    getMembershipFromRoster(username, guildConfig) {
+        const member = this.roster.getMember(guildConfig.id, username);
+        return member
+            ? { isMember: true, rank: member.rank }
+            : { isMember: false, rank: null };
+    }
+
+    // ==================== ROLE CHANGES ====================
+
+    /**
+     * Apply the roles of a guild membership to a linked Discord member
+     * @param {object} link - Account link
+     * @param {object} guildConfig - Guild configuration
+     * @param {object} membership - Membership ({isMember, rank})
+     * @param {string} cause - What triggered the sync (event type, reconcile, link)
+     * @returns {Promise<boolean>} Whether roles changed (or would have, in dry run)
+     */
+    async syncMember(link, guildConfig, membership, cause) {
+        const mapping = guildConfig.roleSync;
+        const discordGuild = await this.getDiscordGuild();
+        if (!discordGuild) {
+            return false;
+        }
+
+        const discordMember = await discordGuild.members.fetch(link.discordUserId).catch(() => null);
+        if (!discordMember) {
+            logger.debug(`[ROLESYNC] ${link.discordTag} is not on the Discord server, skipping`);
+            return false;
+        }
+
+        const rankRoles = mapping.ranks || {};
+        const desired = new Set();
+
+        if (membership.isMember) {
+            if (mapping.memberRole) desired.add(mapping.memberRole);
+
+            const rankRole = this.getRankRole(rankRoles, membership.rank);
+            if (rankRole) desired.add(rankRole);
+        }
+
+        const managed = new Set(Object.values(rankRoles).filter(Boolean));
+        if (mapping.memberRole) managed.add(mapping.memberRole);
+
+        // Without a known rank, only the member role is managed
+        if (membership.isMember && !membership.rank) {
+            for (const roleId of Object.values(rankRoles)) {
+                managed.delete(roleId);
+            }
+        }
+
+        const toAdd = [...desired].filter(roleId => !discordMember.roles.cache.has(roleId));
+        // A role another guild maps (shared memberRole) stays while the player is still in that guild
+        const keptRoles = this.getRolesKeptByOtherGuilds(link, guildConfig);
+        const toRemove = [...managed].filter(roleId => !desired.has(roleId) && !keptRoles.has(roleId) && discordMember.roles.cache.has(roleId));
+
+        const unknownRoles = toAdd.filter(roleId => !discordGuild.roles.cache.has(roleId));
+        if (unknownRoles.length > 0) {
+            logger.warn(`[ROLESYNC] [${guildConfig.name}] Unknown Discord role(s) in guilds[].roleSync: ${unknownRoles.join(', ')}`);
+        }
+
+        const added = toAdd.filter(roleId => !unknownRoles.includes(roleId));
+        const diffKey = `${link.discordUserId}:${guildConfig.id}`;
+
+        if (added.length === 0 && toRemove.length === 0) {
+            this.dryRunDiffs.delete(diffKey);
+            return false;
+        }
+
+        const diff = `+[${added.join(', ')}] -[${toRemove.join(', ')}]`;
+        const summary = `${link.discordTag} (${link.minecraftUsername}) on ${guildConfig.name}: ${diff} (${cause})`;
+
+        if (this.dryRun) {
+            // Only audit a dry run diff the first time it is found
+            if (this.dryRunDiffs.get(diffKey) === diff) {
+                logger.debug(`[ROLESYNC] [DRY RUN] Already reported: ${summary}`);
+                return true;
+            }
+
+            this.dryRunDiffs.set(diffKey, diff);
+            logger.discord(`[ROLESYNC] [DRY RUN] ${summary}`);
+        } else {
+            const reason = `Role sync: ${cause} on ${guildConfig.name}`;
+
+            if (added.length > 0) await discordMember.roles.add(added, reason);
+            if (toRemove.length > 0) await discordMember.roles.remove(toRemove, reason);
+
+            logger.discord(`[ROLESYNC] ${summary}`);
+        }
+
+        await this.sendAudit(link, guildConfig, { added, removed: toRemove, cause, rank: membership.rank });
+        return true;
+    }
+
+    /**
+     * Get the roles the other synced guilds still want for a linked player, from the roster
+     * @param {object} link - Account link
+     * @param {object} guildConfig - Guild being synced
+     * @returns {Set<string>} Role IDs that must not be removed
+     */
+    getRolesKeptByOtherGuilds(link, guildConfig) {
+        const keptRoles = new Set();
+
+        for (const otherGuild of this.config.getEnabledGuilds()) {
+            if (otherGuild.id === guildConfig.id || !this.isGuildEnabled(otherGuild)) continue;
+
+            const membership = this.getMembershipFromRoster(link.minecraftUsername, otherGuild);
+            if (!membership.isMember) continue;
+
+            const rankRoles = otherGuild.roleSync.ranks || {};
+            if (otherGuild.roleSync.memberRole) keptRoles.add(otherGuild.roleSync.memberRole);
+
+            // Without a known rank, any rank role of that guild may be the right one
+            const rankRole = this.getRankRole(rankRoles, membership.rank);
+            const otherRankRoles = rankRole ? [rankRole] : (membership.rank ? [] : Object.values(rankRoles));
+            otherRankRoles.filter(Boolean).forEach(roleId => keptRoles.add(roleId));
+        }
+
+        return keptRoles;
+    }
+
+    /**
+     * Find the role mapped to a rank, case insensitive
+     * @param {object} rankRoles - Rank name -> role ID
+     * @param {string|null} rank - Rank name
+     * @returns {string|null} Role ID or null
+     */
+    getRankRole(rankRoles, rank) {
+        if (!rank) return null;
+
+        const rankKey = Object.keys(rankRoles).find(key => key.toLowerCase() === rank.toLowerCase());
+        return rankKey ? rankRoles[rankKey] : null;
+    }
+
+    /**
+     * Check whether roles are synced for a guild
+     * @param {object} guildConfig - Guild configuration
+     * @returns {boolean} Whether the guild has a role mapping and sync is enabled
+     */
+    isGuildEnabled(guildConfig) {
+        return this.enabled && !!guildConfig && !!guildConfig.roleSync;
+    }
+
+    // ==================== DISCORD ====================
+
+    /**
+     * Get the Discord client if Discord is connected
+     * @returns {Client|null} Discord client
+     */
+    getClient() {
+        const discordManager = BridgeLocator.getInstance().getDiscordManager?.();
+        if (!discordManager || !discordManager.isConnected()) {
+            return null;
+        }
+
+        return discordManager.getClient();
+    }
+
+    /**
+     * Get the Discord server whose roles are synced
+     * @returns {Promise<Guild|null>} Discord guild
+     */
+    async getDiscordGuild() {
+        const client = this.getClient();
+        if (!client) {
+            logger.debug('[ROLESYNC] Discord client not available, skipping role sync');
+            return null;
+        }
+
+        const serverId = this.config.get('app.serverDiscordId');
+        const discordGuild = await client.guilds.fetch(serverId).catch(() => null);
+
+        if (!discordGuild) {
+            logger.warn(`[ROLESYNC] Could not find Discord server ${serverId} (app.serverDiscordId)`);
+        }
+
+        return discordGuild;
+    }
+
+    /**
+     * Send a role change audit entry to discord.logChannels.roleSync (or default)
+     * @param {object} link - Account link
+     * @param {object} guildConfig - Guild configuration
+     * @param {object} change - Change details ({added, removed, cause, rank})
+     */
+    async sendAudit(link, guildConfig, change) {
+        try {
+            const logChannels = this.config.get('discord.logChannels');
+            if (!logChannels) {
+                return;
+            }
+
+            const channelId = logChannels.roleSync && logChannels.roleSync.trim() !== ''
+                ? logChannels.roleSync
+                : logChannels.default;
+
+            const client = this.getClient();
+            if (!client || !channelId || channelId.trim() === '') {
+                return;
+            }
+
+            const channel = await client.channels.fetch(channelId).catch(() => null);
+            if (!channel) {
+                logger.warn(`Could not find Discord log channel: ${channelId}`);
+                return;
+            }
+
+            const formatRoles = (roleIds) => roleIds.length > 0 ? roleIds.map(roleId => `<@&${roleId}>`).join(' ') : 'None';
+
+            const embed = new EmbedBuilder()
+                .setTitle(`🎭 Roles ${this.dryRun ? 'Would Be Synced (Dry Run)' : 'Synced'}`)
+                .setColor(this.dryRun ? 0x808080 : 0x9B59B6)
+                .addFields(
+                    { name: '👤 Discord', value: `<@${link.discordUserId}>`, inline: true },
+                    { name: '⛏️ Minecraft', value: `\`${link.minecraftUsername}\``, inline: true },
+                    { name: '🏰 Guild', value: `${guildConfig.name}${change.rank ? ` - ${change.rank}` : ''}`, inline: true },
+                    { name: '➕ Added', value: formatRoles(change.added), inline: true },
+                    { name: '➖ Removed', value: formatRoles(change.removed), inline: true },
+                    { name: '🔎 Cause', value: change.cause, inline: true }
+                )
+                .setTimestamp()
+                .setFooter({ text: '🔧 Role Sync' });
+
+            await channel.send({ embeds: [embed], allowedMentions: { parse: [] } });
+
+        } catch (error) {
+            logger.logError(error, '[ROLESYNC] Failed to send role sync audit entry');
+        }
+    }
+}
+
+// Singleton instance
+let roleSyncInstance = null;
+
+/**
+ * Get singleton instance of RoleSync
+ * @returns {RoleSync} RoleSync instance
+ */
+function getRoleSync() {
+    if (!roleSyncInstance) {
+        roleSyncInstance = new RoleSync();
+    }
+    return roleSyncInstance;
+}
+
+module.exports = {
+    RoleSync,
+    getRoleSync
+};
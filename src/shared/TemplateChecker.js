@@ -0,0 +1,485 @@
+// Specific Imports
+const BridgeLocator = require('../bridgeLocator.js');
+const MessageFormatter = require('./MessageFormatter.js');
+const { getTemplateLoader, forEachTemplate } = require('../config/TemplateLoader.js');
+const { getTemplateEngine } = require('./TemplateEngine.js');
+const { getConfigReloader } = require('../config/ConfigReloader.js');
+const { getGuildRoster } = require('./GuildRoster.js');
+const logger = require('./logger');
+
+const PLATFORMS = ['messagesToMinecraft', 'messagesToDiscord'];
+const CHAT_CATEGORIES = ['guild', 'officer'];
+
+// Same defaults as InterGuildManager.shouldShareEvent
+const DEFAULT_SHAREABLE_EVENTS = ['welcome', 'disconnect', 'kick', 'promote', 'demote', 'level', 'motd'];
+
+const MINECRAFT_CHAT_LIMIT = 256;
+
+/**
+ * Renders templates with sample data, for previews and lint checks
+ *
+ * Sample data follows what EventParser and ChatParser produce, filled with the guild's own
+ * ranks and a member of its roster when known. Rendering goes through MessageFormatter, so a
+ * preview is exactly what the bridge would send.
+ */
+class TemplateChecker {
+    constructor() {
+        const mainBridge = BridgeLocator.getInstance();
+        this.config = mainBridge.config;
+        this.templateLoader = getTemplateLoader();
+        this.templateEngine = getTemplateEngine();
+
+        // One formatter per platform, configured like the ones sending to that platform
+        this.formatters = {
+            messagesToMinecraft: new MessageFormatter(this.getFormatterConfig('messagesToMinecraft')),
+            messagesToDiscord: new MessageFormatter(this.getFormatterConfig('messagesToDiscord'))
+        };
+
+        getConfigReloader().on('templatesReloaded', () => this.lintIfEnabled());
+    }
+
+    // ==================== PREVIEW ====================
+
+    /**
+     * Render a template for each guild
+     * @param {string} platform - Platform (messagesToMinecraft, messagesToDiscord)
+     * @param {string} category - Category (guild, officer, events)
+     * @param {string|null} eventType - Event type, for the events category
+     * @param {Array<object>} guilds - Guild configurations, the enabled guilds by default
+     * @returns {Array<object>} Previews ({guildConfig, sourceGuildConfig, template, text, length, limit})
+     */
+    preview(platform, category, eventType = null, guilds = null) {
+        if (!PLATFORMS.includes(platform)) {
+            throw new Error(`Unknown platform "${platform}", expected ${PLATFORMS.join(' or ')}`);
+        }
+
+        if (category === 'events' && !eventType) {
+            throw new Error('An event type is required for the events category');
+        }
+
+        const targetGuilds = guilds || this.config.getEnabledGuilds();
+
+        return targetGuilds.map(guildConfig => this.previewForGuild(platform, category, eventType, guildConfig));
+    }
+
+    /**
+     * Render a template for one guild
+     * Minecraft templates show a message relayed from another guild, Discord ones a message of the guild itself
+     * @param {string} platform - Platform
+     * @param {string} category - Category (guild, officer, events)
+     * @param {string|null} eventType - Event type
+     * @param {object} guildConfig - Guild receiving the message
+     * @returns {object} Preview
+     */
+    previewForGuild(platform, category, eventType, guildConfig) {
+        const formatter = this.getFormatter(platform);
+        const sourceGuildConfig = platform === 'messagesToMinecraft'
+            ? this.getSourceGuild(guildConfig)
+            : guildConfig;
+
+        const isEvent = category === 'events';
+        const sample = isEvent
+            ? this.buildEventSample(eventType, sourceGuildConfig)
+            : this.buildMessageSample(category, sourceGuildConfig);
+
+        const serverName = guildConfig.server.serverName;
+        const template = isEvent
+            ? this.templateLoader.getEventTemplate(platform, serverName, eventType, formatter.config, guildConfig.id)
+            : this.templateLoader.getBestTemplate(platform, serverName, category, formatter.config, guildConfig.id);
+
+        const text = isEvent
+            ? formatter.formatGuildEvent(sample, sourceGuildConfig, guildConfig, platform)
+            : formatter.formatGuildMessage(sample, sourceGuildConfig, guildConfig, platform);
+
+        // The formatter truncates to the limit, the length must be measured before
+        let length = text ? text.length : 0;
+        if (template) {
+            const variables = isEvent
+                ? formatter.buildEventVariables(sample, sourceGuildConfig, guildConfig)
+                : formatter.buildMessageVariables(sample, sourceGuildConfig, guildConfig);
+            length = formatter.substituteVariables(template, variables).replace(/\s+/g, ' ').trim().length;
+        }
+
+        return {
+            guildConfig,
+            sourceGuildConfig,
+            template: template || null,
+            text,
+            length,
+            limit: platform === 'messagesToMinecraft' ? this.getChatLimit(guildConfig) : 2000
+        };
+    }
+
+    // ==================== LINT ====================
+
+    /**
+     * Check the templates for unknown placeholders, Minecraft messages over the chat limit
+     * and shareable events without a template
+     * @returns {Array<object>} Issues ({type, path, message})
+     */
+    lint() {
+        return [
+            ...this.lintPlaceholders(),
+            ...this.lintLengths(),
+            ...this.lintShareableEvents()
+        ];
+    }
+
+    /**
+     * Find placeholders no variable or default value fills
+     * System templates are skipped, their variables come from the data of each system message
+     * @returns {Array<object>} Issues
+     */
+    lintPlaceholders() {
+        const issues = [];
+        const templates = this.templateLoader.templates || {};
+        const defaults = this.templateLoader.getDefaults('placeholders');
+
+        for (const section of ['servers', 'guilds']) {
+            forEachTemplate(templates[section] || {}, section, (template, templatePath) => {
+                const known = this.getKnownVariables(templatePath);
+                if (!known) {
+                    return;
+                }
+
+                const unknown = this.templateEngine.getVariableNames(template)
+                    .filter(name => !known.has(name) && !Object.prototype.hasOwnProperty.call(defaults, name));
+
+                for (const name of unknown) {
+                    issues.push({
+                        type: 'placeholder',
+                        path: templatePath,
+                        message: `{${name}} is not a known variable and has no default value`
+                    });
+                }
+            });
+        }
+
+        return issues;
+    }
+
+    /**
+     * Find Minecraft templates over the chat limit of the receiving guild once filled with sample data
+     * @returns {Array<object>} Issues
+     */
+    lintLengths() {
+        const issues = [];
+        const platform = 'messagesToMinecraft';
+
+        for (const guildConfig of this.config.getEnabledGuilds()) {
+            const targets = CHAT_CATEGORIES.map(category => ({ category, eventType: null }));
+            for (const eventType of this.getEventTypes(platform, guildConfig)) {
+                targets.push({ category: 'events', eventType });
+            }
+
+            for (const { category, eventType } of targets) {
+                const preview = this.previewForGuild(platform, category, eventType, guildConfig);
+                if (preview.template && preview.length > preview.limit) {
+                    issues.push({
+                        type: 'length',
+                        path: this.findTemplatePath(platform, category, eventType, guildConfig, preview.template),
+                        message: `${preview.length} characters for ${guildConfig.name} with sample data, over its ${preview.limit} character chat limit`
+                    });
+                }
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Find where the template a guild renders is defined, its per-guild override first
+     * @param {string} platform - Platform
+     * @param {string} category - Category (guild, officer, events)
+     * @param {string|null} eventType - Event type
+     * @param {object} guildConfig - Guild receiving the message
+     * @param {string} template - Rendered template
+     * @returns {string} Path in templates.json, like lintPlaceholders reports them
+     */
+    findTemplatePath(platform, category, eventType, guildConfig, template) {
+        const serverName = guildConfig.server.serverName;
+        const suffix = eventType ? `${category}.${eventType}` : category;
+        const candidates = [
+            {
+                node: this.templateLoader.getGuildTemplate(guildConfig.id, platform, category, eventType),
+                path: `guilds.${guildConfig.id}.${platform}.${suffix}`
+            },
+            {
+                node: this.templateLoader.getTemplate(platform, serverName, category, eventType),
+                path: `servers.${platform}.${serverName}.${suffix}`
+            }
+        ];
+
+        for (const { node, path } of candidates) {
+            if (node === template) {
+                return path;
+            }
+
+            if (node && typeof node === 'object') {
+                const key = Object.keys(node).find(candidate => node[candidate] === template);
+                if (key) {
+                    return `${path}.${key}`;
+                }
+            }
+        }
+
+        return `servers.${platform}.${serverName}.${suffix}`;
+    }
+
+    /**
+     * Find shareable events some guild has no Minecraft template for
+     * @returns {Array<object>} Issues
+     */
+    lintShareableEvents() {
+        const issues = [];
+        const platform = 'messagesToMinecraft';
+        const shareableEvents = this.config.get('bridge.interGuild.shareableEvents') || DEFAULT_SHAREABLE_EVENTS;
+
+        for (const guildConfig of this.config.getEnabledGuilds()) {
+            const serverName = guildConfig.server.serverName;
+
+            for (const eventType of shareableEvents) {
+                if (!this.templateLoader.getEventTemplate(platform, serverName, eventType, {}, guildConfig.id)) {
+                    issues.push({
+                        type: 'missing',
+                        path: `${platform}/${serverName}/events.${eventType}`,
+                        message: `"${eventType}" is in bridge.interGuild.shareableEvents but ${guildConfig.name} has no template for it`
+                    });
+                }
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Lint and log the issues when features.messageSystem.validateTemplates is on
+     * @returns {Array<object>|null} Issues or null when disabled
+     */
+    lintIfEnabled() {
+        if (!this.config.get('features.messageSystem.validateTemplates', true)) {
+            return null;
+        }
+
+        try {
+            const issues = this.lint();
+
+            if (issues.length === 0) {
+                logger.debug('[TEMPLATES] Lint found no issue');
+            }
+            for (const issue of issues) {
+                logger.warn(`[TEMPLATES] ${issue.path}: ${issue.message}`);
+            }
+
+            return issues;
+
+        } catch (error) {
+            logger.logError(error, '[TEMPLATES] Template lint failed');
+            return null;
+        }
+    }
+
+    // ==================== SAMPLE DATA ====================
+
+    /**
+     * Build a sample chat message, as ChatParser would
+     * @param {string} chatType - Chat type (guild, officer)
+     * @param {object} guildConfig - Guild the message comes from
+     * @returns {object} Message data
+     */
+    buildMessageSample(chatType, guildConfig) {
+        const ranks = guildConfig.ranks || [];
+        const rankIndex = ranks.length > 0 ? ranks.length - 1 : -1;
+        const placeholders = this.templateLoader.getDefaults('placeholders');
+
+        return {
+            type: chatType === 'officer' ? 'officer' : 'guild',
+            chatType: chatType,
+            username: this.getSampleUsername(guildConfig),
+            message: placeholders.message || 'Hello!',
+            rank: ranks[rankIndex] || null,
+            networkRank: 'MVP+',
+            guildRank: ranks[rankIndex] || null,
+            rankIndex: rankIndex
+        };
+    }
+
+    /**
+     * Build a sample event, as EventParser would
+     * @param {string} eventType - Event type
+     * @param {object} guildConfig - Guild the event comes from
+     * @returns {object} Event data
+     */
+    buildEventSample(eventType, guildConfig) {
+        const ranks = guildConfig.ranks || [];
+        const username = this.getSampleUsername(guildConfig);
+        const staff = guildConfig.account ? guildConfig.account.username : 'GuildMaster';
+        const lowerRank = ranks[0] || 'Member';
+        const higherRank = ranks[1] || 'Officer';
+
+        const samples = {
+            join: { username, rank: lowerRank },
+            disconnect: { username },
+            leave: { username, reason: null },
+            server_join: { username },
+            server_leave: { username },
+            welcome: { username },
+            kick: { username, reason: 'Inactive', kicker: staff },
+            promote: { username, fromRank: lowerRank, toRank: higherRank, promoter: staff },
+            demote: { username, fromRank: higherRank, toRank: lowerRank, demoter: staff },
+            invite: { username: staff, inviter: staff, invited: username },
+            level: { level: 42, previousLevel: 41 },
+            motd: { changer: staff, motd: this.templateLoader.getDefaults('placeholders').motd || 'Welcome to our guild!' },
+            misc: { changer: staff, newTag: guildConfig.tag, newName: guildConfig.name }
+        };
+
+        return { type: eventType, ...(samples[eventType] || { username }) };
+    }
+
+    /**
+     * Get a member of the guild roster, the placeholder username otherwise
+     * @param {object} guildConfig - Guild configuration
+     * @returns {string} Username
+     */
+    getSampleUsername(guildConfig) {
+        try {
+            const members = getGuildRoster().getMembers(guildConfig);
+            if (members.length > 0) {
+                return members[members.length - 1].username;
+            }
+        } catch (error) {
+            logger.debug(`[TEMPLATES] No roster sample for ${guildConfig.name}: ${error.message}`);
+        }
+
+        return this.templateLoader.getDefaults('placeholders').username || 'Player';
+    }
+
+    /**
+     * Get the guild a relayed message comes from, another enabled guild when there is one
+     * @param {object} guildConfig - Guild receiving the message
+     * @returns {object} Guild configuration
+     */
+    getSourceGuild(guildConfig) {
+        const otherGuild = this.config.getEnabledGuilds().find(guild => guild.id !== guildConfig.id);
+        return otherGuild || guildConfig;
+    }
+
+    // ==================== HELPERS ====================
+
+    /**
+     * Get the variables a template can use, from its path in templates.json
+     * @param {string} templatePath - Dotted path (servers.<platform>.<server>.<category>... or guilds.<id>.<platform>.<category>...)
+     * @returns {Set<string>|null} Variable names or null when they cannot be known
+     */
+    getKnownVariables(templatePath) {
+        const parts = templatePath.split('.');
+        const category = parts[3];
+        const eventType = category === 'events' ? parts[4] : null;
+
+        const guildConfig = this.config.getEnabledGuilds()[0] || { id: 'guild', name: 'Guild', tag: 'TAG', ranks: [] };
+        const formatter = this.getFormatter('messagesToMinecraft');
+
+        if (CHAT_CATEGORIES.includes(category)) {
+            const sample = this.buildMessageSample(category, guildConfig);
+            return new Set(Object.keys(formatter.buildMessageVariables(sample, guildConfig, guildConfig)));
+        }
+
+        if (eventType) {
+            const sample = this.buildEventSample(eventType, guildConfig);
+            return new Set(Object.keys(formatter.buildEventVariables(sample, guildConfig, guildConfig)));
+        }
+
+        if (category === 'discord') {
+            const sender = { username: this.getSampleUsername(guildConfig) };
+            return new Set(Object.keys(formatter.buildDiscordVariables('', sender, parts[4] || 'guild', guildConfig)));
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the event types a guild has templates for on a platform
+     * @param {string} platform - Platform
+     * @param {object} guildConfig - Guild configuration
+     * @returns {Array<string>} Event types
+     */
+    getEventTypes(platform, guildConfig) {
+        const serverEvents = this.templateLoader.getTemplate(platform, guildConfig.server.serverName, 'events') || {};
+        const guildEvents = this.templateLoader.getGuildTemplate(guildConfig.id, platform, 'events') || {};
+
+        return [...new Set([...Object.keys(serverEvents), ...Object.keys(guildEvents)])]
+            .filter(eventType => !eventType.startsWith('_'));
+    }
+
+    /**
+     * Get every event type with a template, on any platform and server
+     * @returns {Array<string>} Event types
+     */
+    getAllEventTypes() {
+        const eventTypes = new Set();
+
+        for (const guildConfig of this.config.getEnabledGuilds()) {
+            for (const platform of PLATFORMS) {
+                this.getEventTypes(platform, guildConfig).forEach(eventType => eventTypes.add(eventType));
+            }
+        }
+
+        return [...eventTypes].sort();
+    }
+
+    /**
+     * Get the Minecraft chat limit of a guild
+     * @param {object} guildConfig - Guild configuration
+     * @returns {number} Limit
+     */
+    getChatLimit(guildConfig) {
+        return (guildConfig.account && guildConfig.account.chatLengthLimit) || MINECRAFT_CHAT_LIMIT;
+    }
+
+    /**
+     * Get the formatter of a platform, with the current settings
+     * @param {string} platform - Platform
+     * @returns {MessageFormatter} Formatter
+     */
+    getFormatter(platform) {
+        const formatter = this.formatters[platform];
+        formatter.updateConfig(this.getFormatterConfig(platform));
+        return formatter;
+    }
+
+    /**
+     * Get the formatter settings used to send to a platform
+     * @param {string} platform - Platform
+     * @returns {object} Formatter configuration
+     */
+    getFormatterConfig(platform) {
+        return {
+            showTags: this.config.get('bridge.interGuild.showTags') || false,
+            showSourceTag: this.config.get('bridge.interGuild.showSourceTag') !== false,
+            enableDebugLogging: false,
+            maxMessageLength: platform === 'messagesToMinecraft'
+                ? this.config.get('advanced.messageCleaner.maxLength') || 256
+                : 2000,
+            fallbackToBasic: true
+        };
+    }
+}
+
+// Singleton instance
+let templateCheckerInstance = null;
+
+/**
+ * Get singleton instance of TemplateChecker
+ * @returns {TemplateChecker} TemplateChecker instance
+ */
+function getTemplateChecker() {
+    if (!templateCheckerInstance) {
+        templateCheckerInstance = new TemplateChecker();
+    }
+    return templateCheckerInstance;
+}
+
+module.exports = {
+    TemplateChecker,
+    getTemplateChecker
+};
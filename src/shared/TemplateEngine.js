@@ -0,0 +1,420 @@
+// Specific Imports
+const logger = require('./logger');
+
+// {name}, {name?:default}, {name|filter|filter:arg}, {name?:default|filter}
+const PLACEHOLDER_PATTERN = /^([A-Za-z_]\w*)(\?:[^|]*)?((?:\|[a-z]+(?::.*?)?)*)$/;
+const CONDITION_PATTERN = /^#if\s+(!?)([A-Za-z_]\w*)$/;
+
+/**
+ * Small template language used by templates.json
+ *
+ * Syntax:
+ *   {name}                     variable, kept as is when unknown (like the flat replacement before it)
+ *   {name?:fallback}           fallback text when the variable is empty or unknown
+ *   {name|upper}               filters, chained left to right: upper, lower, capitalize, trim,
+ *                              truncate:N, time:FORMAT (YYYY MM DD HH mm ss)
+ *   {#if name}...{else}...{/if} conditional, {#if !name} for the opposite
+ *
+ * A variable is empty when it is undefined, null, false or ''. Templates without any of the
+ * new syntax render exactly as before.
+ */
+class TemplateEngine {
+    constructor() {
+        // Template string -> parsed nodes
+        this.cache = new Map();
+        this.cacheMaxSize = 500;
+
+        this.filters = {
+            upper: value => String(value).toUpperCase(),
+            lower: value => String(value).toLowerCase(),
+            capitalize: value => {
+                const text = String(value);
+                return text.charAt(0).toUpperCase() + text.slice(1);
+            },
+            trim: value => String(value).trim(),
+            truncate: (value, length) => {
+                const text = String(value);
+                const max = parseInt(length, 10);
+                if (!Number.isInteger(max) || max < 1 || text.length <= max) {
+                    return text;
+                }
+                return max > 3 ? `${text.substring(0, max - 3)}...` : text.substring(0, max);
+            },
+            time: (value, format) => formatTime(toDate(value), format || 'HH:mm')
+        };
+    }
+
+    /**
+     * Render a template
+     * @param {string} template - Template string
+     * @param {object} variables - Variables
+     * @param {object} defaults - Values of variables missing from variables (templates.json defaults.placeholders)
+     * @param {Array<string>} unfiltered - Variables inserted without their filters, the caller filters them (getFilters)
+     * @returns {string} Rendered text
+     */
+    render(template, variables, defaults = {}, unfiltered = []) {
+        if (!template || typeof template !== 'string') {
+            return template;
+        }
+
+        return this.renderNodes(this.compile(template), variables, defaults, unfiltered);
+    }
+
+    /**
+     * Parse a template, through the cache
+     * @param {string} template - Template string
+     * @returns {Array<object>} Nodes
+     */
+    compile(template) {
+        if (this.cache.has(template)) {
+            return this.cache.get(template);
+        }
+
+        const nodes = this.parse(template);
+
+        if (this.cache.size >= this.cacheMaxSize) {
+            this.cache.clear();
+        }
+        this.cache.set(template, nodes);
+
+        return nodes;
+    }
+
+    /**
+     * Parse a template into nodes
+     * Node shapes: {type: 'text', text}, {type: 'variable', name, fallback, filters, raw},
+     * {type: 'if', name, negate, then, otherwise}
+     * @param {string} template - Template string
+     * @returns {Array<object>} Nodes
+     * @throws {Error} On an unknown filter or unbalanced {#if}/{else}/{/if}
+     */
+    parse(template) {
+        const root = { then: [] };
+        const stack = [root];
+        const current = () => {
+            const block = stack[stack.length - 1];
+            return block.inElse ? block.otherwise : block.then;
+        };
+
+        const tokenPattern = /\{([^{}]+)\}/g;
+        let lastIndex = 0;
+        let token;
+
+        while ((token = tokenPattern.exec(template)) !== null) {
+            if (token.index > lastIndex) {
+                current().push({ type: 'text', text: template.substring(lastIndex, token.index) });
+            }
+            lastIndex = tokenPattern.lastIndex;
+
+            const body = token[1].trim();
+            const condition = body.match(CONDITION_PATTERN);
+
+            if (condition) {
+                const block = { type: 'if', negate: condition[1] === '!', name: condition[2], then: [], otherwise: [], inElse: false };
+                current().push(block);
+                stack.push(block);
+                continue;
+            }
+
+            if (body === 'else' || body === '/if') {
+                if (stack.length === 1) {
+                    throw new Error(`{${body}} without {#if} at position ${token.index}`);
+                }
+
+                const block = stack[stack.length - 1];
+                if (body === 'else') {
+                    if (block.inElse) {
+                        throw new Error(`second {else} in {#if ${block.name}} at position ${token.index}`);
+                    }
+                    block.inElse = true;
+                } else {
+                    delete block.inElse;
+                    stack.pop();
+                }
+                continue;
+            }
+
+            current().push(this.parsePlaceholder(token[0], body));
+        }
+
+        if (stack.length > 1) {
+            throw new Error(`{#if ${stack[stack.length - 1].name}} is never closed with {/if}`);
+        }
+
+        if (lastIndex < template.length) {
+            current().push({ type: 'text', text: template.substring(lastIndex) });
+        }
+
+        return root.then;
+    }
+
+    /**
+     * Parse a {placeholder}, anything that is not one stays as text
+     * @param {string} raw - Placeholder with braces
+     * @param {string} body - Placeholder without braces
+     * @returns {object} Node
+     * @throws {Error} On an unknown filter
+     */
+    parsePlaceholder(raw, body) {
+        const match = body.match(PLACEHOLDER_PATTERN);
+        if (!match) {
+            return { type: 'text', text: raw };
+        }
+
+        const filters = match[3]
+            ? match[3].substring(1).split('|').map(filter => {
+                const separator = filter.indexOf(':');
+                const name = separator === -1 ? filter : filter.substring(0, separator);
+                const arg = separator === -1 ? null : filter.substring(separator + 1);
+
+                if (!this.filters[name]) {
+                    throw new Error(`unknown filter "${name}" in ${raw}`);
+                }
+
+                return { name, arg };
+            })
+            : [];
+
+        return {
+            type: 'variable',
+            name: match[1],
+            fallback: match[2] !== undefined ? match[2].substring(2) : null,
+            filters: filters,
+            raw: raw
+        };
+    }
+
+    /**
+     * Render parsed nodes
+     * @param {Array<object>} nodes - Nodes
+     * @param {object} variables - Variables
+     * @param {object} defaults - Default variables
+     * @param {Array<string>} unfiltered - Variables inserted without their filters
+     * @returns {string} Rendered text
+     */
+    renderNodes(nodes, variables, defaults, unfiltered = []) {
+        let result = '';
+
+        for (const node of nodes) {
+            if (node.type === 'text') {
+                result += node.text;
+            } else if (node.type === 'if') {
+                const value = this.resolve(node.name, variables, defaults);
+                const truthy = !isEmpty(value);
+                result += this.renderNodes(truthy !== node.negate ? node.then : node.otherwise, variables, defaults, unfiltered);
+            } else {
+                result += this.renderVariable(node, variables, defaults, unfiltered);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Render a variable node
+     * @param {object} node - Variable node
+     * @param {object} variables - Variables
+     * @param {object} defaults - Default variables
+     * @param {Array<string>} unfiltered - Variables inserted without their filters
+     * @returns {string} Rendered value
+     */
+    renderVariable(node, variables, defaults, unfiltered = []) {
+        const known = this.isKnown(node.name, variables, defaults);
+        let value = this.resolve(node.name, variables, defaults);
+
+        if (isEmpty(value)) {
+            if (node.fallback !== null) {
+                value = node.fallback;
+            } else if (!known) {
+                // Keep the placeholder if variable not found
+                return node.raw;
+            } else {
+                return '';
+            }
+        }
+
+        if (unfiltered.includes(node.name)) {
+            return String(value);
+        }
+
+        return this.applyFilters(value, node.filters, node.raw);
+    }
+
+    /**
+     * Run a value through filters
+     * @param {*} value - Value
+     * @param {Array<object>} filters - Filters ({name, arg}), from a parsed placeholder or getFilters
+     * @param {string} raw - Placeholder the filters come from, for the logs
+     * @returns {string} Filtered value
+     */
+    applyFilters(value, filters, raw = '') {
+        for (const filter of filters) {
+            try {
+                value = this.filters[filter.name](value, filter.arg);
+            } catch (error) {
+                logger.debug(`Template filter ${filter.name} failed on ${raw}: ${error.message}`);
+            }
+        }
+
+        return String(value);
+    }
+
+    /**
+     * Get the filters of the first placeholder of a variable
+     * @param {string} template - Template string
+     * @param {string} name - Variable name
+     * @returns {Array<object>} Filters ({name, arg}), empty when the variable is not used
+     */
+    getFilters(template, name) {
+        const find = nodes => {
+            for (const node of nodes) {
+                if (node.type === 'variable' && node.name === name) {
+                    return node.filters;
+                }
+                if (node.type === 'if') {
+                    const filters = find(node.then) || find(node.otherwise);
+                    if (filters) return filters;
+                }
+            }
+            return null;
+        };
+
+        return find(this.compile(template)) || [];
+    }
+
+    /**
+     * Get the value of a variable, from the variables then the defaults
+     * @param {string} name - Variable name
+     * @param {object} variables - Variables
+     * @param {object} defaults - Default variables
+     * @returns {*} Value or undefined
+     */
+    resolve(name, variables, defaults) {
+        if (Object.prototype.hasOwnProperty.call(variables, name)) {
+            return variables[name];
+        }
+
+        if (defaults && Object.prototype.hasOwnProperty.call(defaults, name)) {
+            return defaults[name];
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Check if a variable exists at all
+     * @param {string} name - Variable name
+     * @param {object} variables - Variables
+     * @param {object} defaults - Default variables
+     * @returns {boolean} Whether the variable exists
+     */
+    isKnown(name, variables, defaults) {
+        return Object.prototype.hasOwnProperty.call(variables, name) ||
+            (!!defaults && Object.prototype.hasOwnProperty.call(defaults, name));
+    }
+
+    /**
+     * Get the variable names a template uses
+     * @param {string} template - Template string
+     * @returns {Array<string>} Variable names, conditions included
+     */
+    getVariableNames(template) {
+        const names = new Set();
+
+        const collect = nodes => {
+            for (const node of nodes) {
+                if (node.type === 'variable') {
+                    names.add(node.name);
+                } else if (node.type === 'if') {
+                    names.add(node.name);
+                    collect(node.then);
+                    collect(node.otherwise);
+                }
+            }
+        };
+
+        collect(this.compile(template));
+        return [...names];
+    }
+
+    /**
+     * Clear the parsed templates cache
+     */
+    clearCache() {
+        this.cache.clear();
+    }
+}
+
+/**
+ * Check if a value counts as empty for fallbacks and conditions
+ * @param {*} value - Value
+ * @returns {boolean} Whether the value is empty
+ */
+function isEmpty(value) {
+    return value === undefined || value === null || value === false || value === '';
+}
+
+/**
+ * Read a date from a variable value
+ * Values that are not dates (like the preformatted {timestamp}) give the render time
+ * @param {*} value - Value
+ * @returns {Date} Date
+ */
+function toDate(value) {
+    if (value instanceof Date) {
+        return value;
+    }
+
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return new Date(value);
+    }
+
+    // Only full dates, Date.parse accepts too much
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+        const date = new Date(value);
+        if (!Number.isNaN(date.getTime())) {
+            return date;
+        }
+    }
+
+    return new Date();
+}
+
+/**
+ * Format a date with YYYY, MM, DD, HH, mm and ss tokens
+ * @param {Date} date - Date
+ * @param {string} format - Format
+ * @returns {string} Formatted date
+ */
+function formatTime(date, format) {
+    const pad = number => String(number).padStart(2, '0');
+    const tokens = {
+        YYYY: String(date.getFullYear()),
+        MM: pad(date.getMonth() + 1),
+        DD: pad(date.getDate()),
+        HH: pad(date.getHours()),
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds())
+    };
+
+    return format.replace(/YYYY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+}
+
+// Singleton instance
+let templateEngineInstance = null;
+
+/**
+ * Get singleton instance of TemplateEngine
+ * @returns {TemplateEngine} TemplateEngine instance
+ */
+function getTemplateEngine() {
+    if (!templateEngineInstance) {
+        templateEngineInstance = new TemplateEngine();
+    }
+    return templateEngineInstance;
+}
+
+module.exports = {
+    TemplateEngine,
+    getTemplateEngine
+};
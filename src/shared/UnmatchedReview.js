@@ -0,0 +1,451 @@
+// Globals Imports
+const crypto = require('crypto');
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+
+// Specific Imports
+const BridgeLocator = require("../bridgeLocator.js");
+const { getGuildRoster } = require("./GuildRoster.js");
+const { getPatternLoader } = require("../config/PatternLoader.js");
+const { getConfigReloader } = require("../config/ConfigReloader.js");
+const logger = require("./logger");
+
+const DRAFT_BUTTON_PREFIX = 'unmatched-draft:';
+
+// Pattern list a draft is suggested for, by strategy message type
+const SUGGESTED_TARGETS = {
+    GUILD_CHAT: 'messages.guild',
+    OFFICER_CHAT: 'messages.officer',
+    GUILD_EVENT: 'events.misc',
+    GUILD_SYSTEM: 'system'
+};
+
+// Rank tags ([MVP+], [Officer]), numbers, words
+const TOKEN_PATTERN = /(\[[^\]]{1,16}\]|\d+(?:[.,]\d+)*|\w+)/;
+
+/**
+ * Collects guild lines the strategy flagged but no event or chat pattern could parse
+ *
+ * Lines are grouped by shape: rank tags, numbers and usernames (known members, the bridge
+ * account, or a word right after a rank tag) are normalized, so "[VIP] Steve won 3 games"
+ * and "[MVP+] Alex won 12 games" count as one shape. Every features.unmatchedReview.interval
+ * the shapes seen since the last post are sent to discord.logChannels.unmatched (or default),
+ * one message per shape edited in place when it shows up again, with a button drafting a
+ * pattern from the sample. Disabled unless features.unmatchedReview.enabled is true.
+ *
+ * Entry shape:
+ *   { id, guildId, guildName, serverName, shape, category, strategyType, sample, count, postedCount, firstSeen, lastSeen, message }
+ */
+class UnmatchedReview {
+    constructor() {
+        const mainBridge = BridgeLocator.getInstance();
+        this.config = mainBridge.config;
+
+        this.roster = getGuildRoster();
+        this.patternLoader = getPatternLoader();
+
+        // Shape id -> shape
+        this.shapes = new Map();
+        this.flushTimer = null;
+        this.started = false;
+
+        // Pick up enabled/interval changes once the bridge started posting
+        getConfigReloader().on('settingsReloaded', () => {
+            if (this.started) {
+                this.start();
+            }
+        });
+    }
+
+    /**
+     * Review settings, read on every call so a settings reload applies
+     * @returns {object} Settings ({enabled, interval, maxPerPost, maxShapes})
+     */
+    getSettings() {
+        return this.config.get('features.unmatchedReview') || {};
+    }
+
+    // ==================== COLLECTION ====================
+
+    /**
+     * Record a guild line no pattern could parse
+     * @param {object} result - MessageCoordinator result ({category, data})
+     * @param {object} guildConfig - Guild configuration
+     * @param {object} guildMessageData - Strategy message data
+     */
+    record(result, guildConfig, guildMessageData) {
+        const settings = this.getSettings();
+        if (settings.enabled !== true || !result || result.category === 'ignored') {
+            return;
+        }
+
+        try {
+            const sample = result.data && result.data.raw ? String(result.data.raw) : '';
+            if (!sample) {
+                return;
+            }
+
+            const shape = this.normalize(sample, guildConfig);
+            const id = crypto.createHash('sha1').update(`${guildConfig.id}|${shape}`).digest('hex').substring(0, 12);
+            const now = Date.now();
+
+            let entry = this.shapes.get(id);
+            if (!entry) {
+                if (this.shapes.size >= (settings.maxShapes || 200)) {
+                    this.evictOldest();
+                }
+
+                entry = {
+                    id,
+                    guildId: guildConfig.id,
+                    guildName: guildConfig.name,
+                    serverName: guildConfig.server.serverName,
+                    shape,
+                    category: result.category,
+                    strategyType: guildMessageData ? guildMessageData.type : null,
+                    sample,
+                    count: 0,
+                    postedCount: 0,
+                    firstSeen: now,
+                    lastSeen: now,
+                    message: null
+                };
+                this.shapes.set(id, entry);
+
+                logger.debug(`[UNMATCHED] [${guildConfig.name}] New shape ${id}: ${shape}`);
+            }
+
+            entry.count++;
+            entry.lastSeen = now;
+            entry.sample = sample;
+
+        } catch (error) {
+            logger.logError(error, `[UNMATCHED] Failed to record unmatched line for ${guildConfig.name}`);
+        }
+    }
+
+    /**
+     * Drop the shape seen least recently
+     */
+    evictOldest() {
+        let oldest = null;
+        for (const entry of this.shapes.values()) {
+            if (!oldest || entry.lastSeen < oldest.lastSeen) {
+                oldest = entry;
+            }
+        }
+
+        if (oldest) {
+            this.shapes.delete(oldest.id);
+        }
+    }
+
+    // ==================== SHAPES ====================
+
+    /**
+     * Split a line into literal text, rank tags, numbers and usernames
+     * @param {string} text - Cleaned line
+     * @param {object} guildConfig - Guild configuration
+     * @returns {Array<object>} Tokens ({kind: 'text'|'rank'|'number'|'player', value})
+     */
+    tokenize(text, guildConfig) {
+        const botUsername = (guildConfig.account.username || '').toLowerCase();
+        const tokens = [];
+
+        for (const piece of text.split(TOKEN_PATTERN)) {
+            if (!piece) continue;
+
+            const previous = tokens[tokens.length - 1];
+            const afterRank = previous && previous.kind === 'text' && previous.value === ' '
+                && tokens[tokens.length - 2] && tokens[tokens.length - 2].kind === 'rank';
+
+            if (/^\[[^\]]+\]$/.test(piece)) {
+                tokens.push({ kind: 'rank', value: piece });
+            } else if (/^\d+(?:[.,]\d+)*$/.test(piece)) {
+                tokens.push({ kind: 'number', value: piece });
+            } else if (/^\w{1,16}$/.test(piece) && (afterRank || piece.toLowerCase() === botUsername || this.roster.getMember(guildConfig.id, piece))) {
+                tokens.push({ kind: 'player', value: piece });
+            } else {
+                tokens.push({ kind: 'text', value: piece });
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Get the shape of a line
+     * @param {string} text - Cleaned line
+     * @param {object} guildConfig - Guild configuration
+     * @returns {string} Shape
+     */
+    normalize(text, guildConfig) {
+        const placeholders = { rank: '[*]', number: '<n>', player: '<player>' };
+
+        return this.tokenize(text, guildConfig)
+            .map(token => placeholders[token.kind] || token.value)
+            .join('');
+    }
+
+    /**
+     * Draft a pattern matching a sample and the other lines of its shape
+     * A rank tag right before a username is optional, players without a rank have none
+     * @param {object} entry - Shape
+     * @returns {object} Draft ({target, pattern, groups, sample})
+     */
+    draftPattern(entry) {
+        const guildConfig = this.config.getAllGuilds().find(guild => guild.id === entry.guildId) || { id: entry.guildId, account: {} };
+        const tokens = this.tokenize(entry.sample, guildConfig);
+
+        const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const groups = [];
+        const groupCounts = {};
+        const nameGroup = (base) => {
+            groupCounts[base] = (groupCounts[base] || 0) + 1;
+            groups.push(groupCounts[base] === 1 ? base : `${base}${groupCounts[base]}`);
+        };
+
+        let pattern = '^';
+        for (let index = 0; index < tokens.length; index++) {
+            const token = tokens[index];
+            const next = tokens[index + 1];
+            const afterNext = tokens[index + 2];
+
+            if (token.kind === 'rank' && next && next.value === ' ' && afterNext && afterNext.kind === 'player') {
+                pattern += '(?:\\[[^\\]]+\\] )?';
+                index++;
+            } else if (token.kind === 'rank') {
+                pattern += '\\[[^\\]]+\\]';
+            } else if (token.kind === 'number') {
+                pattern += '([\\d,.]+)';
+                nameGroup('value');
+            } else if (token.kind === 'player') {
+                pattern += '(\\w{1,16})';
+                nameGroup(groupCounts.username ? 'player' : 'username');
+            } else {
+                pattern += escape(token.value);
+            }
+        }
+        pattern += '$';
+
+        const suggested = SUGGESTED_TARGETS[entry.strategyType];
+        const targets = this.patternLoader.getPatternTargets(entry.serverName);
+
+        return {
+            target: suggested && targets.includes(suggested) ? suggested : null,
+            pattern,
+            groups,
+            sample: entry.sample
+        };
+    }
+
+    // ==================== POSTING ====================
+
+    /**
+     * Post the collected shapes periodically
+     */
+    start() {
+        this.stop();
+        this.started = true;
+
+        const settings = this.getSettings();
+        if (settings.enabled !== true) {
+            logger.debug('Unmatched line review disabled');
+            return;
+        }
+
+        const interval = settings.interval || 3600000;
+        this.flushTimer = setInterval(() => {
+            this.flush().catch(error => logger.logError(error, '[UNMATCHED] Failed to post unmatched lines'));
+        }, interval);
+
+        if (typeof this.flushTimer.unref === 'function') {
+            this.flushTimer.unref();
+        }
+
+        logger.minecraft(`🧐 Unmatched guild lines posted every ${Math.round(interval / 60000)} minute(s)`);
+    }
+
+    /**
+     * Stop posting
+     */
+    stop() {
+        this.started = false;
+
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+    }
+
+    /**
+     * Post the shapes seen since the last post, most frequent first
+     * @returns {Promise<number>} Number of shapes posted
+     */
+    async flush() {
+        const pending = Array.from(this.shapes.values())
+            .filter(entry => entry.count > entry.postedCount)
+            .sort((a, b) => (b.count - b.postedCount) - (a.count - a.postedCount))
+            .slice(0, this.getSettings().maxPerPost || 5);
+
+        if (pending.length === 0) {
+            return 0;
+        }
+
+        const channel = await this.getChannel();
+        if (!channel) {
+            return 0;
+        }
+
+        let posted = 0;
+        for (const entry of pending) {
+            try {
+                const payload = { embeds: [this.createShapeEmbed(entry)], components: [this.createDraftRow(entry)], allowedMentions: { parse: [] } };
+
+                // Edit the existing message of a shape instead of posting it again
+                const edited = entry.message ? await entry.message.edit(payload).catch(() => null) : null;
+                entry.message = edited || await channel.send(payload);
+
+                entry.postedCount = entry.count;
+                posted++;
+
+            } catch (error) {
+                logger.logError(error, `[UNMATCHED] Failed to post shape ${entry.id}`);
+            }
+        }
+
+        logger.discord(`[UNMATCHED] Posted ${posted} unmatched line shape(s)`);
+        return posted;
+    }
+
+    /**
+     * Get discord.logChannels.unmatched, or the default log channel
+     * @returns {Promise<Channel|null>} Channel
+     */
+    async getChannel() {
+        const logChannels = this.config.get('discord.logChannels') || {};
+        const channelId = logChannels.unmatched && logChannels.unmatched.trim() !== ''
+            ? logChannels.unmatched
+            : logChannels.default;
+
+        const discordManager = BridgeLocator.getInstance().getDiscordManager?.();
+        if (!discordManager || !discordManager.isConnected() || !channelId || channelId.trim() === '') {
+            logger.debug('[UNMATCHED] No Discord client or log channel, keeping unmatched lines for later');
+            return null;
+        }
+
+        const channel = await discordManager.getClient().channels.fetch(channelId).catch(() => null);
+        if (!channel) {
+            logger.warn(`Could not find Discord log channel: ${channelId}`);
+        }
+
+        return channel;
+    }
+
+    /**
+     * Create the embed of a shape
+     * @param {object} entry - Shape
+     * @returns {EmbedBuilder} Shape embed
+     */
+    createShapeEmbed(entry) {
+        const quote = (text) => `\`\`\`\n${text.replace(/```/g, "'''").substring(0, 900)}\n\`\`\``;
+        const newCount = entry.count - entry.postedCount;
+
+        return new EmbedBuilder()
+            .setTitle('🧐 Unmatched Guild Line')
+            .setDescription(`Flagged as \`${entry.strategyType || 'guild'}\` by the ${entry.serverName} strategy, parsed as \`${entry.category}\``)
+            .setColor(0xFF9900)
+            .addFields(
+                { name: '🏰 Guild', value: entry.guildName, inline: true },
+                { name: '🔢 Seen', value: `${entry.count} time(s)${entry.postedCount > 0 ? ` (+${newCount})` : ''}`, inline: true },
+                { name: '🕐 First / last seen', value: `<t:${Math.floor(entry.firstSeen / 1000)}:R> / <t:${Math.floor(entry.lastSeen / 1000)}:R>`, inline: true },
+                { name: '🧩 Shape', value: quote(entry.shape), inline: false },
+                { name: '📝 Latest sample', value: quote(entry.sample), inline: false }
+            )
+            .setTimestamp()
+            .setFooter({ text: `🔧 Unmatched review · ${entry.id}` });
+    }
+
+    createDraftRow(entry) {
+        return new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`${DRAFT_BUTTON_PREFIX}${entry.id}`)
+                .setLabel('Draft pattern')
+                .setEmoji('🧪')
+                .setStyle(ButtonStyle.Secondary)
+        );
+    }
+
+    // ==================== DRAFT BUTTON ====================
+
+    /**
+     * Check whether a button belongs to the review
+     * @param {string} customId - Button custom id
+     * @returns {boolean} Whether the review handles it
+     */
+    ownsButton(customId) {
+        return typeof customId === 'string' && customId.startsWith(DRAFT_BUTTON_PREFIX);
+    }
+
+    /**
+     * Reply to a draft button with a pattern ready for /bridge pattern add
+     * @param {ButtonInteraction} interaction - Discord button interaction
+     */
+    async handleDraftButton(interaction) {
+        const entry = this.shapes.get(interaction.customId.substring(DRAFT_BUTTON_PREFIX.length));
+        if (!entry) {
+            await interaction.reply({
+                content: 'This line is no longer kept (the bridge restarted or it was evicted), use `/bridge pattern test` with the sample instead.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const draft = this.draftPattern(entry);
+        const matches = new RegExp(draft.pattern).test(draft.sample);
+        const guildOption = this.config.getEnabledGuilds().length > 1 ? ` guildname:${entry.guildName}` : '';
+        const command = `/bridge pattern add target:${draft.target || '<target>'} pattern:${draft.pattern}${draft.groups.length > 0 ? ` groups:${draft.groups.join(',')}` : ''} sample:${draft.sample}${guildOption}`;
+
+        const embed = new EmbedBuilder()
+            .setTitle('🧪 Pattern Draft')
+            .setDescription('Check the draft, rename the groups to what the target expects, then run the command.')
+            .setColor(matches ? 0x00FF00 : 0xFF0000)
+            .addFields(
+                { name: 'Pattern', value: `\`\`\`\n${draft.pattern.substring(0, 1000)}\n\`\`\``, inline: false },
+                { name: 'Target', value: draft.target ? `\`${draft.target}\`` : 'Choose one', inline: true },
+                { name: 'Groups', value: draft.groups.length > 0 ? draft.groups.join(', ') : 'None', inline: true },
+                { name: 'Sample', value: matches ? '✅ Matches the latest sample' : '❌ Does not match the latest sample', inline: true },
+                { name: 'Command', value: `\`\`\`\n${command.substring(0, 1000)}\n\`\`\``, inline: false }
+            )
+            .setTimestamp();
+
+        logger.discord(`[UNMATCHED] ${interaction.user.username} drafted a pattern for shape ${entry.id}`);
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    /**
+     * Get the collected shapes
+     * @returns {Array<object>} Shapes, most seen first
+     */
+    getShapes() {
+        return Array.from(this.shapes.values()).sort((a, b) => b.count - a.count);
+    }
+}
+
+// Singleton instance
+let unmatchedReviewInstance = null;
+
+/**
+ * Get singleton instance of UnmatchedReview
+ * @returns {UnmatchedReview} UnmatchedReview instance
+ */
+function getUnmatchedReview() {
+    if (!unmatchedReviewInstance) {
+        unmatchedReviewInstance = new UnmatchedReview();
+    }
+    return unmatchedReviewInstance;
+}
+
+module.exports = {
+    UnmatchedReview,
+    getUnmatchedReview
+};
@@ -0,0 +1,89 @@
+// Globals Imports
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Specific Imports
+const ChatComponent = require('../src/minecraft/client/parsers/utils/ChatComponent.js');
+
+const PLAIN = { color: null, bold: false, italic: false, underlined: false, strikethrough: false, obfuscated: false };
+
+function segment(text, style = {}) {
+    return { ...PLAIN, ...style, text };
+}
+
+// Shape of the mineflayer ChatMessage the parsers receive: its component and the text it prints
+function chatMessage(json, text) {
+    return { json, toString: () => text };
+}
+
+describe('ChatComponent.toSegments', () => {
+    test('splits § codes of plain strings', () => {
+        assert.deepEqual(ChatComponent.toSegments('§6[MVP§c+§6] Alex§r: hi'), [
+            segment('[MVP', { color: 'gold' }),
+            segment('+', { color: 'red' }),
+            segment('] Alex', { color: 'gold' }),
+            segment(': hi')
+        ]);
+    });
+
+    test('a color code resets the formatting before it', () => {
+        assert.deepEqual(ChatComponent.toSegments('§l§nbold§eplain'), [
+            segment('bold', { bold: true, underlined: true }),
+            segment('plain', { color: 'yellow' })
+        ]);
+    });
+
+    test('children inherit the style of their parent and can override it', () => {
+        const component = {
+            text: '',
+            extra: [
+                { text: 'Guild > ', color: 'dark_green' },
+                { text: 'Alex', color: 'gold', bold: true, extra: [{ text: ' [V1]', bold: false }] }
+            ]
+        };
+
+        assert.deepEqual(ChatComponent.toSegments(component), [
+            segment('Guild > ', { color: 'dark_green' }),
+            segment('Alex', { color: 'gold', bold: true }),
+            segment(' [V1]', { color: 'gold' })
+        ]);
+    });
+
+    test('merges neighbouring segments sharing a style', () => {
+        assert.deepEqual(ChatComponent.toSegments({ text: 'a', extra: ['b', { text: 'c' }] }), [segment('abc')]);
+    });
+
+    test('reads the component of chat messages', () => {
+        const message = chatMessage(
+            { text: '', extra: [{ text: 'Officer > ', color: 'dark_aqua' }, { text: '§6Bob', extra: [{ text: ': hey', color: 'white' }] }] },
+            'Officer > Bob: hey'
+        );
+
+        assert.deepEqual(ChatComponent.toSegments(message), [
+            segment('Officer > ', { color: 'dark_aqua' }),
+            segment('Bob', { color: 'gold' }),
+            segment(': hey', { color: 'white' })
+        ]);
+    });
+
+    test('falls back to the plain text when the component does not give it back', () => {
+        const message = chatMessage({ translate: 'multiplayer.player.joined', with: ['Alex'] }, 'Alex joined the game');
+
+        assert.deepEqual(ChatComponent.toSegments(message), [segment('Alex joined the game')]);
+    });
+});
+
+describe('ChatComponent.slice', () => {
+    const segments = ChatComponent.toSegments('§2Guild > §6Alex§f: hello');
+
+    test('keeps the styles of the range', () => {
+        assert.deepEqual(ChatComponent.slice(segments, 8, 14), [
+            segment('Alex', { color: 'gold' }),
+            segment(': ', { color: 'white' })
+        ]);
+    });
+
+    test('goes to the end by default', () => {
+        assert.equal(ChatComponent.toText(ChatComponent.slice(segments, 14)), 'hello');
+    });
+});
@@ -0,0 +1,58 @@
+require('./helpers/settings.js');
+
+// Globals Imports
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Specific Imports
+const BridgeLocator = require('../src/bridgeLocator.js');
+const Config = require('../src/config/ConfigLoader.js');
+const { ChatReplay } = require('../src/minecraft/client/ChatReplay.js');
+
+const CAPTURED_AT = Date.UTC(2024, 0, 2, 3, 4, 5);
+
+describe('ChatReplay', () => {
+    let directory;
+    let replay;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-replay-'));
+
+        // Replayed lines are archived like live ones
+        const settings = JSON.parse(fs.readFileSync(process.env.BRIDGE_SETTINGS_PATH, 'utf8'));
+        settings.features.archive = { enabled: true, directory: path.join(directory, 'archive') };
+
+        const settingsPath = path.join(directory, 'settings.json');
+        fs.writeFileSync(settingsPath, JSON.stringify(settings));
+        process.env.BRIDGE_SETTINGS_PATH = settingsPath;
+
+        BridgeLocator.setInstance({ config: new Config() });
+        replay = new ChatReplay();
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('gives the capture time to the parsers and leaves the global clock alone', async () => {
+        let eventTime = null;
+        const parseEvent = replay.messageCoordinator.eventParser.parseEvent;
+        replay.messageCoordinator.eventParser.parseEvent = function (...args) {
+            eventTime = this.clock();
+            return parseEvent.apply(this, args);
+        };
+
+        const pending = replay.replayEntry({ timestamp: CAPTURED_AT, guildId: 'fl1guild', text: 'Alex joined the guild!' });
+        assert.notEqual(Date.now(), CAPTURED_AT);
+
+        const result = await pending;
+
+        assert.equal(result.category, 'event');
+        assert.equal(result.type, 'welcome');
+        assert.equal(eventTime, CAPTURED_AT);
+        assert.notEqual(replay.messageCoordinator.clock(), CAPTURED_AT);
+    });
+});
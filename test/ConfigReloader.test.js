@@ -0,0 +1,156 @@
+require('./helpers/settings.js');
+
+// Globals Imports
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Specific Imports
+const BridgeLocator = require('../src/bridgeLocator.js');
+const Config = require('../src/config/ConfigLoader.js');
+const { ConfigReloader } = require('../src/config/ConfigReloader.js');
+
+const fixture = JSON.parse(fs.readFileSync(process.env.BRIDGE_SETTINGS_PATH, 'utf8'));
+
+describe('ConfigReloader.diff', () => {
+    let reloader;
+
+    before(() => {
+        BridgeLocator.setInstance({ config: new Config() });
+        reloader = new ConfigReloader();
+    });
+
+    test('reports nothing for equal settings', () => {
+        assert.deepEqual(reloader.diff(fixture, structuredClone(fixture), '', 3), []);
+    });
+
+    test('reports the changed leaf paths', () => {
+        const after = structuredClone(fixture);
+        after.features.logging.level = 'debug';
+        after.bridge.channels.chat.id = '876543210987654321';
+
+        assert.deepEqual(reloader.diff(fixture, after, '', 5), [
+            'bridge.channels.chat.id',
+            'features.logging.level'
+        ]);
+    });
+
+    test('stops at the depth and reports the whole value', () => {
+        const after = structuredClone(fixture);
+        after.bridge.channels.chat.id = '876543210987654321';
+
+        assert.deepEqual(reloader.diff(fixture, after, '', 2), ['bridge.channels']);
+    });
+
+    test('compares guilds by id, not by position', () => {
+        const after = structuredClone(fixture);
+        after.guilds.reverse();
+        after.guilds[0].tag = 'V3';
+
+        assert.deepEqual(reloader.diff(fixture, after, '', 3), ['guilds[fl2guild].tag']);
+    });
+
+    test('reports added and removed guilds', () => {
+        const after = structuredClone(fixture);
+        after.guilds.pop();
+        after.guilds.push({ ...structuredClone(fixture.guilds[0]), id: 'fl3guild' });
+
+        assert.deepEqual(reloader.diff(fixture, after, '', 3), ['guilds[fl2guild]', 'guilds[fl3guild]']);
+    });
+
+    test('falls back to the array path when entries have no id', () => {
+        assert.deepEqual(reloader.diff({ list: [1, 2] }, { list: [2, 1] }, '', 3), ['list']);
+    });
+});
+
+describe('ConfigReloader.requiresRestart', () => {
+    let reloader;
+
+    before(() => {
+        BridgeLocator.setInstance({ config: new Config() });
+        reloader = new ConfigReloader();
+    });
+
+    test('settings read once at startup need a restart', () => {
+        for (const changePath of [
+            'app.token',
+            'features.logging.level',
+            'bridge.channels.chat.id',
+            'bridge.webhook',
+            'bridge.interGuild.enabled',
+            'bridge.rateLimit.discord',
+            'features.archive.enabled',
+            'features.roster.enabled',
+            'features.linking.codeLength',
+            'features.roleSync.dryRun',
+            'guilds[fl1guild].server.host',
+            'guilds[fl1guild].account.username',
+            'guilds[fl1guild].channels.chat.id',
+            'guilds[fl1guild].tag',
+            'guilds[fl1guild].ranks',
+            'guilds[fl1guild].roleSync',
+            'guilds[fl1guild].account.reconnection',
+            'guilds[fl3guild]'
+        ]) {
+            assert.equal(reloader.requiresRestart(changePath), true, changePath);
+        }
+    });
+
+    test('settings read on use apply right away', () => {
+        for (const changePath of [
+            'features.unmatchedReview.enabled',
+            'features.loggingLevel',
+            'bridge.channelsExtra'
+        ]) {
+            assert.equal(reloader.requiresRestart(changePath), false, changePath);
+        }
+    });
+});
+
+describe('ConfigReloader.reload', () => {
+    let directory;
+    let settingsPath;
+    let reloader;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-reload-'));
+        settingsPath = path.join(directory, 'settings.json');
+        fs.writeFileSync(settingsPath, JSON.stringify(fixture));
+
+        process.env.BRIDGE_SETTINGS_PATH = settingsPath;
+        BridgeLocator.setInstance({ config: new Config() });
+        reloader = new ConfigReloader();
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('swaps in the new settings and reports what needs a restart', () => {
+        const edited = structuredClone(fixture);
+        edited.features.logging.level = 'error';
+        edited.features.unmatchedReview = { enabled: true };
+        edited.guilds[0].tag = 'V9';
+        fs.writeFileSync(settingsPath, JSON.stringify(edited));
+
+        const report = reloader.reloadTarget('settings');
+
+        assert.equal(report.reloaded, true);
+        assert.deepEqual(report.changes, ['guilds[fl1guild].tag', 'features.logging.level', 'features.unmatchedReview.enabled']);
+        assert.deepEqual(report.restartRequired, ['guilds[fl1guild].tag', 'features.logging.level']);
+        assert.equal(reloader.config.get('guilds')[0].tag, 'V9');
+    });
+
+    test('keeps the current settings when the file is invalid', () => {
+        const current = reloader.config.settings;
+        fs.writeFileSync(settingsPath, '{ "app": ');
+
+        const report = reloader.reloadTarget('settings');
+
+        assert.equal(report.reloaded, false);
+        assert.ok(report.error);
+        assert.equal(reloader.config.settings, current);
+    });
+});
@@ -0,0 +1,125 @@
+require('./helpers/settings.js');
+
+// Globals Imports
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Specific Imports
+const BridgeLocator = require('../src/bridgeLocator.js');
+const Config = require('../src/config/ConfigLoader.js');
+const EventPatterns = require('../src/minecraft/client/parsers/patterns/EventPatterns.js');
+const EventParser = require('../src/minecraft/client/parsers/EventParser.js');
+
+const guildConfig = { id: 'fl1guild', name: 'FrenchLegacy', tag: 'V1' };
+
+describe('EventPatterns on Hypixel', () => {
+    const patterns = new EventPatterns({ serverType: 'Hypixel' });
+
+    test('guild member login and logout', () => {
+        assert.deepEqual(
+            pick(patterns.matchEvent('Guild > Alex joined.'), 'type', 'username'),
+            { type: 'join', username: 'Alex' }
+        );
+        assert.deepEqual(
+            pick(patterns.matchEvent('Guild > Alex left.'), 'type', 'username'),
+            { type: 'disconnect', username: 'Alex' }
+        );
+    });
+
+    test('players joining and leaving the guild', () => {
+        assert.deepEqual(
+            pick(patterns.matchEvent('[MVP+] Alex joined the guild!'), 'type', 'username'),
+            { type: 'welcome', username: 'Alex' }
+        );
+        assert.deepEqual(
+            pick(patterns.matchEvent('[VIP] Alex left the guild!'), 'type', 'username', 'wasKicked'),
+            { type: 'leave', username: 'Alex', wasKicked: false }
+        );
+    });
+
+    test('kicks keep who kicked', () => {
+        assert.deepEqual(
+            pick(patterns.matchEvent('Alex was kicked from the guild by Bob'), 'type', 'username', 'kicker', 'wasKicked'),
+            { type: 'kick', username: 'Alex', kicker: 'Bob', wasKicked: true }
+        );
+    });
+
+    test('promotions keep the Hypixel rank and both guild ranks', () => {
+        assert.deepEqual(
+            pick(patterns.matchEvent('[VIP] Alex was promoted from Member to Officer'), 'type', 'rank', 'username', 'fromRank', 'toRank'),
+            { type: 'promote', rank: 'VIP', username: 'Alex', fromRank: 'Member', toRank: 'Officer' }
+        );
+        assert.deepEqual(
+            pick(patterns.matchEvent('[VIP] Alex was demoted from Officer to Member'), 'type', 'username', 'fromRank', 'toRank'),
+            { type: 'demote', username: 'Alex', fromRank: 'Officer', toRank: 'Member' }
+        );
+    });
+
+    test('invites and guild levels', () => {
+        assert.deepEqual(
+            pick(patterns.matchEvent('Bob invited Alex to the guild'), 'type', 'inviter', 'invited'),
+            { type: 'invite', inviter: 'Bob', invited: 'Alex' }
+        );
+        assert.equal(patterns.matchEvent('The Guild has reached Level 42!').level, 42);
+    });
+
+    test('chat lines are not events', () => {
+        assert.equal(patterns.matchEvent('Guild > [VIP] Alex [Member]: I joined.'), null);
+        assert.equal(patterns.isGuildEvent('Officer > [MVP+] Bob: hello'), false);
+    });
+});
+
+describe('EventPatterns on Vanilla', () => {
+    const patterns = new EventPatterns({ serverType: 'Vanilla' });
+
+    test('server joins and leaves get their own types, not the guild ones', () => {
+        assert.deepEqual(
+            pick(patterns.matchEvent('Alex joined the game'), 'type', 'username'),
+            { type: 'server_join', username: 'Alex' }
+        );
+        assert.deepEqual(
+            pick(patterns.matchEvent('Alex left the game'), 'type', 'username'),
+            { type: 'server_leave', username: 'Alex' }
+        );
+    });
+
+    test('an unknown server falls back to Vanilla', () => {
+        assert.equal(new EventPatterns({ serverType: 'NoSuchServer' }).serverType, 'Vanilla');
+    });
+});
+
+describe('EventParser', () => {
+    before(() => {
+        BridgeLocator.setInstance({ config: new Config() });
+    });
+
+    test('parses a guild event with the guild it came from', () => {
+        const event = new EventParser('Hypixel').parseEvent('Guild > Alex joined.', guildConfig);
+
+        assert.deepEqual(
+            pick(event, 'type', 'username', 'guildId', 'guildTag', 'parsedSuccessfully'),
+            { type: 'join', username: 'Alex', guildId: 'fl1guild', guildTag: 'V1', parsedSuccessfully: true }
+        );
+    });
+
+    test('parses vanilla server joins as server_join', () => {
+        const event = new EventParser('Vanilla').parseEvent('Alex joined the game', guildConfig);
+
+        assert.deepEqual(pick(event, 'type', 'username'), { type: 'server_join', username: 'Alex' });
+    });
+
+    test('returns null for lines that are not events', () => {
+        assert.equal(new EventParser('Hypixel').parseEvent('Guild > [VIP] Alex [Member]: hi', guildConfig), null);
+    });
+
+    test('takes the event time from its clock', () => {
+        const event = new EventParser('Hypixel', () => 1000).parseEvent('Guild > Alex joined.', guildConfig);
+
+        assert.equal(event.timestamp, 1000);
+    });
+});
+
+function pick(object, ...keys) {
+    assert.ok(object, 'expected a match');
+    return Object.fromEntries(keys.map(key => [key, object[key]]));
+}
@@ -0,0 +1,81 @@
+require('./helpers/settings.js');
+
+// Globals Imports
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Specific Imports
+const BridgeLocator = require('../src/bridgeLocator.js');
+const Config = require('../src/config/ConfigLoader.js');
+const { MessageArchive } = require('../src/shared/MessageArchive.js');
+
+describe('MessageArchive index', () => {
+    let directory;
+    let archiveDirectory;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-archive-'));
+        archiveDirectory = path.join(directory, 'archive');
+
+        const settings = JSON.parse(fs.readFileSync(process.env.BRIDGE_SETTINGS_PATH, 'utf8'));
+        settings.features.archive = { enabled: true, directory: archiveDirectory };
+
+        const settingsPath = path.join(directory, 'settings.json');
+        fs.writeFileSync(settingsPath, JSON.stringify(settings));
+        process.env.BRIDGE_SETTINGS_PATH = settingsPath;
+
+        BridgeLocator.setInstance({ config: new Config() });
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    function openArchive() {
+        const archive = new MessageArchive();
+        const [day] = archive.index.keys();
+        return { archive, day };
+    }
+
+    function appendEntry(archive, day, entry) {
+        fs.appendFileSync(archive.getDayFile(day), `${JSON.stringify({ id: entry.username, timestamp: Date.now(), kind: 'chat', ...entry })}\n`);
+    }
+
+    test('reads again a day file that grew after the last flush', async () => {
+        const first = new MessageArchive();
+        first.record({ source: 'minecraft', kind: 'chat', guildId: 'fl1guild', chatType: 'guild', username: 'Steve', message: 'hi' });
+        first.cleanup();
+
+        // Written by a run that crashed before flushing the index
+        const day = first.getDayKey(Date.now());
+        appendEntry(first, day, { source: 'minecraft', guildId: 'fl2guild', chatType: 'officer', username: 'Alex', message: 'late' });
+
+        const { archive } = openArchive();
+        const summary = archive.index.get(day);
+
+        assert.equal(summary.count, 2);
+        assert.ok(summary.players.has('alex'));
+        assert.ok(summary.guilds.has('fl2guild'));
+
+        const { entries } = await archive.search({ username: 'Alex' });
+        assert.deepEqual(entries.map(entry => entry.message), ['late']);
+    });
+
+    test('keeps a matching index and drops days whose file is gone', () => {
+        const { archive, day } = openArchive();
+        const indexPath = path.join(archiveDirectory, 'index.json');
+        const saved = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+
+        assert.equal(saved.days[day].size, fs.statSync(archive.getDayFile(day)).size);
+
+        saved.days['2000-01-01'] = { count: 3, size: 10, guilds: [], players: [], chatTypes: [] };
+        fs.writeFileSync(indexPath, JSON.stringify(saved));
+
+        const reopened = new MessageArchive();
+        assert.deepEqual([...reopened.index.keys()], [day]);
+        assert.equal(reopened.index.get(day).count, 2);
+    });
+});
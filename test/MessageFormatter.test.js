@@ -0,0 +1,92 @@
+require('./helpers/settings.js');
+
+// Globals Imports
+const { describe, test, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Specific Imports
+const BridgeLocator = require('../src/bridgeLocator.js');
+const Config = require('../src/config/ConfigLoader.js');
+const MessageFormatter = require('../src/shared/MessageFormatter.js');
+const MinecraftConnection = require('../src/minecraft/client/connection.js');
+const { getTemplateLoader } = require('../src/config/TemplateLoader.js');
+
+const LONG_MESSAGE = 'word '.repeat(100).trim();
+
+describe('MessageFormatter.formatDiscordMessage', () => {
+    let formatter;
+    let templateLoader;
+    let guildConfig;
+    let shippedGuilds;
+    const sender = { username: 'Alex', replyTo: null };
+
+    before(() => {
+        const config = new Config();
+        BridgeLocator.setInstance({ config });
+        formatter = new MessageFormatter();
+        templateLoader = getTemplateLoader();
+        guildConfig = config.getEnabledGuilds()[0];
+        shippedGuilds = templateLoader.templates.guilds;
+    });
+
+    afterEach(() => {
+        templateLoader.templates.guilds = shippedGuilds;
+        templateLoader.clearCache();
+    });
+
+    function useTemplate(template) {
+        templateLoader.templates.guilds = { [guildConfig.id]: { messagesToMinecraft: { discord: { guild: template } } } };
+        templateLoader.clearCache();
+    }
+
+    test('splits the shipped template around the message', () => {
+        const line = formatter.formatDiscordMessage('hello', sender, 'guild', guildConfig);
+
+        assert.deepEqual(line, { header: 'Discord > Alex:', content: 'hello', truncated: false });
+    });
+
+    test('applies the {message} filters to the message', () => {
+        useTemplate('Discord > {username}: {message|truncate:300}');
+        const truncated = formatter.formatDiscordMessage(LONG_MESSAGE, sender, 'guild', guildConfig);
+
+        assert.equal(truncated.header, 'Discord > Alex:');
+        assert.equal(truncated.content.length, 300);
+        assert.ok(truncated.content.endsWith('...'));
+        assert.equal(truncated.truncated, true);
+
+        useTemplate('Discord > {username}: {message|upper}');
+        const upper = formatter.formatDiscordMessage('hello', sender, 'guild', guildConfig);
+
+        assert.deepEqual(upper, { header: 'Discord > Alex:', content: 'HELLO', truncated: false });
+    });
+
+    test('keeps a header when the template starts with the message', () => {
+        useTemplate('{message} - {username}');
+        const line = formatter.formatDiscordMessage('/op Alex', sender, 'guild', guildConfig);
+
+        assert.deepEqual(line, { header: 'Discord > Alex:', content: '/op Alex - Alex', truncated: false });
+    });
+
+    test('leaves templates without {message} to the default line', () => {
+        useTemplate('Discord > {username}');
+
+        assert.equal(formatter.formatDiscordMessage('hello', sender, 'guild', guildConfig), null);
+    });
+});
+
+describe('MinecraftConnection.buildChatLine', () => {
+    const buildChatLine = (chatCommand, message) => MinecraftConnection.prototype.buildChatLine.call({
+        strategyManager: { getChatCommand: () => chatCommand },
+        _guildConfig: { name: 'Test', server: { serverName: 'Vanilla' } }
+    }, 'guild', message);
+
+    test('never starts a plain chat line with a slash', () => {
+        assert.equal(buildChatLine('', '/op Alex: hi'), 'op Alex: hi');
+        assert.equal(buildChatLine('', ' //stop'), 'stop');
+        assert.equal(buildChatLine('', 'Discord > Alex: /op me'), 'Discord > Alex: /op me');
+    });
+
+    test('puts the chat command before the line', () => {
+        assert.equal(buildChatLine('/gc', 'Discord > Alex: hi'), '/gc Discord > Alex: hi');
+    });
+});
@@ -0,0 +1,64 @@
+require('./helpers/settings.js');
+
+// Globals Imports
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Specific Imports
+const BridgeLocator = require('../src/bridgeLocator.js');
+const Config = require('../src/config/ConfigLoader.js');
+const MessageHandler = require('../src/discord/client/handlers/MessageHandler.js');
+const { getRelayedMessages } = require('../src/shared/RelayedMessages.js');
+
+const BOT_ID = '100000000000000001';
+
+// Shape of the discord.js messages the handler reads
+function discordMessage(id, author, content, embeds = []) {
+    return { id, author, content, embeds, member: null, webhookId: null, attachments: new Map(), stickers: new Map() };
+}
+
+function replyTo(referenced) {
+    return { id: '300000000000000001', reference: { messageId: referenced.id }, fetchReference: async () => referenced };
+}
+
+describe('MessageHandler.getReplyTarget', () => {
+    let handler;
+    const bot = { id: BOT_ID, username: 'Bridge' };
+
+    before(() => {
+        BridgeLocator.setInstance({ config: new Config() });
+        handler = new MessageHandler();
+        handler.client = { user: bot };
+    });
+
+    test('names the player of a line the bot relayed', async () => {
+        const referenced = discordMessage('200000000000000001', bot, 'Hello everyone, how are you all doing today?');
+        getRelayedMessages().remember(referenced.id, { username: 'Steve', message: referenced.content, guildId: 'fl1guild', chatType: 'guild' });
+
+        const target = await handler.getReplyTarget(replyTo(referenced));
+
+        assert.equal(target.username, 'Steve');
+        assert.equal(target.minecraft, true);
+        assert.equal(target.quote, 'Hello everyone, how are you all doing...');
+    });
+
+    test('reads the player out of relayed lines it does not remember', async () => {
+        const plain = discordMessage('200000000000000002', bot, '[V1] Alex: hi there');
+        const ansi = discordMessage('200000000000000003', bot, '```ansi\n\u001b[0;30m[V1] \u001b[0;33m[MVP+] Bob \u001b[0;37m[Officer]: \u001b[0mgg\u001b[0m\n```');
+        const embed = discordMessage('200000000000000004', bot, '', [{ description: '**Notch**: back\\_soon' }]);
+
+        assert.deepEqual(pickName(await handler.getReplyTarget(replyTo(plain))), { username: 'Alex', quote: 'hi there' });
+        assert.deepEqual(pickName(await handler.getReplyTarget(replyTo(ansi))), { username: 'Bob', quote: 'gg' });
+        assert.deepEqual(pickName(await handler.getReplyTarget(replyTo(embed))), { username: 'Notch', quote: 'back_soon' });
+    });
+
+    test('ignores bot messages that are not chat lines', async () => {
+        const status = discordMessage('200000000000000005', bot, '✅ Connected to Hypixel');
+        assert.equal(await handler.getReplyTarget(replyTo(status)), null);
+    });
+});
+
+function pickName(target) {
+    assert.ok(target, 'expected a reply target');
+    return { username: target.username, quote: target.quote };
+}
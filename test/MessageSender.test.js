@@ -0,0 +1,54 @@
+require('./helpers/settings.js');
+
+// Globals Imports
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Specific Imports
+const BridgeLocator = require('../src/bridgeLocator.js');
+const Config = require('../src/config/ConfigLoader.js');
+const MessageSender = require('../src/discord/client/senders/MessageSender.js');
+const MinecraftRenderer = require('../src/discord/utils/MinecraftRenderer.js');
+const EmbedBuilder = require('../src/discord/utils/EmbedBuilder.js');
+
+const SEGMENTS = [
+    { text: '[MVP+] Bob', color: 'aqua' },
+    { text: ': gg', color: 'white' }
+];
+
+describe('MessageSender.renderSegments', () => {
+    let sender;
+    let guildConfig;
+
+    before(() => {
+        const config = new Config();
+        BridgeLocator.setInstance({ config });
+        guildConfig = config.getEnabledGuilds()[0];
+
+        // Only the renderers are needed, not a Discord client
+        sender = Object.create(MessageSender.prototype);
+        sender.minecraftRenderer = new MinecraftRenderer();
+        sender.embedBuilder = new EmbedBuilder();
+    });
+
+    test('starts an ANSI block with the guild tag', () => {
+        const rendered = sender.renderSegments(SEGMENTS, 'ansi', null, 'guild', guildConfig);
+        const text = rendered.content.replace(/\u001b\[[\d;]*m/g, '');
+
+        assert.equal(text, '```ansi\n[V1] [MVP+] Bob: gg\n```');
+    });
+
+    test('names the guild in the embed footer', () => {
+        const rendered = sender.renderSegments(SEGMENTS, 'embed', null, 'guild', guildConfig);
+
+        assert.equal(rendered.embeds[0].data.footer.text, 'FrenchLegacy [V1]');
+    });
+
+    test('leaves the line alone when the guild is already named', () => {
+        const ansi = sender.renderSegments(SEGMENTS, 'ansi', null, 'guild', null);
+        const embed = sender.renderSegments(SEGMENTS, 'embed', null, 'guild', null);
+
+        assert.ok(!ansi.content.includes('[V1]'));
+        assert.equal(embed.embeds[0].data.footer, undefined);
+    });
+});
@@ -0,0 +1,158 @@
+require('./helpers/settings.js');
+
+// Globals Imports
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Specific Imports
+const BridgeLocator = require('../src/bridgeLocator.js');
+const Config = require('../src/config/ConfigLoader.js');
+const { getRoleSync } = require('../src/shared/RoleSync.js');
+const { getAccountLinker } = require('../src/shared/AccountLinker.js');
+const { getGuildRoster } = require('../src/shared/GuildRoster.js');
+
+const MEMBER_ROLE = '400000000000000001';
+const FL1_OFFICER_ROLE = '400000000000000002';
+const FL2_OFFICER_ROLE = '400000000000000003';
+const DISCORD_USER_ID = '500000000000000001';
+
+/**
+ * Discord server holding one member, records role changes and audit messages
+ */
+function createDiscord() {
+    const memberRoles = new Map();
+    const discord = {
+        memberRoles,
+        audits: [],
+        changes: []
+    };
+
+    const member = {
+        roles: {
+            cache: memberRoles,
+            add: async (roleIds) => {
+                roleIds.forEach(roleId => memberRoles.set(roleId, { id: roleId }));
+                discord.changes.push({ added: roleIds });
+            },
+            remove: async (roleIds) => {
+                roleIds.forEach(roleId => memberRoles.delete(roleId));
+                discord.changes.push({ removed: roleIds });
+            }
+        }
+    };
+
+    const guild = {
+        members: { fetch: async () => member },
+        roles: { cache: new Map([MEMBER_ROLE, FL1_OFFICER_ROLE, FL2_OFFICER_ROLE].map(roleId => [roleId, { id: roleId }])) }
+    };
+
+    const client = {
+        guilds: { fetch: async () => guild },
+        channels: { fetch: async () => ({ send: async (message) => discord.audits.push(message) }) }
+    };
+
+    discord.manager = { isConnected: () => true, getClient: () => client };
+    return discord;
+}
+
+describe('RoleSync', () => {
+    let directory;
+    let config;
+    let discord;
+    let roleSync;
+    let roster;
+    let link;
+    let guilds;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-rolesync-'));
+
+        const settings = JSON.parse(fs.readFileSync(process.env.BRIDGE_SETTINGS_PATH, 'utf8'));
+        settings.features.roleSync = { enabled: true };
+        settings.features.roster = { directory: path.join(directory, 'roster') };
+        settings.features.linking = { directory: path.join(directory, 'links') };
+        settings.discord.logChannels.roleSync = '600000000000000001';
+        settings.guilds[0].roleSync = { memberRole: MEMBER_ROLE, ranks: { Officer: FL1_OFFICER_ROLE } };
+        settings.guilds[1].roleSync = { memberRole: MEMBER_ROLE, ranks: { Officer: FL2_OFFICER_ROLE } };
+
+        const settingsPath = path.join(directory, 'settings.json');
+        fs.writeFileSync(settingsPath, JSON.stringify(settings));
+        process.env.BRIDGE_SETTINGS_PATH = settingsPath;
+
+        config = new Config();
+        discord = createDiscord();
+        BridgeLocator.setInstance({ config, getDiscordManager: () => discord.manager });
+
+        roleSync = getRoleSync();
+        roster = getGuildRoster();
+        link = getAccountLinker().createLink(DISCORD_USER_ID, 'steve#0', 'Steve', 'fl1guild');
+        guilds = config.getEnabledGuilds();
+    });
+
+    beforeEach(() => {
+        discord.memberRoles.clear();
+        discord.audits.length = 0;
+        discord.changes.length = 0;
+        roleSync.dryRunDiffs.clear();
+        roleSync.dryRun = true;
+    });
+
+    after(() => {
+        roster.cleanup();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('dry run audits the same diff only once', async () => {
+        const membership = { isMember: true, rank: 'Officer' };
+
+        await roleSync.syncMember(link, guilds[0], membership, 'join');
+        await roleSync.syncMember(link, guilds[0], membership, 'join');
+        await roleSync.syncMember(link, guilds[0], membership, 'reconcile');
+
+        assert.equal(discord.audits.length, 1);
+        assert.deepEqual(discord.changes, []);
+
+        // A different diff is audited again
+        await roleSync.syncMember(link, guilds[0], { isMember: true, rank: null }, 'join');
+        assert.equal(discord.audits.length, 2);
+    });
+
+    test('dry run audits a diff again after another one was found', async () => {
+        await roleSync.syncMember(link, guilds[0], { isMember: true, rank: 'Officer' }, 'join');
+        await roleSync.syncMember(link, guilds[0], { isMember: true, rank: null }, 'demote');
+        await roleSync.syncMember(link, guilds[0], { isMember: true, rank: 'Officer' }, 'promote');
+
+        assert.equal(discord.audits.length, 3);
+    });
+
+    test('applies roles outside dry run', async () => {
+        roleSync.dryRun = false;
+
+        await roleSync.syncMember(link, guilds[0], { isMember: true, rank: 'Officer' }, 'promote');
+
+        assert.deepEqual([...discord.memberRoles.keys()].sort(), [MEMBER_ROLE, FL1_OFFICER_ROLE].sort());
+        assert.equal(discord.audits.length, 1);
+    });
+
+    test('keeps a role shared with another guild the player is still in', async () => {
+        roleSync.dryRun = false;
+        discord.memberRoles.set(MEMBER_ROLE, { id: MEMBER_ROLE });
+        discord.memberRoles.set(FL1_OFFICER_ROLE, { id: FL1_OFFICER_ROLE });
+        roster.setRank(roster.ensureMember('fl2guild', 'Steve'), 'Member', 'test', Date.now());
+
+        try {
+            await roleSync.syncMember(link, guilds[0], { isMember: false, rank: null }, 'kick');
+            assert.deepEqual([...discord.memberRoles.keys()], [MEMBER_ROLE]);
+
+            // Gone from the last guild, the shared role goes too
+            roster.removeMember('fl2guild', 'Steve');
+            await roleSync.syncMember(link, guilds[0], { isMember: false, rank: null }, 'kick');
+            assert.deepEqual([...discord.memberRoles.keys()], []);
+        } finally {
+            roster.removeMember('fl2guild', 'Steve');
+        }
+    });
+});
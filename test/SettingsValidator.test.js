@@ -0,0 +1,179 @@
+require('./helpers/settings.js');
+
+// Globals Imports
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Specific Imports
+const { SettingsValidator, checkConfigFile } = require('../src/config/SettingsValidator.js');
+const { SecretResolver } = require('../src/config/SecretResolver.js');
+
+const fixture = JSON.parse(fs.readFileSync(process.env.BRIDGE_SETTINGS_PATH, 'utf8'));
+
+function validate(edit = () => {}) {
+    const settings = structuredClone(fixture);
+    edit(settings);
+    return { settings, ...new SettingsValidator().validate(settings) };
+}
+
+function paths(problems) {
+    return problems.map(problem => problem.path);
+}
+
+function messageAt(problems, problemPath) {
+    const problem = problems.find(candidate => candidate.path === problemPath);
+    assert.ok(problem, `expected a problem at ${problemPath}, got ${paths(problems).join(', ')}`);
+    return problem.message;
+}
+
+describe('SettingsValidator schema checks', () => {
+    test('accepts the test settings and fills in the defaults', () => {
+        const { settings, errors, warnings } = validate();
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(warnings, []);
+        assert.equal(settings.features.logging.logFileDirectory, './data/logs');
+        assert.equal(settings.guilds[0].account.viewDistance, 'tiny');
+    });
+
+    test('reports missing required keys and wrong types', () => {
+        const { errors } = validate(settings => {
+            delete settings.app.token;
+            settings.guilds[0].server.port = '25565';
+        });
+
+        assert.equal(messageAt(errors, 'app.token'), 'is required');
+        assert.equal(messageAt(errors, 'guilds[0].server.port'), 'must be an integer, got a string');
+    });
+
+    test('suggests the closest allowed value or key', () => {
+        const { errors, warnings } = validate(settings => {
+            settings.guilds[0].account.authMethod = 'microsft';
+            settings.guilds[0].rnaks = [];
+        });
+
+        assert.match(messageAt(errors, 'guilds[0].account.authMethod'), /got "microsft" \(did you mean "microsoft"\?\)$/);
+        assert.match(messageAt(warnings, 'guilds[0].rnaks'), /did you mean "ranks"\?/);
+    });
+
+    test('reports values left from settings.example.json', () => {
+        const { errors } = validate(settings => {
+            settings.bridge.channels.chat.id = 'CHAT_CHANNEL_ID';
+        });
+
+        assert.match(messageAt(errors, 'bridge.channels.chat.id'), /placeholder "CHAT_CHANNEL_ID"/);
+    });
+});
+
+describe('SettingsValidator cross checks', () => {
+    test('report duplicate guilds and shared accounts', () => {
+        const { errors, warnings } = validate(settings => {
+            settings.guilds[1].id = 'FL1GUILD';
+            settings.guilds[1].account.username = 'BridgeBotOne';
+        });
+
+        assert.match(messageAt(errors, 'guilds[1].id'), /already used by guilds\[0\]/);
+        assert.match(messageAt(warnings, 'guilds[1].account.username'), /also used by guilds\[0\]/);
+    });
+
+    test('run even when the schema walk found errors', () => {
+        const { errors } = validate(settings => {
+            settings.app.clientId = 42;
+            settings.guilds[1].tag = 'v1';
+        });
+
+        assert.deepEqual(paths(errors), ['app.clientId', 'guilds[1].tag']);
+    });
+
+    test('skip malformed guild entries instead of throwing', () => {
+        const { errors } = validate(settings => {
+            settings.guilds.push('not a guild', null);
+            settings.guilds[0].account = null;
+            settings.guilds[1].ranks = 'Member';
+        });
+
+        assert.ok(errors.some(error => error.path === 'guilds[2]'));
+        assert.ok(errors.some(error => error.path === 'guilds[0].account'));
+    });
+
+    test('report a guild without any chat channel', () => {
+        const { errors } = validate(settings => {
+            delete settings.bridge.channels.chat;
+        });
+
+        assert.deepEqual(
+            paths(errors).filter(errorPath => errorPath.endsWith('.channels.chat')),
+            ['guilds[0].channels.chat', 'guilds[1].channels.chat']
+        );
+    });
+});
+
+describe('SettingsValidator secrets', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-secrets-'));
+    after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    test('never quote resolved secret file values', () => {
+        const secretPath = path.join(directory, 'level');
+        fs.writeFileSync(secretPath, 'hunter2-secret\n');
+
+        const settings = structuredClone(fixture);
+        settings.features.logging.level = `\${FILE:${secretPath}}`;
+
+        const resolution = new SecretResolver({}).resolve(settings);
+        const { errors } = new SettingsValidator().validate(settings, resolution.secretValues);
+
+        const message = messageAt(errors, 'features.logging.level');
+        assert.doesNotMatch(message, /hunter2-secret/);
+        assert.match(message, /\*\*\*/);
+    });
+
+    test('never quote webhook URLs or values of secret-like keys', () => {
+        const { errors } = validate(settings => {
+            settings.bridge.channels.chat.webhookUrl = 'https://example.com/hooks/12345/abcdef';
+            settings.app.token = 'not a token';
+        });
+
+        const message = messageAt(errors, 'bridge.channels.chat.webhookUrl');
+        assert.doesNotMatch(message, /example\.com/);
+        assert.ok(errors.every(error => !error.message.includes('not a token')));
+    });
+});
+
+describe('checkConfigFile', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-check-'));
+    after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    function check(t, configPath) {
+        const log = t.mock.method(console, 'log', () => {});
+        const error = t.mock.method(console, 'error', () => {});
+        const valid = checkConfigFile(configPath);
+        const output = [...log.mock.calls, ...error.mock.calls].map(call => call.arguments.join(' ')).join('\n');
+        return { valid, output };
+    }
+
+    test('checks the file BRIDGE_SETTINGS_PATH points to by default', (t) => {
+        const { valid, output } = check(t);
+
+        assert.equal(valid, true);
+        assert.match(output, /fixtures[\\/]settings\.json is valid/);
+    });
+
+    test('still validates the rest when a placeholder does not resolve', (t) => {
+        const settings = structuredClone(fixture);
+        settings.app.token = '${ENV:BRIDGE_TEST_UNSET_TOKEN}';
+        settings.guilds[0].account.viewDistance = 'huge';
+
+        const configPath = path.join(directory, 'settings.json');
+        fs.writeFileSync(configPath, JSON.stringify(settings));
+
+        const { valid, output } = check(t, configPath);
+
+        assert.equal(valid, false);
+        assert.match(output, /app\.token: environment variable BRIDGE_TEST_UNSET_TOKEN is not set/);
+        assert.match(output, /guilds\[0\]\.account\.viewDistance/);
+        assert.match(output, /2 error\(s\)/);
+    });
+});
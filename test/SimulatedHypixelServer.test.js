@@ -0,0 +1,79 @@
+require('./helpers/settings.js');
+
+// Globals Imports
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mineflayer = require('mineflayer');
+
+// Specific Imports
+const SimulatedHypixelServer = require('../src/minecraft/simulation/SimulatedHypixelServer.js');
+
+const PORT = 25599;
+
+function guildConfig(id, username, version) {
+    return {
+        id,
+        name: `Guild ${id}`,
+        tag: id.toUpperCase(),
+        enabled: true,
+        server: { serverName: 'Hypixel', host: 'mc.hypixel.net', port: 25565, version },
+        account: { username, authMethod: 'microsoft' },
+        ranks: ['Member', 'Officer']
+    };
+}
+
+function waitFor(emitter, event, predicate = () => true, timeout = 15000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No ${event} within ${timeout}ms`)), timeout);
+        const listener = (...args) => {
+            if (predicate(...args)) {
+                clearTimeout(timer);
+                emitter.removeListener(event, listener);
+                resolve(args);
+            }
+        };
+        emitter.on(event, listener);
+    });
+}
+
+test('a 1.8.9 bot logs in, spawns and gets its guild chat echoed', async (t) => {
+    const config = guildConfig('sim', 'SimBot', '1.8.9');
+    const server = new SimulatedHypixelServer([config], { port: PORT });
+    await server.start();
+
+    const bot = mineflayer.createBot({
+        host: '127.0.0.1',
+        port: PORT,
+        username: 'SimBot',
+        version: '1.8.9',
+        auth: 'offline'
+    });
+    t.after(async () => {
+        const ended = waitFor(bot, 'end');
+        bot.end();
+        await ended;
+        server.stop();
+    });
+
+    await waitFor(bot, 'spawn');
+
+    const echoed = waitFor(bot, 'messagestr', line => line.includes('hello from the test'));
+    bot.chat('/gc hello from the test');
+    const [line] = await echoed;
+
+    assert.match(line, /^Guild > \[MVP\+\] SimBot \[[^\]]+\]: hello from the test$/);
+});
+
+test('login fields fall back to the pre-1.16 ones when minecraft-data has no login packet', () => {
+    const server = new SimulatedHypixelServer([guildConfig('sim', 'SimBot', '1.8.9')]);
+    server.mcData = require('minecraft-data')('1.8.9');
+
+    assert.deepEqual(server.getLoginFields(), {
+        gameMode: 0,
+        dimension: 0,
+        difficulty: 0,
+        maxPlayers: 100,
+        levelType: 'default',
+        reducedDebugInfo: false
+    });
+});
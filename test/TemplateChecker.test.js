@@ -0,0 +1,60 @@
+require('./helpers/settings.js');
+
+// Globals Imports
+const { describe, test, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Specific Imports
+const BridgeLocator = require('../src/bridgeLocator.js');
+const Config = require('../src/config/ConfigLoader.js');
+const { getTemplateLoader } = require('../src/config/TemplateLoader.js');
+const { TemplateChecker } = require('../src/shared/TemplateChecker.js');
+
+const LONG_TEXT = 'x'.repeat(300);
+
+describe('TemplateChecker.lintLengths', () => {
+    let checker;
+    let templateLoader;
+    let shipped;
+
+    before(() => {
+        BridgeLocator.setInstance({ config: new Config() });
+        checker = new TemplateChecker();
+        templateLoader = getTemplateLoader();
+        shipped = structuredClone(templateLoader.templates);
+    });
+
+    afterEach(() => {
+        templateLoader.templates = structuredClone(shipped);
+        templateLoader.clearCache();
+    });
+
+    test('shipped templates fit the chat limit', () => {
+        assert.deepEqual(checker.lintLengths(), []);
+    });
+
+    test('points at the server template that is too long', () => {
+        const guild = templateLoader.templates.servers.messagesToMinecraft.Hypixel.guild;
+        for (const key of Object.keys(guild)) {
+            guild[key] = `${LONG_TEXT} {message}`;
+        }
+        templateLoader.clearCache();
+
+        const issues = checker.lintLengths();
+
+        assert.equal(issues.length, 2);
+        assert.ok(issues.every(issue => issue.path.startsWith('servers.messagesToMinecraft.Hypixel.guild.')), issues.map(issue => issue.path).join(', '));
+    });
+
+    test('points at the guild override that is too long', () => {
+        templateLoader.templates.guilds = {
+            fl1guild: { messagesToMinecraft: { guild: { basic: `${LONG_TEXT} {message}` } } }
+        };
+        templateLoader.clearCache();
+
+        const issues = checker.lintLengths();
+
+        assert.deepEqual(issues.map(issue => issue.path), ['guilds.fl1guild.messagesToMinecraft.guild.basic']);
+        assert.match(issues[0].message, /FrenchLegacy\b/);
+    });
+});
@@ -0,0 +1,141 @@
+require('./helpers/settings.js');
+
+// Globals Imports
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Specific Imports
+const { TemplateEngine } = require('../src/shared/TemplateEngine.js');
+const { getTemplateLoader } = require('../src/config/TemplateLoader.js');
+
+const engine = new TemplateEngine();
+
+describe('TemplateEngine variables and fallbacks', () => {
+    test('replaces known variables and keeps unknown placeholders', () => {
+        assert.equal(engine.render('{username}: {message} {unknown}', { username: 'Alex', message: 'hi' }), 'Alex: hi {unknown}');
+    });
+
+    test('uses the fallback for empty or unknown variables', () => {
+        assert.equal(engine.render('[{rank?:Member}]', {}), '[Member]');
+        assert.equal(engine.render('[{rank?:Member}]', { rank: '' }), '[Member]');
+        assert.equal(engine.render('[{rank?:Member}]', { rank: 'Officer' }), '[Officer]');
+        assert.equal(engine.render('[{rank?:}]', { rank: null }), '[]');
+    });
+
+    test('renders known empty variables as nothing', () => {
+        assert.equal(engine.render('a{tag}b', { tag: null }), 'ab');
+    });
+
+    test('reads missing variables from the defaults', () => {
+        assert.equal(engine.render('{prefix} {message}', { message: 'hi' }, { prefix: '>>' }), '>> hi');
+        assert.equal(engine.render('{prefix}', { prefix: '!' }, { prefix: '>>' }), '!');
+    });
+
+    test('leaves braces that are not placeholders alone', () => {
+        assert.equal(engine.render('{ not one } {a-b}', {}), '{ not one } {a-b}');
+    });
+});
+
+describe('TemplateEngine filters', () => {
+    test('changes the case', () => {
+        assert.equal(engine.render('{name|upper} {name|lower} {word|capitalize}', { name: 'Alex', word: 'guild' }), 'ALEX alex Guild');
+    });
+
+    test('chains filters left to right', () => {
+        assert.equal(engine.render('{name|trim|upper}', { name: '  alex  ' }), 'ALEX');
+    });
+
+    test('truncates with an ellipsis', () => {
+        assert.equal(engine.render('{message|truncate:8}', { message: 'hello world' }), 'hello...');
+        assert.equal(engine.render('{message|truncate:20}', { message: 'hello world' }), 'hello world');
+    });
+
+    test('formats times', () => {
+        const date = new Date(2024, 0, 2, 3, 4, 5);
+        assert.equal(engine.render('{at|time:YYYY-MM-DD HH:mm:ss}', { at: date }), '2024-01-02 03:04:05');
+        assert.equal(engine.render('{at|time}', { at: date.getTime() }), '03:04');
+    });
+
+    test('applies filters to the fallback', () => {
+        assert.equal(engine.render('{rank?:member|upper}', {}), 'MEMBER');
+    });
+
+    test('rejects unknown filters', () => {
+        assert.throws(() => engine.render('{name|shout}', { name: 'Alex' }), /unknown filter "shout"/);
+    });
+});
+
+describe('TemplateEngine conditionals', () => {
+    const template = '{#if tag}[{tag}] {else}[no tag] {/if}{username}';
+
+    test('renders the branch matching the variable', () => {
+        assert.equal(engine.render(template, { tag: 'V1', username: 'Alex' }), '[V1] Alex');
+        assert.equal(engine.render(template, { tag: '', username: 'Alex' }), '[no tag] Alex');
+        assert.equal(engine.render(template, { username: 'Alex' }), '[no tag] Alex');
+    });
+
+    test('negates with !', () => {
+        assert.equal(engine.render('{#if !muted}{message}{/if}', { muted: false, message: 'hi' }), 'hi');
+        assert.equal(engine.render('{#if !muted}{message}{/if}', { muted: true, message: 'hi' }), '');
+    });
+
+    test('nests', () => {
+        const nested = '{#if guild}{guild}{#if rank} ({rank}){/if}{/if}';
+        assert.equal(engine.render(nested, { guild: 'FrenchLegacy', rank: 'Officer' }), 'FrenchLegacy (Officer)');
+        assert.equal(engine.render(nested, { guild: 'FrenchLegacy' }), 'FrenchLegacy');
+        assert.equal(engine.render(nested, { rank: 'Officer' }), '');
+    });
+
+    test('reads the condition from the defaults', () => {
+        assert.equal(engine.render('{#if showRank}{rank}{/if}', { rank: 'Officer' }, { showRank: true }), 'Officer');
+    });
+
+    test('rejects unbalanced blocks', () => {
+        assert.throws(() => engine.render('{#if tag}{tag}', {}), /never closed/);
+        assert.throws(() => engine.render('{tag}{/if}', {}), /without \{#if\}/);
+        assert.throws(() => engine.render('{#if a}x{else}y{else}z{/if}', {}), /second \{else\}/);
+    });
+});
+
+describe('TemplateEngine variable names', () => {
+    test('lists the variables and conditions a template reads', () => {
+        const names = engine.getVariableNames('{#if tag}[{tag|upper}] {/if}{username?:someone}: {message}');
+        assert.deepEqual(names.sort(), ['message', 'tag', 'username']);
+    });
+});
+
+describe('templates.json', () => {
+    const templateLoader = getTemplateLoader();
+
+    test('every shipped template parses', () => {
+        const visit = (node, nodePath) => {
+            if (typeof node === 'string') {
+                assert.doesNotThrow(() => engine.compile(node), nodePath);
+                return;
+            }
+            for (const [key, child] of Object.entries(node || {})) {
+                // Keys starting with '_' are comments
+                if (!key.startsWith('_')) {
+                    visit(child, `${nodePath}.${key}`);
+                }
+            }
+        };
+
+        visit(templateLoader.templates.servers, 'servers');
+        visit(templateLoader.templates.guilds, 'guilds');
+    });
+
+    test('a per-guild override wins over the server template', () => {
+        const guilds = templateLoader.templates.guilds;
+        templateLoader.templates.guilds = { fl1guild: { messagesToMinecraft: { guild: { basic: 'override {message}' } } } };
+        templateLoader.clearCache();
+
+        try {
+            assert.equal(templateLoader.getBestTemplate('messagesToMinecraft', 'Hypixel', 'guild', {}, 'fl1guild'), 'override {message}');
+            assert.notEqual(templateLoader.getBestTemplate('messagesToMinecraft', 'Hypixel', 'guild', {}, 'fl2guild'), 'override {message}');
+        } finally {
+            templateLoader.templates.guilds = guilds;
+            templateLoader.clearCache();
+        }
+    });
+});
@@ -0,0 +1,5 @@
+// Globals Imports
+const path = require('path');
+
+// Modules load the settings when first required, require this before them
+process.env.BRIDGE_SETTINGS_PATH = path.join(__dirname, '../fixtures/settings.json');